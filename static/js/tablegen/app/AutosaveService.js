@@ -0,0 +1,239 @@
+// AutosaveService.js
+// Автосохранение текущего документа (и его истории) в IndexedDB и восстановление после перезагрузки / закрытия вкладки.
+// Запись откладывается (debounce) после каждого изменения истории: history:change приходит, когда шаг уже записан
+// (или выполнен undo / redo), поэтому сохранённые документ и дерево истории всегда согласованы.
+// Ошибки записи не глотаются: они приходят событием autosave:status (UI показывает их пользователю). При переполнении
+// квоты сервис повторяет запись без истории — документ важнее дерева шагов.
+// Запись нужна, только пока таблица не сохранена иначе: экспорт (событие export) удаляет её — до следующего изменения.
+// Записи прежних сеансов старше maxAge и сверх maxRecords самых свежих удаляются при поиске восстановления, поэтому
+// хранилище не растёт без предела, даже если пользователь откладывает решение («Не сейчас»).
+
+import { isQuotaError } from '../integration/storage/autosaveStore.js';
+import { parseTableJson, applyDocumentWithHistory } from '../integration/import/fromJson.js';
+
+/**
+ * @typedef {Object} AutosaveStatus Payload события autosave:status
+ * @property {'saved'|'error'} state
+ * @property {number} [savedAt] Время успешной записи
+ * @property {boolean} [withoutHistory] Запись прошла, но история не поместилась в квоту
+ * @property {boolean} [quota] Ошибка — переполнение хранилища
+ * @property {*} [error] Исходная ошибка IndexedDB
+ */
+
+/** Срок хранения автосохранения прежнего сеанса по умолчанию (мс): 30 дней */
+const DEFAULT_MAX_AGE = 30 * 24 * 60 * 60 * 1000;
+
+/**
+ * Новый идентификатор документа для meta.id.
+ * @returns {string}
+ */
+export function createDocumentId() {
+  if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') return globalThis.crypto.randomUUID();
+  return 'doc-' + Date.now().toString(36) + '-' + Math.random().toString(36).slice(2, 10);
+}
+
+export class AutosaveService {
+  /**
+   * @param {Object} ctx
+   * @param {import('../core/model/TableModel.js').TableModel} ctx.model
+   * @param {import('../core/services/HistoryService.js').HistoryService} ctx.history
+   * @param {import('../core/events/EventBus.js').EventBus} ctx.bus
+   * @param {import('../core/services/ValidationService.js').ValidationService} ctx.validator Проверка восстановленного
+   *   документа и его истории — та же, что при импорте файла
+   * @param {import('../integration/storage/autosaveStore.js').AutosaveStore} ctx.store
+   * @param {string} ctx.documentId Ключ записи, если у документа нет meta.id (например, после импорта файла без него)
+   * @param {number} [ctx.delay=1000] Задержка (мс) записи после последнего изменения
+   * @param {boolean} [ctx.includeHistory=true] Сохранять ли вместе с документом дерево истории
+   * @param {number} [ctx.maxAge=30 дней] Возраст (мс), после которого автосохранение прежнего сеанса удаляется
+   * @param {number} [ctx.maxRecords=20] Сколько самых свежих автосохранений прежних сеансов хранить
+   */
+  constructor({ model, history, bus, validator, store, documentId, delay = 1000, includeHistory = true, maxAge = DEFAULT_MAX_AGE, maxRecords = 20 }) {
+    this.model = model;
+    this.history = history;
+    this.bus = bus;
+    this.validator = validator;
+    this.store = store;
+    this.documentId = documentId;
+    this.delay = delay;
+    this.includeHistory = includeHistory;
+    this.maxAge = maxAge;
+    this.maxRecords = maxRecords;
+    this._timer = null;
+    this._pending = false;
+    this._saving = Promise.resolve(true); // Записи идут строго по очереди: более поздняя не обгоняет раннюю
+    this._savedIds = new Set();           // Записи, сделанные в этом сеансе (их не предлагаем восстанавливать)
+    this._onChange = () => this.schedule();
+    this._onExport = () => this.markSaved();
+    // Уход со страницы: пишем сразу, не дожидаясь таймера (IndexedDB успевает завершить короткую транзакцию)
+    this._onPageHide = () => { if (this._pending) this.flush(); };
+    this._onVisibility = () => { if (document.visibilityState === 'hidden' && this._pending) this.flush(); };
+    bus.on('history:change', this._onChange);
+    bus.on('export', this._onExport);
+    if (typeof window !== 'undefined') {
+      window.addEventListener('pagehide', this._onPageHide);
+      document.addEventListener('visibilitychange', this._onVisibility);
+    }
+  }
+
+  /**
+   * Ключ автосохранения текущего документа.
+   * @returns {string}
+   */
+  get key() {
+    return this.model.meta.id || this.documentId;
+  }
+
+  /**
+   * Запланировать запись через delay мс (повторный вызов перезапускает таймер).
+   */
+  schedule() {
+    if (this._timer) clearTimeout(this._timer);
+    this._pending = true;
+    this._timer = setTimeout(() => {
+      this._timer = null;
+      this.flush();
+    }, this.delay);
+  }
+
+  /**
+   * Записать документ немедленно (если есть несохранённые изменения).
+   * @returns {Promise<boolean>} Удалась ли последняя запись
+   */
+  flush() {
+    if (!this._pending) return this._saving;
+    // Незаписанная группа истории (ввод последних мс) — отдельным шагом, чтобы документ совпал с текущим шагом дерева.
+    // Её history:change снова вызовет schedule — таймер и флаг снимаем уже после записи шага
+    this.history.record();
+    if (this._timer) {
+      clearTimeout(this._timer);
+      this._timer = null;
+    }
+    this._pending = false;
+    this._savedIds.add(this.key);
+    const record = {
+      id: this.key,
+      name: this.model.meta.name || '',
+      savedAt: Date.now(),
+      doc: this.model.toJSON(),
+      history: this.includeHistory ? this.history.toJSON() : null
+    };
+    this._saving = this._saving.then(() => this._write(record));
+    return this._saving;
+  }
+
+  /**
+   * Запись с повтором без истории при переполнении квоты.
+   * @param {import('../integration/storage/autosaveStore.js').AutosaveRecord} record
+   * @returns {Promise<boolean>}
+   * @private
+   */
+  async _write(record) {
+    try {
+      await this.store.put(record);
+      this._report({ state: 'saved', savedAt: record.savedAt });
+      return true;
+    } catch (err) {
+      if (isQuotaError(err) && record.history) {
+        try {
+          await this.store.put({ ...record, history: null });
+          this._report({ state: 'saved', savedAt: record.savedAt, withoutHistory: true });
+          return true;
+        } catch (retryErr) {
+          err = retryErr;
+        }
+      }
+      this._report({ state: 'error', quota: isQuotaError(err), error: err });
+      return false;
+    }
+  }
+
+  /**
+   * @param {AutosaveStatus} status
+   * @private
+   */
+  _report(status) {
+    if (status.state === 'error') console.error('[Autosave] Не удалось сохранить таблицу:', status.error);
+    else if (status.withoutHistory) console.warn('[Autosave] История не поместилась в хранилище, сохранён только документ');
+    this.bus.emit('autosave:status', status);
+  }
+
+  /**
+   * Текущее состояние таблицы сохранено пользователем (экспорт): автосохранение больше не нужно — запись удаляется,
+   * чтобы при следующем запуске не предлагать восстановить то, что уже сохранено. Следующее изменение запишет её снова.
+   * @returns {Promise<boolean>} Удалось ли удалить запись
+   */
+  markSaved() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    this._pending = false;
+    const key = this.key;
+    // В очереди записей: запись, начатая до экспорта, не воскресит удалённое автосохранение
+    this._saving = this._saving.then(() => this.store.delete(key)).then(() => true, (err) => {
+      console.error('[Autosave] Не удалось удалить автосохранение сохранённой таблицы:', err);
+      return false;
+    });
+    return this._saving;
+  }
+
+  /**
+   * Автосохранения прежних сеансов, которые можно предложить восстановить, от самого свежего к старому: все записи,
+   * кроме сделанных в этом сеансе (при постоянном documentId запись прошлого сеанса с тем же id тоже попадает сюда,
+   * пока текущий сеанс её не перезаписал). Записи старше maxAge и сверх maxRecords самых свежих удаляются
+   * и не предлагаются.
+   * @returns {Promise<import('../integration/storage/autosaveStore.js').AutosaveRecord[]>}
+   */
+  async findRecovery() {
+    const records = (await this.store.list()).filter(record => !this._savedIds.has(record.id));
+    const now = Date.now();
+    const fresh = [];
+    const stale = [];
+    for (const record of records) {
+      const young = now - record.savedAt <= this.maxAge; // без корректного savedAt запись считается устаревшей
+      (young && fresh.length < this.maxRecords ? fresh : stale).push(record);
+    }
+    // Ошибка удаления не мешает предложить свежие записи: устаревшие попробуем удалить при следующем запуске
+    await Promise.all(stale.map(record => this.store.delete(record.id).catch((err) => {
+      console.error('[Autosave] Не удалось удалить устаревшее автосохранение:', err);
+    })));
+    return fresh;
+  }
+
+  /**
+   * Восстановить документ (и историю, если она сохранена) из автосохранения. Запись проходит ту же STRICT проверку,
+   * что и импорт файла (документ и патчи истории — по реестру validator): хранилище браузера могло остаться
+   * от прежней версии реестра. Текущее содержимое заменяется одним шагом import; дальнейшие автосохранения идут
+   * в ту же запись (meta.id восстановленного документа). История, не прошедшая проверку, не загружается —
+   * причина возвращается в historyError.
+   * @param {import('../integration/storage/autosaveStore.js').AutosaveRecord} record
+   * @returns {{ok:true, historyError?:string}|{ok:false, error:string}}
+   */
+  restore(record) {
+    const parsed = parseTableJson(JSON.stringify({ ...record.doc, history: record.history ?? undefined }), this.validator);
+    if (!parsed.ok) return { ok: false, error: parsed.error };
+    const doc = parsed.doc;
+    if (!doc.meta || !doc.meta.id) doc.meta = { ...doc.meta, id: record.id };
+    const res = applyDocumentWithHistory({ model: this.model, history: this.history, validator: this.validator, bus: this.bus }, doc);
+    if (res.historyError) console.warn('[Autosave] История не восстановлена:', res.historyError);
+    return res;
+  }
+
+  /**
+   * Удалить автосохранение (пользователь отказался от восстановления).
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  discard(id) {
+    return this.store.delete(id);
+  }
+
+  destroy() {
+    if (this._timer) clearTimeout(this._timer);
+    this._timer = null;
+    this.bus.off('history:change', this._onChange);
+    this.bus.off('export', this._onExport);
+    if (typeof window !== 'undefined') {
+      window.removeEventListener('pagehide', this._onPageHide);
+      document.removeEventListener('visibilitychange', this._onVisibility);
+    }
+  }
+}
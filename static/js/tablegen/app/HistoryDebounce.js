@@ -1,37 +1,36 @@
 // HistoryDebounce.js
-// Debounce-запись состояния модели в HistoryService: снижает количество snapshot при серии операций.
+// Debounce-запись шагов в HistoryService: серия быстрых изменений (ввод, перетаскивание) становится одним шагом Undo.
 
 /**
  * Использование:
- *  const debounced = new HistoryDebounceRecorder(history, model);
+ *  const debounced = new HistoryDebounceRecorder(history);
  *  // при событии:
  *  debounced.schedule();
  */
 export class HistoryDebounceRecorder {
   /**
    * @param {HistoryService} history История undo/redo
-   * @param {TableModel} model Текущая модель
-   * @param {number} [delay=75] Задержка (мс) перед фиксацией snapshot после последнего события (степень группировки).
+   * @param {number} [delay=75] Задержка (мс) перед фиксацией шага после последнего события (степень группировки).
+   * @param {EventBus} [bus] Шина событий: по batch:flush шаг фиксируется сразу
    */
-  constructor(history, model, delay = 75, bus = null) {
+  constructor(history, delay = 75, bus = null) {
     this.history = history;
-    this.model = model;
     this.delay = delay; // текущий интервал debounce
     this._timer = null; // id таймера (возвращаемый setTimeout)
     this._pending = false; // есть ли в принципе отложенная запись
     this._bus = bus;      // Ссылка на EventBus (если передана) для синхронизации с batch
 
-  // Подписываемся на окончание batch, чтобы зафиксировать состояние немедленно одним снимком.
+    // Подписываемся на окончание batch, чтобы зафиксировать групповую операцию немедленно одним шагом.
     if (this._bus && typeof this._bus.on === 'function') {
       this._bus.on('batch:flush', () => {
-        // Если были запланированы изменения (pending) — flush сделает snapshot.
+        // Если были запланированы изменения (pending) — flush запишет шаг.
         // Если pending нет (например структура менялась внутри batch без вызова schedule()),
         // всё равно делаем попытку record, чтобы зафиксировать одну точку отката.
         if (this._pending) {
           this.flush();
         } else {
-          // Прямая запись. HistoryService сам отбросит дубликат если модель не изменилась.
-          this.history.record(this.model);
+          // Прямая запись. Если изменений не было, HistoryService шаг не создаст.
+          this.history.record();
         }
       });
     }
@@ -40,7 +39,7 @@ export class HistoryDebounceRecorder {
   /**
    * Запланировать запись в историю через delay мс.
    * Если за время ожидания приходят новые события (повторный schedule) — таймер перезапускается.
-   * Это и есть классическое debounce: серия быстрых изменений группируется в один snapshot.
+   * Это и есть классическое debounce: серия быстрых изменений группируется в один шаг.
    */
   schedule() {
     if (this.history._suspend) return; // Не пишем во время restore (undo/redo)
@@ -54,8 +53,8 @@ export class HistoryDebounceRecorder {
       this._timer = null;
       if (!this._pending) return; // на случай cancel()
       this._pending = false;
-      // Фиксируем состояние модели как снимок истории
-      this.history.record(this.model);
+      // Фиксируем накопленные изменения как шаг истории
+      this.history.record();
     }, this.delay);
   }
 
@@ -71,7 +70,7 @@ export class HistoryDebounceRecorder {
     }
     if (this._pending) {
       this._pending = false;
-      this.history.record(this.model);
+      this.history.record();
     }
   }
 
@@ -0,0 +1,109 @@
+// Modal.js
+// Простое модальное окно на основе нативного <dialog> (выбор таблицы при импорте, параметры операций и т.п.).
+// Окно создаётся при вызове и удаляется из DOM после закрытия, поэтому состояние между вызовами не хранится.
+// Результат возвращается через Promise: значение нажатой кнопки или null, если окно закрыли (Esc / «Отмена»).
+
+/**
+ * @typedef {Object} ModalButton
+ * @property {string} label Текст кнопки
+ * @property {*|(() => *)} [value] Результат окна; функция вызывается в момент нажатия (удобно для чтения полей формы).
+ *   Если функция вернула undefined — окно остаётся открытым (например, при ошибке заполнения формы)
+ * @property {boolean} [primary=false] Основная кнопка (выделяется цветом)
+ */
+
+/**
+ * Открыть модальное окно.
+ * @param {Object} options
+ * @param {string} options.title Заголовок окна
+ * @param {HTMLElement|((close:(value:*)=>void) => HTMLElement)} [options.content] Содержимое; фабрика получает функцию закрытия
+ * @param {ModalButton[]} [options.buttons] Кнопки внизу окна (по умолчанию только «Отмена»)
+ * @returns {Promise<*>} Значение выбранной кнопки или null
+ */
+export function openModal({ title, content, buttons = [{ label: 'Отмена', value: null }] }) {
+  return new Promise(resolve => {
+    const dialog = document.createElement('dialog');
+    dialog.className = 'tablegen-modal';
+    let settled = false;
+
+    // Единая точка закрытия: резолвим Promise один раз и убираем окно из DOM
+    const close = (value) => {
+      if (settled) return;
+      settled = true;
+      if (dialog.open) dialog.close();
+      dialog.remove();
+      resolve(value === undefined ? null : value);
+    };
+
+    const heading = document.createElement('div');
+    heading.className = 'tablegen-modal-title';
+    heading.textContent = title;
+    dialog.appendChild(heading);
+
+    if (content) {
+      const body = document.createElement('div');
+      body.className = 'tablegen-modal-body';
+      body.appendChild(typeof content === 'function' ? content(close) : content);
+      dialog.appendChild(body);
+    }
+
+    const footer = document.createElement('div');
+    footer.className = 'tablegen-modal-actions';
+    for (const btn of buttons) {
+      const el = document.createElement('button');
+      el.type = 'button';
+      el.textContent = btn.label;
+      el.classList.add('tg-btn');
+      if (btn.primary) el.classList.add('tg-btn-primary');
+      el.addEventListener('click', () => {
+        const value = typeof btn.value === 'function' ? btn.value() : btn.value;
+        // undefined от функции-значения означает «не закрывать» (ошибка в форме уже показана пользователю)
+        if (value === undefined && typeof btn.value === 'function') return;
+        close(value);
+      });
+      footer.appendChild(el);
+    }
+    dialog.appendChild(footer);
+
+    // Esc закрывает <dialog> сам — переводим это в результат null
+    dialog.addEventListener('cancel', (e) => {
+      e.preventDefault();
+      close(null);
+    });
+
+    document.body.appendChild(dialog);
+    dialog.showModal();
+  });
+}
+
+/**
+ * Окно выбора одного варианта из списка (каждый вариант — кнопка с подписью и пояснением).
+ * @param {string} title Заголовок окна
+ * @param {Array<{label:string, description?:string, value:*}>} items Варианты
+ * @returns {Promise<*>} value выбранного варианта или null
+ */
+export function chooseFromList(title, items) {
+  return openModal({
+    title,
+    content: (close) => {
+      const list = document.createElement('div');
+      list.className = 'tablegen-modal-list';
+      for (const item of items) {
+        const option = document.createElement('button');
+        option.type = 'button';
+        option.className = 'tablegen-modal-list-item';
+        const label = document.createElement('div');
+        label.textContent = item.label;
+        option.appendChild(label);
+        if (item.description) {
+          const hint = document.createElement('div');
+          hint.className = 'tablegen-modal-hint';
+          hint.textContent = item.description;
+          option.appendChild(hint);
+        }
+        option.addEventListener('click', () => close(item.value));
+        list.appendChild(option);
+      }
+      return list;
+    }
+  });
+}
@@ -0,0 +1,100 @@
+// PasteSpecialDialog.js
+// Окно специальной вставки (Ctrl+Shift+V): что вставлять (всё / только значения / только оформление),
+// транспонирование и пропуск пустых ячеек. Сама вставка выполняется ClipboardPasteService.pasteAtAnchor.
+
+import { openModal } from './Modal.js';
+
+/** Варианты «что вставлять» в порядке показа */
+const MODE_OPTIONS = [
+  { value: 'all', label: 'Всё', description: 'Значения, классы, data-* и объединения' },
+  { value: 'values', label: 'Только значения', description: 'Оформление и объединения таблицы не меняются' },
+  { value: 'formats', label: 'Только оформление', description: 'Классы и data-*; значения таблицы не меняются' }
+];
+
+/** Последний выбор: повторное открытие окна предлагает те же параметры */
+let lastChoice = { mode: 'all', transpose: false, skipBlanks: false };
+
+/**
+ * Создать строку с переключателем (radio / checkbox) и подписью.
+ * @param {string} type
+ * @param {string} name
+ * @param {string} label
+ * @param {string} [description]
+ * @returns {{row:HTMLLabelElement, input:HTMLInputElement}}
+ */
+function createOptionRow(type, name, label, description) {
+  const row = document.createElement('label');
+  row.className = 'tablegen-modal-option';
+  const input = document.createElement('input');
+  input.type = type;
+  input.name = name;
+  row.appendChild(input);
+  const text = document.createElement('span');
+  text.textContent = label;
+  if (description) {
+    const hint = document.createElement('span');
+    hint.className = 'tablegen-modal-hint';
+    hint.textContent = ' — ' + description;
+    text.appendChild(hint);
+  }
+  row.appendChild(text);
+  return { row, input };
+}
+
+/**
+ * Открыть окно специальной вставки.
+ * @param {Object} [options]
+ * @param {boolean} [options.hasFormats=true] Есть ли в буфере оформление (иначе режим «Только оформление» недоступен)
+ * @returns {Promise<import('../core/services/ClipboardPasteService.js').PasteSpecialOptions|null>} null — вставку отменили
+ */
+export function openPasteSpecialDialog(options = {}) {
+  const hasFormats = options.hasFormats !== false;
+  const modeInputs = [];
+  let transposeInput = null;
+  let skipBlanksInput = null;
+  const initialMode = lastChoice.mode === 'formats' && !hasFormats ? 'all' : lastChoice.mode;
+
+  const content = () => {
+    const form = document.createElement('div');
+    form.className = 'tablegen-modal-form';
+    for (const opt of MODE_OPTIONS) {
+      const { row, input } = createOptionRow('radio', 'tablegen-paste-mode', opt.label, opt.description);
+      input.value = opt.value;
+      input.checked = opt.value === initialMode;
+      if (opt.value === 'formats' && !hasFormats) {
+        input.disabled = true;
+        row.title = 'В буфере нет классов и data-*';
+      }
+      modeInputs.push(input);
+      form.appendChild(row);
+    }
+    const separator = document.createElement('hr');
+    form.appendChild(separator);
+    const transpose = createOptionRow('checkbox', 'tablegen-paste-transpose', 'Транспонировать', 'строки станут столбцами');
+    transposeInput = transpose.input;
+    transposeInput.checked = lastChoice.transpose;
+    form.appendChild(transpose.row);
+    const skipBlanks = createOptionRow('checkbox', 'tablegen-paste-skip-blanks', 'Пропускать пустые', 'пустые ячейки буфера не затирают таблицу');
+    skipBlanksInput = skipBlanks.input;
+    skipBlanksInput.checked = lastChoice.skipBlanks;
+    form.appendChild(skipBlanks.row);
+    return form;
+  };
+
+  return openModal({
+    title: 'Специальная вставка',
+    content,
+    buttons: [
+      { label: 'Отмена', value: null },
+      {
+        label: 'Вставить',
+        primary: true,
+        value: () => {
+          const checked = modeInputs.find(input => input.checked);
+          lastChoice = { mode: checked ? checked.value : 'all', transpose: transposeInput.checked, skipBlanks: skipBlanksInput.checked };
+          return { ...lastChoice };
+        }
+      }
+    ]
+  });
+}
@@ -14,6 +14,16 @@ export class RenderScheduler {
     this.selectionService = selectionService;
     this._pending = false; // флаг, что кадр уже запрошен
     this._rafId = null;    // id requestAnimationFrame (для отмены при необходимости)
+    this._afterRender = []; // обработчики, которые восстанавливают свои CSS классы после перерисовки
+  }
+
+  /**
+   * Зарегистрировать обработчик, вызываемый после каждого render (после восстановления выделения).
+   * Нужен модулям, которые навешивают собственные классы на ячейки (например, маркер скопированного диапазона).
+   * @param {Function} fn
+   */
+  onAfterRender(fn) {
+    this._afterRender.push(fn);
   }
 
   /**
@@ -62,5 +72,12 @@ export class RenderScheduler {
     // сервис выделения умеет это делать с помощью специальных методов.
     this.selectionService.reapplySelection();
     this.selectionService.reapplyRange();
+    for (const fn of this._afterRender) {
+      try {
+        fn();
+      } catch (err) {
+        console.error('[RenderScheduler] Ошибка обработчика afterRender', err);
+      }
+    }
   }
 }
@@ -300,6 +300,58 @@ export class SelectionService {
     return !!(this.rangeMode && this.rangeAnchor && this.rangeActive && (this.rangeAnchor.r !== this.rangeActive.r || this.rangeAnchor.c !== this.rangeActive.c));
   }
 
+  /**
+   * Состояние вида для истории (HistoryService.setViewState): выбранная ячейка, диапазон и прокрутка
+   * (контейнер таблицы и страница).
+   * @returns {{selected:{r:number,c:number}|null, range:{anchor:{r:number,c:number}, active:{r:number,c:number}}|null,
+   *   scroll:{left:number, top:number, pageX:number, pageY:number}}}
+   */
+  getViewState() {
+    const container = this._scrollContainer();
+    return {
+      selected: this.selected ? { ...this.selected } : null,
+      range: this.hasRange() ? { anchor: { ...this.rangeAnchor }, active: { ...this.rangeActive } } : null,
+      scroll: {
+        left: container ? container.scrollLeft : 0,
+        top: container ? container.scrollTop : 0,
+        pageX: window.scrollX || 0,
+        pageY: window.scrollY || 0
+      }
+    };
+  }
+
+  /**
+   * Восстановить состояние вида, снятое getViewState. Вызывается после перерисовки таблицы:
+   * координаты за пределами текущей таблицы пропускаются.
+   * @param {ReturnType<SelectionService['getViewState']>} state
+   */
+  restoreViewState(state) {
+    const { rows, cols } = this.model.grid;
+    const inGrid = (p) => !!p && p.r < rows && p.c < cols;
+    this.clearRange();
+    if (inGrid(state.selected)) this.select(state.selected.r, state.selected.c);
+    else this.clear();
+    if (state.range && inGrid(state.range.anchor) && inGrid(state.range.active)) {
+      this.rangeAnchor = { ...state.range.anchor };
+      this.rangeActive = { ...state.range.active };
+      this.rangeMode = true;
+      this._applyRangeVisual();
+      this.commitRange(); // selection:range для SidePanel
+    }
+    const { left, top, pageX, pageY } = state.scroll;
+    const container = this._scrollContainer();
+    if (container) {
+      container.scrollLeft = left;
+      container.scrollTop = top;
+    }
+    if (window.scrollX !== pageX || window.scrollY !== pageY) window.scrollTo(pageX, pageY);
+  }
+
+  /** Контейнер горизонтальной прокрутки таблицы (см. init.js) или null */
+  _scrollContainer() {
+    return this.renderer.tableEl.closest('.tablegen-table-scroll');
+  }
+
   /** Прокрутить выбранную координату в видимую область */
   _scrollIntoView(r, c) {
     const el = this._findCellElement(r, c);
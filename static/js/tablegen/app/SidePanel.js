@@ -72,9 +72,9 @@ export class SidePanel {
 
     // Убрали общий заголовок панели по требованию — панель начинается сразу с мета-блока
 
-    // --- Общие параметры таблицы: имя и количество строк шапки ---
+    // --- Общие параметры таблицы: имя, количество строк и столбцов шапки ---
     const metaWrap = document.createElement('div');
-    metaWrap.className = 'tg-sp-meta'; // Теперь вертикальная колонка: Имя / Строк шапки / Выбрана ячейка
+    metaWrap.className = 'tg-sp-meta'; // Теперь вертикальная колонка: Имя / Строк шапки / Столбцов шапки / Выбрана ячейка
 
     // Поле для имени таблицы
     const nameLabel = document.createElement('label');
@@ -105,8 +105,24 @@ export class SidePanel {
     });
     headerLabel.appendChild(headerInput);
 
+    // Поле для количества столбцов-заголовков строк (экспортируются как th scope="row")
+    const headerColsLabel = document.createElement('label');
+    headerColsLabel.textContent = 'Столбцов шапки:';
+    headerColsLabel.className = 'tg-sp-field';
+    const headerColsInput = document.createElement('input');
+    headerColsInput.type = 'number';
+    headerColsInput.min = '0';
+    headerColsInput.step = '1';
+    headerColsInput.className = 'tg-sp-input tg-sp-input-number tg-input tg-input-number';
+    headerColsInput.value = String(this.model.grid.headerCols || 0);
+    headerColsInput.addEventListener('change', () => {
+      this.model.setHeaderCols(parseInt(headerColsInput.value, 10) || 0);
+    });
+    headerColsLabel.appendChild(headerColsInput);
+
     metaWrap.appendChild(nameLabel);
     metaWrap.appendChild(headerLabel);
+    metaWrap.appendChild(headerColsLabel);
     // Блок информации о выбранной ячейке
     const selWrap = document.createElement('div');
     selWrap.className = 'tg-sp-field tg-sp-field-inline'; // одна линия: метка + значение
@@ -0,0 +1,122 @@
+// SortDialog.js
+// Окно сортировки по нескольким столбцам: уровни «столбец / направление / тип сравнения».
+// Первый уровень главный, следующие различают строки с равными значениями. Сортировку выполняет SortService.sortRows.
+
+import { openModal } from './Modal.js';
+
+const DIRECTION_OPTIONS = [
+  { value: 'asc', label: 'По возрастанию' },
+  { value: 'desc', label: 'По убыванию' }
+];
+
+const TYPE_OPTIONS = [
+  { value: 'auto', label: 'Авто (по формату)' },
+  { value: 'number', label: 'Как числа' },
+  { value: 'text', label: 'Как текст' }
+];
+
+/**
+ * Создать <select> с вариантами.
+ * @param {Array<{value:string, label:string}>} options
+ * @param {string} value Выбранное значение
+ * @returns {HTMLSelectElement}
+ */
+function createSelect(options, value) {
+  const select = document.createElement('select');
+  for (const opt of options) {
+    const el = document.createElement('option');
+    el.value = opt.value;
+    el.textContent = opt.label;
+    select.appendChild(el);
+  }
+  select.value = value;
+  return select;
+}
+
+/**
+ * Открыть окно сортировки.
+ * @param {Object} options
+ * @param {string[]} options.columnLabels Подписи столбцов (индекс = номер столбца)
+ * @param {number} [options.initialColumn=0] Столбец первого уровня (тот, с заголовка которого открыто окно)
+ * @returns {Promise<import('../core/services/SortService.js').SortKey[]|null>} null — сортировку отменили
+ */
+export function openSortDialog({ columnLabels, initialColumn = 0 }) {
+  const columnOptions = columnLabels.map((label, c) => ({ value: String(c), label }));
+  /** @type {Array<{caption:HTMLElement, col:HTMLSelectElement, direction:HTMLSelectElement, type:HTMLSelectElement}>} */
+  const levels = [];
+
+  const content = () => {
+    const form = document.createElement('div');
+    form.className = 'tablegen-modal-form';
+    const list = document.createElement('div');
+    list.className = 'tablegen-sort-levels';
+    form.appendChild(list);
+
+    const addLevel = (col) => {
+      const row = document.createElement('div');
+      row.className = 'tablegen-sort-level';
+      const caption = document.createElement('span');
+      caption.className = 'tablegen-modal-hint';
+      row.appendChild(caption);
+      const level = {
+        caption,
+        col: createSelect(columnOptions, String(col)),
+        direction: createSelect(DIRECTION_OPTIONS, 'asc'),
+        type: createSelect(TYPE_OPTIONS, 'auto')
+      };
+      row.append(level.col, level.direction, level.type);
+      const removeBtn = document.createElement('button');
+      removeBtn.type = 'button';
+      removeBtn.className = 'tg-btn';
+      removeBtn.textContent = '×';
+      removeBtn.title = 'Удалить уровень';
+      removeBtn.addEventListener('click', () => {
+        if (levels.length === 1) return; // хотя бы один ключ нужен
+        levels.splice(levels.indexOf(level), 1);
+        row.remove();
+        renumber();
+      });
+      row.appendChild(removeBtn);
+      levels.push(level);
+      list.appendChild(row);
+      renumber();
+    };
+    // Подписи уровней: «Сортировать по» для первого, «затем по» для остальных
+    const renumber = () => levels.forEach((level, i) => { level.caption.textContent = i === 0 ? 'Сортировать по' : 'затем по'; });
+
+    addLevel(initialColumn);
+    const addBtn = document.createElement('button');
+    addBtn.type = 'button';
+    addBtn.className = 'tg-btn';
+    addBtn.textContent = '+ Добавить уровень';
+    addBtn.addEventListener('click', () => {
+      // Новый уровень предлагает следующий ещё не использованный столбец
+      const used = new Set(levels.map(level => Number(level.col.value)));
+      const next = columnLabels.findIndex((_l, c) => !used.has(c));
+      addLevel(next === -1 ? 0 : next);
+    });
+    form.appendChild(addBtn);
+    const hint = document.createElement('div');
+    hint.className = 'tablegen-modal-hint';
+    hint.textContent = 'Строки шапки остаются на месте; строки, связанные объединением, переносятся вместе.';
+    form.appendChild(hint);
+    return form;
+  };
+
+  return openModal({
+    title: 'Сортировка строк',
+    content,
+    buttons: [
+      { label: 'Отмена', value: null },
+      {
+        label: 'Сортировать',
+        primary: true,
+        value: () => levels.map(level => ({
+          col: Number(level.col.value),
+          direction: level.direction.value,
+          type: level.type.value
+        }))
+      }
+    ]
+  });
+}
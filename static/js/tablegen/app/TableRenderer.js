@@ -3,6 +3,13 @@
 // Для упрощения поддержки логика рендера изолирована от остального кода.
 
 import { renderCellHtml } from '../core/utils/renderValue.js';
+import { dataAttributeName } from '../core/utils/cellData.js';
+import { columnSizesToCssWidths, formatColumnSize } from '../core/utils/columnSizes.js';
+import { isFormula, isFormulaError, displayValue } from '../core/utils/formula.js';
+import { AGGREGATES, AGGREGATE_LABELS } from '../core/utils/aggregates.js';
+
+/** Ширина одной доли ratio в редакторе (px): 1:2 -> 100px / 200px */
+const RATIO_UNIT_PX = 100;
 
 /**
  * Класс отвечает только за отображение таблицы.
@@ -20,8 +27,11 @@ export class TableRenderer {
     this.tableEl.className = 'tablegen-basic-table';
     // Создаём отдельные секции thead / tbody, чтобы упростить добавление
     // заголовков столбцов и потенциально в будущем зафиксировать их стилями.
+    // colgroup: первый col — столбец нумерации строк, далее по одному на столбец модели (ширины из grid.columnSizes)
+    this.colgroup = document.createElement('colgroup');
     this.thead = document.createElement('thead');
     this.tbody = document.createElement('tbody');
+    this.tableEl.appendChild(this.colgroup);
     this.tableEl.appendChild(this.thead);
     this.tableEl.appendChild(this.tbody);
   // Кэш покрытых координат (строка+запятая+колонка). Ускоряет проверку скрытых merge ячеек до O(1).
@@ -39,6 +49,143 @@ export class TableRenderer {
     return this._covered.has(r + ',' + c);
   }
 
+  /**
+   * Левый заголовок строки: номер (ручка выделения / перетаскивания) и инпут высоты строки.
+   * Инпут принимает '32px' (фиксированная высота) или пусто (по содержимому) — разбор в TableModel.setRowSize.
+   * @param {number} r Строка
+   * @param {string} className Классы th
+   * @returns {HTMLTableCellElement}
+   */
+  _buildRowHeader(r, className) {
+    const th = document.createElement('th');
+    th.className = className;
+    th.textContent = String(r + 1);
+    th.dataset.row = String(r);
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'tablegen-rowsize-input';
+    input.dataset.rowSizeInput = String(r);
+    input.placeholder = 'авто';
+    input.title = 'Высота строки: например 32px; пусто — по содержимому';
+    const size = this.model.grid.rowSizes && this.model.grid.rowSizes[r];
+    input.value = size && size.u === 'px' ? size.v + 'px' : '';
+    input.addEventListener('change', () => {
+      const res = this.model.setRowSize(r, input.value);
+      if (!res.ok) {
+        console.error('[TableRenderer] Некорректная высота строки', r + 1, res.reason);
+        alert(`Высота строки ${r + 1}: ${res.reason}`);
+        input.value = size && size.u === 'px' ? size.v + 'px' : '';
+      }
+    });
+    th.appendChild(input);
+    return th;
+  }
+
+  /**
+   * Пометить ячейку с формулой: класс для оформления (ошибка — отдельным классом) и сама формула в подсказке.
+   * @param {HTMLTableCellElement} td
+   * @param {import('../core/model/TableModel.js').TableCell} cell
+   */
+  _markFormula(td, cell) {
+    if (!isFormula(cell.value)) return;
+    td.classList.add('tablegen-formula-cell');
+    if (isFormulaError(displayValue(cell))) td.classList.add('tablegen-formula-error');
+    td.title = cell.value;
+  }
+
+  /**
+   * Пометить ячейку строки итога (TotalsService): автоматический итог или значение, введённое вручную.
+   * @param {HTMLTableCellElement} td
+   * @param {import('../core/model/TableModel.js').TableCell} cell
+   */
+  _markTotal(td, cell) {
+    if (cell.override) {
+      td.classList.add('tablegen-total-override');
+      td.title = 'Итог введён вручную и не пересчитывается. Очистите ячейку, чтобы вернуть автоматический итог';
+    } else if (cell.value === '' && cell.cached !== undefined) {
+      td.classList.add('tablegen-total-cell');
+      td.title = 'Автоматический итог';
+    }
+  }
+
+  /**
+   * Строка выбора функций итогов по столбцам (только во включённом режиме итогов, grid.aggregates).
+   * @returns {HTMLTableRowElement}
+   */
+  _buildAggregatesRow() {
+    const model = this.model;
+    const tr = document.createElement('tr');
+    const corner = document.createElement('th');
+    corner.className = 'tablegen-header-corner';
+    corner.textContent = 'Σ';
+    corner.title = 'Функции итогов для строк с ролью «Итого» / «Промежуточно»';
+    tr.appendChild(corner);
+    for (let c = 0; c < model.grid.cols; c++) {
+      const th = document.createElement('th');
+      th.className = 'tablegen-col-header';
+      const select = document.createElement('select');
+      select.className = 'tablegen-aggregate-select';
+      select.dataset.aggregateSelect = String(c);
+      const none = document.createElement('option');
+      none.value = '';
+      none.textContent = '—';
+      select.appendChild(none);
+      for (const name of AGGREGATES) {
+        const option = document.createElement('option');
+        option.value = name;
+        option.textContent = AGGREGATE_LABELS[name];
+        select.appendChild(option);
+      }
+      select.value = model.grid.aggregates[c] || '';
+      select.addEventListener('change', () => {
+        const res = this.model.setColumnAggregate(c, select.value || null);
+        if (!res.ok) {
+          console.error('[TableRenderer] Не удалось выбрать функцию итога', c + 1, res.reason);
+          select.value = (this.model.grid.aggregates && this.model.grid.aggregates[c]) || '';
+        }
+      });
+      th.appendChild(select);
+      tr.appendChild(th);
+    }
+    return tr;
+  }
+
+  /**
+   * Применить к tr фиксированную высоту строки (grid.rowSizes, только px).
+   * @param {HTMLTableRowElement} tr
+   * @param {number} r
+   */
+  _applyRowSize(tr, r) {
+    const size = this.model.grid.rowSizes && this.model.grid.rowSizes[r];
+    if (size && size.u === 'px') tr.style.height = size.v + 'px';
+  }
+
+  /**
+   * Элемент col столбца модели (для изменения ширины без полной перерисовки, например при перетаскивании границы).
+   * @param {number} c Столбец
+   * @returns {HTMLTableColElement|null}
+   */
+  getColElement(c) {
+    return this.colgroup.children[c + 1] || null;
+  }
+
+  /**
+   * Перестроить colgroup по grid.columnSizes: px — фиксированная ширина, ratio — пропорциональная (RATIO_UNIT_PX на долю),
+   * % — процент ширины таблицы, auto — по содержимому; min / max ограничивают ширину.
+   * Без columnSizes ширины не задаются — столбцы подстраиваются под содержимое.
+   */
+  _renderColgroup() {
+    const model = this.model;
+    this.colgroup.innerHTML = '';
+    const widths = columnSizesToCssWidths(model.grid.columnSizes, { ratioUnitPx: RATIO_UNIT_PX });
+    this.colgroup.appendChild(document.createElement('col')); // нумерация строк
+    for (let c = 0; c < model.grid.cols; c++) {
+      const col = document.createElement('col');
+      if (widths && widths[c]) col.style.width = widths[c];
+      this.colgroup.appendChild(col);
+    }
+  }
+
   /**
    * Полная перерисовка таблицы на основании текущего состояния модели.
    */
@@ -48,6 +195,7 @@ export class TableRenderer {
     // Полностью пересоздаём содержимое head и body (упрощает логику, таблицы пока небольшие).
     this.thead.innerHTML = '';
     this.tbody.innerHTML = '';
+    this._renderColgroup();
     // Перед построением DOM пересобираем кэш покрытия merge.
     // Алгоритм: проходим по всем ведущим ячейкам; для каждой с rowspan/colspan >1
     // добавляем в Set все координаты, которые она покрывает, кроме самой ведущей.
@@ -73,6 +221,7 @@ export class TableRenderer {
       th.textContent = String(c + 1);
       th.className = 'tablegen-col-header';
       th.dataset.col = String(c);
+      th.title = 'Клик — выделить столбец, перетаскивание — переместить, правый клик — сортировка, правая граница — ширина';
       numberingRow.appendChild(th);
     }
     this.thead.appendChild(numberingRow);
@@ -94,21 +243,23 @@ export class TableRenderer {
       input.style.boxSizing = 'border-box';
       input.style.fontSize = '11px';
       input.style.padding = '2px 3px';
-      // Предзаполнение: если model.grid.columnSizes есть — выводим соответствующее значение
-      if (model.grid.columnSizes && model.grid.columnSizes[c]) {
-        const cs = model.grid.columnSizes[c];
-        input.value = cs.u === 'px' ? (cs.v + 'px') : String(cs.v);
-      } else {
-        input.value = '1'; // дефолт
-      }
+      // Предзаполнение: если model.grid.columnSizes есть — выводим соответствующее значение, иначе дефолт '1'
+      input.value = formatColumnSize(model.grid.columnSizes && model.grid.columnSizes[c]);
+      input.title = 'Ширина: 120px, 1.5 (доля), 25%, auto, minmax(80px, 2), clamp(80px, 25%, 300px)';
       input.addEventListener('change', () => {
-        // Передаём «сырой» ввод в модель
-        this.model.setColumnSize(c, input.value);
+        // Передаём «сырой» ввод в модель; некорректный ввод не заменяется молча дефолтом — сообщаем и возвращаем прежнее значение
+        const res = this.model.setColumnSize(c, input.value);
+        if (!res.ok) {
+          console.error('[TableRenderer] Некорректная ширина столбца', c + 1, res.reason);
+          alert(`Ширина столбца ${c + 1}: ${res.reason}`);
+          input.value = formatColumnSize(this.model.grid.columnSizes && this.model.grid.columnSizes[c]);
+        }
       });
       th.appendChild(input);
       sizesRow.appendChild(th);
     }
     this.thead.appendChild(sizesRow);
+    if (model.grid.aggregates) this.thead.appendChild(this._buildAggregatesRow());
 
   // --- Пользовательские строки шапки (headerRows) ---
   // Эти строки берутся из первых N строк данных модели и выводятся ТОЛЬКО в thead (не дублируются в tbody).
@@ -117,26 +268,26 @@ export class TableRenderer {
     if (headerRows > 0) {
       for (let r = 0; r < Math.min(headerRows, model.grid.rows); r++) {
         const hrTr = document.createElement('tr');
+        this._applyRowSize(hrTr, r);
         // Левая нумерация строки шапки (как в body) — не редактируется
-        const hrTh = document.createElement('th');
-        hrTh.className = 'tablegen-row-header tablegen-user-header-corner';
-        hrTh.textContent = String(r + 1);
-        hrTr.appendChild(hrTh);
+        hrTr.appendChild(this._buildRowHeader(r, 'tablegen-row-header tablegen-user-header-corner'));
         for (let c = 0; c < model.grid.cols; c++) {
           const cell = model.getCell(r, c);
           if (cell) {
             const td = document.createElement('td');
             const rowSpan = cell.rowSpan || 1;
             const colSpan = cell.colSpan || 1;
-            td.innerHTML = renderCellHtml(cell.value); // безопасный HTML с ограниченными тегами
+            td.innerHTML = renderCellHtml(displayValue(cell)); // безопасный HTML с ограниченными тегами; у формулы — результат
             td.dataset.r = String(r);
             td.dataset.c = String(c);
             if (rowSpan > 1) td.rowSpan = rowSpan;
             if (colSpan > 1) td.colSpan = colSpan;
             if (cell.classes && cell.classes.length) td.className = cell.classes.join(' ');
+            this._markFormula(td, cell);
+            this._markTotal(td, cell);
             if (cell.data) {
               for (const k of Object.keys(cell.data)) {
-                td.setAttribute('data-' + k, cell.data[k]);
+                td.setAttribute(dataAttributeName(k), cell.data[k]);
               }
             }
             hrTr.appendChild(td);
@@ -155,33 +306,35 @@ export class TableRenderer {
     }
 
     // --- Рендер тела с нумерацией строк ---
+    // Ячейки первых headerCols столбцов — заголовки строк (в экспорте th scope="row"), выделяем их классом
+    const headerCols = model.grid.headerCols || 0;
     for (let r = 0; r < model.grid.rows; r++) {
       // Пропускаем строки, которые отрисованы как шапка
       if (headerRows > 0 && r < headerRows) continue;
       const tr = document.createElement('tr');
+      this._applyRowSize(tr, r);
       // Добавляем левый заголовок строки
-      const rowTh = document.createElement('th');
-      rowTh.textContent = String(r + 1);
-      rowTh.className = 'tablegen-row-header';
-      rowTh.dataset.row = String(r);
-      tr.appendChild(rowTh);
+      tr.appendChild(this._buildRowHeader(r, 'tablegen-row-header'));
       for (let c = 0; c < model.grid.cols; c++) {
         const cell = model.getCell(r, c);
         if (cell) {
           const td = document.createElement('td');
           const rowSpan = cell.rowSpan || 1;
           const colSpan = cell.colSpan || 1;
-          td.innerHTML = renderCellHtml(cell.value); // безопасный HTML с ограниченными тегами
+          td.innerHTML = renderCellHtml(displayValue(cell)); // безопасный HTML с ограниченными тегами; у формулы — результат
           td.dataset.r = String(r);
           td.dataset.c = String(c);
           if (rowSpan > 1) td.rowSpan = rowSpan;
           if (colSpan > 1) td.colSpan = colSpan;
           if (cell.classes && cell.classes.length) td.className = cell.classes.join(' ');
+          this._markFormula(td, cell);
+          this._markTotal(td, cell);
           if (cell.data) {
             for (const k of Object.keys(cell.data)) {
-              td.setAttribute('data-' + k, cell.data[k]);
+              td.setAttribute(dataAttributeName(k), cell.data[k]);
             }
           }
+          if (c < headerCols) td.classList.add('tablegen-header-col-cell');
           tr.appendChild(td);
         } else {
           if (!this.isCoveredByMerge(r, c)) {
@@ -189,6 +342,7 @@ export class TableRenderer {
             td.textContent = '';
             td.dataset.r = String(r);
             td.dataset.c = String(c);
+            if (c < headerCols) td.classList.add('tablegen-header-col-cell');
             tr.appendChild(td);
           }
         }
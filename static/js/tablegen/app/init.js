@@ -5,8 +5,8 @@
 
 import { EventBus } from '../core/events/EventBus.js';
 import { TableModel } from '../core/model/TableModel.js';
-// Парсеры и применение вставки теперь инкапсулированы в ClipboardPasteService
-import { handleClipboardPaste } from '../core/services/ClipboardPasteService.js';
+// Системный буфер обмена: копирование / вырезание / вставка диапазонов (логика в CopyService и ClipboardPasteService)
+import { setupClipboard } from './init/setupClipboard.js';
 // Тестовый UI вынесен в setupTestButtons
 import { setupTestButtons } from './init/setupTestButtons.js';
 // Вынесенные модули UI
@@ -22,12 +22,22 @@ import { SidePanel } from './SidePanel.js';
 import { HistoryDebounceRecorder } from './HistoryDebounce.js';
 import { SelectionService } from './SelectionService.js';
 import { ValidationService } from '../core/services/ValidationService.js';
+import { FormulaService } from '../core/services/FormulaService.js';
+import { TotalsService } from '../core/services/TotalsService.js';
 import { RenderScheduler } from './RenderScheduler.js';
 import { setupHotkeys } from './init/setupHotkeys.js';
 import { setupRowColSelection } from './init/setupRowColSelection.js';
+import { setupRowColMove } from './init/setupRowColMove.js';
+import { setupColumnSort } from './init/setupColumnSort.js';
+import { setupColumnResize } from './init/setupColumnResize.js';
 // Панель форматирования (обёртка текста тегами i/u/sup/sub/br)
 import { setupFormattingBar } from './init/setupFormattingBar.js';
 import { setupQuickAttributesBar } from './init/setupQuickAttributesBar.js';
+// Панель истории: список шагов с подписями и переход к любому из них
+import { setupHistoryPanel } from './init/setupHistoryPanel.js';
+// Автосохранение в IndexedDB и восстановление несохранённой таблицы при запуске
+import { setupAutosave } from './init/setupAutosave.js';
+import { createDocumentId } from './AutosaveService.js';
 // Реестр предопределённых классов и data-* атрибутов (core + project)
 // Переходим к динамической модели: проектный реестр (project registry) передаётся извне (HTML) или через options.
 // Здесь импортируем только CORE_REGISTRY. Слияние выполняем локально.
@@ -49,6 +59,8 @@ import { mergeCoreAndProject } from '../config/registry.index.js';
  *   sidePanel: any,
  *   selectionService: any,
  *   validator: any,
+ *   formulas: import('../core/services/FormulaService.js').FormulaService,
+ *   totals: import('../core/services/TotalsService.js').TotalsService,
  *   scheduler: import('./RenderScheduler.js').RenderScheduler,
  *   hotkeys: any,
  *   testButtons: any
@@ -59,16 +71,18 @@ import { mergeCoreAndProject } from '../config/registry.index.js';
  * Теперь поддерживает опциональный внешне переданный projectRegistry, чтобы базовый код оставался общим,
  * а кастомные классы/атрибуты подмешивались из разных HTML файлов.
  * @param {string} rootElementId id контейнера
- * @param {{projectRegistry?: Object, registry?: Object}} [options] Доп.параметры
+ * @param {{projectRegistry?: Object, registry?: Object, documentId?: string, autosave?: boolean|{includeHistory?: boolean}}} [options] Доп.параметры.
+ *   documentId — постоянный meta.id документа (по умолчанию новый при каждом запуске); autosave: false отключает автосохранение
  */
 export function initTableGen(rootElementId, options = {}) {
   // 1. Шина событий: централизованная подписка/emit для всех сервисов
   const bus = new EventBus();
 
-  // 2. Начальный документ: минимальная таблица 5x5 без значений
+  // 2. Начальный документ: минимальная таблица 5x5 без значений; meta.id — ключ автосохранения
+  const documentId = options.documentId || createDocumentId();
   const initialDoc = {
     version: 1,
-    meta: { name: 'NewTable', createdUtc: new Date().toISOString() },
+    meta: { id: documentId, name: 'NewTable', createdUtc: new Date().toISOString() },
     grid: { rows: 5, cols: 5 },
     cells: []
   };
@@ -76,6 +90,10 @@ export function initTableGen(rootElementId, options = {}) {
   // 3. Модель (данные таблицы) + сервис валидации структуры / операций
   const model = new TableModel(initialDoc, bus);
   const validator = new ValidationService(model);
+  // Формулы ('=SUM(B2:B10)'): пересчёт при изменении значений и структуры, результат — в cell.cached
+  const formulas = new FormulaService(model, bus);
+  // Автоматические итоги строк data-role="total" / "subtotal" (режим включается кнопкой Totals Σ), результат — в cell.cached
+  const totals = new TotalsService(model, bus, formulas);
   // --- Реестр ---
   // Приоритеты получения проектного реестра:
   // 1. options.registry (если передали уже готовый final registry)
@@ -90,13 +108,12 @@ export function initTableGen(rootElementId, options = {}) {
     finalRegistry = mergeCoreAndProject(CORE_REGISTRY, project);
   }
   validator.initRegistry(finalRegistry);
-  const history = new HistoryService(50);
-  // Первая запись истории: фиксируем стартовое состояние
-  history.record(model);
+  // История на обратимых патчах: собирает их из событий модели, undo / redo применяет на месте
+  const history = new HistoryService(model, bus);
 
   // HistoryDebounceRecorder: сглаживает частые события, чтобы не засорять стек истории.
-  // Слушает batch:flush и пишет snapshot немедленно после групповой операции.
-  const debounced = new HistoryDebounceRecorder(history, model, 75, bus);
+  // Слушает batch:flush и записывает шаг немедленно после групповой операции.
+  const debounced = new HistoryDebounceRecorder(history, 75, bus);
 
   // 4. Рендерер таблицы: отвечает только за построение DOM на основе модели
   const root = document.getElementById(rootElementId);
@@ -113,6 +130,15 @@ export function initTableGen(rootElementId, options = {}) {
   // 5. RenderScheduler: гарантирует 1 перерисовку за кадр + восстановление выделения после render
   const selectionService = new SelectionService(model, renderer, bus);
   const scheduler = new RenderScheduler(renderer, selectionService);
+  // Шаги истории запоминают выделение и прокрутку: откат возвращает их к состоянию до шага, повтор — после.
+  // Перед восстановлением таблица перерисовывается сразу: выделение проверяется по новой разметке
+  history.setViewState({
+    capture: () => selectionService.getViewState(),
+    restore: (state) => {
+      scheduler.flush();
+      selectionService.restoreViewState(state);
+    }
+  });
   const scheduleAndRecord = () => { scheduler.request(); debounced.schedule(); };
   bus.on('cell:change', scheduleAndRecord);
   bus.on('structure:change', scheduleAndRecord);
@@ -124,8 +150,9 @@ export function initTableGen(rootElementId, options = {}) {
   // Создаётся до контроллера диапазона, так как drag логика должна знать об активном редакторе.
   const inlineEditor = new InlineEditor(model, renderer, history, selectionService, scheduler, bus);
 
-  // 7. Глобальная вставка Ctrl+V отключена (по требованиям текущей версии). Вставка значений выполняется
-  // только через внутренний буфер Ctrl+C / Ctrl+V (см. setupHotkeys расширенный функционал copy/paste значений).
+  // 7. Системный буфер обмена: Ctrl+C / Ctrl+X отдают диапазон как HTML + TSV (с рамкой скопированного диапазона),
+  // Ctrl+V (из Excel / Google Sheets / браузера) вставляет диапазон от выделенной ячейки одним шагом истории.
+  const clipboard = setupClipboard({ model, validator, selectionService, inlineEditor, renderer, scheduler, bus });
 
   // 8. UI модуль Импорт / Экспорт JSON
   const importExport = setupImportExportUI({ model, history, validator, bus });
@@ -142,8 +169,8 @@ export function initTableGen(rootElementId, options = {}) {
     root.appendChild(sidePanel.rootEl);
   }
 
-  // 11. Панель действий (merge / split / вставки) перемещена ПОД SidePanel
-  const actionsBar = setupActionBar({ model, selectionService, validator, bus });
+  // 11. Панель действий (undo / redo / merge / split / вставки) перемещена ПОД SidePanel
+  const actionsBar = setupActionBar({ model, selectionService, validator, bus, history });
   // Оборачиваем action bar + formatting bar в общий контейнер, чтобы выровнять форматирование справа
   const actionsWrapper = document.createElement('div');
   actionsWrapper.className = 'flex w-full items-start gap-2 mb-2';
@@ -164,11 +191,27 @@ export function initTableGen(rootElementId, options = {}) {
   bus.on('edit:cancel', () => formattingBar.updateState());
   formattingBar.updateState();
 
+  // Панель истории — под таблицей
+  const historyPanel = setupHistoryPanel({ history, bus });
+  tableScrollWrap.after(historyPanel.element);
+
+  // Автосохранение (debounce после каждого шага истории) и вопрос о восстановлении последней несохранённой таблицы
+  let autosave = null;
+  if (options.autosave !== false) {
+    const autosaveOptions = typeof options.autosave === 'object' ? options.autosave : {};
+    autosave = setupAutosave({ model, history, bus, validator, documentId, includeHistory: autosaveOptions.includeHistory ?? true });
+    historyPanel.element.after(autosave.element);
+  }
+
   // 12. Горячие клавиши (Undo/Redo) — поддержка разных раскладок клавиатуры
   const hotkeys = setupHotkeys({ history, model, inlineEditor, scheduler, bus, selectionService });
 
-  // 13. Выбор целой строки/столбца по клику на заголовок
+  // 13. Выбор целой строки/столбца по клику на заголовок, перемещение перетаскиванием заголовка,
+  //     ширина столбца перетаскиванием границы заголовка, сортировка строк из контекстного меню заголовка столбца
   const rowColSelection = setupRowColSelection({ selectionService, renderer });
+  const columnResize = setupColumnResize({ model, renderer, inlineEditor, bus });
+  const rowColMove = setupRowColMove({ model, selectionService, renderer, inlineEditor });
+  const columnSort = setupColumnSort({ model, renderer, inlineEditor });
 
   // 14. Первый синхронный рендер: показываем таблицу без задержки animation frame
   scheduler.flush();
@@ -176,5 +219,5 @@ export function initTableGen(rootElementId, options = {}) {
   // 15. Тестовые кнопки (dev only) — легко отключить при сборке в продакшн
   const testButtons = setupTestButtons(document.body);
 
-  return { model, bus, render: () => scheduler.flush(), history, inlineEditor, sidePanel, selectionService, validator, scheduler, hotkeys, rowColSelection, testButtons, registry: finalRegistry, quickAttrsBar };
+  return { model, bus, render: () => scheduler.flush(), history, inlineEditor, sidePanel, selectionService, validator, formulas, totals, scheduler, hotkeys, clipboard, rowColSelection, rowColMove, columnResize, columnSort, testButtons, registry: finalRegistry, quickAttrsBar, historyPanel, autosave };
 }
@@ -1,23 +1,52 @@
 // setupActionBar.js
-// Создание панели действий (merge / split / вставка / удаление строк и столбцов). Выносит UI-команды из init.js.
+// Создание панели действий (undo / redo / merge / split / вставка / удаление строк и столбцов / транспонирование / итоги). Выносит UI-команды из init.js.
 
 import { mergeRange, splitCell, splitAllInRange } from '../../core/services/MergeService.js';
 
 /**
- * Создаёт панель действий с кнопками merge / split.
+ * Создаёт панель действий с кнопками undo / redo / merge / split.
  * @param {Object} ctx Контекст таблицы
  * @param {TableModel} ctx.model
  * @param {SelectionService} ctx.selectionService
  * @param {ValidationService} ctx.validator
+ * @param {HistoryService} ctx.history
  * @returns {{element: HTMLDivElement}}
  */
 export function setupActionBar(ctx) {
-  const { model, selectionService, validator, bus } = ctx; // добавляем bus для batch
+  const { model, selectionService, validator, bus, history } = ctx; // добавляем bus для batch
   const actionsBar = document.createElement('div');
   actionsBar.className = 'tablegen-actions-bar';
   // Добавляем tailwind классы для визуального блока: flex wrap gap и лёгкая подложка
   actionsBar.classList.add('flex','flex-wrap','items-center','gap-2','p-2','bg-white','border','border-gray-200','rounded');
 
+  // --- UNDO / REDO ---
+  // Доступность кнопок приходит событием history:change (новый шаг, откат, повтор, незаписанная правка)
+  const undoBtn = document.createElement('button');
+  undoBtn.textContent = '↶ Undo';
+  undoBtn.title = 'Отменить (Ctrl+Z)';
+  undoBtn.classList.add('tg-btn');
+  // false при доступном шаге — шаг не применился (история очищена, подробности в консоли)
+  undoBtn.addEventListener('click', () => {
+    if (history.canUndo() && !history.undo()) alert('Не удалось отменить действие — история очищена (см. консоль)');
+  });
+  actionsBar.appendChild(undoBtn);
+
+  const redoBtn = document.createElement('button');
+  redoBtn.textContent = '↷ Redo';
+  redoBtn.title = 'Повторить (Ctrl+Y)';
+  redoBtn.classList.add('tg-btn');
+  redoBtn.addEventListener('click', () => {
+    if (history.canRedo() && !history.redo()) alert('Не удалось повторить действие — история очищена (см. консоль)');
+  });
+  actionsBar.appendChild(redoBtn);
+
+  const updateHistoryBtns = ({ canUndo, canRedo }) => {
+    undoBtn.disabled = !canUndo;
+    redoBtn.disabled = !canRedo;
+  };
+  bus.on('history:change', updateHistoryBtns);
+  updateHistoryBtns(history.getState());
+
   // Кнопка объединения диапазона
   const mergeRangeBtn = document.createElement('button');
   mergeRangeBtn.textContent = 'Merge →|←';
@@ -220,5 +249,49 @@ export function setupActionBar(ctx) {
   delColBtn.addEventListener('click', deleteAnchorColumn);
   actionsBar.appendChild(delColBtn);
 
+  // --- ТРАНСПОНИРОВАНИЕ ---
+  // Выделенный диапазон поворачивается на месте (левый верхний угол остаётся), без диапазона — вся таблица.
+  const transposeBtn = document.createElement('button');
+  transposeBtn.textContent = 'Transpose ⤡';
+  transposeBtn.title = 'Поменять строки и столбцы местами (выделенный диапазон или вся таблица)';
+  transposeBtn.classList.add('tg-btn');
+  transposeBtn.addEventListener('click', () => {
+    const range = selectionService.hasRange() ? selectionService.getRange() : null;
+    let res;
+    bus.batch(() => { res = model.transpose(range || undefined); });
+    if (!res.ok) {
+      alert('Транспонирование отклонено: ' + res.reason);
+      return;
+    }
+    selectionService.clearRangeIfAny();
+    selectionService.select(res.rect.r1, res.rect.c1);
+    if (range) {
+      selectionService.startRange(res.rect.r1, res.rect.c1);
+      selectionService.updateRange(res.rect.r2, res.rect.c2);
+      selectionService.commitRange();
+    }
+  });
+  actionsBar.appendChild(transposeBtn);
+
+  // --- АВТОМАТИЧЕСКИЕ ИТОГИ ---
+  // Включает режим итогов: строки с ролью «Итого» / «Промежуточно» считаются по столбцам (функции — в строке Σ шапки).
+  const totalsBtn = document.createElement('button');
+  totalsBtn.textContent = 'Totals Σ';
+  totalsBtn.classList.add('tg-btn');
+  const updateTotalsBtn = () => {
+    const enabled = !!model.grid.aggregates;
+    totalsBtn.setAttribute('aria-pressed', String(enabled));
+    totalsBtn.classList.toggle('tg-quick-btn-active', enabled);
+    totalsBtn.title = enabled
+      ? 'Выключить автоматические итоги'
+      : 'Включить автоматические итоги для строк с data-role «Итого» / «Промежуточно»';
+  };
+  totalsBtn.addEventListener('click', () => {
+    bus.batch(() => { model.setTotalsEnabled(!model.grid.aggregates); });
+  });
+  bus.on('structure:change', updateTotalsBtn);
+  updateTotalsBtn();
+  actionsBar.appendChild(totalsBtn);
+
   return { element: actionsBar };
 }
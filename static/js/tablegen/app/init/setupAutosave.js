@@ -0,0 +1,113 @@
+// setupAutosave.js
+// Автосохранение в IndexedDB: строка состояния («Автосохранено 14:32» или ошибка записи) и вопрос о восстановлении
+// несохранённой таблицы при запуске. Сама запись — в AutosaveService.
+
+import { AutosaveService } from '../AutosaveService.js';
+import { AutosaveStore } from '../../integration/storage/autosaveStore.js';
+import { openModal } from '../Modal.js';
+
+/**
+ * Время сохранения для подписи: часы и минуты; для записи не за сегодня — ещё и дата.
+ * @param {number} time
+ * @returns {string}
+ */
+function formatSavedAt(time) {
+  const date = new Date(time);
+  const today = date.toDateString() === new Date().toDateString();
+  return date.toLocaleString([], today
+    ? { hour: '2-digit', minute: '2-digit' }
+    : { day: 'numeric', month: 'long', hour: '2-digit', minute: '2-digit' });
+}
+
+/**
+ * Подключает автосохранение и предлагает восстановить несохранённые таблицы прежних сеансов.
+ * @param {object} ctx
+ * @param {import('../../core/model/TableModel.js').TableModel} ctx.model
+ * @param {import('../../core/services/HistoryService.js').HistoryService} ctx.history
+ * @param {import('../../core/events/EventBus.js').EventBus} ctx.bus
+ * @param {import('../../core/services/ValidationService.js').ValidationService} ctx.validator Проверка восстанавливаемой таблицы
+ * @param {string} ctx.documentId meta.id начального документа
+ * @param {boolean} [ctx.includeHistory=true] Сохранять ли историю вместе с документом
+ * @param {import('../../integration/storage/autosaveStore.js').AutosaveStore} [ctx.store] Хранилище (по умолчанию — IndexedDB страницы)
+ * @returns {{element: HTMLDivElement, service: AutosaveService|null, recovery: Promise<void>, destroy: Function}}
+ */
+export function setupAutosave({ model, history, bus, validator, documentId, includeHistory = true, store = new AutosaveStore() }) {
+  const status = document.createElement('div');
+  status.className = 'tablegen-autosave-status';
+
+  if (!store.available) {
+    status.textContent = 'Автосохранение недоступно в этом браузере';
+    console.warn('[Autosave] IndexedDB недоступен — автосохранение отключено');
+    return { element: status, service: null, recovery: Promise.resolve(), destroy() {} };
+  }
+
+  const service = new AutosaveService({ model, history, bus, validator, store, documentId, includeHistory });
+  // Предупреждение о переполнении показываем один раз, пока запись снова не пройдёт
+  let quotaAlerted = false;
+
+  const onStatus = (s) => {
+    status.classList.toggle('tablegen-autosave-error', s.state === 'error');
+    if (s.state === 'saved') {
+      quotaAlerted = false;
+      status.textContent = `Автосохранено ${formatSavedAt(s.savedAt)}` + (s.withoutHistory ? ' (без истории: мало места)' : '');
+      return;
+    }
+    status.textContent = s.quota
+      ? 'Автосохранение не удалось: закончилось место в хранилище браузера'
+      : 'Автосохранение не удалось: ' + (s.error?.message || s.error);
+    if (s.quota && !quotaAlerted) {
+      quotaAlerted = true;
+      alert('Не удалось автосохранить таблицу: закончилось место в хранилище браузера.\nЭкспортируйте таблицу в файл, чтобы не потерять изменения.');
+    }
+  };
+  bus.on('autosave:status', onStatus);
+
+  // Вопрос о восстановлении — по каждой несохранённой таблице прежних сеансов, от самой свежей:
+  // «Восстановить» заменяет пустую таблицу (шаг import, его можно отменить), «Удалить» стирает автосохранение
+  // и переходит к следующей таблице. «Не сейчас» (и закрытие окна) оставляет эту и остальные записи до следующего
+  // запуска. Без решения пользователя запись пропадает, только когда устареет (см. AutosaveService.findRecovery)
+  const recovery = (async () => {
+    let records;
+    try {
+      records = await service.findRecovery();
+    } catch (err) {
+      console.error('[Autosave] Не удалось прочитать автосохранения:', err);
+      status.textContent = 'Автосохранения недоступны: ' + (err?.message || err);
+      status.classList.add('tablegen-autosave-error');
+      return;
+    }
+    for (let i = 0; i < records.length; i++) {
+      const record = records[i];
+      const text = document.createElement('p');
+      const name = record.name ? ` «${record.name}»` : '';
+      text.textContent = `Восстановить несохранённую таблицу${name} от ${formatSavedAt(record.savedAt)}?`;
+      const choice = await openModal({
+        title: records.length > 1 ? `Несохранённая таблица (${i + 1} из ${records.length})` : 'Несохранённая таблица',
+        content: text,
+        buttons: [
+          { label: 'Удалить', value: 'discard' },
+          { label: 'Не сейчас', value: null },
+          { label: 'Восстановить', value: 'restore', primary: true }
+        ]
+      });
+      if (choice === 'restore') {
+        const res = service.restore(record);
+        if (!res.ok) alert('Не удалось восстановить таблицу: ' + res.error);
+        else if (res.historyError) alert('Таблица восстановлена, но её история повреждена и не загружена:\n' + res.historyError);
+        return;
+      }
+      if (choice !== 'discard') return;
+      await service.discard(record.id).catch(err => console.error('[Autosave] Не удалось удалить автосохранение:', err));
+    }
+  })();
+
+  return {
+    element: status,
+    service,
+    recovery,
+    destroy() {
+      bus.off('autosave:status', onStatus);
+      service.destroy();
+    }
+  };
+}
@@ -0,0 +1,242 @@
+// setupClipboard.js
+// Работа с системным буфером обмена через события copy / cut / paste на document:
+//  - Ctrl+C / Ctrl+X: выделенный диапазон уходит в буфер как text/html (rowspan/colspan, class, data-*) и text/plain (TSV);
+//    скопированный диапазон обводится «бегущей» пунктирной рамкой (marching ants), вырезанный — очищается;
+//  - Ctrl+V: TSV из Excel / Google Sheets или HTML таблица вставляется от выделенной ячейки; диапазон, скопированный
+//    в этой таблице, вставляется из внутреннего буфера без потерь и размножается плиткой по кратной выделенной области;
+//  - Ctrl+Shift+V: специальная вставка — окно выбора режима (значения / оформление, транспонирование, пропуск пустых).
+//    Некоторые браузеры передают в этом случае только text/plain: оформление тогда доступно лишь для копии из этой таблицы.
+// В полях ввода (inline редактор, textarea импорта, поля панели) и при выделенном на странице тексте
+// работает нативное поведение браузера.
+
+import { handleClipboardPaste, readClipboardPayload, pasteAtAnchor, payloadHasFormats } from '../../core/services/ClipboardPasteService.js';
+import { buildRangeClipboardData, clearRangeValues } from '../../core/services/CopyService.js';
+import { openPasteSpecialDialog } from '../PasteSpecialDialog.js';
+
+/** Классы маркера скопированного диапазона: общий и по одному на каждую внешнюю сторону */
+const MARKER_CLASSES = ['tablegen-copy-cell', 'tablegen-copy-top', 'tablegen-copy-bottom', 'tablegen-copy-left', 'tablegen-copy-right'];
+
+/**
+ * Событие буфера относится к полю ввода (inline редактор, textarea импорта, поля панели) — там работает нативная вставка.
+ * @param {EventTarget|null} target
+ * @returns {boolean}
+ */
+function isTextInputTarget(target) {
+  if (!target || !target.closest) return false;
+  return !!target.closest('input, textarea, select, [contenteditable=""], [contenteditable="true"]');
+}
+
+/**
+ * Ctrl+Shift+V / Cmd+Shift+V (e.code не зависит от раскладки, e.key — запасной вариант для русской раскладки).
+ * @param {KeyboardEvent} e
+ * @returns {boolean}
+ */
+function isPasteSpecialKey(e) {
+  const isV = e.code === 'KeyV' || e.key === 'v' || e.key === 'V' || e.key === 'м' || e.key === 'М';
+  return (e.ctrlKey || e.metaKey) && e.shiftKey && !e.altKey && isV;
+}
+
+/**
+ * Регистрирует обработчики системного буфера обмена.
+ * Копируется выделенный диапазон или выбранная ячейка; якорь вставки — левый верхний угол выделения.
+ * После вставки вставленная область выделяется диапазоном.
+ * @param {Object} ctx
+ * @param {TableModel} ctx.model
+ * @param {ValidationService} ctx.validator Проверка конфликтов merge, правила importMappings, фильтр class / data-*
+ * @param {SelectionService} ctx.selectionService
+ * @param {InlineEditor} ctx.inlineEditor
+ * @param {TableRenderer} ctx.renderer Нужен для маркера скопированного диапазона
+ * @param {RenderScheduler} ctx.scheduler Маркер восстанавливается после каждой перерисовки
+ * @param {EventBus} ctx.bus
+ * @returns {{destroy: function():void, clearCopyMarker: function():void}}
+ */
+export function setupClipboard(ctx) {
+  const { model, validator, selectionService, inlineEditor, renderer, scheduler, bus } = ctx;
+
+  // Диапазон последнего копирования / вырезания (для маркера) и признак, что это было вырезание
+  let copiedRect = null;
+  let copiedByCut = false;
+  // Внутренний буфер: фрагмент последнего копирования и его text/plain. Пока системный буфер содержит тот же текст,
+  // вставка берёт фрагмент целиком (классы, data-*, объединения) вместо разбора HTML. Рамка на него не влияет:
+  // после Esc скопированное по-прежнему можно вставить.
+  let internalClip = null;
+  // Ctrl+Shift+V нажато: следующее событие paste открывает окно специальной вставки.
+  // Содержимое буфера доступно только внутри события paste, поэтому клавишу лишь запоминаем.
+  let pasteSpecialRequested = false;
+
+  /** Выделенный диапазон или выбранная ячейка как прямоугольник; null — ничего не выбрано */
+  function getSelectionRect() {
+    if (selectionService.hasRange()) return selectionService.getRange();
+    const sel = selectionService.getSelected();
+    return sel ? { r1: sel.r, c1: sel.c, r2: sel.r, c2: sel.c } : null;
+  }
+
+  /** Снять маркер со всех ячеек таблицы */
+  function removeMarkerClasses() {
+    for (const el of renderer.tableEl.querySelectorAll('.tablegen-copy-cell')) {
+      el.classList.remove(...MARKER_CLASSES);
+    }
+  }
+
+  /**
+   * Навесить маркер на ячейки диапазона: каждая ячейка получает классы тех сторон, которые лежат на границе диапазона.
+   * Ведущая ячейка объединения выходит к границе своей дальней стороной (r + rowSpan - 1, c + colSpan - 1).
+   */
+  function applyCopyMarker() {
+    removeMarkerClasses();
+    if (!copiedRect) return;
+    const { r1, c1, r2, c2 } = copiedRect;
+    for (const el of renderer.tableEl.querySelectorAll('[data-r][data-c]')) {
+      const r = Number(el.dataset.r);
+      const c = Number(el.dataset.c);
+      if (r < r1 || r > r2 || c < c1 || c > c2) continue;
+      const cell = model.getCell(r, c);
+      const lastR = r + ((cell && cell.rowSpan) || 1) - 1;
+      const lastC = c + ((cell && cell.colSpan) || 1) - 1;
+      el.classList.add('tablegen-copy-cell');
+      if (r === r1) el.classList.add('tablegen-copy-top');
+      if (lastR === r2) el.classList.add('tablegen-copy-bottom');
+      if (c === c1) el.classList.add('tablegen-copy-left');
+      if (lastC === c2) el.classList.add('tablegen-copy-right');
+    }
+  }
+
+  function clearCopyMarker() {
+    if (!copiedRect) return;
+    copiedRect = null;
+    copiedByCut = false;
+    removeMarkerClasses();
+  }
+
+  /**
+   * Общая часть copy / cut: записать диапазон в буфер события.
+   * @param {ClipboardEvent} e
+   * @param {boolean} isCut
+   */
+  function handleCopyOrCut(e, isCut) {
+    if (inlineEditor.activeEditor || isTextInputTarget(e.target)) return;
+    // Пользователь выделил текст на странице (подсказка, панель) — копируем его, а не таблицу
+    const domSelection = typeof window.getSelection === 'function' ? window.getSelection() : null;
+    if (domSelection && !domSelection.isCollapsed) return;
+    const rect = getSelectionRect();
+    if (!rect || !e.clipboardData) return;
+    e.preventDefault();
+    const data = buildRangeClipboardData(model, rect);
+    e.clipboardData.setData('text/html', data.html);
+    e.clipboardData.setData('text/plain', data.text);
+    copiedRect = data.rect;
+    copiedByCut = isCut;
+    internalClip = { text: data.text, doc: data.doc };
+    if (isCut) clearRangeValues(model, data.rect); // cell:change -> перерисовка и один шаг истории (batch)
+    applyCopyMarker();
+    bus.emit(isCut ? 'clipboard:cut' : 'clipboard:copy', { source: 'system', range: { ...data.rect } });
+  }
+
+  function handleCopy(e) {
+    handleCopyOrCut(e, false);
+  }
+
+  function handleCut(e) {
+    handleCopyOrCut(e, true);
+  }
+
+  /** Выделенный диапазон как область заполнения / плитки (одиночная ячейка — только якорь) */
+  function getFillRect(rect) {
+    return rect.r1 !== rect.r2 || rect.c1 !== rect.c2 ? rect : undefined;
+  }
+
+  function handlePaste(e) {
+    if (inlineEditor.activeEditor || isTextInputTarget(e.target)) return;
+    const special = pasteSpecialRequested;
+    pasteSpecialRequested = false;
+    const rect = getSelectionRect();
+    if (!rect) return;
+    if (special) {
+      handlePasteSpecial(e, rect);
+      return;
+    }
+    const res = handleClipboardPaste(e, model, {
+      anchor: { r: rect.r1, c: rect.c1 },
+      fillRect: getFillRect(rect),
+      validator,
+      mappings: validator.getImportMappings(),
+      internal: internalClip
+    });
+    if (!res) return;
+    e.preventDefault();
+    finishPaste(res);
+  }
+
+  /**
+   * Специальная вставка: буфер читается сразу (после события он недоступен), режим выбирается в окне.
+   * @param {ClipboardEvent} e
+   * @param {{r1:number, c1:number, r2:number, c2:number}} rect
+   */
+  function handlePasteSpecial(e, rect) {
+    const payload = readClipboardPayload(e.clipboardData, {
+      mappings: validator.getImportMappings(),
+      keepSourceAttributes: true,
+      internal: internalClip
+    });
+    if (!payload) return;
+    e.preventDefault();
+    openPasteSpecialDialog({ hasFormats: payloadHasFormats(payload) }).then(choice => {
+      if (!choice) return;
+      const res = pasteAtAnchor(model, { r: rect.r1, c: rect.c1 }, payload, { validator, fillRect: getFillRect(rect), ...choice });
+      finishPaste(res, choice.mode);
+    });
+  }
+
+  /**
+   * Общее завершение вставки: сообщение об ошибке или выделение вставленной области.
+   * @param {import('../../core/services/ClipboardPasteService.js').PasteResultMeta} res
+   * @param {string} [mode='all'] Режим специальной вставки
+   */
+  function finishPaste(res, mode = 'all') {
+    if (!res.ok) {
+      console.error('[Clipboard] Вставка отклонена:', res.error);
+      alert('Нельзя вставить диапазон: ' + res.error);
+      return;
+    }
+    // Вырезанный диапазон вставляется один раз — после вставки рамка больше не нужна
+    if (copiedByCut) clearCopyMarker();
+    // Выделяем вставленную область: выделение восстановится после перерисовки (RenderScheduler)
+    selectionService.clearRangeIfAny();
+    selectionService.select(res.r, res.c);
+    if (res.rows > 1 || res.cols > 1) {
+      selectionService.startRange(res.r, res.c);
+      selectionService.updateRange(res.r + res.rows - 1, res.c + res.cols - 1);
+      selectionService.commitRange();
+    }
+    bus.emit('clipboard:paste', { source: 'system', type: res.type, mode, to: res.r + ',' + res.c, rows: res.rows, cols: res.cols });
+  }
+
+  // Esc снимает рамку (как в табличных редакторах); в inline редакторе Esc отменяет редактирование — не мешаем.
+  // Ctrl+Shift+V не отменяем: браузер должен сгенерировать событие paste с содержимым буфера.
+  function handleKeyDown(e) {
+    pasteSpecialRequested = isPasteSpecialKey(e) && !inlineEditor.activeEditor && !isTextInputTarget(e.target);
+    if (e.key === 'Escape' && !inlineEditor.activeEditor) clearCopyMarker();
+  }
+
+  document.addEventListener('copy', handleCopy);
+  document.addEventListener('cut', handleCut);
+  document.addEventListener('paste', handlePaste);
+  document.addEventListener('keydown', handleKeyDown);
+  // Координаты диапазона теряют смысл после изменения структуры; начало редактирования тоже снимает рамку
+  bus.on('structure:change', clearCopyMarker);
+  bus.on('edit:start', clearCopyMarker);
+  scheduler.onAfterRender(applyCopyMarker);
+
+  return {
+    clearCopyMarker,
+    destroy() {
+      document.removeEventListener('copy', handleCopy);
+      document.removeEventListener('cut', handleCut);
+      document.removeEventListener('paste', handlePaste);
+      document.removeEventListener('keydown', handleKeyDown);
+      bus.off('structure:change', clearCopyMarker);
+      bus.off('edit:start', clearCopyMarker);
+      clearCopyMarker();
+    }
+  };
+}
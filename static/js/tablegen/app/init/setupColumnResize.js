@@ -0,0 +1,122 @@
+// setupColumnResize.js
+// Изменение ширины столбца перетаскиванием правой границы его номера (заголовка столбца, который рисует TableRenderer).
+// Во время перетаскивания меняется только ширина элемента col (без перерисовки таблицы), а при отпускании
+// итоговая ширина записывается в модель как px через TableModel.setColumnSize — одним шагом истории.
+// Если ширины столбцов ещё не заданы (подстраиваются под содержимое), остальные столбцы фиксируются в своих текущих
+// ширинах — иначе они сразу получили бы ширину по умолчанию и таблица «прыгнула» бы.
+
+/** Ширина зоны у границы заголовка (px), в которой нажатие начинает изменение ширины, а не перемещение столбца */
+const RESIZE_ZONE = 5;
+/** Минимальная ширина столбца (px) при перетаскивании */
+const MIN_WIDTH = 20;
+
+/**
+ * Инициализирует изменение ширины столбцов перетаскиванием границ заголовков.
+ * Обработчик нажатия работает в фазе перехвата и останавливает событие — перемещение столбца
+ * (setupRowColMove) и выбор столбца по клику в этом случае не срабатывают.
+ * @param {Object} ctx
+ * @param {import('../../core/model/TableModel.js').TableModel} ctx.model
+ * @param {import('../TableRenderer.js').TableRenderer} ctx.renderer
+ * @param {import('../InlineEditor.js').InlineEditor} ctx.inlineEditor
+ * @param {import('../../core/events/EventBus.js').EventBus} ctx.bus
+ * @returns {{destroy:Function}}
+ */
+export function setupColumnResize(ctx) {
+  const { model, renderer, inlineEditor, bus } = ctx;
+  const table = renderer.tableEl;
+  // col — столбец, x — начальная координата мыши, width — ширина столбца в начале, current — текущая ширина
+  let resize = null;
+  // После перетаскивания браузер генерирует click по заголовку — его нельзя принимать за выбор столбца
+  let suppressClick = false;
+
+  /**
+   * Столбец, границу которого задевает указатель: правая граница заголовка — сам столбец,
+   * левая — предыдущий столбец (у первого столбца левой границы для изменения нет).
+   * @param {MouseEvent} e
+   * @returns {{col:number, th:HTMLElement}|null}
+   */
+  function borderAt(e) {
+    if (!(e.target instanceof Element)) return null;
+    const th = e.target.closest('th.tablegen-col-header[data-col]');
+    if (!th || !table.contains(th)) return null;
+    const col = parseInt(th.dataset.col, 10);
+    if (Number.isNaN(col)) return null;
+    const box = th.getBoundingClientRect();
+    if (e.clientX >= box.right - RESIZE_ZONE) return { col, th };
+    if (col > 0 && e.clientX <= box.left + RESIZE_ZONE) {
+      const prev = table.querySelector(`th.tablegen-col-header[data-col="${col - 1}"]`);
+      return prev ? { col: col - 1, th: prev } : null;
+    }
+    return null;
+  }
+
+  function onMouseDown(e) {
+    if (e.button !== 0) return;
+    const hit = borderAt(e);
+    if (!hit) return;
+    e.preventDefault();
+    e.stopPropagation();
+    if (inlineEditor.activeEditor) inlineEditor.commitIfAny();
+    const width = hit.th.getBoundingClientRect().width;
+    resize = { col: hit.col, x: e.clientX, width: Math.round(width), current: Math.round(width) };
+    document.body.classList.add('tablegen-col-resizing');
+  }
+
+  function onMouseMove(e) {
+    if (!resize) {
+      // Подсказка курсором: граница заголовка «берётся» для изменения ширины
+      table.classList.toggle('tablegen-col-resize-hover', !!borderAt(e));
+      return;
+    }
+    e.preventDefault();
+    resize.current = Math.max(MIN_WIDTH, Math.round(resize.width + e.clientX - resize.x));
+    const col = renderer.getColElement(resize.col);
+    if (col) col.style.width = resize.current + 'px';
+  }
+
+  function onMouseUp() {
+    if (!resize) return;
+    const { col, width, current } = resize;
+    resize = null;
+    document.body.classList.remove('tablegen-col-resizing');
+    suppressClick = true;
+    setTimeout(() => { suppressClick = false; }, 0);
+    if (current === width) return;
+    bus.batch(() => {
+      if (!model.grid.columnSizes) model.setColumnSizes(measureColumnWidths());
+      model.setColumnSize(col, current + 'px');
+    });
+  }
+
+  /**
+   * Текущие ширины всех столбцов по заголовкам (px).
+   * @returns {Array<{v:number, u:'px'}>}
+   */
+  function measureColumnWidths() {
+    return Array.from({ length: model.grid.cols }, (_v, c) => {
+      const th = table.querySelector(`th.tablegen-col-header[data-col="${c}"]`);
+      return { v: th ? Math.max(MIN_WIDTH, Math.round(th.getBoundingClientRect().width)) : MIN_WIDTH, u: 'px' };
+    });
+  }
+
+  function onClickCapture(e) {
+    if (!suppressClick) return;
+    suppressClick = false;
+    e.stopPropagation();
+    e.preventDefault();
+  }
+
+  table.addEventListener('mousedown', onMouseDown, true);
+  table.addEventListener('click', onClickCapture, true);
+  document.addEventListener('mousemove', onMouseMove);
+  document.addEventListener('mouseup', onMouseUp);
+
+  return {
+    destroy() {
+      table.removeEventListener('mousedown', onMouseDown, true);
+      table.removeEventListener('click', onClickCapture, true);
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+    }
+  };
+}
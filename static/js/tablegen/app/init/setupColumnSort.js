@@ -0,0 +1,60 @@
+// setupColumnSort.js
+// Сортировка строк из заголовка столбца: правый клик по номеру столбца открывает окно сортировки (SortDialog),
+// где этот столбец уже выбран первым ключом. Сортирует SortService.sortRows; строки шапки остаются на месте.
+
+import { sortRows } from '../../core/services/SortService.js';
+import { buildCoverageMap } from '../../core/utils/cellGrid.js';
+import { stripAllowedTags } from '../../core/utils/renderValue.js';
+import { displayValue } from '../../core/utils/formula.js';
+import { openSortDialog } from '../SortDialog.js';
+
+/**
+ * Подписи столбцов для окна: номер (как в заголовке таблицы) и текст последней строки шапки, если она есть.
+ * @param {import('../../core/model/TableModel.js').TableModel} model
+ * @returns {string[]}
+ */
+function buildColumnLabels(model) {
+  const headerRow = Math.min(model.grid.headerRows || 0, model.grid.rows) - 1;
+  const covered = headerRow >= 0 ? buildCoverageMap(model.cells) : null;
+  return Array.from({ length: model.grid.cols }, (_v, c) => {
+    const cell = headerRow >= 0 ? (model.getCell(headerRow, c) || covered.get(headerRow + ',' + c)) : null;
+    const text = cell ? stripAllowedTags(displayValue(cell), ' ').trim() : '';
+    const short = text.length > 30 ? text.slice(0, 27) + '...' : text;
+    return `Столбец ${c + 1}` + (short ? ` — ${short}` : '');
+  });
+}
+
+/**
+ * Инициализирует сортировку из контекстного меню заголовка столбца.
+ * @param {Object} ctx
+ * @param {import('../../core/model/TableModel.js').TableModel} ctx.model
+ * @param {import('../TableRenderer.js').TableRenderer} ctx.renderer
+ * @param {import('../InlineEditor.js').InlineEditor} ctx.inlineEditor
+ * @returns {{destroy:Function}}
+ */
+export function setupColumnSort(ctx) {
+  const { model, renderer, inlineEditor } = ctx;
+  const table = renderer.tableEl;
+
+  async function onContextMenu(e) {
+    const th = e.target instanceof Element ? e.target.closest('th.tablegen-col-header[data-col]') : null;
+    if (!th) return;
+    const col = parseInt(th.dataset.col, 10);
+    if (Number.isNaN(col)) return;
+    e.preventDefault();
+    if (inlineEditor.activeEditor) inlineEditor.commitIfAny();
+    const keys = await openSortDialog({ columnLabels: buildColumnLabels(model), initialColumn: col });
+    if (!keys) return;
+    const res = sortRows(model, keys);
+    if (!res.ok) {
+      console.error('[Sort] Сортировка отклонена:', res.error);
+      alert('Сортировка невозможна: ' + res.error);
+    }
+  }
+
+  table.addEventListener('contextmenu', onContextMenu);
+
+  return {
+    destroy() { table.removeEventListener('contextmenu', onContextMenu); }
+  };
+}
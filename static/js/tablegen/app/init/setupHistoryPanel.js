@@ -0,0 +1,105 @@
+// setupHistoryPanel.js
+// Панель истории: дерево записанных шагов (подпись действия и время) с переходом к любому из них.
+// Первая строка — исходное состояние (корень дерева). Шаги идут в порядке обхода дерева: ветка продолжается на том же
+// уровне, альтернативные ветки (начатые после отката) — с отступом под шагом, от которого они отходят.
+// Текущий шаг выделен, откатанные шаги текущей ветки (доступные для redo) приглушены, шаги других веток — курсивом.
+// Список перестраивается по событию history:change.
+
+/**
+ * Время шага для списка: часы, минуты и секунды по локали браузера.
+ * @param {number} time Date.now() записи шага
+ * @returns {string}
+ */
+function formatStepTime(time) {
+  return new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit', second: '2-digit' });
+}
+
+/**
+ * Создаёт панель истории.
+ * @param {object} ctx
+ * @param {import('../../core/services/HistoryService.js').HistoryService} ctx.history
+ * @param {import('../../core/events/EventBus.js').EventBus} ctx.bus
+ * @returns {{element: HTMLDivElement, refresh: Function, destroy: Function}}
+ */
+export function setupHistoryPanel({ history, bus }) {
+  const panel = document.createElement('div');
+  panel.className = 'tablegen-history-panel';
+  panel.classList.add('p-2', 'bg-white', 'border', 'border-gray-200', 'rounded');
+
+  const title = document.createElement('div');
+  title.className = 'tablegen-history-title';
+  title.textContent = 'История';
+  panel.appendChild(title);
+
+  const list = document.createElement('ol');
+  list.className = 'tablegen-history-list';
+  panel.appendChild(list);
+
+  /**
+   * Строка списка: кнопка перехода к состоянию после шага.
+   * @param {import('../../core/services/HistoryService.js').HistoryStep} step
+   * @param {number} level Уровень отступа (число ответвлений от основной линии)
+   * @param {'current'|'done'|'undone'|'branch'} state
+   * @returns {HTMLLIElement}
+   */
+  function createItem(step, level, state) {
+    const isRoot = step.id === history.rootId;
+    const item = document.createElement('li');
+    const btn = document.createElement('button');
+    btn.type = 'button';
+    btn.className = 'tablegen-history-item';
+    btn.dataset.historyStep = String(step.id);
+    btn.style.setProperty('--tg-history-level', String(level));
+    if (state !== 'done') btn.classList.add('tablegen-history-item-' + state);
+    const text = document.createElement('span');
+    const parent = history.nodes.get(step.parent);
+    // Первый шаг альтернативной ветки помечаем стрелкой ответвления
+    const forks = parent && parent.children[0] !== step.id;
+    text.textContent = isRoot ? 'Исходное состояние' : (forks ? '↳ ' : '') + step.label;
+    btn.appendChild(text);
+    if (!isRoot) {
+      const stamp = document.createElement('span');
+      stamp.className = 'tablegen-history-time';
+      stamp.textContent = formatStepTime(step.time);
+      btn.appendChild(stamp);
+    }
+    item.appendChild(btn);
+    return item;
+  }
+
+  function refresh() {
+    // Шаги текущей ветки: до текущего шага — применённые, после — откатанные; остальные — другие ветки
+    const branch = history.steps;
+    const applied = history.index;
+    const states = new Map(branch.map((step, i) => [step.id, i + 1 < applied ? 'done' : i + 1 === applied ? 'current' : 'undone']));
+    states.set(history.rootId, history.currentId === history.rootId ? 'current' : 'done');
+    // Обход дерева в глубину без рекурсии (дерево может быть глубиной в тысячу шагов)
+    const items = [];
+    const stack = [{ id: history.rootId, level: 0 }];
+    while (stack.length) {
+      const { id, level } = stack.pop();
+      const step = history.nodes.get(id);
+      items.push(createItem(step, level, states.get(id) || 'branch'));
+      for (let i = step.children.length - 1; i >= 0; i--) stack.push({ id: step.children[i], level: i === 0 ? level : level + 1 });
+    }
+    list.replaceChildren(...items);
+    list.querySelector('.tablegen-history-item-current')?.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  list.addEventListener('click', (e) => {
+    const btn = e.target.closest('[data-history-step]');
+    if (!btn) return;
+    history.goTo(Number(btn.dataset.historyStep));
+  });
+
+  bus.on('history:change', refresh);
+  refresh();
+
+  return {
+    element: panel,
+    refresh,
+    destroy() {
+      bus.off('history:change', refresh);
+    }
+  };
+}
@@ -1,5 +1,5 @@
 // setupHotkeys.js
-// Регистрация горячих клавиш (undo/redo, копирование/вставка значения, навигация, очистка диапазона).
+// Регистрация горячих клавиш (undo/redo, навигация, очистка диапазона). Буфер обмена — в setupClipboard.
 
 
 /**
@@ -11,23 +11,19 @@
  * @param {HistoryService} ctx.history История изменений
  * @param {TableModel} ctx.model Текущая модель (будет обновляться полями при undo/redo)
  * @param {InlineEditor} ctx.inlineEditor Inline редактор — нужно отменять редактирование при переключении состояний
- * @param {RenderScheduler} ctx.scheduler Планировщик рендера
  * @param {EventBus} ctx.bus Шина событий (используется при создании новой модели для восстановления индексирования)
+ * @param {RenderScheduler} ctx.scheduler Планировщик рендера
+ * @param {SelectionService} ctx.selectionService Выделение — клавиатурная навигация и очистка диапазона
  * @returns {{destroy: function():void}} Для возможности отписки при демонтаже
  */
 export function setupHotkeys(ctx) {
-  const { history, model, inlineEditor, scheduler, bus, selectionService } = ctx;
+  const { history, model, inlineEditor, bus, selectionService } = ctx;
 
-  // Внутренний буфер для копирования значения ячейки (только текст, без классов / data / merge).
-  // Новая логика:
-  //  - Ctrl+C: всегда ТОЛЬКО копирует value выбранной ячейки в буфер.
-  //  - Ctrl+V: если буфер не пуст и есть выбранная ячейка — вставляет значение (model.setCellValue).
-  //  - В редактируемом input (inlineEditor.activeEditor) не вмешиваемся — пусть работает нативное копирование/вставка.
-  let _copyBuffer = null; // { value:string }
-  let _copySource = null; // 'r,c' последней скопированной ячейки (чтобы отличить повторное копирование от вставки)
+  // Копирование / вырезание / вставка диапазонов работают через системный буфер обмена (события copy / cut / paste,
+  // см. setupClipboard): здесь Ctrl+C / Ctrl+X / Ctrl+V не перехватываются, чтобы браузер сгенерировал эти события.
 
-  // Локальный helper больше не нужен: используем публичный метод model.applyDocument(doc, { emitEvent:false })
-  // чтобы не генерировать лишнее событие structure:change (рендер инициируем вручную через scheduler.request()).
+  // Undo / redo применяют патчи истории к модели на месте; перерисовку запускает событие structure:change { type: 'undo' | 'redo' }.
+  // Открытый редактор закрываем без сохранения до отката, чтобы его значение не записалось поверх восстановленного.
 
   function handleKeyDown(e) {
     const mod = e.ctrlKey || e.metaKey; // поддержка Mac (Cmd)
@@ -88,7 +84,7 @@ export function setupHotkeys(ctx) {
         }
         if (!sel && !rangeRect) return; // нечего очищать
         e.preventDefault();
-        // Группируем изменения чтобы получить один snapshot истории
+        // Группируем изменения чтобы получить один шаг истории
         if (bus && typeof bus.batch === 'function') {
           bus.batch(() => {
             if (rangeRect) {
@@ -146,81 +142,20 @@ export function setupHotkeys(ctx) {
     const isZ = code === 'KeyZ' || key === 'z' || key === 'Z' || key === 'я' || key === 'Я';
     const isY = code === 'KeyY' || key === 'y' || key === 'Y' || key === 'н' || key === 'Н';
 
-    // COPY (Ctrl+C) — только копирование в буфер
-    if (!e.shiftKey && (code === 'KeyC' || e.key === 'c' || e.key === 'C' || e.key === 'с' || e.key === 'С')) {
-      if (inlineEditor.activeEditor) return; // даём нативному копированию работать внутри input
-      e.preventDefault();
-      const sel = selectionService.getSelected?.();
-      if (!sel) return;
-      const cell = model.getCell(sel.r, sel.c);
-      const cellValue = cell ? cell.value : '';
-      _copyBuffer = { value: cellValue };
-      _copySource = sel.r + ',' + sel.c;
-      bus?.emit('clipboard:copy', { r: sel.r, c: sel.c, value: cellValue });
-      return; // не пропускаем дальше
-    }
-
-    // PASTE (Ctrl+V) — вставка значения из буфера (только value)
-    if (!e.shiftKey && (code === 'KeyV' || e.key === 'v' || e.key === 'V' || e.key === 'м' || e.key === 'М')) {
-      if (inlineEditor.activeEditor) return; // внутри input не мешаем
-      if (!_copyBuffer) return; // нечего вставлять
-      e.preventDefault();
-      const sel = selectionService.getSelected?.();
-      // Проверяем есть ли активный диапазон (hasRange) и получаем его прямоугольник
-      let rangeRect = null;
-      if (typeof selectionService.hasRange === 'function' && selectionService.hasRange() && typeof selectionService.getRange === 'function') {
-        rangeRect = selectionService.getRange();
-      }
-      if (rangeRect) {
-        // Вставка в диапазон: заливаем все доступные (не покрытые merge) координаты
-        const { r1, c1, r2, c2 } = rangeRect;
-        let count = 0;
-        for (let r = r1; r <= r2; r++) {
-          for (let c = c1; c <= c2; c++) {
-            // Пропускаем координаты, которые покрыты merge (не ведущие). renderer доступен через selectionService.
-            const covered = !model.getCell(r, c) && selectionService.renderer && selectionService.renderer.isCoveredByMerge(r, c);
-            if (covered) continue;
-            // setCellValue меняет только поле value; rowSpan/colSpan/классы/data не трогаются.
-            model.setCellValue(r, c, _copyBuffer.value);
-            count++;
-          }
-        }
-        bus?.emit('clipboard:paste', { from: _copySource, range: { r1, c1, r2, c2 }, cells: count, newValue: _copyBuffer.value });
-      } else {
-        if (!sel) return;
-        const cell = model.getCell(sel.r, sel.c);
-        const oldValue = cell ? cell.value : '';
-        model.setCellValue(sel.r, sel.c, _copyBuffer.value);
-        bus?.emit('clipboard:paste', { from: _copySource, to: sel.r + ',' + sel.c, newValue: _copyBuffer.value, oldValue });
-      }
-      return;
-    }
-
     // Undo: Ctrl+Z / Cmd+Z (Shift не зажат)
     if (!e.shiftKey && isZ) {
       e.preventDefault();
-      const doc = history.undo();
-      if (doc) {
-        history.restore((d) => {
-          if (inlineEditor.activeEditor) inlineEditor.cancelIfAny();
-          model.applyDocument(d, { emitEvent: false });
-          scheduler.request(); // вручную инициируем перерисовку без лишнего события
-        }, doc);
-      }
+      if (inlineEditor.activeEditor) inlineEditor.cancelIfAny();
+      // false при доступном шаге — шаг не применился (история очищена, подробности в консоли)
+      if (history.canUndo() && !history.undo()) alert('Не удалось отменить действие — история очищена (см. консоль)');
       return;
     }
 
     // Redo: Ctrl+Y / Cmd+Y ИЛИ Ctrl+Shift+Z / Cmd+Shift+Z (учитываем обе раскладки)
     if (isY || (isZ && e.shiftKey)) {
       e.preventDefault();
-      const doc = history.redo();
-      if (doc) {
-        history.restore((d) => {
-          if (inlineEditor.activeEditor) inlineEditor.cancelIfAny();
-          model.applyDocument(d, { emitEvent: false });
-          scheduler.request();
-        }, doc);
-      }
+      if (inlineEditor.activeEditor) inlineEditor.cancelIfAny();
+      if (history.canRedo() && !history.redo()) alert('Не удалось повторить действие — история очищена (см. консоль)');
     }
   }
 
@@ -1,13 +1,107 @@
 // setupImportExportUI.js
-// UI импорта / экспорта JSON и полной замены таблицы содержимым буфера.
+// UI импорта / экспорта (JSON, HTML, CSV, XLSX, Markdown, AsciiDoc, LaTeX) и полной замены таблицы содержимым буфера.
 
 import { toJson } from '../../integration/export/toJson.js';
-import { parseTableJson, applyImportedDocument } from '../../integration/import/fromJson.js';
+import { toHtml } from '../../integration/export/toHtml.js';
+import { toCsv } from '../../integration/export/toCsv.js';
+import { toXlsx, XLSX_MIME } from '../../integration/export/toXlsx.js';
+import { toMarkdown } from '../../integration/export/toMarkdown.js';
+import { toAsciiDoc } from '../../integration/export/toAsciiDoc.js';
+import { toLatex } from '../../integration/export/toLatex.js';
+import { parseCsv, csvMatrixToDocument } from '../../integration/import/parseCsv.js';
+import { parseXlsx } from '../../integration/import/parseXlsx.js';
+import { parseHtmlTables, parsedTableToDocument, describeParsedTable } from '../../integration/import/parseHtmlTables.js';
+import { parseMarkdownTables } from '../../integration/import/parseMarkdownTables.js';
+import { chooseFromList } from '../Modal.js';
+import { parseTableJson, applyDocumentWithHistory } from '../../integration/import/fromJson.js';
 // Импортируем парсеры и функции применения вставки, чтобы реализовать кнопку ручной вставки из буфера
 import { parseClipboardHtmlTable } from '../../integration/import/parseClipboardHtmlTable.js';
 import { parseClipboardMatrix } from '../../integration/import/parseClipboardMatrix.js';
 import { applyHtmlTablePaste, applyPaste } from '../../core/services/PasteService.js';
 
+/**
+ * Формирует имя файла для скачивания на основе имени таблицы (meta.name).
+ * Недопустимые для файловой системы символы заменяются на подчёркивание.
+ * @param {TableModel} model
+ * @param {string} ext Расширение файла без точки (например 'html')
+ * @returns {string}
+ */
+function buildExportFileName(model, ext) {
+  const base = ((model.meta && model.meta.name) || 'table').trim().replace(/[\\/:*?"<>|\s]+/g, '_') || 'table';
+  return base + '.' + ext;
+}
+
+/**
+ * Скачивает Blob как файл через временную ссылку <a download>.
+ * @param {string} fileName Имя файла
+ * @param {Blob} blob Содержимое файла
+ */
+function downloadBlob(fileName, blob) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = fileName;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  // Освобождаем URL в следующем тике, когда браузер уже начал скачивание
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
+
+/**
+ * Копирует текст экспорта в буфер обмена. Без Clipboard API выводит текст в консоль,
+ * чтобы его всё равно можно было забрать.
+ * @param {string} text Содержимое
+ * @param {string} label Название формата для сообщений (например 'HTML')
+ * @returns {Promise<boolean>} false — текст не удалось ни скопировать, ни вывести
+ */
+async function copyTextToClipboard(text, label) {
+  if (!navigator.clipboard || !navigator.clipboard.writeText) {
+    console.log(`EXPORT ${label}:\n`, text);
+    alert(`Clipboard API недоступно — ${label} выведен в консоль`);
+    return true;
+  }
+  try {
+    await navigator.clipboard.writeText(text);
+    console.log(`[Export${label}] Скопировано в буфер обмена`);
+    return true;
+  } catch (err) {
+    console.error('Ошибка записи в буфер:', err);
+    alert(`Не удалось скопировать ${label}: ` + err);
+    return false;
+  }
+}
+
+/**
+ * Открывает системный диалог выбора файла и возвращает выбранный файл.
+ * Если пользователь закрыл диалог без выбора — Promise просто не разрешится (браузеры не сообщают об отмене),
+ * поэтому вызывающий код не должен ждать результата для освобождения ресурсов.
+ * @param {string} accept Значение атрибута accept (например '.csv,.tsv,text/csv')
+ * @returns {Promise<File>}
+ */
+function pickFile(accept) {
+  return new Promise(resolve => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = accept;
+    input.addEventListener('change', () => {
+      const file = input.files && input.files[0];
+      if (file) resolve(file);
+    });
+    input.click();
+  });
+}
+
+/**
+ * Имя таблицы по имени файла: убираем расширение, пустое имя заменяем дефолтным.
+ * @param {string} fileName
+ * @returns {string}
+ */
+function tableNameFromFile(fileName) {
+  const base = String(fileName || '').replace(/\.[^.]+$/, '').trim();
+  return base || 'ImportedTable';
+}
+
 /**
  * Создаёт UI блок экспорта/импорта JSON
  * @param {Object} ctx
@@ -19,6 +113,36 @@ import { applyHtmlTablePaste, applyPaste } from '../../core/services/PasteServic
  */
 export function setupImportExportUI(ctx) {
   const { model, history, validator, bus } = ctx;
+
+  /**
+   * Проверить документ и применить его одним шагом истории (см. applyDocumentWithHistory); ошибки показать пользователю.
+   * Дерево истории, которое не прошло проверку, отбрасывается с сообщением — таблица импортируется без него.
+   * @param {object} input TableDocument (возможно с полем history)
+   * @returns {boolean} true если документ применён
+   */
+  function importDocument(input) {
+    const res = applyDocumentWithHistory({ model, history, validator, bus }, input);
+    if (!res.ok) {
+      console.error('Ошибки валидации документа:', res.error);
+      alert(`Документ содержит ошибки:\n${res.error}`);
+      return false;
+    }
+    if (res.historyError) {
+      console.warn('[Import] История документа не загружена:', res.historyError);
+      alert(`История в файле повреждена и не загружена — таблица импортирована без неё:\n${res.historyError}`);
+    }
+    return true;
+  }
+
+  /**
+   * Сообщить, что текущее состояние таблицы экспортировано: автосохранение считает его сохранённым
+   * и не предложит восстанавливать при следующем запуске (см. AutosaveService).
+   * @param {string} format
+   */
+  function notifyExported(format) {
+    bus.emit('export', { format });
+  }
+
   const container = document.createElement('div');
   container.className = 'tablegen-import-export';
   container.classList.add('mt-4','p-3','bg-white','border','border-gray-200','rounded','flex','flex-wrap','items-start','gap-2');
@@ -59,15 +183,15 @@ export function setupImportExportUI(ctx) {
       // Helper: применить новый документ к модели с записью в историю
       const replaceWithDoc = (doc) => {
         // Применяем новый документ. Событие structure:change сгенерируется внутри applyDocument.
-        // HistoryDebounceRecorder сам запишет один снимок (и HistoryService отфильтрует дубликат при необходимости).
-        // Ранее здесь был ручной вызов history.record(model) — удалён, чтобы не создавать двойной шаг Undo.
+        // HistoryDebounceRecorder сам запишет его одним шагом (событие несёт прежний документ для undo).
         model.applyDocument(doc, { emitEvent: true });
         console.log('[PasteButton] Таблица заменена. Размер:', doc.grid.rows, 'x', doc.grid.cols);
       };
 
       // 1) HTML таблица с merge
       if (html && html.includes('<table')) {
-        const parsed = parseClipboardHtmlTable(html);
+        // Оформление исходных ячеек (заливка, выравнивание, классы) переводим в классы / data-* реестра
+        const parsed = parseClipboardHtmlTable(html, { mappings: validator.getImportMappings() });
         if (parsed.success) {
           // Строим новый документ. Переносим meta.name чтобы не терять имя таблицы.
           const newDoc = {
@@ -83,7 +207,9 @@ export function setupImportExportUI(ctx) {
               c: c.c,
               value: (c.value || '').trim(),
               rowSpan: c.rowSpan > 1 ? c.rowSpan : 1,
-              colSpan: c.colSpan > 1 ? c.colSpan : 1
+              colSpan: c.colSpan > 1 ? c.colSpan : 1,
+              ...(c.classes ? { classes: validator.normalizeClassList(c.classes) } : {}),
+              ...(c.data ? { data: { ...c.data } } : {})
             }))
           };
             // Оптимизация: можно было бы фильтровать пустые, но оставим все ведущие ради точного соответствия исходной структуры.
@@ -124,15 +250,111 @@ export function setupImportExportUI(ctx) {
   });
   container.appendChild(pasteBtn);
 
-  // Кнопка экспорта
+  // Кнопка экспорта. Дерево истории — только по явному флажку: оно раздувает файл и раскрывает получателю все прежние
+  // состояния таблицы, в том числе удалённое содержимое
   const exportBtn = document.createElement('button');
   exportBtn.textContent = 'Экспорт JSON (console)';
   exportBtn.classList.add('tg-btn');
+  const historyLabel = document.createElement('label');
+  historyLabel.className = 'tg-checkbox-inline';
+  historyLabel.title = 'Сохранить в JSON дерево отмены: после импорта можно продолжить undo / redo. Файл будет содержать все прежние состояния таблицы';
+  const historyCheckbox = document.createElement('input');
+  historyCheckbox.type = 'checkbox';
+  historyCheckbox.checked = false;
+  historyLabel.appendChild(historyCheckbox);
+  historyLabel.appendChild(document.createTextNode(' с историей'));
   exportBtn.addEventListener('click', () => {
-    const json = toJson(model);
-    console.log('EXPORT JSON:\n', json);
+    if (!historyCheckbox.checked) {
+      console.log('EXPORT JSON:\n', toJson(model));
+      notifyExported('json');
+      return;
+    }
+    // Незаписанные правки — отдельным шагом, чтобы документ совпал с текущим шагом дерева
+    history.record();
+    console.log('EXPORT JSON:\n', toJson(model, { history }));
+    notifyExported('json');
   });
   container.appendChild(exportBtn);
+  container.appendChild(historyLabel);
+
+  // Экспорт HTML: копирование готовой разметки в буфер обмена
+  const copyHtmlBtn = document.createElement('button');
+  copyHtmlBtn.textContent = 'Копировать HTML';
+  copyHtmlBtn.classList.add('tg-btn');
+  copyHtmlBtn.addEventListener('click', async () => {
+    if (await copyTextToClipboard(toHtml(model), 'HTML')) notifyExported('html');
+  });
+  container.appendChild(copyHtmlBtn);
+
+  // Экспорт HTML: скачивание файла .html
+  const downloadHtmlBtn = document.createElement('button');
+  downloadHtmlBtn.textContent = 'Скачать HTML';
+  downloadHtmlBtn.classList.add('tg-btn');
+  downloadHtmlBtn.addEventListener('click', () => {
+    const html = toHtml(model);
+    downloadBlob(buildExportFileName(model, 'html'), new Blob([html], { type: 'text/html;charset=utf-8' }));
+    notifyExported('html');
+  });
+  container.appendChild(downloadHtmlBtn);
+
+  // --- Markdown (GFM) / AsciiDoc ---
+  // В GFM нет объединений — пользователь выбирает, чем заполнять покрытые ячейки. AsciiDoc переносит объединения как есть.
+  const mdSpanSelect = document.createElement('select');
+  mdSpanSelect.classList.add('tg-select','tg-input-sm','w-auto');
+  mdSpanSelect.title = 'Объединённые ячейки в Markdown';
+  for (const [value, label] of [['blank', 'merge: пусто'], ['repeat', 'merge: повтор']]) {
+    const o = document.createElement('option'); o.value = value; o.textContent = label; mdSpanSelect.appendChild(o);
+  }
+  const copyMdBtn = document.createElement('button');
+  copyMdBtn.textContent = 'Копировать Markdown';
+  copyMdBtn.classList.add('tg-btn');
+  copyMdBtn.addEventListener('click', async () => {
+    if (await copyTextToClipboard(toMarkdown(model, { spanFallback: mdSpanSelect.value }), 'Markdown')) notifyExported('markdown');
+  });
+  const downloadMdBtn = document.createElement('button');
+  downloadMdBtn.textContent = 'Скачать MD';
+  downloadMdBtn.classList.add('tg-btn');
+  downloadMdBtn.addEventListener('click', () => {
+    const md = toMarkdown(model, { spanFallback: mdSpanSelect.value });
+    downloadBlob(buildExportFileName(model, 'md'), new Blob([md], { type: 'text/markdown;charset=utf-8' }));
+    notifyExported('markdown');
+  });
+  const copyAdocBtn = document.createElement('button');
+  copyAdocBtn.textContent = 'Копировать AsciiDoc';
+  copyAdocBtn.classList.add('tg-btn');
+  copyAdocBtn.addEventListener('click', async () => {
+    if (await copyTextToClipboard(toAsciiDoc(model), 'AsciiDoc')) notifyExported('asciidoc');
+  });
+  const downloadAdocBtn = document.createElement('button');
+  downloadAdocBtn.textContent = 'Скачать AsciiDoc';
+  downloadAdocBtn.classList.add('tg-btn');
+  downloadAdocBtn.addEventListener('click', () => {
+    downloadBlob(buildExportFileName(model, 'adoc'), new Blob([toAsciiDoc(model)], { type: 'text/asciidoc;charset=utf-8' }));
+    notifyExported('asciidoc');
+  });
+  container.appendChild(mdSpanSelect);
+  container.appendChild(copyMdBtn);
+  container.appendChild(downloadMdBtn);
+  container.appendChild(copyAdocBtn);
+  container.appendChild(downloadAdocBtn);
+
+  // --- LaTeX ---
+  // Окружение выбирается автоматически: длинные таблицы уходят в longtable
+  const copyLatexBtn = document.createElement('button');
+  copyLatexBtn.textContent = 'Копировать LaTeX';
+  copyLatexBtn.classList.add('tg-btn');
+  copyLatexBtn.addEventListener('click', async () => {
+    if (await copyTextToClipboard(toLatex(model), 'LaTeX')) notifyExported('latex');
+  });
+  const downloadLatexBtn = document.createElement('button');
+  downloadLatexBtn.textContent = 'Скачать TEX';
+  downloadLatexBtn.classList.add('tg-btn');
+  downloadLatexBtn.addEventListener('click', () => {
+    downloadBlob(buildExportFileName(model, 'tex'), new Blob([toLatex(model)], { type: 'application/x-tex;charset=utf-8' }));
+    notifyExported('latex');
+  });
+  container.appendChild(copyLatexBtn);
+  container.appendChild(downloadLatexBtn);
 
   // Блок импорта
   const importArea = document.createElement('textarea');
@@ -156,21 +378,162 @@ export function setupImportExportUI(ctx) {
       alert(`Документ содержит ошибки импорта: ${res.error}`);
       return;
     }
-    const docValidation = validator.validateDocument(res.doc);
-    if (!docValidation.valid) {
-      console.error('Ошибки валидации документа:', docValidation.errors);
-      alert(`Документ содержит ошибки:\n${docValidation.errors.join('\n')}`);
-      return;
-    }
-    history.restore(() => {
-      applyImportedDocument(model, res.doc, bus);
-    }, res.doc);
-    history.record(model);
+    if (!importDocument(res.doc)) return;
     importArea.value = '';
     console.log('Импорт завершён');
   });
   container.appendChild(importArea);
   container.appendChild(importBtn);
 
+  // --- HTML / Markdown файл ---
+  // Из файла извлекаются все таблицы; если их несколько — пользователь выбирает нужную в модальном окне.
+  // Документ проходит ту же STRICT проверку, что и JSON импорт, и применяется одним шагом undo.
+  const importDocBtn = document.createElement('button');
+  importDocBtn.textContent = 'Импорт HTML/MD';
+  importDocBtn.classList.add('tg-btn');
+  importDocBtn.addEventListener('click', async () => {
+    const file = await pickFile('.html,.htm,.md,.markdown,text/html,text/markdown');
+    try {
+      const text = await file.text();
+      const isMarkdown = /\.(md|markdown)$/i.test(file.name);
+      const parseOptions = { mappings: validator.getImportMappings() };
+      const tables = isMarkdown ? parseMarkdownTables(text, parseOptions) : parseHtmlTables(text, parseOptions);
+      if (!tables.length) {
+        alert('В файле не найдено ни одной таблицы');
+        return;
+      }
+      let table = tables[0];
+      if (tables.length > 1) {
+        table = await chooseFromList(`Таблиц в файле: ${tables.length}. Какую импортировать?`, tables.map((t, i) => ({
+          label: `Таблица ${i + 1}` + (t.caption ? `: ${t.caption}` : ''),
+          description: describeParsedTable(t),
+          value: t
+        })));
+        if (!table) return; // окно закрыто без выбора
+      }
+      const doc = parsedTableToDocument(table, { ...model.meta, name: table.caption || tableNameFromFile(file.name) });
+      // Правила importMappings могли дать классы одной exclusiveGroup — оставляем последний, как при ручном выборе
+      for (const cell of doc.cells) {
+        if (cell.classes) cell.classes = validator.normalizeClassList(cell.classes);
+      }
+      const res = parseTableJson(JSON.stringify(doc), validator);
+      if (!res.ok) {
+        alert('Ошибка импорта таблицы: ' + res.error);
+        return;
+      }
+      if (importDocument(res.doc)) {
+        console.log('[ImportHTML/MD] Импорт завершён. Размер:', res.doc.grid.rows, 'x', res.doc.grid.cols, 'шапка:', res.doc.grid.headerRows);
+      }
+    } catch (err) {
+      console.error('Ошибка чтения файла:', err);
+      alert('Не удалось прочитать файл: ' + err);
+    }
+  });
+  container.appendChild(importDocBtn);
+
+  // --- CSV / TSV ---
+  // Импорт: разделитель определяется автоматически, файл полностью заменяет таблицу (один шаг undo).
+  const importCsvBtn = document.createElement('button');
+  importCsvBtn.textContent = 'Импорт CSV/TSV';
+  importCsvBtn.classList.add('tg-btn');
+  importCsvBtn.addEventListener('click', async () => {
+    const file = await pickFile('.csv,.tsv,.txt,text/csv,text/tab-separated-values');
+    try {
+      const text = await file.text();
+      const res = parseCsv(text);
+      if (!res.ok) {
+        alert('Ошибка импорта CSV: ' + res.error);
+        return;
+      }
+      const doc = csvMatrixToDocument(res.matrix, { ...model.meta, name: tableNameFromFile(file.name) });
+      if (importDocument(doc)) {
+        console.log('[ImportCSV] Импорт завершён. Разделитель:', JSON.stringify(res.delimiter), 'размер:', doc.grid.rows, 'x', doc.grid.cols);
+      }
+    } catch (err) {
+      console.error('Ошибка чтения CSV:', err);
+      alert('Не удалось прочитать файл: ' + err);
+    }
+  });
+  container.appendChild(importCsvBtn);
+
+  // Экспорт: выбор разделителя и политики объединённых областей
+  const csvDelimiterSelect = document.createElement('select');
+  csvDelimiterSelect.classList.add('tg-select','tg-input-sm','w-auto');
+  csvDelimiterSelect.title = 'Разделитель CSV';
+  [[',', 'Запятая ,'], [';', 'Точка с запятой ;'], ['\t', 'Табуляция (TSV)']].forEach(([value, label]) => {
+    const o = document.createElement('option'); o.value = value; o.textContent = label; csvDelimiterSelect.appendChild(o);
+  });
+  const csvPolicySelect = document.createElement('select');
+  csvPolicySelect.classList.add('tg-select','tg-input-sm','w-auto');
+  csvPolicySelect.title = 'Объединённые ячейки в CSV';
+  [['lead', 'Merge: только ведущая'], ['repeat', 'Merge: повторять значение'], ['blank', 'Merge: пусто']].forEach(([value, label]) => {
+    const o = document.createElement('option'); o.value = value; o.textContent = label; csvPolicySelect.appendChild(o);
+  });
+  const exportCsvBtn = document.createElement('button');
+  exportCsvBtn.textContent = 'Скачать CSV';
+  exportCsvBtn.classList.add('tg-btn');
+  exportCsvBtn.addEventListener('click', () => {
+    const delimiter = csvDelimiterSelect.value;
+    // BOM нужен Excel, чтобы он распознал UTF-8 (иначе кириллица превращается в «кракозябры»)
+    const csv = toCsv(model, { delimiter, mergePolicy: csvPolicySelect.value, bom: true });
+    const isTsv = delimiter === '\t';
+    const mime = isTsv ? 'text/tab-separated-values;charset=utf-8' : 'text/csv;charset=utf-8';
+    downloadBlob(buildExportFileName(model, isTsv ? 'tsv' : 'csv'), new Blob([csv], { type: mime }));
+    notifyExported(isTsv ? 'tsv' : 'csv');
+  });
+  container.appendChild(csvDelimiterSelect);
+  container.appendChild(csvPolicySelect);
+  container.appendChild(exportCsvBtn);
+
+  // --- XLSX ---
+  // Импорт: первый лист книги полностью заменяет таблицу (один шаг undo). Подходит для больших таблиц,
+  // которые неудобно переносить через буфер обмена. Флажок — пометить числа / проценты / даты по CORE_REGISTRY.
+  const xlsxTagLabel = document.createElement('label');
+  xlsxTagLabel.className = 'tg-checkbox-inline';
+  xlsxTagLabel.title = 'Пометить числа, проценты и даты классом numeric и data-format';
+  const xlsxTagCheckbox = document.createElement('input');
+  xlsxTagCheckbox.type = 'checkbox';
+  xlsxTagCheckbox.checked = true;
+  xlsxTagLabel.appendChild(xlsxTagCheckbox);
+  xlsxTagLabel.appendChild(document.createTextNode(' типы'));
+  const importXlsxBtn = document.createElement('button');
+  importXlsxBtn.textContent = 'Импорт XLSX';
+  importXlsxBtn.classList.add('tg-btn');
+  importXlsxBtn.addEventListener('click', async () => {
+    const file = await pickFile('.xlsx,application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+    try {
+      const res = await parseXlsx(await file.arrayBuffer(), {
+        tagTypes: xlsxTagCheckbox.checked,
+        meta: { ...model.meta, name: tableNameFromFile(file.name) }
+      });
+      if (!res.ok) {
+        alert('Ошибка импорта XLSX: ' + res.error);
+        return;
+      }
+      if (importDocument(res.doc)) {
+        console.log('[ImportXLSX] Импорт завершён. Лист:', res.sheetName, 'размер:', res.doc.grid.rows, 'x', res.doc.grid.cols);
+      }
+    } catch (err) {
+      console.error('Ошибка чтения XLSX:', err);
+      alert('Не удалось прочитать файл: ' + err);
+    }
+  });
+  container.appendChild(importXlsxBtn);
+  container.appendChild(xlsxTagLabel);
+
+  const exportXlsxBtn = document.createElement('button');
+  exportXlsxBtn.textContent = 'Скачать XLSX';
+  exportXlsxBtn.classList.add('tg-btn');
+  exportXlsxBtn.addEventListener('click', () => {
+    try {
+      downloadBlob(buildExportFileName(model, 'xlsx'), new Blob([toXlsx(model)], { type: XLSX_MIME }));
+      notifyExported('xlsx');
+    } catch (err) {
+      console.error('Ошибка экспорта XLSX:', err);
+      alert('Не удалось сформировать XLSX: ' + err.message);
+    }
+  });
+  container.appendChild(exportXlsxBtn);
+
   return { element: container };
 }
@@ -0,0 +1,143 @@
+// setupRowColMove.js
+// Перемещение строк / столбцов перетаскиванием за номера (заголовки строк и столбцов, которые рисует TableRenderer).
+// Перетаскивается выделенный блок целых строк / столбцов (если нажатие пришлось на него) или одна строка / столбец.
+// Место вставки показывается чертой у заголовка; само перемещение выполняет TableModel.moveRows / moveColumns.
+
+/** Смещение мыши (px), после которого нажатие на заголовок считается перетаскиванием, а не кликом */
+const DRAG_THRESHOLD = 4;
+/** Классы индикатора места вставки на заголовке-цели */
+const DROP_CLASSES = ['tablegen-drop-before', 'tablegen-drop-after'];
+
+/**
+ * Инициализирует перетаскивание строк и столбцов за заголовки.
+ * @param {Object} ctx
+ * @param {import('../../core/model/TableModel.js').TableModel} ctx.model
+ * @param {import('../SelectionService.js').SelectionService} ctx.selectionService
+ * @param {import('../TableRenderer.js').TableRenderer} ctx.renderer
+ * @param {import('../InlineEditor.js').InlineEditor} ctx.inlineEditor
+ * @returns {{destroy:Function}}
+ */
+export function setupRowColMove(ctx) {
+  const { model, selectionService, renderer, inlineEditor } = ctx;
+  const table = renderer.tableEl;
+  // axis: 'row' | 'col'; from / count — перемещаемый блок; to — позиция вставки в исходной нумерации
+  let drag = null;
+  // После перетаскивания браузер генерирует click по заголовку — его нельзя принимать за выбор строки
+  let suppressClick = false;
+
+  /**
+   * Заголовок строки / столбца под элементом (только номера, без строки размеров столбцов).
+   * @param {EventTarget|null} target
+   * @returns {{axis:'row'|'col', index:number, th:HTMLElement}|null}
+   */
+  function headerAt(target) {
+    if (!(target instanceof Element)) return null;
+    const th = target.closest('th.tablegen-row-header[data-row], th.tablegen-col-header[data-col]');
+    if (!th || !table.contains(th)) return null;
+    const isRow = th.classList.contains('tablegen-row-header');
+    const index = parseInt(isRow ? th.dataset.row : th.dataset.col, 10);
+    return Number.isNaN(index) ? null : { axis: isRow ? 'row' : 'col', index, th };
+  }
+
+  /**
+   * Блок для перетаскивания: выделенные целиком строки / столбцы, если заголовок входит в них, иначе одна линия.
+   * @param {'row'|'col'} axis
+   * @param {number} index
+   * @returns {{from:number, count:number}}
+   */
+  function blockFor(axis, index) {
+    if (selectionService.hasRange()) {
+      const { r1, c1, r2, c2 } = selectionService.getRange();
+      if (axis === 'row' && c1 === 0 && c2 === model.grid.cols - 1 && index >= r1 && index <= r2) return { from: r1, count: r2 - r1 + 1 };
+      if (axis === 'col' && r1 === 0 && r2 === model.grid.rows - 1 && index >= c1 && index <= c2) return { from: c1, count: c2 - c1 + 1 };
+    }
+    return { from: index, count: 1 };
+  }
+
+  function clearDropMarker() {
+    for (const el of table.querySelectorAll('.tablegen-drop-before, .tablegen-drop-after')) el.classList.remove(...DROP_CLASSES);
+  }
+
+  /** Выделить блок после перемещения (выделение восстановится после перерисовки) */
+  function selectBlock(axis, start, count) {
+    selectionService.clearRangeIfAny();
+    if (axis === 'row') {
+      selectionService.select(start, 0);
+      selectionService.startRange(start, 0);
+      selectionService.updateRange(start + count - 1, model.grid.cols - 1);
+    } else {
+      selectionService.select(0, start);
+      selectionService.startRange(0, start);
+      selectionService.updateRange(model.grid.rows - 1, start + count - 1);
+    }
+    selectionService.commitRange();
+  }
+
+  function onMouseDown(e) {
+    if (e.button !== 0) return;
+    // Инпут высоты строки внутри заголовка — это поле ввода, а не ручка перетаскивания
+    if (e.target instanceof Element && e.target.closest('input')) return;
+    const hit = headerAt(e.target);
+    if (!hit) return;
+    drag = { axis: hit.axis, ...blockFor(hit.axis, hit.index), x: e.clientX, y: e.clientY, started: false, to: null };
+  }
+
+  function onMouseMove(e) {
+    if (!drag) return;
+    if (!drag.started) {
+      if (Math.abs(e.clientX - drag.x) < DRAG_THRESHOLD && Math.abs(e.clientY - drag.y) < DRAG_THRESHOLD) return;
+      drag.started = true;
+      if (inlineEditor.activeEditor) inlineEditor.commitIfAny();
+      document.body.classList.add('tablegen-moving');
+    }
+    e.preventDefault(); // не выделяем текст страницы во время перетаскивания
+    clearDropMarker();
+    drag.to = null;
+    const hit = headerAt(document.elementFromPoint(e.clientX, e.clientY));
+    if (!hit || hit.axis !== drag.axis) return;
+    // Верхняя / левая половина заголовка — вставка перед линией, нижняя / правая — после неё
+    const box = hit.th.getBoundingClientRect();
+    const after = drag.axis === 'row' ? e.clientY > box.top + box.height / 2 : e.clientX > box.left + box.width / 2;
+    drag.to = hit.index + (after ? 1 : 0);
+    hit.th.classList.add(after ? 'tablegen-drop-after' : 'tablegen-drop-before');
+  }
+
+  function onMouseUp() {
+    if (!drag) return;
+    const { axis, from, count, to, started } = drag;
+    drag = null;
+    if (!started) return; // обычный клик — его обработает setupRowColSelection
+    suppressClick = true;
+    setTimeout(() => { suppressClick = false; }, 0);
+    clearDropMarker();
+    document.body.classList.remove('tablegen-moving');
+    if (to === null) return;
+    const res = axis === 'row' ? model.moveRows(from, count, to) : model.moveColumns(from, count, to);
+    if (!res.ok) {
+      alert((axis === 'row' ? 'Перемещение строк отклонено: ' : 'Перемещение столбцов отклонено: ') + res.reason);
+      return;
+    }
+    selectBlock(axis, res.start, count);
+  }
+
+  function onClickCapture(e) {
+    if (!suppressClick) return;
+    suppressClick = false;
+    e.stopPropagation();
+    e.preventDefault();
+  }
+
+  table.addEventListener('mousedown', onMouseDown);
+  table.addEventListener('click', onClickCapture, true);
+  document.addEventListener('mousemove', onMouseMove);
+  document.addEventListener('mouseup', onMouseUp);
+
+  return {
+    destroy() {
+      table.removeEventListener('mousedown', onMouseDown);
+      table.removeEventListener('click', onClickCapture, true);
+      document.removeEventListener('mousemove', onMouseMove);
+      document.removeEventListener('mouseup', onMouseUp);
+    }
+  };
+}
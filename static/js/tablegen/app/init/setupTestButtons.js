@@ -28,6 +28,16 @@ export function setupTestButtons(targetEl) {
       const applyDoc = await import('../../tests/applyDocument.test.js');
       const history = await import('../../tests/historyService.test.js');
       const registry = await import('../../tests/registryValidation.test.js');
+      const htmlExport = await import('../../tests/toHtml.test.js');
+      const csv = await import('../../tests/csv.test.js');
+      const xlsx = await import('../../tests/xlsx.test.js');
+      const markup = await import('../../tests/markup.test.js');
+      const docImport = await import('../../tests/documentImport.test.js');
+      const clipboard = await import('../../tests/clipboard.test.js');
+      const sort = await import('../../tests/sort.test.js');
+      const formula = await import('../../tests/formula.test.js');
+      const totals = await import('../../tests/totals.test.js');
+      const autosave = await import('../../tests/autosave.test.js');
 
       // Запускаем по порядку. History содержит асинхронный debounce тест — оборачиваем в Promise.
       paste.runPasteTests();
@@ -48,6 +58,16 @@ export function setupTestButtons(targetEl) {
         history.runHistoryTests();
       });
       registry.runRegistryTests();
+      htmlExport.runToHtmlTests();
+      csv.runCsvTests();
+      await xlsx.runXlsxTests();
+      markup.runMarkupTests();
+      docImport.runDocumentImportTests();
+      clipboard.runClipboardTests();
+      sort.runSortTests();
+      formula.runFormulaTests();
+      totals.runTotalsTests();
+      await autosave.runAutosaveTests();
       console.log('--- ALL TESTS PASSED ---');
       alert('Все тесты прошли успешно (см. консоль)');
     } catch (e) {
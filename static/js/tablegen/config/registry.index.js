@@ -1,5 +1,6 @@
 // Объединение CORE_REGISTRY и PROJECT_REGISTRY в единый TABLEGEN_REGISTRY.
 // Правило: project override заменяет core по имени (классы и атрибуты). Правила (rules) мержим поверх.
+// Правила преобразования при импорте (importMappings) складываем: сначала core, затем project.
 
 import { CORE_REGISTRY } from './registry.core.js';
 import { PROJECT_REGISTRY } from './registry.project.js';
@@ -28,17 +29,20 @@ export function mergeCoreAndProject(core, project) {
       version: core.version || 1,
       classes: [...(core.classes||[])],
       dataAttributes: [...(core.dataAttributes||[])],
-      rules: { ...(core.rules||{}) }
+      rules: { ...(core.rules||{}) },
+      importMappings: [...(core.importMappings||[])]
     };
   }
   const classes = mergeArraysByName(core.classes, project.classes);
   const dataAttributes = mergeArraysByName(core.dataAttributes, project.dataAttributes);
   const rules = mergeRules(core.rules, project.rules);
+  const importMappings = [...(core.importMappings || []), ...(project.importMappings || [])];
   return {
     version: Math.max(core.version || 1, project.version || 1),
     classes,
     dataAttributes,
-    rules
+    rules,
+    importMappings
   };
 }
 
@@ -14,5 +14,15 @@ export const PROJECT_REGISTRY = {
   ],
   rules: {
     // Может расширять или уточнять правила, сейчас оставляем пустым — будет объединено.
-  }
+  },
+  // Преобразования оформления исходной ячейки при вставке / импорте HTML таблиц (Word, Excel, Google Sheets, сайты).
+  // Правило срабатывает по классу исходной ячейки (sourceClass) или по её inline стилю (style + values;
+  // без values — любое непустое значение, кроме прозрачного / normal). Результат — классы (classes) и/или
+  // data-* значения (data) из реестра; неизвестные реестру классы и атрибуты отбрасываются при инициализации.
+  importMappings: [
+    { style: 'background-color', classes: ['color-highlight'] },
+    { style: 'text-align', values: ['right'], classes: ['numeric'] },
+    { style: 'font-weight', values: ['bold', '600', '700', '800', '900'], data: { 'data-role': 'header' } },
+    { sourceClass: 'total', data: { 'data-role': 'total' } }
+  ]
 };
@@ -8,7 +8,7 @@ export class EventBus {
     this._handlers = new Map();
     // Флаги и буферы для batch-режима
     this._paused = false;           // Признак того, что события временно не доставляются немедленно
-    this._buffer = new Map();       // Map<eventName, any[]> накопленные payload'ы
+    this._buffer = [];              // Array<[eventName, payload]> накопленные события в порядке emit
     this._pauseDepth = 0;           // Позволяет делать вложенные pause()/resume()
   }
 
@@ -46,9 +46,9 @@ export class EventBus {
    */
   emit(eventName, payload) {
     if (this._paused) {
-      // В batch режиме складываем payload. Для простоты пока не объединяем, а накапливаем.
-      if (!this._buffer.has(eventName)) this._buffer.set(eventName, []);
-      this._buffer.get(eventName).push(payload);
+      // В batch режиме складываем событие. Не объединяем: порядок важен слушателям, которые
+      // воспроизводят изменения по payload'ам (HistoryService собирает из них обратимые патчи).
+      this._buffer.push([eventName, payload]);
       return;
     }
     this._deliver(eventName, payload);
@@ -73,8 +73,11 @@ export class EventBus {
 
   /**
    * Приостановить доставку событий (поддерживает вложенность). Пока активна — события буферизуются.
+   * Начало внешнего batch доставляется сразу событием batch:start — до изменений, чьи события будут отложены
+   * (история запоминает по нему выделение до операции).
    */
   pause() {
+    if (this._pauseDepth === 0) this._deliver('batch:start');
     this._pauseDepth++;
     this._paused = this._pauseDepth > 0;
   }
@@ -87,16 +90,13 @@ export class EventBus {
     this._pauseDepth--;
     if (this._pauseDepth === 0) {
       this._paused = false;
-      // Доставляем накопленные. Порядок: по имени события в порядке добавления ключей.
-      // Для упрощения: каждое событие доставляем один раз на каждый payload.
+      // Доставляем накопленные в том порядке, в котором они были эмитнуты (каждый payload — один раз).
       const buffered = this._buffer;
-      this._buffer = new Map();
-      for (const [eventName, payloads] of buffered.entries()) {
-        for (const p of payloads) this._deliver(eventName, p);
-      }
-        // После проигрывания всех событий эмитим специальное событие batch:flush,
-        // чтобы сервисы (например история) могли зафиксировать итоговое состояние сразу.
-        this._deliver('batch:flush', { bufferedEventCount: [...buffered.values()].reduce((a, arr) => a + arr.length, 0) });
+      this._buffer = [];
+      for (const [eventName, payload] of buffered) this._deliver(eventName, payload);
+      // После проигрывания всех событий эмитим специальное событие batch:flush,
+      // чтобы сервисы (например история) могли зафиксировать итоговое состояние сразу.
+      this._deliver('batch:flush', { bufferedEventCount: buffered.length });
     }
   }
 
@@ -1,8 +1,23 @@
 // TableModel.js
 // Модель данных таблицы. Хранит только ведущие (top-left) ячейки объединённых областей; покрытые координаты не материализуются.
+// Payload'ы событий достаточно подробны, чтобы изменение можно было откатить без снимка документа (HistoryService):
+// cell:change несёт прежнее значение и признак created, structure:change — копии grid до и после (gridBefore / gridAfter),
+// а операции, теряющие данные (удаление линий, транспонирование блока), — удалённые ячейки и прежние тексты формул.
+
+import { parseColumnSize, validateColumnSize, cloneColumnSize } from '../utils/columnSizes.js';
+import {
+  isFormula,
+  rewriteFormulaReferences,
+  insertLinesMapper,
+  deleteLinesMapper,
+  permuteLinesMapper,
+  transposeMapper
+} from '../utils/formula.js';
+import { normalizeAggregates, isAggregate, DEFAULT_AGGREGATE } from '../utils/aggregates.js';
 
 /**
  * @typedef {Object} TableMeta
+ * @property {string} [id] - Идентификатор документа (ключ автосохранения)
  * @property {string} name - Имя таблицы
  * @property {string} [createdUtc]
  * @property {string} [notes]
@@ -12,17 +27,33 @@
  * @typedef {Object} TableGrid
  * @property {number} rows
  * @property {number} cols
+ * @property {number} [headerRows] - первые N строк — шапка (th scope="col")
+ * @property {number} [headerCols] - первые N столбцов тела — заголовки строк (th scope="row")
+ * @property {import('../utils/columnSizes.js').ColumnSize[]|null} [columnSizes] - ширины столбцов (px, ratio, %, auto, min/max)
+ * @property {TableSize[]|null} [rowSizes] - высоты строк
+ * @property {Array<string|null>|null} [aggregates] - функции автоматических итогов по столбцам (sum, avg, min, max, count;
+ *   null — столбец не считается); отсутствие массива — режим итогов выключен (см. TotalsService)
+ */
+
+/**
+ * Высота строки: px — фиксированная высота, ratio — высота по содержимому (значение хранится для единообразия схемы).
+ * @typedef {Object} TableSize
+ * @property {number} v
+ * @property {'px'|'ratio'} u
  */
 
 /**
  * @typedef {Object} TableCell
  * @property {number} r - индекс строки (0-based)
  * @property {number} c - индекс столбца (0-based)
- * @property {string} value - содержимое ячейки (может быть пустой строкой)
+ * @property {string} value - содержимое ячейки (может быть пустой строкой); '=...' — формула (см. utils/formula.js)
+ * @property {string} [cached] - результат формулы на момент последнего пересчёта (FormulaService) или автоматический
+ *   итог пустой ячейки строки total / subtotal (TotalsService)
+ * @property {boolean} [override] - итог в строке total / subtotal введён вручную и не пересчитывается (TotalsService)
  * @property {number} [rowSpan] - высота объединения (>=1)
  * @property {number} [colSpan] - ширина объединения (>=1)
  * @property {string[]} [classes] - список CSS классов
- * @property {Object.<string,string>} [data] - data-* атрибуты (ключ без приставки data-)
+ * @property {Object.<string,string>} [data] - data-* атрибуты (ключ — полное имя из реестра, например 'data-role')
  */
 
 /**
@@ -33,6 +64,54 @@
  * @property {TableCell[]} cells
  */
 
+/**
+ * Проверить высоту строки: у строк только px и ratio (по содержимому), без ограничений min / max.
+ * @param {*} size
+ * @returns {string|null} Текст ошибки или null
+ */
+function validateRowSize(size) {
+  const error = validateColumnSize(size);
+  if (error) return error;
+  if (size.u !== 'px' && size.u !== 'ratio') return `высота строки не задаётся в ${size.u}`;
+  if (size.min !== undefined || size.max !== undefined) return 'у высоты строки нет ограничений min / max';
+  return null;
+}
+
+/**
+ * Нормализовать массив размеров (columnSizes / rowSizes) из документа.
+ * Элементы не по схеме заменяются размером по умолчанию (одна доля), чтобы не сдвигать остальные;
+ * не массив или пустой массив — null (размеры по умолчанию).
+ * @param {*} list
+ * @param {(size:*) => string|null} validate validateColumnSize или validateRowSize
+ * @returns {Array<object>|null}
+ */
+function normalizeSizeList(list, validate) {
+  if (!Array.isArray(list) || !list.length) return null;
+  return list.map(x => (validate(x) ? { v: 1, u: 'ratio' } : cloneColumnSize(x)));
+}
+
+/**
+ * Совпадают ли два размера (с учётом ограничений min / max).
+ * @param {object|undefined} a
+ * @param {object} b
+ * @returns {boolean}
+ */
+function sameSize(a, b) {
+  return !!a && a.v === b.v && a.u === b.u && a.min === b.min && a.max === b.max;
+}
+
+/**
+ * Новое количество строк / столбцов шапки после удаления линий [start, start+count):
+ * удалённые линии шапки уменьшают её, остальные линии шапки остаются шапкой.
+ * @param {number} header Текущее количество линий шапки
+ * @param {number} start
+ * @param {number} count
+ * @returns {number}
+ */
+function headerAfterDelete(header, start, count) {
+  return header - Math.max(0, Math.min(start + count, header) - start);
+}
+
 export class TableModel {
   /**
    * @param {TableDocument} doc - десериализованный объект документа таблицы
@@ -41,23 +120,19 @@ export class TableModel {
   constructor(doc, eventBus) {
     this.version = doc.version || 1;
     this.meta = { ...doc.meta };
-    // Добавляем поддержку количества строк пользовательской шапки (headerRows).
-    // columnSizes (ЕДИНСТВЕННАЯ АКТУАЛЬНАЯ СХЕМА): массив объектов { v:number, u:'px'|'ratio' }.
+    // Добавляем поддержку количества строк пользовательской шапки (headerRows) и столбцов-заголовков строк (headerCols).
+    // columnSizes / rowSizes (ЕДИНСТВЕННАЯ АКТУАЛЬНАЯ СХЕМА): массив объектов { v:number, u } — для столбцов
+    // u: 'px' | 'ratio' | '%' | 'auto' (+ min / max, см. utils/columnSizes.js), для строк — 'px' | 'ratio'.
     // Обратной совместимости со старым форматом {mode, values} больше НЕТ —
     // если придёт что‑то отличное от массива корректных объектов, настройка будет проигнорирована.
-    let normalizedColumnSizes = null;
-    if (Array.isArray(doc.grid.columnSizes)) {
-      normalizedColumnSizes = doc.grid.columnSizes
-        .filter(x => x && typeof x.v === 'number' && (x.u === 'px' || x.u === 'ratio'))
-        .map(x => ({ v: x.v, u: x.u }));
-      // Если после фильтрации массив опустел, просто храним null (будет трактоваться как размеры по умолчанию)
-      if (!normalizedColumnSizes.length) normalizedColumnSizes = null;
-    }
     this.grid = {
       rows: doc.grid.rows,
       cols: doc.grid.cols,
       headerRows: doc.grid.headerRows ? doc.grid.headerRows : 0,
-      columnSizes: normalizedColumnSizes
+      headerCols: doc.grid.headerCols ? doc.grid.headerCols : 0,
+      columnSizes: normalizeSizeList(doc.grid.columnSizes, validateColumnSize),
+      rowSizes: normalizeSizeList(doc.grid.rowSizes, validateRowSize),
+      aggregates: normalizeAggregates(doc.grid.aggregates)
     };
     // Клонируем ячейки, чтобы избежать мутаций исходного объекта
     this.cells = (doc.cells || []).map(c => ({ ...c }));
@@ -83,14 +158,42 @@ export class TableModel {
     return this._index.get(r + ',' + c);
   }
 
+  /**
+   * Ведущая ячейка по координатам; отсутствующая создаётся пустой (без события — его эмитит вызывающий код,
+   * сервисы пересчёта пишут в созданную ячейку только производные поля вроде cached).
+   * Координата, покрытая объединением, не проверяется — это забота вызывающего кода.
+   * @param {number} r
+   * @param {number} c
+   * @returns {TableCell}
+   */
+  ensureCell(r, c) {
+    let cell = this.getCell(r, c);
+    if (!cell) {
+      cell = { r, c, value: '', rowSpan: 1, colSpan: 1 };
+      this.cells.push(cell);
+      this._index.set(r + ',' + c, cell);
+    }
+    return cell;
+  }
+
   /**
    * Убедиться что таблица имеет не меньше указанных размеров
    * @param {number} rows
    * @param {number} cols
    */
   ensureSize(rows, cols) {
+    const gridBefore = this._gridSnapshot();
     let changed = false;
-    if (rows > this.grid.rows) { this.grid.rows = rows; changed = true; }
+    if (rows > this.grid.rows) {
+      // Новые строки — высота по содержимому
+      if (this.grid.rowSizes) {
+        for (let i = this.grid.rows; i < rows; i++) {
+          this.grid.rowSizes.push({ v: 1, u: 'ratio' });
+        }
+      }
+      this.grid.rows = rows;
+      changed = true;
+    }
     if (cols > this.grid.cols) {
       // Расширяем массив columnSizes значениями по умолчанию (1 ratio)
       if (this.grid.columnSizes) {
@@ -98,11 +201,16 @@ export class TableModel {
           this.grid.columnSizes.push({ v: 1, u: 'ratio' });
         }
       }
+      if (this.grid.aggregates) {
+        for (let i = this.grid.cols; i < cols; i++) this.grid.aggregates.push(DEFAULT_AGGREGATE);
+      }
       this.grid.cols = cols;
       changed = true;
     }
     if (changed) {
-      this.bus?.emit('structure:change', { type: 'resize', rows: this.grid.rows, cols: this.grid.cols });
+      this.bus?.emit('structure:change', {
+        type: 'resize', rows: this.grid.rows, cols: this.grid.cols, gridBefore, gridAfter: this._gridSnapshot()
+      });
     }
   }
 
@@ -114,8 +222,22 @@ export class TableModel {
   setHeaderRows(count) {
     const n = Math.max(0, Math.min(this.grid.rows, Number(count) || 0));
     if (n === this.grid.headerRows) return;
+    const gridBefore = this._gridSnapshot();
     this.grid.headerRows = n;
-    this.bus?.emit('structure:change', { type: 'headerRows', headerRows: n });
+    this.bus?.emit('structure:change', { type: 'headerRows', headerRows: n, gridBefore, gridAfter: this._gridSnapshot() });
+  }
+
+  /**
+   * Установить количество столбцов-заголовков строк (0..cols).
+   * Ячейки этих столбцов в теле таблицы экспортируются как <th scope="row">.
+   * @param {number} count
+   */
+  setHeaderCols(count) {
+    const n = Math.max(0, Math.min(this.grid.cols, Number(count) || 0));
+    if (n === (this.grid.headerCols || 0)) return;
+    const gridBefore = this._gridSnapshot();
+    this.grid.headerCols = n;
+    this.bus?.emit('structure:change', { type: 'headerCols', headerCols: n, gridBefore, gridAfter: this._gridSnapshot() });
   }
 
   /**
@@ -131,21 +253,19 @@ export class TableModel {
   }
 
   /**
-   * Установить значение ячейки. Создаём ячейку если её нет.
+   * Установить значение ячейки. Создаём ячейку если её нет (payload события получает created: true).
    * @param {number} r
    * @param {number} c
    * @param {string} value
    */
   setCellValue(r, c, value) {
-    let cell = this.getCell(r, c);
-    if (!cell) {
-      cell = { r, c, value: '', rowSpan: 1, colSpan: 1 };
-      this.cells.push(cell);
-      this._index.set(r + ',' + c, cell);
-    }
+    const created = !this.getCell(r, c);
+    const cell = this.ensureCell(r, c);
     const oldValue = cell.value;
     cell.value = value;
-    this.bus?.emit('cell:change', { r, c, field: 'value', oldValue, newValue: value });
+    // Результат прежней формулы больше не относится к ячейке (новую формулу пересчитает FormulaService)
+    if (!isFormula(value)) delete cell.cached;
+    this.bus?.emit('cell:change', { r, c, field: 'value', oldValue, newValue: value, created });
   }
 
   /**
@@ -155,15 +275,11 @@ export class TableModel {
    * @param {string[]} classes
    */
   setCellClasses(r, c, classes) {
-    let cell = this.getCell(r, c);
-    if (!cell) {
-      cell = { r, c, value: '', rowSpan: 1, colSpan: 1 };
-      this.cells.push(cell);
-      this._index.set(r + ',' + c, cell);
-    }
+    const created = !this.getCell(r, c);
+    const cell = this.ensureCell(r, c);
     const oldValue = cell.classes ? [...cell.classes] : undefined;
     cell.classes = classes && classes.length ? [...classes] : undefined;
-    this.bus?.emit('cell:change', { r, c, field: 'classes', oldValue, newValue: cell.classes });
+    this.bus?.emit('cell:change', { r, c, field: 'classes', oldValue, newValue: cell.classes, created });
   }
 
   /**
@@ -173,15 +289,11 @@ export class TableModel {
    * @param {Object.<string,string>} data
    */
   setCellData(r, c, data) {
-    let cell = this.getCell(r, c);
-    if (!cell) {
-      cell = { r, c, value: '', rowSpan: 1, colSpan: 1 };
-      this.cells.push(cell);
-      this._index.set(r + ',' + c, cell);
-    }
+    const created = !this.getCell(r, c);
+    const cell = this.ensureCell(r, c);
     const oldValue = cell.data ? { ...cell.data } : undefined;
     cell.data = data && Object.keys(data).length ? { ...data } : undefined;
-    this.bus?.emit('cell:change', { r, c, field: 'data', oldValue, newValue: cell.data });
+    this.bus?.emit('cell:change', { r, c, field: 'data', oldValue, newValue: cell.data, created });
   }
 
   /**
@@ -197,10 +309,14 @@ export class TableModel {
         rows: this.grid.rows,
         cols: this.grid.cols,
         headerRows: this.grid.headerRows || 0,
-        ...(this.grid.columnSizes ? { columnSizes: this.grid.columnSizes.map(cs => ({ v: cs.v, u: cs.u })) } : {})
+        headerCols: this.grid.headerCols || 0,
+        ...(this.grid.columnSizes ? { columnSizes: this.grid.columnSizes.map(cloneColumnSize) } : {}),
+        ...(this.grid.rowSizes ? { rowSizes: this.grid.rowSizes.map(rs => ({ v: rs.v, u: rs.u })) } : {}),
+        ...(this.grid.aggregates ? { aggregates: [...this.grid.aggregates] } : {})
       },
       cells: this.cells
-        .filter(c => c.rowSpan !== 1 || c.colSpan !== 1 || c.value !== '' || (c.classes && c.classes.length) || (c.data && Object.keys(c.data).length))
+        .filter(c => c.rowSpan !== 1 || c.colSpan !== 1 || c.value !== '' || c.cached !== undefined
+          || (c.classes && c.classes.length) || (c.data && Object.keys(c.data).length))
         .map(c => ({ ...c }))
     };
   }
@@ -221,7 +337,8 @@ export class TableModel {
    *  2. Для каждой ведущей ячейки:
    *     - если cell.r >= index -> сдвигаем вниз: cell.r += count
    *     - иначе если index <= cell.r + (rowSpan-1) -> вставка внутрь merge блока -> увеличиваем rowSpan += count
-   *  3. Увеличиваем grid.rows.
+   *  3. Увеличиваем grid.rows; rowSizes получают дефолтные размеры, вставка внутрь шапки расширяет headerRows.
+   *     Ссылки формул на сдвинутые строки сдвигаются, диапазоны, внутрь которых вставили строки, растягиваются.
    *  4. Перестраиваем индекс, эмитим structure:change.
    * @param {number} index Позиция вставки (0..rows)
    * @param {number} [count=1] Кол-во вставляемых строк
@@ -233,6 +350,7 @@ export class TableModel {
     if (index < 0) index = 0;
     if (index > this.grid.rows) index = this.grid.rows; // вставка в конец
     if (count === 0) return false;
+    const gridBefore = this._gridSnapshot();
     // Проходим по всем ведущим ячейкам
     for (const cell of this.cells) {
       const rs = cell.rowSpan || 1;
@@ -245,16 +363,23 @@ export class TableModel {
         cell.rowSpan = rs + count;
       }
     }
+    if (this.grid.rowSizes) {
+      const insert = Array.from({ length: count }, () => ({ v: 1, u: 'ratio' }));
+      this.grid.rowSizes.splice(index, 0, ...insert);
+    }
+    if (index < this.grid.headerRows) this.grid.headerRows += count;
     this.grid.rows += count;
+    this._rewriteFormulas(insertLinesMapper('r', index, count));
     this._rebuildIndex();
-    this.bus?.emit('structure:change', { type: 'insertRows', index, count, rows: this.grid.rows });
+    this.bus?.emit('structure:change', { type: 'insertRows', index, count, rows: this.grid.rows, gridBefore, gridAfter: this._gridSnapshot() });
     return true;
   }
 
   /**
    * Вставить столбцы перед индексом index.
    * Алгоритм аналогичен строкам.
-   * Дополнительно обрабатываем columnSizes (если есть) — вставляем новые дефолтные размеры.
+   * Дополнительно обрабатываем columnSizes и aggregates (если есть) — вставляем новые дефолтные размеры и функции итогов;
+   * вставка внутрь столбцов-заголовков расширяет headerCols.
    * @param {number} index Позиция вставки (0..cols)
    * @param {number} [count=1] Кол-во вставляемых столбцов
    * @returns {boolean}
@@ -264,6 +389,7 @@ export class TableModel {
     if (count <= 0) return false;
     if (index < 0) index = 0;
     if (index > this.grid.cols) index = this.grid.cols;
+    const gridBefore = this._gridSnapshot();
     for (const cell of this.cells) {
       const cs = cell.colSpan || 1;
       const right = cell.c + cs - 1;
@@ -277,9 +403,14 @@ export class TableModel {
       const insert = Array.from({ length: count }, () => ({ v: 1, u: 'ratio' }));
       this.grid.columnSizes.splice(index, 0, ...insert);
     }
+    if (this.grid.aggregates) {
+      this.grid.aggregates.splice(index, 0, ...Array.from({ length: count }, () => DEFAULT_AGGREGATE));
+    }
+    if (index < (this.grid.headerCols || 0)) this.grid.headerCols += count;
     this.grid.cols += count;
+    this._rewriteFormulas(insertLinesMapper('c', index, count));
     this._rebuildIndex();
-    this.bus?.emit('structure:change', { type: 'insertColumns', index, count, cols: this.grid.cols });
+    this.bus?.emit('structure:change', { type: 'insertColumns', index, count, cols: this.grid.cols, gridBefore, gridAfter: this._gridSnapshot() });
     return true;
   }
 
@@ -292,6 +423,10 @@ export class TableModel {
    *  - Пересечение верхней части блока -> shrink снизу (rowSpan = rFrom - top).
    *  - Пересечение нижней части блока -> shrink сверху (новый top = rFrom, rowSpan = bottom - rTo).
    *  - Interior split (удаляем середину блока) запрещён (возврат {ok:false}).
+   *  - rowSizes теряют удалённые строки, headerRows уменьшается на число удалённых строк шапки.
+   *  - Ссылки формул на удалённые строки становятся #REF!, диапазоны сжимаются.
+   * Событие несёт всё, что удаление теряет: копии удалённых ячеек (removed), прежнее состояние урезанных объединений
+   * (shrunk — по новым координатам) и прежние тексты переписанных формул (formulas).
    * @param {number} start Индекс первой удаляемой строки
    * @param {number} [count=1] Количество строк
    * @returns {{ok:boolean, reason?:string}}
@@ -305,6 +440,9 @@ export class TableModel {
     if (start + count > this.grid.rows) count = this.grid.rows - start;
     const rFrom = start;
     const rTo = start + count - 1;
+    const gridBefore = this._gridSnapshot();
+    const removed = [];
+    const shrunk = [];
     const newCells = [];
     for (const cell of this.cells) {
       const rs = cell.rowSpan || 1;
@@ -324,6 +462,7 @@ export class TableModel {
       // теперь top <= rTo && bottom >= rFrom => пересечение
       if (top >= rFrom && bottom <= rTo) {
         // целиком удаляем
+        removed.push({ ...cell });
         continue;
       }
       const intersectsTop = top < rFrom && bottom >= rFrom && bottom <= rTo; // отрезается нижняя часть
@@ -336,6 +475,7 @@ export class TableModel {
         // shrink снизу: оставляем верхнюю часть до rFrom-1
         const keepRows = rFrom - top;
         if (keepRows <= 0) continue; // на всякий случай
+        shrunk.push({ cell, before: { ...cell } });
         cell.rowSpan = keepRows;
         newCells.push(cell);
         continue;
@@ -343,6 +483,7 @@ export class TableModel {
       if (intersectsBottom) {
         // shrink сверху: переносим верх к rFrom, оставляем нижнюю часть после rTo
         const keepRows = bottom - rTo;
+        shrunk.push({ cell, before: { ...cell } });
         cell.r = rFrom; // после удаления нижняя часть сдвигается к новой позиции rFrom
         cell.rowSpan = keepRows;
         newCells.push(cell);
@@ -353,17 +494,26 @@ export class TableModel {
     // Применяем изменения
     this.cells = newCells;
     this.grid.rows -= count;
-    if (this.grid.headerRows > this.grid.rows) this.grid.headerRows = this.grid.rows;
+    this.grid.headerRows = Math.min(this.grid.rows, headerAfterDelete(this.grid.headerRows || 0, start, count));
+    if (this.grid.rowSizes) {
+      this.grid.rowSizes.splice(start, count);
+      if (!this.grid.rowSizes.length) this.grid.rowSizes = null;
+    }
+    const formulas = this._rewriteFormulas(deleteLinesMapper('r', start, count));
     this._rebuildIndex();
-    this.bus?.emit('structure:change', { type: 'deleteRows', start, count, rows: this.grid.rows });
+    this.bus?.emit('structure:change', {
+      type: 'deleteRows', start, count, rows: this.grid.rows,
+      removed, shrunk: shrunk.map(({ cell, before }) => ({ r: cell.r, c: cell.c, before })), formulas,
+      gridBefore, gridAfter: this._gridSnapshot()
+    });
     return { ok: true };
   }
 
   /**
    * Удалить столбцы начиная с start.
-   * Симметрично deleteRows.
+   * Симметрично deleteRows (в том числе payload события).
    * Политика interior split colSpan также запрещена.
-   * Корректируем columnSizes если присутствует.
+   * Корректируем columnSizes и aggregates если присутствуют и headerCols (как headerRows в deleteRows).
    * @param {number} start
    * @param {number} [count=1]
    * @returns {{ok:boolean, reason?:string}}
@@ -377,6 +527,9 @@ export class TableModel {
     if (start + count > this.grid.cols) count = this.grid.cols - start;
     const cFrom = start;
     const cTo = start + count - 1;
+    const gridBefore = this._gridSnapshot();
+    const removed = [];
+    const shrunk = [];
     const newCells = [];
     for (const cell of this.cells) {
       const cs = cell.colSpan || 1;
@@ -384,7 +537,7 @@ export class TableModel {
       const right = cell.c + cs - 1;
       if (right < cFrom) { newCells.push(cell); continue; }
       if (left > cTo) { cell.c -= count; newCells.push(cell); continue; }
-      if (left >= cFrom && right <= cTo) { continue; } // целиком удалён
+      if (left >= cFrom && right <= cTo) { removed.push({ ...cell }); continue; } // целиком удалён
       const intersectsLeft = left < cFrom && right >= cFrom && right <= cTo; // отрезается правая часть
       const intersectsRight = left >= cFrom && left <= cTo && right > cTo; // отрезается левая часть
       const interiorSplit = left < cFrom && right > cTo; // середина блока
@@ -392,12 +545,14 @@ export class TableModel {
       if (intersectsLeft) {
         const keepCols = cFrom - left;
         if (keepCols <= 0) continue;
+        shrunk.push({ cell, before: { ...cell } });
         cell.colSpan = keepCols;
         newCells.push(cell);
         continue;
       }
       if (intersectsRight) {
         const keepCols = right - cTo;
+        shrunk.push({ cell, before: { ...cell } });
         cell.c = cFrom; // сдвиг к новой позиции после удаления
         cell.colSpan = keepCols;
         newCells.push(cell);
@@ -410,13 +565,278 @@ export class TableModel {
       this.grid.columnSizes.splice(start, count);
       if (!this.grid.columnSizes.length) this.grid.columnSizes = null;
     }
+    if (this.grid.aggregates) this.grid.aggregates.splice(start, count);
+    this.grid.headerCols = Math.min(this.grid.cols, headerAfterDelete(this.grid.headerCols || 0, start, count));
+    const formulas = this._rewriteFormulas(deleteLinesMapper('c', start, count));
     this._rebuildIndex();
-    this.bus?.emit('structure:change', { type: 'deleteColumns', start, count, cols: this.grid.cols });
+    this.bus?.emit('structure:change', {
+      type: 'deleteColumns', start, count, cols: this.grid.cols,
+      removed, shrunk: shrunk.map(({ cell, before }) => ({ r: cell.r, c: cell.c, before })), formulas,
+      gridBefore, gridAfter: this._gridSnapshot()
+    });
     return { ok: true };
   }
 
+  /**
+   * Переставить блок строк [from, from+count) перед строкой to (индекс в исходной нумерации, 0..rows).
+   * Объединения переезжают вместе со строками; перемещение, которое разрезало бы объединение, запрещено:
+   *  - объединение не может пересекать границу перемещаемого блока (часть уехала бы, часть осталась);
+   *  - блок нельзя вставить внутрь объединения (между его первой и последней строкой).
+   * Количество строк шапки (headerRows) не меняется: строка, перенесённая в начало таблицы, становится строкой шапки.
+   * Высоты строк (rowSizes) переезжают вместе со строками.
+   * Ссылки формул следуют за строками (см. permuteLinesMapper: диапазон, который перемещение разорвало, остаётся прежним
+   * по позиции); событие несёт прежние тексты изменённых формул (formulas) — откат возвращает их без обратного переписывания.
+   * @param {number} from Первая перемещаемая строка
+   * @param {number} [count=1] Количество строк
+   * @param {number} to Позиция вставки в исходной нумерации (to === from или from+count — блок остаётся на месте)
+   * @returns {{ok:boolean, reason?:string, start?:number}} start — новая позиция первой строки блока
+   */
+  moveRows(from, count = 1, to) {
+    const gridBefore = this._gridSnapshot();
+    const { formulas, ...res } = this._moveLines('r', 'rowSpan', this.grid.rows, from, count, to);
+    if (!res.ok || res.start === from) return res;
+    if (this.grid.rowSizes) {
+      const moved = this.grid.rowSizes.splice(from, count);
+      this.grid.rowSizes.splice(res.start, 0, ...moved);
+    }
+    this._rebuildIndex();
+    this.bus?.emit('structure:change', {
+      type: 'moveRows', from, count, to: res.start, rows: this.grid.rows, formulas, gridBefore, gridAfter: this._gridSnapshot()
+    });
+    return res;
+  }
+
+  /**
+   * Переставить блок столбцов [from, from+count) перед столбцом to. Правила те же, что у moveRows;
+   * ширины столбцов (columnSizes) и функции итогов (aggregates) переезжают вместе со столбцами, количество столбцов-заголовков (headerCols) не меняется.
+   * Событие, как и у moveRows, несёт прежние тексты изменённых формул (formulas).
+   * @param {number} from Первый перемещаемый столбец
+   * @param {number} [count=1] Количество столбцов
+   * @param {number} to Позиция вставки в исходной нумерации
+   * @returns {{ok:boolean, reason?:string, start?:number}} start — новая позиция первого столбца блока
+   */
+  moveColumns(from, count = 1, to) {
+    const gridBefore = this._gridSnapshot();
+    const { formulas, ...res } = this._moveLines('c', 'colSpan', this.grid.cols, from, count, to);
+    if (!res.ok || res.start === from) return res;
+    if (this.grid.columnSizes) {
+      const moved = this.grid.columnSizes.splice(from, count);
+      this.grid.columnSizes.splice(res.start, 0, ...moved);
+    }
+    if (this.grid.aggregates) {
+      const moved = this.grid.aggregates.splice(from, count);
+      this.grid.aggregates.splice(res.start, 0, ...moved);
+    }
+    this._rebuildIndex();
+    this.bus?.emit('structure:change', {
+      type: 'moveColumns', from, count, to: res.start, cols: this.grid.cols, formulas, gridBefore, gridAfter: this._gridSnapshot()
+    });
+    return res;
+  }
+
+  /**
+   * Переставить строки в произвольном порядке (например, после сортировки).
+   * order[i] — старый индекс строки, которая окажется на позиции i. Объединение должно остаться цельным:
+   * его строки обязаны попасть на соседние позиции в прежнем порядке, иначе перестановка отклоняется.
+   * Высоты строк (rowSizes) переставляются вместе со строками. Ссылки формул переписываются как у moveRows,
+   * событие несёт прежние тексты изменённых формул (formulas).
+   * @param {number[]} order Перестановка индексов 0..rows-1
+   * @returns {{ok:boolean, reason?:string, changed?:boolean}}
+   */
+  reorderRows(order) {
+    const rows = this.grid.rows;
+    if (!Array.isArray(order) || order.length !== rows) return { ok: false, reason: 'order-length-mismatch' };
+    const newIndex = new Array(rows).fill(-1);
+    order.forEach((oldR, i) => { if (oldR >= 0 && oldR < rows) newIndex[oldR] = i; });
+    if (newIndex.includes(-1)) return { ok: false, reason: 'not-a-permutation' };
+    for (const cell of this.cells) {
+      const rs = cell.rowSpan || 1;
+      for (let k = 1; k < rs; k++) {
+        if (newIndex[cell.r + k] !== newIndex[cell.r] + k) return { ok: false, reason: 'interior-merge-cut' };
+      }
+    }
+    if (order.every((oldR, i) => oldR === i)) return { ok: true, changed: false };
+    const gridBefore = this._gridSnapshot();
+    for (const cell of this.cells) cell.r = newIndex[cell.r];
+    const formulas = this._rewriteFormulas(permuteLinesMapper('r', newIndex));
+    if (this.grid.rowSizes) {
+      const sizes = this.grid.rowSizes;
+      this.grid.rowSizes = order.map(oldR => sizes[oldR] || { v: 1, u: 'ratio' });
+    }
+    this._rebuildIndex();
+    this.bus?.emit('structure:change', { type: 'reorderRows', rows, order: [...order], formulas, gridBefore, gridAfter: this._gridSnapshot() });
+    return { ok: true, changed: true };
+  }
+
+  /**
+   * Транспонировать всю таблицу или прямоугольный блок: строки становятся столбцами, rowSpan и colSpan меняются местами.
+   * Вся таблица:
+   *  - строки шапки становятся столбцами-заголовками и наоборот: headerRows и headerCols меняются местами;
+   *  - ширины столбцов и высоты строк нельзя перенести друг в друга (px ширины ≠ px высоты) — оба списка
+   *    сбрасываются к значениям по умолчанию; итоги по столбцам после поворота теряют смысл — режим итогов выключается.
+   * Блок (rect) h x w превращается в блок w x h с тем же левым верхним углом; таблица при необходимости расширяется.
+   * Объединения не должны пересекать границу блока, а клетки, которые блок займёт после поворота, должны быть пустыми.
+   * Событие блока несёт занятую область (target), освобождённые пустые ячейки (removed) и прежние тексты формул (formulas).
+   * @param {{r1:number, c1:number, r2:number, c2:number}} [rect] Блок; без него (или если он равен всей таблице) — вся таблица
+   * @returns {{ok:boolean, reason?:string, rect?:{r1:number, c1:number, r2:number, c2:number}}} rect — занятая после поворота область
+   */
+  transpose(rect) {
+    const { rows, cols } = this.grid;
+    const r1 = rect ? Math.min(rect.r1, rect.r2) : 0;
+    const c1 = rect ? Math.min(rect.c1, rect.c2) : 0;
+    const r2 = rect ? Math.max(rect.r1, rect.r2) : rows - 1;
+    const c2 = rect ? Math.max(rect.c1, rect.c2) : cols - 1;
+    if (r1 < 0 || c1 < 0 || r2 >= rows || c2 >= cols) return { ok: false, reason: 'range-out-of-range' };
+    const gridBefore = this._gridSnapshot();
+    const swap = (cell, r, c) => {
+      const rowSpan = cell.colSpan || 1;
+      cell.colSpan = cell.rowSpan || 1;
+      cell.rowSpan = rowSpan;
+      cell.r = r;
+      cell.c = c;
+    };
+
+    if (r1 === 0 && c1 === 0 && r2 === rows - 1 && c2 === cols - 1) {
+      for (const cell of this.cells) swap(cell, cell.c, cell.r);
+      this._rewriteFormulas(transposeMapper());
+      this.grid = {
+        rows: cols,
+        cols: rows,
+        headerRows: this.grid.headerCols || 0,
+        headerCols: this.grid.headerRows || 0,
+        columnSizes: null,
+        rowSizes: null,
+        aggregates: null
+      };
+      this._rebuildIndex();
+      this.bus?.emit('structure:change', {
+        type: 'transpose', rows: this.grid.rows, cols: this.grid.cols, gridBefore, gridAfter: this._gridSnapshot()
+      });
+      return { ok: true, rect: { r1: 0, c1: 0, r2: cols - 1, c2: rows - 1 } };
+    }
+
+    const target = { r1, c1, r2: r1 + (c2 - c1), c2: c1 + (r2 - r1) };
+    const inside = (cell, area) => cell.r >= area.r1 && cell.c >= area.c1
+      && cell.r + (cell.rowSpan || 1) - 1 <= area.r2 && cell.c + (cell.colSpan || 1) - 1 <= area.c2;
+    const overlaps = (cell, area) => !(cell.r + (cell.rowSpan || 1) - 1 < area.r1 || cell.r > area.r2
+      || cell.c + (cell.colSpan || 1) - 1 < area.c1 || cell.c > area.c2);
+    const source = { r1, c1, r2, c2 };
+    const moved = [];
+    const kept = [];
+    const removed = [];
+    for (const cell of this.cells) {
+      if (inside(cell, source)) { moved.push(cell); continue; }
+      if (overlaps(cell, source)) return { ok: false, reason: 'interior-merge-cut' };
+      if (!overlaps(cell, target)) { kept.push(cell); continue; }
+      if (!inside(cell, target)) return { ok: false, reason: 'interior-merge-cut' };
+      const empty = cell.value === '' && !cell.classes && !cell.data && (cell.rowSpan || 1) === 1 && (cell.colSpan || 1) === 1;
+      if (!empty) return { ok: false, reason: 'target-not-empty' };
+      // пустая ячейка без оформления — просто освобождаем место
+      removed.push({ ...cell });
+    }
+    for (const cell of moved) swap(cell, r1 + (cell.c - c1), c1 + (cell.r - r1));
+    this.cells = kept.concat(moved);
+    const formulas = this._rewriteFormulas(transposeMapper(source));
+    if (target.r2 >= rows) {
+      if (this.grid.rowSizes) {
+        for (let i = rows; i <= target.r2; i++) this.grid.rowSizes.push({ v: 1, u: 'ratio' });
+      }
+      this.grid.rows = target.r2 + 1;
+    }
+    if (target.c2 >= cols) {
+      if (this.grid.columnSizes) {
+        for (let i = cols; i <= target.c2; i++) this.grid.columnSizes.push({ v: 1, u: 'ratio' });
+      }
+      if (this.grid.aggregates) {
+        for (let i = cols; i <= target.c2; i++) this.grid.aggregates.push(DEFAULT_AGGREGATE);
+      }
+      this.grid.cols = target.c2 + 1;
+    }
+    this._rebuildIndex();
+    this.bus?.emit('structure:change', {
+      type: 'transpose', range: { ...source }, target: { ...target }, rows: this.grid.rows, cols: this.grid.cols,
+      removed, formulas, gridBefore, gridAfter: this._gridSnapshot()
+    });
+    return { ok: true, rect: target };
+  }
+
+  /**
+   * Общая часть moveRows / moveColumns: проверка и перенумерация ведущих ячеек по одной оси (вместе со ссылками формул).
+   * Ячейки меняются только при успешной проверке; индекс и событие — забота вызывающего метода.
+   * @param {'r'|'c'} axis Координата ячейки
+   * @param {'rowSpan'|'colSpan'} spanKey Размер объединения по этой оси
+   * @param {number} total Число строк / столбцов
+   * @param {number} from
+   * @param {number} count
+   * @param {number} to
+   * @returns {{ok:boolean, reason?:string, start?:number, formulas?:Array<{r:number, c:number, value:string}>}}
+   *   formulas — прежние тексты переписанных формул (координаты после перемещения)
+   * @private
+   */
+  _moveLines(axis, spanKey, total, from, count, to) {
+    count = Number(count) || 1;
+    if (count <= 0) return { ok: false, reason: 'count<=0' };
+    if (from < 0 || from + count > total) return { ok: false, reason: 'start-out-of-range' };
+    if (to < 0 || to > total) return { ok: false, reason: 'target-out-of-range' };
+    if (to >= from && to <= from + count) return { ok: true, start: from }; // блок остаётся на месте
+    // Граница b лежит между линиями b-1 и b; объединение режется, если накрывает обе
+    const boundaries = [from, from + count, to];
+    for (const cell of this.cells) {
+      const first = cell[axis];
+      const last = first + (cell[spanKey] || 1) - 1;
+      if (boundaries.some(b => first < b && b <= last)) return { ok: false, reason: 'interior-merge-cut' };
+    }
+    const start = to > from ? to - count : to;
+    const remap = (i) => {
+      if (i >= from && i < from + count) return start + (i - from);
+      if (to > from && i >= from + count && i < to) return i - count; // линии между блоком и целью сдвигаются назад
+      if (to < from && i >= to && i < from) return i + count;         // ... или вперёд
+      return i;
+    };
+    for (const cell of this.cells) cell[axis] = remap(cell[axis]);
+    const formulas = this._rewriteFormulas(permuteLinesMapper(axis, Array.from({ length: total }, (_v, i) => remap(i))));
+    return { ok: true, start, formulas };
+  }
+
+  /**
+   * Переписать ссылки во всех формулах после структурного изменения, чтобы они указывали на те же ячейки.
+   * Пересчёт результатов — забота FormulaService (он слушает structure:change).
+   * @param {(range:import('../utils/formula.js').FormulaRange) => import('../utils/formula.js').FormulaRange|null} mapRange
+   * @returns {Array<{r:number, c:number, value:string, newValue:string}>} Изменённые формулы: координаты ячейки,
+   *   прежний и новый текст
+   * @private
+   */
+  _rewriteFormulas(mapRange) {
+    const changed = [];
+    for (const cell of this.cells) {
+      if (!isFormula(cell.value)) continue;
+      const value = rewriteFormulaReferences(cell.value, mapRange);
+      if (value === cell.value) continue;
+      changed.push({ r: cell.r, c: cell.c, value: cell.value, newValue: value });
+      cell.value = value;
+    }
+    return changed;
+  }
+
+  /**
+   * Копия grid для payload'ов structure:change (gridBefore / gridAfter): откат структурной операции восстанавливает
+   * размеры, шапку и функции итогов из неё, не повторяя логику каждой операции.
+   * @returns {TableGrid}
+   * @private
+   */
+  _gridSnapshot() {
+    const { columnSizes, rowSizes, aggregates } = this.grid;
+    return {
+      ...this.grid,
+      columnSizes: columnSizes ? columnSizes.map(cloneColumnSize) : null,
+      rowSizes: rowSizes ? rowSizes.map(rs => ({ v: rs.v, u: rs.u })) : null,
+      aggregates: aggregates ? [...aggregates] : null
+    };
+  }
+
   /**
    * Применяет документ (snapshot) к текущей модели IN-PLACE, сохраняя ссылку (другие сервисы продолжают работать).
+   * Событие несёт прежний и новый документ (docBefore / docAfter) — замену целиком можно откатить только так.
    * @param {TableDocument} doc Документ из истории / импорта
    * @param {Object} [opts]
    * @param {boolean} [opts.emitEvent=true] Эмитить ли событие structure:change после применения
@@ -428,43 +848,42 @@ export class TableModel {
       console.error('[TableModel.applyDocument] Некорректный документ', doc);
       return false;
     }
+    const docBefore = emitEvent ? this.toJSON() : null;
     // Переносим базовые поля. Клонируем, чтобы избежать непреднамеренных мутаций исходного doc.
     this.version = doc.version || this.version || 1;
     this.meta = doc.meta ? { ...doc.meta } : {};
-    // Нормализация columnSizes только по новой схеме массива объектов {v,u}.
-    let normalizedColumnSizes = null;
-    if (Array.isArray(doc.grid.columnSizes)) {
-      normalizedColumnSizes = doc.grid.columnSizes
-        .filter(x => x && typeof x.v === 'number' && (x.u === 'px' || x.u === 'ratio'))
-        .map(x => ({ v: x.v, u: x.u }));
-      if (!normalizedColumnSizes.length) normalizedColumnSizes = null;
-    }
+    // Нормализация columnSizes / rowSizes только по новой схеме массива объектов {v,u}.
     this.grid = {
       rows: doc.grid.rows,
       cols: doc.grid.cols,
       headerRows: doc.grid.headerRows ? doc.grid.headerRows : 0,
-      columnSizes: normalizedColumnSizes
+      headerCols: doc.grid.headerCols ? doc.grid.headerCols : 0,
+      columnSizes: normalizeSizeList(doc.grid.columnSizes, validateColumnSize),
+      rowSizes: normalizeSizeList(doc.grid.rowSizes, validateRowSize),
+      aggregates: normalizeAggregates(doc.grid.aggregates)
     };
     this.cells = Array.isArray(doc.cells) ? doc.cells.map(c => ({ ...c })) : [];
     this._rebuildIndex();
     if (emitEvent) {
-      this.bus?.emit('structure:change', { type: 'applyDocument' });
+      this.bus?.emit('structure:change', { type: 'applyDocument', docBefore, docAfter: this.toJSON() });
     }
     return true;
   }
 
   /**
-   * Установить размеры всех столбцов (пока только сохранение в модель / JSON, без визуального применения).
-   * Формат columnSizes: массив длиной = числу столбцов, элементы { v:number, u:'px'|'ratio' }.
+   * Установить размеры всех столбцов. Редактор применяет их через colgroup (TableRenderer), экспорт — по правилам формата.
+   * Формат columnSizes: массив длиной = числу столбцов, элементы { v, u:'px'|'ratio'|'%'|'auto', min?, max? }
+   * (см. core/utils/columnSizes.js); некорректные элементы заменяются долей 1.
    * Если передано null/undefined — удаляем настройку (будут использоваться значения по умолчанию: ratio=1).
    * Никакой поддержки старого формата {mode, values} больше нет.
-   * @param {Array<{v:number,u:'px'|'ratio'}>|null} columnSizes
+   * @param {Array<import('../utils/columnSizes.js').ColumnSize>|null} columnSizes
    */
   setColumnSizes(columnSizes) {
     if (columnSizes == null) {
       if (!this.grid.columnSizes) return;
+      const gridBefore = this._gridSnapshot();
       this.grid.columnSizes = null;
-      this.bus?.emit('structure:change', { type: 'columnSizes', columnSizes: null });
+      this.bus?.emit('structure:change', { type: 'columnSizes', columnSizes: null, gridBefore, gridAfter: this._gridSnapshot() });
       return;
     }
     if (!Array.isArray(columnSizes)) {
@@ -475,46 +894,111 @@ export class TableModel {
       console.warn('[TableModel.setColumnSizes] Количество элементов не совпадает с числом столбцов');
       return;
     }
-    const norm = columnSizes.map(cs => {
-      if (!cs || typeof cs.v !== 'number' || (cs.u !== 'px' && cs.u !== 'ratio')) {
-        return { v: 1, u: 'ratio' };
-      }
-      return { v: cs.v, u: cs.u };
-    });
+    const norm = normalizeSizeList(columnSizes, validateColumnSize);
     const prevJson = JSON.stringify(this.grid.columnSizes || null);
     const nextJson = JSON.stringify(norm);
     if (prevJson === nextJson) return;
+    const gridBefore = this._gridSnapshot();
     this.grid.columnSizes = norm;
-    this.bus?.emit('structure:change', { type: 'columnSizes', columnSizes: this.grid.columnSizes });
+    this.bus?.emit('structure:change', { type: 'columnSizes', columnSizes: this.grid.columnSizes, gridBefore, gridAfter: this._gridSnapshot() });
   }
 
   /**
    * Установить размер одного столбца.
    * raw может быть:
-   *  - '120px' -> {v:120,u:'px'}
-   *  - '3'     -> {v:3,u:'ratio'}
-   *  - пусто / некорректно -> {v:1,u:'ratio'} (сброс к дефолту)
+   *  - '120px' -> {v:120,u:'px'}; '1.5' -> {v:1.5,u:'ratio'}; '25%' -> {v:25,u:'%'}; 'auto' -> {v:0,u:'auto'}
+   *  - 'minmax(80px, 2)' / 'clamp(80px, 25%, 300px)' -> доля / процент с ограничениями min / max
+   *  - пусто -> {v:1,u:'ratio'} (сброс к дефолту)
+   * Некорректный ввод не меняет модель: возвращается {ok:false, reason} с текстом для пользователя.
    * @param {number} index
    * @param {string} raw
+   * @returns {{ok:boolean, reason?:string, changed?:boolean}}
    */
   setColumnSize(index, raw) {
-    if (index < 0 || index >= this.grid.cols) return;
+    if (index < 0 || index >= this.grid.cols) return { ok: false, reason: 'index-out-of-range' };
+    const parsed = parseColumnSize(raw);
+    if (!parsed.ok) return { ok: false, reason: parsed.error };
+    // Без columnSizes все столбцы — по умолчанию; массив создаём только при реальном изменении, иначе он появился бы
+    // в модели без structure:change (мимо истории и автосохранения)
+    const current = this.grid.columnSizes ? this.grid.columnSizes[index] : { v: 1, u: 'ratio' };
+    if (sameSize(current, parsed.size)) return { ok: true, changed: false };
+    const gridBefore = this._gridSnapshot();
     if (!this.grid.columnSizes) {
       // Инициализируем массив значениями по умолчанию
       this.grid.columnSizes = Array.from({ length: this.grid.cols }, () => ({ v: 1, u: 'ratio' }));
     }
-    let parsed = { v: 1, u: 'ratio' };
-    if (typeof raw === 'string' && raw.trim()) {
-      const t = raw.trim();
-      if (/^\d+px$/.test(t)) {
-        parsed = { v: parseInt(t, 10), u: 'px' };
-      } else if (/^\d+$/.test(t)) {
-        parsed = { v: parseInt(t, 10), u: 'ratio' };
-      }
+    this.grid.columnSizes[index] = parsed.size;
+    this.bus?.emit('structure:change', {
+      type: 'columnSizes', columnSizes: this.grid.columnSizes, changedIndex: index, gridBefore, gridAfter: this._gridSnapshot()
+    });
+    return { ok: true, changed: true };
+  }
+
+  /**
+   * Установить высоту одной строки.
+   * raw разбирается как у setColumnSize: '32px' -> фиксированная высота {v:32,u:'px'},
+   * число / auto / пусто -> высота по содержимому ({v:N,u:'ratio'}). Проценты и min / max для строк не поддерживаются.
+   * @param {number} index
+   * @param {string} raw
+   * @returns {{ok:boolean, reason?:string, changed?:boolean}}
+   */
+  setRowSize(index, raw) {
+    if (index < 0 || index >= this.grid.rows) return { ok: false, reason: 'index-out-of-range' };
+    const parsed = parseColumnSize(raw);
+    if (!parsed.ok) return { ok: false, reason: `«${String(raw).trim()}»: неизвестный формат. Допустимо: 32px или auto` };
+    const size = parsed.size.u === 'auto' ? { v: 1, u: 'ratio' } : parsed.size;
+    const error = validateRowSize(size);
+    if (error) return { ok: false, reason: `«${String(raw).trim()}»: ${error}. Допустимо: 32px или auto` };
+    // Как в setColumnSize: массив создаём только при реальном изменении высоты
+    const current = this.grid.rowSizes ? this.grid.rowSizes[index] : { v: 1, u: 'ratio' };
+    if (sameSize(current, size)) return { ok: true, changed: false };
+    const gridBefore = this._gridSnapshot();
+    if (!this.grid.rowSizes) {
+      this.grid.rowSizes = Array.from({ length: this.grid.rows }, () => ({ v: 1, u: 'ratio' }));
     }
-    const prev = this.grid.columnSizes[index];
-    if (prev && prev.v === parsed.v && prev.u === parsed.u) return;
-    this.grid.columnSizes[index] = parsed;
-    this.bus?.emit('structure:change', { type: 'columnSizes', columnSizes: this.grid.columnSizes, changedIndex: index });
+    this.grid.rowSizes[index] = size;
+    this.bus?.emit('structure:change', {
+      type: 'rowSizes', rowSizes: this.grid.rowSizes, changedIndex: index, gridBefore, gridAfter: this._gridSnapshot()
+    });
+    return { ok: true, changed: true };
+  }
+
+  /**
+   * Включить или выключить режим автоматических итогов.
+   * Включение задаёт всем столбцам функцию по умолчанию (sum), кроме столбцов-заголовков (headerCols) — там подписи;
+   * выключение убирает grid.aggregates, вычисленные итоги и пометки ручного ввода снимает TotalsService.
+   * @param {boolean} enabled
+   * @returns {boolean} Изменилось ли состояние
+   */
+  setTotalsEnabled(enabled) {
+    if (!!enabled === !!this.grid.aggregates) return false;
+    const headerCols = this.grid.headerCols || 0;
+    const gridBefore = this._gridSnapshot();
+    this.grid.aggregates = enabled
+      ? Array.from({ length: this.grid.cols }, (_v, c) => (c < headerCols ? null : DEFAULT_AGGREGATE))
+      : null;
+    this.bus?.emit('structure:change', { type: 'aggregates', aggregates: this.grid.aggregates, gridBefore, gridAfter: this._gridSnapshot() });
+    return true;
+  }
+
+  /**
+   * Выбрать функцию итога для столбца: 'sum' | 'avg' | 'min' | 'max' | 'count' или null (столбец не считается).
+   * Работает только во включённом режиме итогов (setTotalsEnabled).
+   * @param {number} index
+   * @param {string|null} name
+   * @returns {{ok:boolean, reason?:string, changed?:boolean}}
+   */
+  setColumnAggregate(index, name) {
+    if (!this.grid.aggregates) return { ok: false, reason: 'totals-disabled' };
+    if (index < 0 || index >= this.grid.cols) return { ok: false, reason: 'index-out-of-range' };
+    const value = name || null;
+    if (value !== null && !isAggregate(value)) return { ok: false, reason: 'unknown-aggregate' };
+    if ((this.grid.aggregates[index] || null) === value) return { ok: true, changed: false };
+    const gridBefore = this._gridSnapshot();
+    this.grid.aggregates[index] = value;
+    this.bus?.emit('structure:change', {
+      type: 'aggregates', aggregates: this.grid.aggregates, changedIndex: index, gridBefore, gridAfter: this._gridSnapshot()
+    });
+    return { ok: true, changed: true };
   }
 }
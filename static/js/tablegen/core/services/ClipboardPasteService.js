@@ -1,40 +1,399 @@
 // ClipboardPasteService.js
 // Сервис обработки вставки из буфера обмена (HTML таблица или plain text) для изоляции логики от init.js.
+// Диапазон вставляется от якорной ячейки (левый верхний угол выделения): таблица расширяется при необходимости,
+// конфликт с существующими объединениями проверяет ValidationService.validatePasteArea, а все изменения
+// выполняются в одном bus.batch — HistoryDebounceRecorder по batch:flush записывает ровно один шаг истории.
+// Если буфер всё ещё содержит диапазон, скопированный в этой таблице, вставляется сохранённый фрагмент
+// (значения, классы, data-*, объединения без потерь на HTML). Фрагмент меньше выделенной области
+// размножается плиткой, как в табличных редакторах; объединения плиток проверяются validateMergeOperation.
+// Специальная вставка (Ctrl+Shift+V): только значения / только оформление, транспонирование, пропуск пустых ячеек.
 
 import { parseClipboardMatrix } from '../../integration/import/parseClipboardMatrix.js';
 import { parseClipboardHtmlTable } from '../../integration/import/parseClipboardHtmlTable.js';
-import { applyPaste, applyHtmlTablePaste } from './PasteService.js';
+import { applyPaste, applyHtmlTablePaste, applyPasteContent } from './PasteService.js';
+import { ValidationService } from './ValidationService.js';
+import { TableModel } from '../model/TableModel.js';
+import { buildCoverageMap } from '../utils/cellGrid.js';
 
 /**
  * Результат обработки вставки
- * @typedef {{ type:'html'|'text', rows:number, cols:number }} PasteResultMeta
+ * @typedef {{ ok:true, type:'html'|'text'|'range', r:number, c:number, rows:number, cols:number }
+ *   | { ok:false, type:'html'|'text'|'range', error:string }} PasteResultMeta
  */
 
 /**
- * Попытаться обработать событие paste: определить HTML ли это таблица или текст, применить к модели.
- * Возвращает метаданные о вставке или null если ничего не вставлено.
- * @param {ClipboardEvent} e
- * @param {import('../model/TableModel.js').TableModel} model
- * @returns {PasteResultMeta|null}
+ * Фрагмент таблицы для вставки: ведущие ячейки с координатами относительно левого верхнего угла
+ * @typedef {{rows:number, cols:number, cells:Array<{r:number,c:number,value:string,rowSpan:number,colSpan:number,classes?:string[],data?:Object}>}} PastePattern
+ */
+
+/**
+ * Содержимое буфера, приведённое к виду для вставки
+ * @typedef {{ type:'html'|'range', parsed:PastePattern } | { type:'text', matrix:string[][] }} ClipboardPayload
+ */
+
+/**
+ * Параметры специальной вставки
+ * @typedef {Object} PasteSpecialOptions
+ * @property {'all'|'values'|'formats'} [mode='all'] Всё (значения, оформление, объединения) / только значения / только классы и data-*
+ * @property {boolean} [transpose=false] Строки фрагмента становятся столбцами
+ * @property {boolean} [skipBlanks=false] Пустые ячейки фрагмента не затирают таблицу
+ */
+
+/**
+ * Внутренний буфер: диапазон, скопированный в этой таблице (см. setupClipboard)
+ * @typedef {{ text:string, doc:object }} InternalClipboard
  */
-export function handleClipboardPaste(e, model) {
-  // 1. Пробуем html
-  const html = e.clipboardData?.getData('text/html');
+
+/**
+ * Совпадает ли plain text буфера с текстом внутреннего копирования (переводы строк браузер может нормализовать).
+ * @param {string} a
+ * @param {string} b
+ * @returns {boolean}
+ */
+function sameClipboardText(a, b) {
+  return a.replace(/\r\n?/g, '\n') === b.replace(/\r\n?/g, '\n');
+}
+
+/**
+ * Прочитать содержимое буфера: HTML таблица (с объединениями и форматированием) приоритетнее plain text.
+ * Если text/plain совпадает с внутренним копированием — буфер не менялся после Ctrl+C в таблице,
+ * и вместо разбора HTML берётся сохранённый фрагмент.
+ * @param {DataTransfer|null|undefined} clipboardData
+ * @param {Object} [options]
+ * @param {Array<object>} [options.mappings] Правила importMappings (validator.getImportMappings())
+ * @param {boolean} [options.keepSourceAttributes=false] Перенести class и data-* ячеек (копия из TableGen)
+ * @param {InternalClipboard|null} [options.internal] Последнее копирование в этой таблице
+ * @returns {ClipboardPayload|null} null — в буфере нет ни таблицы, ни текста
+ */
+export function readClipboardPayload(clipboardData, options = {}) {
+  const text = clipboardData?.getData('text/plain');
+  const { internal } = options;
+  if (internal && text && sameClipboardText(text, internal.text)) {
+    const { grid, cells } = internal.doc;
+    return { type: 'range', parsed: { rows: grid.rows, cols: grid.cols, cells: cells.map(cell => ({ ...cell })) } };
+  }
+  const html = clipboardData?.getData('text/html');
   if (html && html.includes('<table')) {
-    const parsed = parseClipboardHtmlTable(html);
-    if (parsed.success) {
-      applyHtmlTablePaste(model, 0, 0, parsed);
-      return { type: 'html', rows: parsed.rows, cols: parsed.cols };
-    }
+    const parsed = parseClipboardHtmlTable(html, { mappings: options.mappings, keepSourceAttributes: options.keepSourceAttributes });
+    if (parsed.success && parsed.rows && parsed.cols) return { type: 'html', parsed };
   }
-  // 2. Падение назад в plain text
-  const text = e.clipboardData?.getData('text/plain');
   if (text) {
-    const matrix = parseClipboardMatrix(text);
-    const rows = matrix.length;
-    const cols = rows ? matrix[0].length : 0;
-    applyPaste(model, 0, 0, matrix);
-    return { type: 'text', rows, cols };
+    // Строки разной длины (текст не из табличного редактора) дополняем пустыми значениями до прямоугольника
+    const rows = parseClipboardMatrix(text);
+    const width = Math.max(0, ...rows.map(row => row.length));
+    const matrix = rows.map(row => Array.from({ length: width }, (_v, i) => row[i] || ''));
+    if (matrix.length && width) return { type: 'text', matrix };
   }
   return null;
 }
+
+/**
+ * Есть ли во фрагменте оформление (классы / data-*), которое можно вставить режимом 'formats'.
+ * @param {ClipboardPayload} payload
+ * @returns {boolean}
+ */
+export function payloadHasFormats(payload) {
+  return payload.type !== 'text' && payload.parsed.cells.some(cell => cell.classes || cell.data);
+}
+
+/**
+ * Транспонировать содержимое буфера: ячейка (r,c) переходит в (c,r), rowSpan и colSpan меняются местами.
+ * @param {ClipboardPayload} payload
+ * @returns {ClipboardPayload}
+ */
+export function transposePayload(payload) {
+  if (payload.type === 'text') {
+    const { matrix } = payload;
+    return { type: 'text', matrix: matrix[0].map((_v, c) => matrix.map(row => row[c])) };
+  }
+  const { rows, cols, cells } = payload.parsed;
+  return {
+    type: payload.type,
+    parsed: {
+      rows: cols,
+      cols: rows,
+      cells: cells.map(cell => ({ ...cell, r: cell.c, c: cell.r, rowSpan: cell.colSpan || 1, colSpan: cell.rowSpan || 1 }))
+    }
+  };
+}
+
+/**
+ * Матрица значений как фрагмент без объединений (для вставки только значений).
+ * @param {string[][]} matrix
+ * @returns {PastePattern}
+ */
+function matrixToPattern(matrix) {
+  const cells = [];
+  matrix.forEach((row, r) => row.forEach((value, c) => cells.push({ r, c, value, rowSpan: 1, colSpan: 1 })));
+  return { rows: matrix.length, cols: matrix.length ? matrix[0].length : 0, cells };
+}
+
+/**
+ * Оставить у вставляемой ячейки только классы и data-* значения, допустимые реестром.
+ * Значения data-* из HTML — строки, они приводятся к типу атрибута (parseAttributeText).
+ * @param {object} cell Ячейка разобранной HTML таблицы
+ * @param {import('./ValidationService.js').ValidationService} validator
+ * @returns {object}
+ */
+function sanitizePastedCell(cell, validator) {
+  if (!cell.classes && !cell.data) return cell;
+  const { classes, data, ...rest } = cell;
+  // Правила importMappings и классы источника могли дать классы одной exclusiveGroup — оставляем последний
+  const cleanClasses = classes ? validator.normalizeClassList(classes) : [];
+  const cleanData = {};
+  for (const [key, text] of Object.entries(data || {})) {
+    const res = typeof text === 'string' ? validator.parseAttributeText(key, text) : validator.validateAttribute(key, text);
+    if (res.ok) cleanData[key] = res.value;
+  }
+  return {
+    ...rest,
+    ...(cleanClasses.length ? { classes: cleanClasses } : {}),
+    ...(Object.keys(cleanData).length ? { data: cleanData } : {})
+  };
+}
+
+/**
+ * Сколько раз фрагмент повторяется по вертикали и горизонтали при вставке в выделенную область.
+ * Как в табличных редакторах: плитка только если область кратна фрагменту по обеим осям, иначе — одна копия.
+ * @param {number} rows Высота фрагмента
+ * @param {number} cols Ширина фрагмента
+ * @param {{r1:number, c1:number, r2:number, c2:number}} [fillRect] Выделенная область
+ * @returns {{tilesR:number, tilesC:number}}
+ */
+export function computePasteTiles(rows, cols, fillRect) {
+  if (!fillRect) return { tilesR: 1, tilesC: 1 };
+  const targetRows = fillRect.r2 - fillRect.r1 + 1;
+  const targetCols = fillRect.c2 - fillRect.c1 + 1;
+  if (targetRows % rows !== 0 || targetCols % cols !== 0) return { tilesR: 1, tilesC: 1 };
+  return { tilesR: targetRows / rows, tilesC: targetCols / cols };
+}
+
+/**
+ * Размножить фрагмент плиткой tilesR x tilesC.
+ * @param {PastePattern} pattern
+ * @param {number} tilesR
+ * @param {number} tilesC
+ * @returns {PastePattern}
+ */
+function tilePattern(pattern, tilesR, tilesC) {
+  if (tilesR === 1 && tilesC === 1) return pattern;
+  const cells = [];
+  for (let tr = 0; tr < tilesR; tr++) {
+    for (let tc = 0; tc < tilesC; tc++) {
+      for (const cell of pattern.cells) {
+        cells.push({ ...cell, r: cell.r + tr * pattern.rows, c: cell.c + tc * pattern.cols });
+      }
+    }
+  }
+  return { rows: pattern.rows * tilesR, cols: pattern.cols * tilesC, cells };
+}
+
+/**
+ * Размножить матрицу значений плиткой tilesR x tilesC.
+ * @param {string[][]} matrix
+ * @param {number} tilesR
+ * @param {number} tilesC
+ * @returns {string[][]}
+ */
+function tileMatrix(matrix, tilesR, tilesC) {
+  const result = [];
+  for (let tr = 0; tr < tilesR; tr++) {
+    for (const row of matrix) {
+      const line = [];
+      for (let tc = 0; tc < tilesC; tc++) line.push(...row);
+      result.push(line);
+    }
+  }
+  return result;
+}
+
+/**
+ * Проверить объединения фрагмента ДО записи в модель: на копии модели снимаются объединения области вставки
+ * (их заменит фрагмент), затем каждое объединение фрагмента проверяется validateMergeOperation и добавляется в копию —
+ * так ловятся и конфликты с соседними объединениями, и пересечения объединений разных плиток.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {number} r Якорная строка
+ * @param {number} c Якорный столбец
+ * @param {PastePattern} pattern Уже размноженный фрагмент
+ * @returns {{ok:boolean, error?:string}}
+ */
+function validatePatternMerges(model, r, c, pattern) {
+  const preview = new TableModel(model.toJSON(), null);
+  preview.ensureSize(r + pattern.rows, c + pattern.cols);
+  const inArea = (cell) => cell.r >= r && cell.r < r + pattern.rows && cell.c >= c && cell.c < c + pattern.cols;
+  preview.cells = preview.cells.filter(cell => !inArea(cell));
+  preview._rebuildIndex();
+  const check = new ValidationService(preview);
+  for (const cell of pattern.cells) {
+    const rowSpan = cell.rowSpan || 1;
+    const colSpan = cell.colSpan || 1;
+    if (rowSpan === 1 && colSpan === 1) continue;
+    const R = r + cell.r;
+    const C = c + cell.c;
+    const res = check.validateMergeOperation(R, C, R + rowSpan - 1, C + colSpan - 1);
+    if (!res.ok) return res;
+    preview.cells.push({ r: R, c: C, value: '', rowSpan, colSpan });
+  }
+  return { ok: true };
+}
+
+/**
+ * Записать одиночную ячейку во все видимые ячейки области (в ведущую ячейку объединения, покрытые пропускаются).
+ * Объединения области сохраняются. Записываются только переданные поля: для plain text меняется одно значение,
+ * для вставки «только оформление» — только classes / data.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {{r1:number, c1:number, r2:number, c2:number}} rect
+ * @param {{value?:string, classes?:string[]|null, data?:Object|null}} source undefined — поле не трогать
+ */
+function fillRangeCell(model, rect, source) {
+  const covered = buildCoverageMap(model.cells);
+  for (let rr = rect.r1; rr <= rect.r2; rr++) {
+    for (let cc = rect.c1; cc <= rect.c2; cc++) {
+      if (covered.has(rr + ',' + cc)) continue;
+      if (source.value !== undefined) model.setCellValue(rr, cc, source.value);
+      if (source.classes !== undefined) model.setCellClasses(rr, cc, source.classes);
+      if (source.data !== undefined) model.setCellData(rr, cc, source.data);
+    }
+  }
+}
+
+/**
+ * Одиночная ячейка фрагмента (1x1 без объединения) или null.
+ * @param {ClipboardPayload} payload
+ * @param {import('./ValidationService.js').ValidationService} [validator]
+ * @returns {{value:string, classes?:string[]|null, data?:Object|null}|null}
+ */
+function singleSourceCell(payload, validator) {
+  if (payload.type === 'text') {
+    return payload.matrix.length === 1 && payload.matrix[0].length === 1 ? { value: payload.matrix[0][0].trim() } : null;
+  }
+  const { rows, cols, cells } = payload.parsed;
+  if (rows !== 1 || cols !== 1) return null;
+  const cell = cells[0] || { value: '' };
+  const clean = validator ? sanitizePastedCell(cell, validator) : { value: cell.value };
+  if (payload.type === 'range') {
+    // Копия из этой же таблицы переносит оформление целиком, в том числе его отсутствие
+    return { value: clean.value.trim(), classes: clean.classes || null, data: clean.data || null };
+  }
+  // Внешний HTML только дополняет оформление (как applyHtmlTablePaste без replaceAttributes)
+  return { value: clean.value.trim(), ...(clean.classes ? { classes: clean.classes } : {}), ...(clean.data ? { data: clean.data } : {}) };
+}
+
+/**
+ * Оставить у одиночной ячейки только поля, которые переносит режим вставки.
+ * @param {{value:string, classes?:string[]|null, data?:Object|null}} single
+ * @param {'all'|'values'|'formats'} mode
+ * @returns {{value?:string, classes?:string[]|null, data?:Object|null}}
+ */
+function pickModeFields(single, mode) {
+  if (mode === 'values') return { value: single.value };
+  if (mode === 'formats') return { classes: single.classes || null, data: single.data || null };
+  return single;
+}
+
+/**
+ * Вставить содержимое буфера от якорной ячейки.
+ * Одиночная ячейка, вставленная в ведущую ячейку объединения, просто заменяет её значение (объединение сохраняется);
+ * при выделенном диапазоне (options.fillRect) она заполняет все видимые ячейки диапазона, не трогая объединения.
+ * Больший фрагмент, которому выделенная область кратна, размножается плиткой (computePasteTiles).
+ * Режимы 'values' и 'formats' не меняют структуру таблицы, поэтому объединения области им не мешают.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {{r:number, c:number}} anchor Левый верхний угол области вставки
+ * @param {ClipboardPayload} payload
+ * @param {Object} [options]
+ * @param {import('./ValidationService.js').ValidationService} [options.validator] Проверка конфликтов и фильтр классов / data-*
+ * @param {{r1:number, c1:number, r2:number, c2:number}} [options.fillRect] Выделенный диапазон
+ * @param {PasteSpecialOptions['mode']} [options.mode='all'] Режим специальной вставки
+ * @param {boolean} [options.transpose=false]
+ * @param {boolean} [options.skipBlanks=false]
+ * @returns {PasteResultMeta}
+ */
+export function pasteAtAnchor(model, anchor, payload, options = {}) {
+  const { validator, fillRect, mode = 'all', skipBlanks = false } = options;
+  const { type } = payload;
+  if (mode === 'formats' && !payloadHasFormats(payload)) {
+    return { ok: false, type, error: 'В буфере нет оформления (классов или data-*)' };
+  }
+  if (options.transpose) payload = transposePayload(payload);
+  const rows = type === 'text' ? payload.matrix.length : payload.parsed.rows;
+  const cols = type === 'text' ? payload.matrix[0].length : payload.parsed.cols;
+  const { r, c } = anchor;
+  const runBatch = (fn) => {
+    if (model.bus && typeof model.bus.batch === 'function') model.bus.batch(fn);
+    else fn();
+  };
+
+  const single = singleSourceCell(payload, validator);
+  if (single) {
+    const lead = model.getCell(r, c);
+    const fields = pickModeFields(single, mode);
+    if (skipBlanks && single.value === '') return { ok: true, type, r, c, rows: 1, cols: 1 };
+    if (fillRect) {
+      runBatch(() => fillRangeCell(model, fillRect, fields));
+      return { ok: true, type, r: fillRect.r1, c: fillRect.c1, rows: fillRect.r2 - fillRect.r1 + 1, cols: fillRect.c2 - fillRect.c1 + 1 };
+    }
+    if (lead && ((lead.rowSpan || 1) > 1 || (lead.colSpan || 1) > 1)) {
+      runBatch(() => fillRangeCell(model, { r1: r, c1: c, r2: r, c2: c }, fields));
+      return { ok: true, type, r, c, rows: lead.rowSpan, cols: lead.colSpan };
+    }
+  }
+
+  const { tilesR, tilesC } = computePasteTiles(rows, cols, fillRect);
+  const areaRows = rows * tilesR;
+  const areaCols = cols * tilesC;
+  // Только значения / только оформление не меняют структуру таблицы — объединения области им не мешают
+  if (mode === 'all' && validator) {
+    const check = validator.validatePasteArea(r, c, r + areaRows - 1, c + areaCols - 1);
+    if (!check.ok) return { ok: false, type, error: check.error };
+  }
+
+  if (type === 'text') {
+    const matrix = tileMatrix(payload.matrix, tilesR, tilesC);
+    if (mode === 'values') runBatch(() => applyPasteContent(model, r, c, matrixToPattern(matrix), { mode, skipBlanks }));
+    else runBatch(() => applyPaste(model, r, c, matrix, { skipBlanks }));
+    return { ok: true, type, r, c, rows: areaRows, cols: areaCols };
+  }
+
+  // Без реестра проверить классы и data-* нечем — переносим только значения и структуру
+  const cells = payload.parsed.cells.map(cell => {
+    if (validator) return sanitizePastedCell(cell, validator);
+    const { classes: _classes, data: _data, ...rest } = cell;
+    return rest;
+  });
+  const pattern = tilePattern({ ...payload.parsed, cells }, tilesR, tilesC);
+  if (mode !== 'all') {
+    runBatch(() => applyPasteContent(model, r, c, pattern, { mode, skipBlanks }));
+    return { ok: true, type, r, c, rows: areaRows, cols: areaCols };
+  }
+  if (validator) {
+    const mergeCheck = validatePatternMerges(model, r, c, pattern);
+    if (!mergeCheck.ok) return { ok: false, type, error: mergeCheck.error };
+  }
+  // Фрагмент из этой же таблицы переносит оформление целиком (в том числе «нет классов»)
+  runBatch(() => applyHtmlTablePaste(model, r, c, pattern, { replaceAttributes: type === 'range', skipBlanks }));
+  return { ok: true, type, r, c, rows: areaRows, cols: areaCols };
+}
+
+/**
+ * Попытаться обработать событие paste: определить HTML ли это таблица или текст, применить к модели.
+ * Возвращает метаданные о вставке или null если ничего не вставлено.
+ * @param {ClipboardEvent} e
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {Object} [options]
+ * @param {{r:number, c:number}} [options.anchor={r:0,c:0}] Якорная ячейка вставки
+ * @param {import('./ValidationService.js').ValidationService} [options.validator] Проверка конфликтов merge
+ * @param {Array<object>} [options.mappings] Правила importMappings (validator.getImportMappings()) для HTML таблиц
+ * @param {{r1:number, c1:number, r2:number, c2:number}} [options.fillRect] Выделенный диапазон (плитка / заполнение)
+ * @param {InternalClipboard|null} [options.internal] Последнее копирование в этой таблице
+ * @returns {PasteResultMeta|null}
+ */
+export function handleClipboardPaste(e, model, options = {}) {
+  // class и data-* источника (копия из TableGen) имеет смысл переносить только при проверке реестром
+  const payload = readClipboardPayload(e.clipboardData, {
+    mappings: options.mappings,
+    keepSourceAttributes: !!options.validator,
+    internal: options.internal
+  });
+  if (!payload) return null;
+  return pasteAtAnchor(model, options.anchor || { r: 0, c: 0 }, payload, { validator: options.validator, fillRect: options.fillRect });
+}
@@ -0,0 +1,109 @@
+// CopyService.js
+// Копирование диапазона таблицы в системный буфер обмена: text/html (с rowspan/colspan, class и data-*)
+// и text/plain (TSV — его понимают Excel, Google Sheets и текстовые редакторы).
+// Объединение не может попасть в буфер «наполовину», поэтому диапазон сначала расширяется до границ
+// всех задетых merge-областей (как это делают табличные редакторы).
+
+import { TableModel } from '../model/TableModel.js';
+import { toHtml } from '../../integration/export/toHtml.js';
+import { toCsv } from '../../integration/export/toCsv.js';
+
+/**
+ * Расширить прямоугольник так, чтобы ни одно объединение не пересекало его границу частично.
+ * Расширение повторяется, пока прямоугольник меняется: новая граница может задеть следующий merge.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {{r1:number, c1:number, r2:number, c2:number}} rect
+ * @returns {{r1:number, c1:number, r2:number, c2:number}}
+ */
+export function expandRangeToMerges(model, rect) {
+  let { r1, c1, r2, c2 } = rect;
+  let changed = true;
+  while (changed) {
+    changed = false;
+    for (const cell of model.cells) {
+      const cellR2 = cell.r + (cell.rowSpan || 1) - 1;
+      const cellC2 = cell.c + (cell.colSpan || 1) - 1;
+      if (cellR2 === cell.r && cellC2 === cell.c) continue;
+      if (r2 < cell.r || r1 > cellR2 || c2 < cell.c || c1 > cellC2) continue;
+      if (cell.r < r1) { r1 = cell.r; changed = true; }
+      if (cell.c < c1) { c1 = cell.c; changed = true; }
+      if (cellR2 > r2) { r2 = cellR2; changed = true; }
+      if (cellC2 > c2) { c2 = cellC2; changed = true; }
+    }
+  }
+  return { r1, c1, r2, c2 };
+}
+
+/**
+ * Вырезать диапазон в отдельный TableDocument (координаты ячеек сдвигаются к началу).
+ * Строки шапки и столбцы-заголовки, попавшие в диапазон, остаются заголовками; ширины столбцов и высоты строк переносятся.
+ * Диапазон должен быть уже выровнен по объединениям (expandRangeToMerges).
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {{r1:number, c1:number, r2:number, c2:number}} rect
+ * @returns {object} TableDocument
+ */
+export function extractRangeDocument(model, rect) {
+  const { r1, c1, r2, c2 } = rect;
+  const headerRows = Math.max(0, Math.min(model.grid.headerRows || 0, r2 + 1) - r1);
+  const headerCols = Math.max(0, Math.min(model.grid.headerCols || 0, c2 + 1) - c1);
+  const columnSizes = model.grid.columnSizes ? model.grid.columnSizes.slice(c1, c2 + 1).map(cs => ({ ...cs })) : null;
+  const rowSizes = model.grid.rowSizes ? model.grid.rowSizes.slice(r1, r2 + 1).map(rs => ({ ...rs })) : null;
+  const cells = model.cells
+    .filter(cell => cell.r >= r1 && cell.r <= r2 && cell.c >= c1 && cell.c <= c2)
+    .map(cell => ({
+      ...cell,
+      r: cell.r - r1,
+      c: cell.c - c1,
+      ...(cell.classes ? { classes: [...cell.classes] } : {}),
+      ...(cell.data ? { data: { ...cell.data } } : {})
+    }));
+  return {
+    version: model.version || 1,
+    meta: { ...model.meta },
+    grid: {
+      rows: r2 - r1 + 1,
+      cols: c2 - c1 + 1,
+      headerRows,
+      headerCols,
+      ...(columnSizes ? { columnSizes } : {}),
+      ...(rowSizes ? { rowSizes } : {})
+    },
+    cells
+  };
+}
+
+/**
+ * Подготовить содержимое буфера обмена для диапазона.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {{r1:number, c1:number, r2:number, c2:number}} rect Выделенный диапазон
+ * @returns {{rect:{r1:number, c1:number, r2:number, c2:number}, doc:object, html:string, text:string}}
+ *   rect — диапазон после выравнивания по merge, doc — фрагмент для внутренней вставки без потерь
+ */
+export function buildRangeClipboardData(model, rect) {
+  const aligned = expandRangeToMerges(model, rect);
+  const doc = extractRangeDocument(model, aligned);
+  const part = new TableModel(doc, null);
+  return {
+    rect: aligned,
+    doc,
+    html: toHtml(part, { pretty: false }),
+    // TSV: значение объединения только в ведущей ячейке, переводы строк внутри ячейки — в кавычках (как у Excel)
+    text: toCsv(part, { delimiter: '\t', lineBreak: '\r\n', mergePolicy: 'lead' })
+  };
+}
+
+/**
+ * Очистить значения диапазона после вырезания (Ctrl+X). Структура (объединения), классы и data-* остаются —
+ * так же работает очистка клавишей Delete.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {{r1:number, c1:number, r2:number, c2:number}} rect
+ * @returns {number} Количество очищенных ячеек
+ */
+export function clearRangeValues(model, rect) {
+  const targets = model.cells.filter(cell =>
+    cell.r >= rect.r1 && cell.r <= rect.r2 && cell.c >= rect.c1 && cell.c <= rect.c2 && cell.value !== '');
+  const run = () => { for (const cell of targets) model.setCellValue(cell.r, cell.c, ''); };
+  if (model.bus && typeof model.bus.batch === 'function') model.bus.batch(run);
+  else run();
+  return targets.length;
+}
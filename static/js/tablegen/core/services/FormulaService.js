@@ -0,0 +1,172 @@
+// FormulaService.js
+// Пересчёт формул таблицы. Для каждой ячейки-формулы хранится разобранное дерево и список ссылок (прямоугольников) —
+// это граф зависимостей: ячейка зависит от всех ячеек, попавших в её ссылки.
+// Изменение значения ячейки (cell:change) пересчитывает только её саму (если это формула) и формулы, которые
+// зависят от неё прямо или через другие формулы. Структурные изменения (вставка / удаление / перемещение строк и
+// столбцов, объединение, отмена) меняют координаты, поэтому после них граф строится заново и пересчитывается всё;
+// ссылки в тексте формул к этому моменту уже переписаны моделью (TableModel._rewriteFormulas).
+// Результат записывается в cell.cached (строка для отображения и экспорта) без событий: пересчёт — следствие
+// изменения, которое уже попало в историю и запросило перерисовку.
+
+import {
+  parseFormula,
+  evaluateFormula,
+  formulaReferences,
+  formatFormulaResult,
+  literalValue,
+  isFormula,
+  displayValue,
+  FORMULA_ERRORS
+} from '../utils/formula.js';
+
+/** Типы structure:change, которые не меняют координаты и значения ячеек — пересчёт не нужен */
+const LAYOUT_CHANGES = new Set(['meta', 'headerRows', 'headerCols', 'columnSizes', 'rowSizes', 'aggregates']);
+
+/**
+ * Узел графа: формула ячейки (r, c).
+ * @typedef {Object} FormulaEntry
+ * @property {number} r
+ * @property {number} c
+ * @property {object|null} ast Дерево формулы (null — синтаксическая ошибка)
+ * @property {Array<{r1:number, c1:number, r2:number, c2:number}>} ranges Ссылки формулы
+ * @property {import('../utils/formula.js').FormulaValue} result Последний результат вычисления
+ */
+
+export class FormulaService {
+  /**
+   * @param {import('../model/TableModel.js').TableModel} model
+   * @param {import('../events/EventBus.js').EventBus} bus
+   */
+  constructor(model, bus) {
+    this.model = model;
+    this.bus = bus;
+    /** @type {Map<string, FormulaEntry>} ключ "r,c" */
+    this._formulas = new Map();
+    this._onCellChange = (payload) => {
+      if (!payload || payload.field !== 'value') return;
+      this.recalculateFrom(payload.r, payload.c);
+    };
+    this._onStructureChange = (payload) => {
+      if (payload && LAYOUT_CHANGES.has(payload.type)) return;
+      this.recalculateAll();
+    };
+    this._onMergeChange = () => this.recalculateAll();
+    bus.on('cell:change', this._onCellChange);
+    bus.on('structure:change', this._onStructureChange);
+    bus.on('merge', this._onMergeChange);
+    bus.on('split', this._onMergeChange);
+    this.recalculateAll();
+  }
+
+  /**
+   * Построить граф заново по всем ячейкам модели и пересчитать все формулы.
+   */
+  recalculateAll() {
+    this._formulas = new Map();
+    for (const cell of this.model.cells) {
+      if (isFormula(cell.value)) this._formulas.set(cell.r + ',' + cell.c, createEntry(cell));
+    }
+    this._evaluate(new Set(this._formulas.keys()));
+  }
+
+  /**
+   * Пересчитать после изменения значения ячейки (r, c): обновить её узел графа и пересчитать её
+   * и все формулы, зависящие от неё.
+   * @param {number} r
+   * @param {number} c
+   */
+  recalculateFrom(r, c) {
+    const key = r + ',' + c;
+    const cell = this.model.getCell(r, c);
+    if (cell && isFormula(cell.value)) this._formulas.set(key, createEntry(cell));
+    else this._formulas.delete(key);
+    const dirty = this._dependentsOf(r, c);
+    if (this._formulas.has(key)) dirty.add(key);
+    if (dirty.size) this._evaluate(dirty);
+  }
+
+  /**
+   * Формулы, которые зависят от ячейки (r, c) прямо или через другие формулы (обход графа в ширину).
+   * @param {number} r
+   * @param {number} c
+   * @returns {Set<string>}
+   */
+  _dependentsOf(r, c) {
+    const found = new Set();
+    const queue = [[r, c]];
+    while (queue.length) {
+      const [qr, qc] = queue.shift();
+      for (const [key, entry] of this._formulas) {
+        if (found.has(key)) continue;
+        if (entry.ranges.some(rg => qr >= rg.r1 && qr <= rg.r2 && qc >= rg.c1 && qc <= rg.c2)) {
+          found.add(key);
+          queue.push([entry.r, entry.c]);
+        }
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Вычислить формулы из dirty. Формула, на которую ссылается пересчитываемая, вычисляется первой (рекурсивно),
+   * поэтому порядок обхода совпадает с топологическим. Повторный вход в формулу, которая ещё вычисляется, —
+   * цикл: такая ссылка даёт #CYCLE!, и ошибка расходится по всем формулам цикла и зависящим от них.
+   * @param {Set<string>} dirty Ключи формул для пересчёта (множество расходуется)
+   */
+  _evaluate(dirty) {
+    const { model } = this;
+    const visiting = new Set();
+    const compute = (key) => {
+      const entry = this._formulas.get(key);
+      if (!dirty.has(key)) return entry.result;
+      if (visiting.has(key)) return { error: FORMULA_ERRORS.CYCLE };
+      visiting.add(key);
+      const result = entry.ast ? evaluateFormula(entry.ast, ctx) : { error: FORMULA_ERRORS.SYNTAX };
+      visiting.delete(key);
+      dirty.delete(key);
+      entry.result = result;
+      const cell = model.getCell(entry.r, entry.c);
+      if (cell) cell.cached = formatFormulaResult(result);
+      return result;
+    };
+    const ctx = {
+      rows: model.grid.rows,
+      cols: model.grid.cols,
+      value: (r, c) => {
+        const key = r + ',' + c;
+        if (this._formulas.has(key)) return compute(key);
+        const cell = model.getCell(r, c);
+        return cell ? literalValue(displayValue(cell)) : null; // автоматический итог — по его результату
+      }
+    };
+    for (const key of [...dirty]) {
+      if (dirty.has(key)) compute(key);
+    }
+  }
+
+  /**
+   * Отписаться от событий модели.
+   */
+  destroy() {
+    this.bus.off('cell:change', this._onCellChange);
+    this.bus.off('structure:change', this._onStructureChange);
+    this.bus.off('merge', this._onMergeChange);
+    this.bus.off('split', this._onMergeChange);
+  }
+}
+
+/**
+ * Узел графа для ячейки с формулой.
+ * @param {import('../model/TableModel.js').TableCell} cell
+ * @returns {FormulaEntry}
+ */
+function createEntry(cell) {
+  const parsed = parseFormula(cell.value);
+  return {
+    r: cell.r,
+    c: cell.c,
+    ast: parsed.ok ? parsed.ast : null,
+    ranges: parsed.ok ? formulaReferences(parsed.ast) : [],
+    result: null
+  };
+}
@@ -1,92 +1,1282 @@
 // HistoryService.js
-// Сервис истории (Undo/Redo). Хранит последовательность снимков документа (TableDocument) в массиве.
-// Каждый снимок — результат model.toJSON(); сохраняется сериализованный документ, а не объект модели.
+// Сервис истории (Undo/Redo) на обратимых патчах вместо снимков документа.
+// История слушает события модели (cell:change, structure:change, merge, split, paste) и складывает патчи из их payload'ов
+// в текущую группу; record() закрывает группу — это один шаг Undo. undo() / redo() применяют патчи шага к модели на месте
+// (в обратном / прямом порядке), без applyDocument. Виды патчей:
+//  - cell — значение, классы или data-* одной ячейки; ячейка, созданная изменением (created), при откате удаляется;
+//  - structure — структурная операция модели. Повтор выполняет операцию заново, откат — обратную операцию; размеры,
+//    шапка и функции итогов восстанавливаются из gridBefore, а то, что операция теряет (удалённые ячейки, урезанные
+//    объединения, тексты формул с #REF!), приходит в payload события (см. TableModel);
+//  - spans — объединения (merge / split / вставка): прежние размеры ведущих ячеек и поглощённые ячейки;
+//  - document — замена документа целиком (импорт, applyDocument) — единственный патч, который хранит документы.
+// Событие, которое нельзя откатить (structure:change неизвестного типа или без данных для отката), очищает историю:
+// шаги до него больше не соответствуют модели.
+//
+// Шаги образуют дерево: корень — состояние до первого сохранённого шага, у каждого шага — родитель, к которому ведёт undo.
+// Новый шаг после отката не стирает откатанные шаги, а начинает рядом с ними новую ветку — к любой ветке можно вернуться
+// через goTo(id). redo идёт по последней посещённой ветке (activeChild). Дерево сериализуется (toJSON / load) вместе
+// с документом, чтобы продолжить сессию со всеми вариантами.
+// Память ограничена числом шагов (limit) и суммарным весом патчей (maxWeight — длина их JSON): отбрасываются самые
+// старые шаги — листья заброшенных веток или начало истории (корень сдвигается к текущему шагу).
+// Производные поля (cached, override) не откатываются: после шага эмитится structure:change { type: 'undo' | 'redo' },
+// по которому FormulaService / TotalsService пересчитывают их, а рендерер перерисовывает таблицу.
+//
+// Каждый шаг хранит подпись главного действия группы («Объединение B2:D3», «Добавление 2 строк», «Вставка 40 ячеек»)
+// и время записи — их показывает панель истории (setupHistoryPanel). Любое изменение состояния истории
+// (новый шаг, откат, повтор, очистка, начало незаписанной группы) эмитит history:change { index, length, canUndo, canRedo },
+// по которому UI включает и выключает кнопки Undo / Redo.
+//
+// Шаг хранит и состояние вида (выделение, диапазон, прокрутку) до и после изменения — как в электронных таблицах,
+// откат возвращает выделение, бывшее до шага, повтор — после него, и пользователь видит, что изменилось.
+// Сервис не знает про DOM: снимать и восстанавливать состояние вида умеет UI (setViewState). Состояние «до» берётся
+// в начале группы, а для batch — по batch:start: события batch приходят уже после того, как операция сдвинула выделение.
+
+import { isFormula, rewriteFormulaReferences, deleteLinesMapper } from '../utils/formula.js';
+import { cellRef, columnLabel } from '../utils/cellGrid.js';
+import { validateColumnSize } from '../utils/columnSizes.js';
+import { isAggregate } from '../utils/aggregates.js';
+import { ValidationService } from './ValidationService.js';
+
+/**
+ * @typedef {Object} HistoryStep Узел дерева истории
+ * @property {number} id
+ * @property {number|null} parent id родителя (null у корня)
+ * @property {number[]} children id дочерних шагов в порядке создания (ветки)
+ * @property {number|null} activeChild Ветка, по которой идёт redo (последняя посещённая)
+ * @property {object[]} patches Патчи в порядке применения (у корня пусто)
+ * @property {number} weight Оценка занимаемой памяти (длина JSON патчей)
+ * @property {string} label Подпись действия для панели истории
+ * @property {number} time Время записи шага (Date.now())
+ * @property {object|null} viewBefore Состояние вида до шага (восстанавливается при откате)
+ * @property {object|null} viewAfter Состояние вида после шага (восстанавливается при повторе)
+ */
+
+/**
+ * @typedef {Object} HistoryViewState Снятие и восстановление состояния вида (выделение, прокрутка) для шагов истории
+ * @property {() => object} capture
+ * @property {(state:object) => void} restore Вызывается после применения шага к модели
+ */
+
+/**
+ * @typedef {Object} HistoryState Payload события history:change
+ * @property {number} index Количество применённых шагов (глубина текущего шага в дереве)
+ * @property {number} length Количество шагов в текущей ветке
+ * @property {boolean} canUndo
+ * @property {boolean} canRedo
+ */
+
+/** Версия формата сериализованного дерева истории */
+const HISTORY_FORMAT_VERSION = 1;
+
+/** Типы structure:change, которые меняют только grid: откат и повтор — замена grid копией из payload */
+const GRID_CHANGES = new Set(['resize', 'headerRows', 'headerCols', 'columnSizes', 'rowSizes', 'aggregates']);
+
+/** Типы structure:change, которые заменяют документ целиком */
+const DOCUMENT_CHANGES = new Set(['applyDocument', 'import']);
+
+/**
+ * Откат и повтор структурных операций, которые меняют ячейки.
+ * @type {Object.<string, {undo:(model:object, p:object)=>void, redo:(model:object, p:object)=>void}>}
+ */
+const STRUCTURE_PATCHES = {
+  insertRows: {
+    undo: (model, p) => removeLines(model, 'r', 'rowSpan', p),
+    redo: (model, p) => model.insertRows(p.index, p.count)
+  },
+  insertColumns: {
+    undo: (model, p) => removeLines(model, 'c', 'colSpan', p),
+    redo: (model, p) => model.insertColumns(p.index, p.count)
+  },
+  deleteRows: {
+    undo: (model, p) => restoreLines(model, 'r', p),
+    redo: (model, p) => model.deleteRows(p.start, p.count)
+  },
+  deleteColumns: {
+    undo: (model, p) => restoreLines(model, 'c', p),
+    redo: (model, p) => model.deleteColumns(p.start, p.count)
+  },
+  // to в payload — новая позиция блока; исходную цель (в нумерации до перемещения) восстанавливаем по ней.
+  // Тексты формул не переписываются обратной перестановкой (это неточно), а берутся из payload — см. permuteLines
+  moveRows: {
+    undo: (model, p) => permuteLines(model, p, true, () => model.moveRows(p.to, p.count, p.from > p.to ? p.from + p.count : p.from)),
+    redo: (model, p) => permuteLines(model, p, false, () => model.moveRows(p.from, p.count, p.to > p.from ? p.to + p.count : p.to))
+  },
+  moveColumns: {
+    undo: (model, p) => permuteLines(model, p, true, () => model.moveColumns(p.to, p.count, p.from > p.to ? p.from + p.count : p.from)),
+    redo: (model, p) => permuteLines(model, p, false, () => model.moveColumns(p.from, p.count, p.to > p.from ? p.to + p.count : p.to))
+  },
+  reorderRows: {
+    undo: (model, p) => {
+      // order[i] — прежний индекс строки, оказавшейся на позиции i; обратная перестановка возвращает её на order[i]
+      const inverse = [];
+      p.order.forEach((oldR, i) => { inverse[oldR] = i; });
+      return permuteLines(model, p, true, () => model.reorderRows(inverse));
+    },
+    redo: (model, p) => permuteLines(model, p, false, () => model.reorderRows(p.order))
+  },
+  transpose: {
+    undo: (model, p) => {
+      if (!p.range) {
+        // Повторный поворот всей таблицы возвращает ячейки и ссылки формул; размеры и итоги — из gridBefore
+        model.transpose();
+        restoreGrid(model, p.gridBefore);
+        return;
+      }
+      transposeBack(model, p);
+    },
+    redo: (model, p) => model.transpose(p.range)
+  }
+};
+
+/**
+ * Число с существительным в родительном падеже (после названия действия): 'Удаление 1 строки', 'Удаление 3 строк',
+ * 'Удаление 21 строки'.
+ * @param {number} n
+ * @param {string} one Родительный падеж единственного числа ('строки')
+ * @param {string} many Родительный падеж множественного числа ('строк')
+ * @returns {string}
+ */
+function plural(n, one, many) {
+  return `${n} ${n % 10 === 1 && n % 100 !== 11 ? one : many}`;
+}
+
+/**
+ * Ссылка на прямоугольник в нотации A1 ('B2:D3'; одна ячейка — 'B2').
+ * @param {{r1:number, c1:number, r2:number, c2:number}} rect
+ * @returns {string}
+ */
+function rangeRef({ r1, c1, r2, c2 }) {
+  const start = cellRef(r1, c1);
+  return r1 === r2 && c1 === c2 ? start : start + ':' + cellRef(r2, c2);
+}
+
+/**
+ * Подпись структурного патча.
+ * @param {object} p Патч kind 'structure' (поля payload structure:change)
+ * @returns {string}
+ */
+function describeStructure(p) {
+  switch (p.type) {
+    case 'insertRows': return `Добавление ${plural(p.count, 'строки', 'строк')}`;
+    case 'insertColumns': return `Добавление ${plural(p.count, 'столбца', 'столбцов')}`;
+    case 'deleteRows': return `Удаление ${plural(p.count, 'строки', 'строк')}`;
+    case 'deleteColumns': return `Удаление ${plural(p.count, 'столбца', 'столбцов')}`;
+    case 'moveRows': return `Перемещение ${plural(p.count, 'строки', 'строк')}`;
+    case 'moveColumns': return `Перемещение ${plural(p.count, 'столбца', 'столбцов')}`;
+    case 'reorderRows': return 'Сортировка строк';
+    case 'transpose': return p.range ? `Транспонирование ${rangeRef(p.range)}` : 'Транспонирование таблицы';
+    case 'resize': return `Размер таблицы ${p.rows}×${p.cols}`;
+    case 'headerRows': return `Строк заголовка: ${p.headerRows}`;
+    case 'headerCols': return `Столбцов заголовка: ${p.headerCols}`;
+    case 'columnSizes': return p.changedIndex !== undefined ? `Ширина столбца ${columnLabel(p.changedIndex)}` : 'Ширина столбцов';
+    case 'rowSizes': return `Высота строки ${p.changedIndex + 1}`;
+    case 'aggregates':
+      if (p.changedIndex !== undefined) return `Итог столбца ${columnLabel(p.changedIndex)}`;
+      return p.gridAfter.aggregates ? 'Включение итогов' : 'Отключение итогов';
+    default: return p.type;
+  }
+}
+
+/**
+ * Подпись правки ячеек: значения ('Изменение B2', 'Очистка 6 ячеек') или оформление ('Оформление 3 ячеек').
+ * @param {object[]} patches Патчи kind 'cell'
+ * @returns {string}
+ */
+function describeCells(patches) {
+  if (!patches.length) return 'Изменение';
+  const keys = new Set(patches.map(p => p.r + ',' + p.c));
+  const values = patches.every(p => p.field === 'value');
+  const action = !values ? 'Оформление' : patches.every(p => p.newValue === '') ? 'Очистка' : 'Изменение';
+  return action + ' ' + (keys.size === 1 ? cellRef(patches[0].r, patches[0].c) : plural(keys.size, 'ячейки', 'ячеек'));
+}
+
+/**
+ * Подпись шага по его патчам: главное действие группы — вставка, замена документа, структурная операция
+ * (первая в группе: расширение таблицы перед вставкой подписью не становится, вставка важнее), объединение,
+ * переименование; иначе — правка ячеек.
+ * @param {object[]} patches
+ * @returns {string}
+ */
+function describeStep(patches) {
+  const paste = patches.find(p => p.kind === 'spans' && p.source === 'paste');
+  if (paste) return `Вставка ${plural(paste.cells, 'ячейки', 'ячеек')}`;
+  const document = patches.find(p => p.kind === 'document');
+  if (document) return document.type === 'import' ? 'Импорт документа' : 'Загрузка документа';
+  const structure = patches.find(p => p.kind === 'structure');
+  if (structure) return describeStructure(structure);
+  const merges = patches.filter(p => p.kind === 'spans' && p.source === 'merge');
+  if (merges.length) return merges.length === 1 ? `Объединение ${rangeRef(merges[0].range)}` : `Объединение ${plural(merges.length, 'диапазона', 'диапазонов')}`;
+  const splits = patches.filter(p => p.kind === 'spans' && p.source === 'split');
+  if (splits.length) return splits.length === 1 ? `Разделение ${rangeRef(splits[0].range)}` : `Разделение ${plural(splits.length, 'ячейки', 'ячеек')}`;
+  const meta = patches.find(p => p.kind === 'meta');
+  if (meta) return `Переименование таблицы в «${meta.newValue}»`;
+  return describeCells(patches.filter(p => p.kind === 'cell'));
+}
+
+/**
+ * Ячейка пустая и без оформления — её отсутствие ничем не отличается от неё самой.
+ * @param {import('../model/TableModel.js').TableCell} cell
+ * @returns {boolean}
+ */
+function isBlankCell(cell) {
+  return cell.value === '' && !cell.classes && !cell.data && (cell.rowSpan || 1) === 1 && (cell.colSpan || 1) === 1;
+}
+
+/**
+ * Заменить grid модели копией из payload.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {import('../model/TableModel.js').TableGrid} grid
+ */
+function restoreGrid(model, grid) {
+  model.grid = {
+    ...grid,
+    columnSizes: grid.columnSizes ? grid.columnSizes.map(size => ({ ...size })) : null,
+    rowSizes: grid.rowSizes ? grid.rowSizes.map(size => ({ ...size })) : null,
+    aggregates: grid.aggregates ? [...grid.aggregates] : null
+  };
+}
+
+/**
+ * Вернуть тексты формул, переписанные операцией (координаты — после операции).
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {Array<{r:number, c:number, value:string}>} formulas
+ */
+function restoreFormulas(model, formulas) {
+  for (const { r, c, value } of formulas) {
+    const cell = model.getCell(r, c);
+    if (cell) cell.value = value;
+  }
+}
+
+/**
+ * Откат вставки линий: убрать линии [index, index+count), сдвинуть ячейки за ними назад и сжать объединения,
+ * в которые вставляли. В отличие от deleteRows объединение, накрывающее вставку с обеих сторон, не считается разрезанным.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {'r'|'c'} axis
+ * @param {'rowSpan'|'colSpan'} spanKey
+ * @param {{index:number, count:number, gridBefore:object}} p
+ */
+function removeLines(model, axis, spanKey, p) {
+  const { index, count } = p;
+  const mapper = deleteLinesMapper(axis, index, count);
+  model.cells = model.cells.filter(cell => {
+    const first = cell[axis];
+    const last = first + (cell[spanKey] || 1) - 1;
+    if (first >= index + count) cell[axis] -= count;
+    else if (first >= index) return false; // во вставленных линиях могут остаться только пустые служебные ячейки итогов
+    else if (last >= index) cell[spanKey] = (cell[spanKey] || 1) - count;
+    return true;
+  });
+  for (const cell of model.cells) {
+    if (isFormula(cell.value)) cell.value = rewriteFormulaReferences(cell.value, mapper);
+  }
+  restoreGrid(model, p.gridBefore);
+  model._rebuildIndex();
+}
+
+/**
+ * Откат удаления линий: вернуть тексты формул, раздвинуть ячейки, восстановить урезанные объединения
+ * и удалённые ячейки из payload.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {'r'|'c'} axis
+ * @param {{start:number, count:number, removed:object[], shrunk:Array<{r:number, c:number, before:object}>,
+ *   formulas:Array<{r:number, c:number, value:string}>, gridBefore:object}} p
+ */
+function restoreLines(model, axis, p) {
+  const { start, count } = p;
+  restoreFormulas(model, p.formulas);
+  // Урезанные объединения находим до сдвига — координаты в payload заданы после удаления
+  const shrunk = p.shrunk.map(({ r, c, before }) => [model.getCell(r, c), before]);
+  for (const cell of model.cells) {
+    if (cell[axis] >= start) cell[axis] += count;
+  }
+  for (const [cell, before] of shrunk) {
+    if (cell) Object.assign(cell, before);
+  }
+  model.cells.push(...p.removed.map(cell => ({ ...cell })));
+  restoreGrid(model, p.gridBefore);
+  model._rebuildIndex();
+}
+
+/**
+ * Перестановка линий (moveRows / moveColumns / reorderRows) при undo / redo с точными текстами формул.
+ * Перезапись ссылок при перестановке необратима (разорванный диапазон не меняется, обратная перестановка его сдвинет),
+ * поэтому результат run по формулам отбрасывается: каждая формула получает текст, который был у неё до операции,
+ * а изменённые операцией — текст из payload (formulas: value — до операции, newValue — после; координаты после неё).
+ * Ячейки переставляются на месте, поэтому тексты привязываем к объектам ячеек, а не к координатам.
+ * Патчи без formulas (история, сохранённая до их появления) применяются как есть.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {{formulas?:Array<{r:number, c:number, value:string, newValue?:string}>}} p
+ * @param {boolean} undo
+ * @param {() => {ok:boolean, reason?:string}} run Сама перестановка
+ * @returns {{ok:boolean, reason?:string}}
+ */
+function permuteLines(model, p, undo, run) {
+  if (!p.formulas) return run();
+  const texts = new Map();
+  for (const cell of model.cells) {
+    if (isFormula(cell.value)) texts.set(cell, cell.value);
+  }
+  // Откат: модель в состоянии после операции — координаты payload совпадают с текущими
+  if (undo) {
+    for (const { r, c, value } of p.formulas) {
+      const cell = model.getCell(r, c);
+      if (cell) texts.set(cell, value);
+    }
+  }
+  const res = run();
+  if (res && res.ok === false) return res;
+  // Повтор: координаты payload совпадают с моделью только после перестановки
+  if (!undo) {
+    for (const { r, c, newValue } of p.formulas) {
+      const cell = model.getCell(r, c);
+      if (!cell) continue;
+      if (newValue === undefined) texts.delete(cell); // без нового текста оставляем результат перестановки
+      else texts.set(cell, newValue);
+    }
+  }
+  for (const [cell, value] of texts) cell.value = value;
+  return res;
+}
+
+/**
+ * Откат транспонирования блока: вернуть тексты формул, повернуть занятую область обратно, вернуть освобождённые ячейки.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {{range:object, target:object, removed:object[], formulas:Array<{r:number, c:number, value:string}>, gridBefore:object}} p
+ */
+function transposeBack(model, p) {
+  const { r1, c1 } = p.range;
+  const t = p.target;
+  restoreFormulas(model, p.formulas);
+  const inTarget = cell => cell.r >= t.r1 && cell.r <= t.r2 && cell.c >= t.c1 && cell.c <= t.c2;
+  // Пустые ячейки в занятой области (например служебные ячейки итогов) отбрасываем: на прежнем месте они могли бы
+  // оказаться под восстановленным объединением
+  model.cells = model.cells.filter(cell => !inTarget(cell) || !isBlankCell(cell));
+  for (const cell of model.cells) {
+    if (!inTarget(cell)) continue;
+    const r = r1 + (cell.c - c1);
+    const rowSpan = cell.colSpan || 1;
+    cell.colSpan = cell.rowSpan || 1;
+    cell.rowSpan = rowSpan;
+    cell.c = c1 + (cell.r - r1);
+    cell.r = r;
+  }
+  model.cells.push(...p.removed.map(cell => ({ ...cell })));
+  restoreGrid(model, p.gridBefore);
+  model._rebuildIndex();
+}
+
+/**
+ * Применить патч объединений (merge / split / вставка; у вставки без объединений список пустой).
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {{spans:Array<{r:number, c:number, from:object, to:object}>, removed:object[]}} patch
+ * @param {boolean} undo
+ */
+function applySpans(model, patch, undo) {
+  const setSpans = ({ r, c }, size) => {
+    const lead = model.getCell(r, c);
+    if (!lead) return;
+    lead.rowSpan = size.rowSpan;
+    lead.colSpan = size.colSpan;
+  };
+  if (undo) {
+    if (patch.removed.length) {
+      model.cells.push(...patch.removed.map(cell => ({ ...cell })));
+      model._rebuildIndex();
+    }
+    for (let i = patch.spans.length - 1; i >= 0; i--) setSpans(patch.spans[i], patch.spans[i].from);
+    return;
+  }
+  for (const change of patch.spans) setSpans(change, change.to);
+  if (!patch.removed.length) return;
+  const absorbed = new Set(patch.removed.map(cell => cell.r + ',' + cell.c));
+  model.cells = model.cells.filter(cell => !absorbed.has(cell.r + ',' + cell.c));
+  model._rebuildIndex();
+}
+
+/**
+ * Копия значения поля ячейки (классы и data-* в payload — ссылки на массив / объект ячейки).
+ * @param {*} value
+ * @returns {*}
+ */
+function cloneFieldValue(value) {
+  if (Array.isArray(value)) return [...value];
+  if (value && typeof value === 'object') return { ...value };
+  return value;
+}
+
+/**
+ * Применить патч ячейки.
+ * Созданные ячейки при откате только снимаются с индекса и копятся в dropped: массив ячеек фильтруется один раз
+ * (dropCells), иначе откат большой вставки стал бы квадратичным.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {{r:number, c:number, field:string, oldValue:*, newValue:*, created?:boolean}} patch
+ * @param {boolean} undo
+ * @param {Set<object>} dropped
+ */
+function applyCell(model, patch, undo, dropped) {
+  const { r, c, field } = patch;
+  if (undo && patch.created) {
+    // Ячейки до изменения не было — убираем её, а не оставляем пустую (её место могло быть под объединением)
+    const cell = model.getCell(r, c);
+    if (cell) {
+      dropped.add(cell);
+      model._index.delete(r + ',' + c);
+    }
+    return;
+  }
+  const value = undo ? patch.oldValue : patch.newValue;
+  if (field === 'value') model.setCellValue(r, c, value ?? '');
+  else if (field === 'classes') model.setCellClasses(r, c, value || null);
+  else if (field === 'data') model.setCellData(r, c, value || null);
+}
+
+/**
+ * Убрать из модели ячейки, снятые с индекса в applyCell.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {Set<object>} dropped
+ */
+function dropCells(model, dropped) {
+  if (!dropped.size) return;
+  model.cells = model.cells.filter(cell => !dropped.has(cell));
+  dropped.clear();
+}
+
+/** Поля ячейки, которые меняют патчи cell */
+const CELL_FIELDS = new Set(['value', 'classes', 'data']);
+
+/** Числовые поля payload структурных операций (индексы и количества линий) */
+const STRUCTURE_COUNTS = ['index', 'count', 'start', 'from', 'to', 'rows', 'cols', 'changedIndex'];
+
+/** Ось (размер grid), вдоль которой вставляет, удаляет или перемещает линии структурная операция */
+const LINE_AXIS = {
+  insertRows: 'rows', deleteRows: 'rows', moveRows: 'rows',
+  insertColumns: 'cols', deleteColumns: 'cols', moveColumns: 'cols'
+};
+
+const isIndex = value => Number.isInteger(value) && value >= 0;
+const isSpan = value => Number.isInteger(value) && value >= 1;
+const isText = value => value === undefined || value === null || typeof value === 'string';
+
+/**
+ * Проверить grid из патча или документа истории (его целиком подставляет откат): размеры, шапка,
+ * размеры строк и столбцов, функции итогов.
+ * @param {*} grid
+ * @returns {string|null} Текст ошибки или null
+ */
+function checkGrid(grid) {
+  if (!grid || typeof grid !== 'object' || !isSpan(grid.rows) || !isSpan(grid.cols)) return 'некорректный grid';
+  if (grid.headerRows !== undefined && !(isIndex(grid.headerRows) && grid.headerRows <= grid.rows)) return 'некорректный grid.headerRows';
+  if (grid.headerCols !== undefined && !(isIndex(grid.headerCols) && grid.headerCols <= grid.cols)) return 'некорректный grid.headerCols';
+  const lists = [
+    ['columnSizes', grid.cols, size => !validateColumnSize(size)],
+    ['rowSizes', grid.rows, size => !!size && size.v > 0 && (size.u === 'px' || size.u === 'ratio')],
+    ['aggregates', grid.cols, name => name === null || isAggregate(name)]
+  ];
+  for (const [field, length, valid] of lists) {
+    const list = grid[field];
+    if (list == null) continue;
+    if (!Array.isArray(list) || list.length !== length || !list.every(valid)) return `некорректный grid.${field}`;
+  }
+  return null;
+}
+
+/**
+ * Проверить ячейки, которые патч вернёт в модель (удалённые операцией, поглощённые объединением): формат, границы
+ * grid и реестр — как у ячеек импортируемого документа.
+ * @param {*} cells
+ * @param {object} grid Размеры таблицы в момент возврата ячеек
+ * @param {ValidationService} validator
+ * @returns {string|null} Текст ошибки или null
+ */
+function checkCells(cells, grid, validator) {
+  if (!Array.isArray(cells)) return 'список ячеек должен быть массивом';
+  for (const cell of cells) {
+    if (!cell || !isIndex(cell.r) || !isIndex(cell.c) || !isText(cell.value)) return 'некорректная ячейка';
+    const errors = validator.validateCellStrict(cell, grid);
+    if (errors.length) return `ячейка (${cell.r},${cell.c}): ${errors.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Проверить прямоугольник (range / target) в пределах grid.
+ * @param {*} rect
+ * @param {object} grid
+ * @returns {boolean}
+ */
+function isRect(rect, grid) {
+  return !!rect && isIndex(rect.r1) && isIndex(rect.c1) && isIndex(rect.r2) && isIndex(rect.c2)
+    && rect.r1 <= rect.r2 && rect.c1 <= rect.c2 && rect.r2 < grid.rows && rect.c2 < grid.cols;
+}
+
+/**
+ * Проверить патч cell: координаты в пределах grid, известное поле, значения (классы и data-* — по реестру).
+ * @param {object} patch
+ * @param {object} grid
+ * @param {ValidationService} validator
+ * @returns {string|null} Текст ошибки или null
+ */
+function checkCellPatch(patch, grid, validator) {
+  const { r, c, field } = patch;
+  if (!isIndex(r) || !isIndex(c) || r >= grid.rows || c >= grid.cols) return `ячейка (${r},${c}) вне таблицы ${grid.rows}×${grid.cols}`;
+  if (!CELL_FIELDS.has(field)) return `неизвестное поле ячейки: ${field}`;
+  for (const value of [patch.oldValue, patch.newValue]) {
+    if (field === 'value') {
+      if (!isText(value)) return `значение ячейки (${r},${c}) должно быть строкой`;
+      continue;
+    }
+    if (value == null) continue;
+    const errors = validator.validateCellStrict({ r, c, [field]: value }, grid);
+    if (errors.length) return `ячейка (${r},${c}): ${errors.join(', ')}`;
+  }
+  return null;
+}
+
+/**
+ * Проверить патч spans: ведущие ячейки и их размеры в пределах grid, поглощённые ячейки.
+ * @param {object} patch
+ * @param {object} grid
+ * @param {ValidationService} validator
+ * @returns {string|null} Текст ошибки или null
+ */
+function checkSpansPatch(patch, grid, validator) {
+  if (!Array.isArray(patch.spans)) return 'spans должно быть массивом';
+  for (const { r, c, from, to } of patch.spans) {
+    if (!isIndex(r) || !isIndex(c)) return 'некорректная ведущая ячейка объединения';
+    for (const size of [from, to]) {
+      if (!size || !isSpan(size.rowSpan) || !isSpan(size.colSpan) || r + size.rowSpan > grid.rows || c + size.colSpan > grid.cols) {
+        return `объединение (${r},${c}) выходит за таблицу ${grid.rows}×${grid.cols}`;
+      }
+    }
+  }
+  return checkCells(patch.removed, grid, validator);
+}
+
+/**
+ * Проверить данные отката и повтора структурной операции (кроме grid — его проверяет checkStructurePatch).
+ * @param {object} patch
+ * @param {ValidationService} validator
+ * @returns {string|null} Текст ошибки или null
+ */
+function checkStructurePayload(patch, validator) {
+  const { type, gridBefore, gridAfter } = patch;
+  for (const key of STRUCTURE_COUNTS) {
+    if (patch[key] !== undefined && !isIndex(patch[key])) return `${type}: некорректное поле ${key}`;
+  }
+  const axis = LINE_AXIS[type];
+  if (axis) {
+    // Линии операции в пределах таблицы, размер после неё — на count больше / меньше (у перемещения — тот же)
+    const { count } = patch;
+    const lines = gridBefore[axis];
+    const action = type.slice(0, 6); // insert / delete / moveRo, moveCo
+    const first = action === 'insert' ? patch.index : action === 'delete' ? patch.start : patch.from;
+    if (!isSpan(count) || !isIndex(first) || first > (action === 'insert' ? lines : lines - count)) return `${type}: линии вне таблицы`;
+    if (type.startsWith('move') && !(isIndex(patch.to) && patch.to + count <= lines)) return `${type}: линии вне таблицы`;
+    const expected = action === 'insert' ? lines + count : action === 'delete' ? lines - count : lines;
+    if (gridAfter[axis] !== expected) return `${type}: grid после операции не соответствует операции`;
+  }
+  // Удалённые ячейки возвращаются в таблицу до операции
+  if (patch.removed !== undefined) {
+    const error = checkCells(patch.removed, gridBefore, validator);
+    if (error) return `${type}: ${error}`;
+  }
+  if (patch.shrunk !== undefined) {
+    const valid = Array.isArray(patch.shrunk) && patch.shrunk.every(s => s && isIndex(s.r) && isIndex(s.c) && s.before
+      && isSpan(s.before.rowSpan) && isSpan(s.before.colSpan));
+    if (!valid) return `${type}: некорректный список урезанных объединений`;
+  }
+  if (patch.formulas !== undefined) {
+    const valid = Array.isArray(patch.formulas) && patch.formulas.every(f => f && isIndex(f.r) && isIndex(f.c)
+      && typeof f.value === 'string' && (f.newValue === undefined || typeof f.newValue === 'string'));
+    if (!valid) return `${type}: некорректный список формул`;
+  }
+  if (type === 'reorderRows') {
+    const { order } = patch;
+    const seen = new Set(Array.isArray(order) ? order : []);
+    if (!Array.isArray(order) || order.length !== gridAfter.rows || seen.size !== order.length || !order.every(r => isIndex(r) && r < order.length)) {
+      return 'reorderRows: order не является перестановкой строк';
+    }
+  }
+  if (type === 'transpose' && patch.range !== undefined && patch.range !== null
+    && !(isRect(patch.range, gridBefore) && isRect(patch.target, gridAfter))) {
+    return 'transpose: некорректный диапазон';
+  }
+  if (['deleteRows', 'deleteColumns'].includes(type) && !(Array.isArray(patch.removed) && Array.isArray(patch.shrunk) && Array.isArray(patch.formulas))) {
+    return `${type}: нет данных для отката`;
+  }
+  return null;
+}
+
+/**
+ * Проверить структурный патч: известный тип, корректные grid до и после, данные для отката.
+ * @param {object} patch
+ * @param {object} grid Размеры таблицы перед патчем
+ * @param {ValidationService} validator
+ * @returns {string|null} Текст ошибки или null
+ */
+function checkStructurePatch(patch, grid, validator) {
+  const { type } = patch;
+  if (!GRID_CHANGES.has(type) && !(type in STRUCTURE_PATCHES)) return `неизвестная структурная операция: ${type}`;
+  const gridError = checkGrid(patch.gridBefore) || checkGrid(patch.gridAfter);
+  if (gridError) return `${type}: ${gridError}`;
+  if (!sameSize(patch.gridBefore, grid)) return `${type}: grid до операции не совпадает с таблицей ${grid.rows}×${grid.cols}`;
+  if (GRID_CHANGES.has(type)) return null;
+  return checkStructurePayload(patch, validator);
+}
+
+/**
+ * Проверить документ патча document (его целиком подставляет applyDocument): та же проверка, что при импорте.
+ * @param {*} doc
+ * @param {ValidationService} validator
+ * @returns {string|null} Текст ошибки или null
+ */
+function checkDocument(doc, validator) {
+  if (!doc || typeof doc !== 'object' || !Array.isArray(doc.cells)) return 'некорректный документ';
+  const gridError = checkGrid(doc.grid);
+  if (gridError) return gridError;
+  const badCell = doc.cells.find(cell => !cell || !isIndex(cell.r) || !isIndex(cell.c) || !isText(cell.value));
+  if (badCell) return 'некорректная ячейка документа';
+  const { valid, errors } = validator.validateDocument(doc);
+  return valid ? null : errors.join('; ');
+}
+
+/**
+ * Совпадают ли размеры таблицы.
+ * @param {{rows:number, cols:number}} a
+ * @param {{rows:number, cols:number}} b
+ * @returns {boolean}
+ */
+function sameSize(a, b) {
+  return a.rows === b.rows && a.cols === b.cols;
+}
+
+/**
+ * Проверить патчи шага, загруженного из файла или автосохранения, до того, как undo / redo применят их к модели.
+ * Патчи проверяются в порядке применения: размеры таблицы, в пределах которых должны лежать ячейки, меняют
+ * структурные патчи и замена документа.
+ * @param {object[]} patches
+ * @param {{rows:number, cols:number}} grid Размеры таблицы до шага
+ * @param {ValidationService} validator
+ * @returns {{ok:true, grid:{rows:number, cols:number}}|{ok:false, error:string}} Размеры после шага
+ */
+function checkStepPatches(patches, grid, validator) {
+  let size = { rows: grid.rows, cols: grid.cols };
+  for (const patch of patches) {
+    if (!patch || typeof patch !== 'object') return { ok: false, error: 'некорректный патч' };
+    let error = null;
+    switch (patch.kind) {
+      case 'cell':
+        error = checkCellPatch(patch, size, validator);
+        break;
+      case 'spans':
+        error = checkSpansPatch(patch, size, validator);
+        break;
+      case 'meta':
+        if (patch.field !== 'name' || !isText(patch.oldValue) || !isText(patch.newValue)) error = 'некорректное переименование';
+        break;
+      case 'document':
+        if (!DOCUMENT_CHANGES.has(patch.type)) error = `неизвестная замена документа: ${patch.type}`;
+        else error = checkDocument(patch.docBefore, validator) || checkDocument(patch.docAfter, validator);
+        if (!error && !sameSize(patch.docBefore.grid, size)) error = `документ до замены не совпадает с таблицей ${size.rows}×${size.cols}`;
+        if (!error) size = { rows: patch.docAfter.grid.rows, cols: patch.docAfter.grid.cols };
+        break;
+      case 'structure':
+        error = checkStructurePatch(patch, size, validator);
+        if (!error) size = { rows: patch.gridAfter.rows, cols: patch.gridAfter.cols };
+        break;
+      default:
+        error = `неизвестный вид патча: ${patch.kind}`;
+    }
+    if (error) return { ok: false, error };
+  }
+  return { ok: true, grid: size };
+}
+
+/**
+ * Размеры таблицы до шага по размерам после него: откат структурных патчей и замен документа (в обратном порядке).
+ * Патчи ещё не проверены — некорректные пропускаются, их отклонит checkStepPatches.
+ * @param {object[]} patches
+ * @param {{rows:number, cols:number}} grid
+ * @returns {{rows:number, cols:number}}
+ */
+function sizeBeforeStep(patches, grid) {
+  let size = grid;
+  for (let i = patches.length - 1; i >= 0; i--) {
+    const patch = patches[i];
+    const before = patch && (patch.kind === 'structure' ? patch.gridBefore : patch.kind === 'document' ? patch.docBefore?.grid : null);
+    if (before && typeof before === 'object') size = { rows: before.rows, cols: before.cols };
+  }
+  return size;
+}
+
+/**
+ * Проверить патчи всех шагов загружаемого дерева. Размеры таблицы известны только у текущего шага (модель): от него
+ * они выводятся вверх до корня, а затем патчи каждого шага проверяются от корня вниз по всем веткам.
+ * @param {Map<number, object>} nodes
+ * @param {object} root
+ * @param {object} current
+ * @param {{rows:number, cols:number}} grid Размеры модели (после текущего шага)
+ * @param {ValidationService} validator
+ * @returns {string|null} Текст ошибки или null
+ */
+function checkTreePatches(nodes, root, current, grid, validator) {
+  let rootSize = { rows: grid.rows, cols: grid.cols };
+  for (let node = current; node !== root; node = nodes.get(node.parent)) rootSize = sizeBeforeStep(node.patches, rootSize);
+  const sizes = new Map([[root.id, rootSize]]);
+  // Обход в глубину без рекурсии: дерево может быть глубиной в тысячу шагов
+  const stack = [root];
+  while (stack.length) {
+    const node = stack.pop();
+    for (const id of node.children) {
+      const child = nodes.get(id);
+      const res = checkStepPatches(child.patches, sizes.get(node.id), validator);
+      if (!res.ok) return `Шаг истории id=${id}: ${res.error}`;
+      sizes.set(id, res.grid);
+      stack.push(child);
+    }
+  }
+  if (!sameSize(sizes.get(current.id), grid)) return 'Текущий шаг истории не соответствует таблице';
+  return null;
+}
 
 export class HistoryService {
-  constructor(limit = 50) {
-    this.limit = limit;          // Максимальное количество снимков в истории
-    this.stack = [];             // Массив снимков (TableDocument)
-    this.index = -1;             // Текущая позиция в стеке (-1 означает пусто)
+  /**
+   * @param {import('../model/TableModel.js').TableModel} model
+   * @param {import('../events/EventBus.js').EventBus} bus
+   * @param {Object} [options]
+   * @param {number} [options.limit=1000] Максимальное количество шагов
+   * @param {number} [options.maxWeight=4000000] Суммарный вес патчей (длина JSON), после которого старые шаги отбрасываются
+   */
+  constructor(model, bus, options = {}) {
+    this.model = model;
+    this.bus = bus;
+    this.limit = options.limit ?? 1000;
+    this.maxWeight = options.maxWeight ?? 4000000;
+    /** @type {Map<number, HistoryStep>} */
+    this.nodes = new Map();      // Дерево шагов по id
+    this.rootId = 0;             // Корень — состояние до первого сохранённого шага
+    this.currentId = 0;          // Шаг, в состоянии после которого находится модель
+    this.weight = 0;             // Суммарный вес шагов
+    this._nextId = 0;
+    this._resetTree();
+    this._pending = [];          // Патчи текущей (ещё не записанной) группы
     this._suspend = false;       // Флаг для временного отключения записи (во время undo/redo)
+    /** @type {HistoryViewState|null} */
+    this._viewState = null;
+    this._viewBefore = null;     // Состояние вида до текущей группы
+    this._batchView = null;      // Состояние вида на начало текущего batch
+
+    this._onCellChange = (payload) => this._capture({
+      kind: 'cell', ...payload, oldValue: cloneFieldValue(payload.oldValue), newValue: cloneFieldValue(payload.newValue)
+    });
+    this._onStructureChange = (payload) => this._captureStructure(payload || {});
+    this._onMerge = (payload) => {
+      if (!payload.previous) { this._captureStructure({ type: 'merge' }); return; }
+      this._capture({
+        kind: 'spans',
+        source: 'merge',
+        range: { r1: payload.r1, c1: payload.c1, r2: payload.r2, c2: payload.c2 },
+        spans: [{ r: payload.r1, c: payload.c1, from: payload.previous, to: { rowSpan: payload.rowSpan, colSpan: payload.colSpan } }],
+        removed: payload.removed
+      });
+    };
+    this._onSplit = (payload) => this._capture({
+      kind: 'spans',
+      source: 'split',
+      range: { r1: payload.r, c1: payload.c, r2: payload.r + payload.rowSpan - 1, c2: payload.c + payload.colSpan - 1 },
+      spans: [{ r: payload.r, c: payload.c, from: { rowSpan: payload.rowSpan, colSpan: payload.colSpan }, to: { rowSpan: 1, colSpan: 1 } }],
+      removed: []
+    });
+    // Значения и оформление вставки приходят отдельными cell:change; здесь — объединения (у специальной вставки их нет)
+    // и размер фрагмента для подписи шага
+    this._onPaste = (payload) => this._capture({
+      kind: 'spans',
+      source: 'paste',
+      cells: payload.rows * payload.cols,
+      spans: payload.spans || [],
+      removed: payload.removed || []
+    });
+    this._onBatchStart = () => {
+      if (!this._suspend) this._batchView = this._captureView();
+    };
+    this._onBatchFlush = () => { this._batchView = null; };
+    bus.on('cell:change', this._onCellChange);
+    bus.on('structure:change', this._onStructureChange);
+    bus.on('merge', this._onMerge);
+    bus.on('split', this._onSplit);
+    bus.on('paste', this._onPaste);
+    bus.on('batch:start', this._onBatchStart);
+    bus.on('batch:flush', this._onBatchFlush);
   }
 
   /**
-   * Записать новый снимок состояния
-   * @param {import('../model/TableModel.js').TableModel} model
+   * Подключить снятие и восстановление состояния вида (см. комментарий к модулю). Без него шаги хранят null.
+   * @param {HistoryViewState|null} viewState
+   */
+  setViewState(viewState) {
+    this._viewState = viewState;
+  }
+
+  /**
+   * Добавить патч в текущую группу.
+   * @param {object} patch
+   * @private
    */
-  record(model) {
+  _capture(patch) {
     if (this._suspend) return; // Не записываем когда выполняем восстановление
-    const doc = model.toJSON();
-    // Предотвращаем запись дубликата: если последний снимок идентичен (побайтово после JSON.stringify)
-    // то пропускаем. Это решает проблему двойного Undo после операций, которые сами вызывают
-    // history.record и одновременно генерируют события structure:change, приводящие к отложенной
-    // записи через HistoryDebounceRecorder.
-    const last = this.stack[this.index];
-    if (last && JSON.stringify(last) === JSON.stringify(doc)) {
-      return; // дубликат — не добавляем второй раз
+    this._pending.push(patch);
+    // Начало новой группы: undo становится доступен, redo — нет
+    if (this._pending.length === 1) {
+      this._viewBefore = this._batchView || this._captureView();
+      this._notify();
+    }
+  }
+
+  /**
+   * Снять состояние вида.
+   * @returns {object|null}
+   * @private
+   */
+  _captureView() {
+    return this._viewState ? this._viewState.capture() : null;
+  }
+
+  /**
+   * Восстановить состояние вида шага (ошибка UI не должна ломать историю).
+   * @param {object|null} view
+   * @private
+   */
+  _restoreView(view) {
+    if (!view || !this._viewState) return;
+    try {
+      this._viewState.restore(view);
+    } catch (err) {
+      console.error('[HistoryService] Ошибка восстановления выделения', err);
+    }
+  }
+
+  /**
+   * Патч из payload structure:change; изменение без данных для отката очищает историю.
+   * @param {object} payload
+   * @private
+   */
+  _captureStructure(payload) {
+    if (this._suspend) return;
+    const { type } = payload;
+    if (type === 'meta') {
+      this._capture({ kind: 'meta', ...payload });
+      return;
     }
-    // Если мы откатились назад и сделали новое действие — усекаем "будущее"
-    if (this.index < this.stack.length - 1) {
-      this.stack = this.stack.slice(0, this.index + 1);
+    if (DOCUMENT_CHANGES.has(type) && payload.docBefore) {
+      this._capture({ kind: 'document', type, docBefore: payload.docBefore, docAfter: payload.docAfter });
+      return;
     }
-    this.stack.push(doc);
-    if (this.stack.length > this.limit) {
-      this.stack.shift(); // Удаляем самый старый
-    } else {
-      this.index++;
+    if (payload.gridBefore && (GRID_CHANGES.has(type) || STRUCTURE_PATCHES[type])) {
+      this._capture({ kind: 'structure', ...payload });
+      return;
     }
+    console.warn('[HistoryService] Изменение нельзя откатить, история очищена:', type);
+    this.clear();
+  }
+
+  /**
+   * Записать накопленные изменения как один шаг истории — дочерний к текущему (откатанные шаги остаются соседней веткой).
+   * Пустая группа шага не создаёт.
+   * @returns {boolean} Создан ли шаг
+   */
+  record() {
+    if (this._suspend || !this._pending.length) return false;
+    const patches = this._pending;
+    this._pending = [];
+    const parent = this.nodes.get(this.currentId);
+    const step = this._createStep(parent.id, patches, {
+      label: describeStep(patches),
+      time: Date.now(),
+      viewBefore: this._viewBefore,
+      viewAfter: this._captureView()
+    });
+    this._viewBefore = null;
+    parent.children.push(step.id);
+    parent.activeChild = step.id;
+    this.currentId = step.id;
+    this._prune();
+    this._notify();
+    return true;
+  }
+
+  /**
+   * Количество применённых шагов: глубина текущего шага в дереве.
+   * @returns {number}
+   */
+  get index() {
+    let depth = 0;
+    for (let node = this.nodes.get(this.currentId); node.parent !== null; node = this.nodes.get(node.parent)) depth++;
+    return depth;
+  }
+
+  /**
+   * Шаги текущей ветки: от корня до текущего шага и дальше по activeChild (то, что можно повторить). Корень не входит.
+   * @returns {HistoryStep[]}
+   */
+  get steps() {
+    const path = [];
+    for (let node = this.nodes.get(this.currentId); node.parent !== null; node = this.nodes.get(node.parent)) path.push(node);
+    path.reverse();
+    for (let node = this.nodes.get(this.currentId); node.activeChild !== null;) {
+      node = this.nodes.get(node.activeChild);
+      path.push(node);
+    }
+    return path;
   }
 
   /**
    * Можно ли сделать undo
    */
   canUndo() {
-    return this.index > 0;
+    return this.currentId !== this.rootId || this._pending.length > 0;
   }
 
   /**
    * Можно ли сделать redo
    */
   canRedo() {
-    return this.index >= 0 && this.index < this.stack.length - 1;
+    return this.nodes.get(this.currentId).activeChild !== null && !this._pending.length;
   }
 
   /**
-   * Откат к предыдущему снимку
-   * @returns {object|null} TableDocument или null если нельзя
+   * Откатить текущий шаг (незаписанные изменения сначала записываются шагом).
+   * @returns {boolean} Был ли откат (false — и при ошибке применения шага: история в этом случае очищена)
    */
   undo() {
-    if (!this.canUndo()) return null;
-    this.index--;
-    return this._getCurrent();
+    this.record();
+    if (this.currentId === this.rootId) return false;
+    const step = this.nodes.get(this.currentId);
+    const ok = this._undoStep();
+    if (ok) this._restoreView(step.viewBefore);
+    this._notify();
+    return ok;
   }
 
   /**
-   * Повтор (возврат вперёд) к следующему снимку
-   * @returns {object|null} TableDocument или null если нельзя
+   * Повторить шаг последней посещённой ветки.
+   * @returns {boolean} Был ли повтор (false — и при ошибке применения шага: история в этом случае очищена)
    */
   redo() {
-    if (!this.canRedo()) return null;
-    this.index++;
-    return this._getCurrent();
+    if (!this.canRedo()) return false;
+    const step = this.nodes.get(this.nodes.get(this.currentId).activeChild);
+    const ok = this._redoStep(step.id);
+    if (ok) this._restoreView(step.viewAfter);
+    this._notify();
+    return ok;
+  }
+
+  /**
+   * Перейти к состоянию после шага id (корень — до первого шага), в том числе в другую ветку: откатить шаги
+   * до общего предка и повторить шаги от него до цели. Незаписанные изменения сначала записываются шагом.
+   * @param {number} id
+   * @returns {boolean} Дошли ли до цели (false — и при ошибке применения шага: история в этом случае очищена)
+   */
+  goTo(id) {
+    this.record();
+    if (!this.nodes.has(id) || id === this.currentId) return false;
+    // Путь от цели к корню: первый его шаг, до которого дойдёт откат, — общий предок
+    const path = [];
+    for (let node = this.nodes.get(id); node; node = this.nodes.get(node.parent)) path.push(node.id);
+    const onPath = new Set(path);
+    let view = null;
+    let ok = true;
+    // Ошибка применения очищает историю (останется один корень) — циклы на этом заканчиваются
+    while (ok && !onPath.has(this.currentId)) {
+      const step = this.nodes.get(this.currentId);
+      ok = this._undoStep();
+      if (ok) view = step.viewBefore;
+    }
+    for (let i = path.indexOf(this.currentId) - 1; ok && i >= 0; i--) {
+      ok = this._redoStep(path[i]);
+      if (ok) view = this.nodes.get(path[i]).viewAfter;
+    }
+    if (ok) this._restoreView(view);
+    this._notify();
+    return ok;
+  }
+
+  /**
+   * Очистить историю (вместе с незаписанной группой): остаётся один корень — текущее состояние модели.
+   */
+  clear() {
+    this._resetTree();
+    this._pending = [];
+    this._viewBefore = null;
+    this._notify();
+  }
+
+  /**
+   * Сериализовать дерево истории (сохраняется в документе рядом с таблицей, см. toJson). Незаписанная группа
+   * не входит — перед сохранением её стоит записать (record).
+   * @returns {{version:number, root:number, current:number, steps:object[]}}
+   */
+  toJSON() {
+    return {
+      version: HISTORY_FORMAT_VERSION,
+      root: this.rootId,
+      current: this.currentId,
+      steps: [...this.nodes.values()].map(({ id, parent, activeChild, patches, label, time, viewBefore, viewAfter }) => ({
+        id, parent, activeChild, patches, label, time, viewBefore, viewAfter
+      }))
+    };
+  }
+
+  /**
+   * Загрузить дерево, сохранённое toJSON. Модель уже должна быть в состоянии текущего шага дерева (документ, сохранённый
+   * вместе с ним). Дерево приходит из файла или автосохранения, поэтому до загрузки проверяются все патчи: документы
+   * замены — как импортируемый документ, классы и data-* ячеек — по реестру validator, координаты — по размерам таблицы
+   * на момент патча. При любой ошибке история остаётся прежней: лучше не загрузить дерево, чем очистить его
+   * на середине undo.
+   * @param {*} data
+   * @param {Object} [options]
+   * @param {ValidationService} [options.validator] Валидатор с реестром (без него реестр не проверяется)
+   * @returns {{ok:true}|{ok:false, error:string}}
+   */
+  load(data, options = {}) {
+    if (!data || typeof data !== 'object' || data.version !== HISTORY_FORMAT_VERSION || !Array.isArray(data.steps)) {
+      return { ok: false, error: 'Неподдерживаемый формат истории' };
+    }
+    const nodes = new Map();
+    for (const raw of data.steps) {
+      if (!raw || !Number.isInteger(raw.id) || nodes.has(raw.id) || !Array.isArray(raw.patches)) {
+        return { ok: false, error: 'Некорректный шаг истории' + (raw && raw.id !== undefined ? ` (id=${raw.id})` : '') };
+      }
+      nodes.set(raw.id, {
+        id: raw.id,
+        parent: raw.parent ?? null,
+        children: [],
+        activeChild: raw.activeChild ?? null,
+        patches: raw.patches,
+        weight: JSON.stringify(raw.patches).length,
+        label: typeof raw.label === 'string' ? raw.label : '',
+        time: typeof raw.time === 'number' ? raw.time : 0,
+        viewBefore: raw.viewBefore ?? null,
+        viewAfter: raw.viewAfter ?? null
+      });
+    }
+    const root = nodes.get(data.root);
+    if (!root || root.parent !== null || !nodes.has(data.current)) return { ok: false, error: 'Нет корня или текущего шага истории' };
+    for (const node of nodes.values()) {
+      if (node === root) continue;
+      const parent = nodes.get(node.parent);
+      if (!parent) return { ok: false, error: `Шаг истории id=${node.id} без родителя` };
+      parent.children.push(node.id);
+    }
+    for (const node of nodes.values()) {
+      if (!node.children.includes(node.activeChild)) node.activeChild = node.children.length ? node.children[node.children.length - 1] : null;
+    }
+    // Каждый шаг должен достигать корня (без циклов)
+    for (const node of nodes.values()) {
+      let steps = 0;
+      for (let n = node; n !== root; n = nodes.get(n.parent)) {
+        if (++steps > nodes.size) return { ok: false, error: 'Цикл в дереве истории' };
+      }
+    }
+    const patchError = checkTreePatches(nodes, root, nodes.get(data.current), this.model.grid, options.validator || new ValidationService(this.model));
+    if (patchError) return { ok: false, error: patchError };
+    this.nodes = nodes;
+    this.rootId = root.id;
+    this.currentId = data.current;
+    this._nextId = Math.max(...nodes.keys()) + 1;
+    this.weight = [...nodes.values()].reduce((sum, node) => sum + node.weight, 0);
+    this._pending = [];
+    this._viewBefore = null;
+    this._prune();
+    this._notify();
+    return { ok: true };
+  }
+
+  /**
+   * Текущее состояние истории (payload history:change).
+   * @returns {HistoryState}
+   */
+  getState() {
+    return { index: this.index, length: this.steps.length, canUndo: this.canUndo(), canRedo: this.canRedo() };
+  }
+
+  /**
+   * Сообщить UI об изменении состояния истории.
+   * @private
+   */
+  _notify() {
+    this.bus.emit('history:change', this.getState());
+  }
+
+  /**
+   * Создать шаг и добавить его в дерево (без привязки к родителю).
+   * @param {number|null} parent
+   * @param {object[]} patches
+   * @param {{label:string, time:number, viewBefore:object|null, viewAfter:object|null}} info
+   * @returns {HistoryStep}
+   * @private
+   */
+  _createStep(parent, patches, info) {
+    const step = { id: this._nextId++, parent, children: [], activeChild: null, patches, weight: JSON.stringify(patches).length, ...info };
+    this.nodes.set(step.id, step);
+    this.weight += step.weight;
+    return step;
   }
 
-  _getCurrent() {
-    if (this.index < 0 || this.index >= this.stack.length) return null;
-    return this.stack[this.index];
+  /**
+   * Дерево из одного корня.
+   * @private
+   */
+  _resetTree() {
+    /** @type {Map<number, HistoryStep>} */
+    this.nodes = new Map();
+    this._nextId = 0;
+    this.weight = 0;
+    const root = this._createStep(null, [], { label: '', time: Date.now(), viewBefore: null, viewAfter: null });
+    this.rootId = root.id;
+    this.currentId = root.id;
   }
 
   /**
-   * Выполнить восстановление документа (обёртка для безопасного отключения записи)
-   * @param {(doc:object)=>void} applyFn - функция которая применит документ в модель
-   * @param {object} doc - TableDocument
+   * Соблюсти limit и maxWeight: отбрасывать самый старый из кандидатов — лист, не являющийся текущим шагом,
+   * или первый шаг истории (если у корня одна ветка и текущий шаг не корень: корень сдвигается на него).
+   * Последний шаг остаётся, даже если он один тяжелее лимита.
+   * @private
    */
-  restore(applyFn, doc) {
+  _prune() {
+    while (this.nodes.size > 2 && (this.nodes.size - 1 > this.limit || this.weight > this.maxWeight)) {
+      const root = this.nodes.get(this.rootId);
+      const head = root.children.length === 1 && this.currentId !== this.rootId ? this.nodes.get(root.children[0]) : null;
+      let leaf = null;
+      for (const node of this.nodes.values()) {
+        if (node.children.length || node.id === this.currentId) continue;
+        if (!leaf || node.id < leaf.id) leaf = node;
+      }
+      if (head && (!leaf || head.id < leaf.id)) {
+        // Начало истории: первый шаг становится корнем, его патчи больше не нужны
+        this.nodes.delete(root.id);
+        this.weight -= head.weight;
+        head.parent = null;
+        head.patches = [];
+        head.weight = 0;
+        this.rootId = head.id;
+        continue;
+      }
+      if (!leaf) break;
+      this.nodes.delete(leaf.id);
+      this.weight -= leaf.weight;
+      const parent = this.nodes.get(leaf.parent);
+      parent.children = parent.children.filter(id => id !== leaf.id);
+      if (parent.activeChild === leaf.id) parent.activeChild = parent.children.length ? parent.children[parent.children.length - 1] : null;
+    }
+  }
+
+  /**
+   * Откатить текущий шаг: текущим становится родитель, откатанный шаг — его веткой для redo.
+   * @returns {boolean} Успешно ли применён шаг
+   * @private
+   */
+  _undoStep() {
+    const step = this.nodes.get(this.currentId);
+    if (!this._applyStep(step, true)) return false;
+    const parent = this.nodes.get(step.parent);
+    parent.activeChild = step.id;
+    this.currentId = parent.id;
+    return true;
+  }
+
+  /**
+   * Повторить дочерний шаг id текущего шага.
+   * @param {number} id
+   * @returns {boolean} Успешно ли применён шаг
+   * @private
+   */
+  _redoStep(id) {
+    if (!this._applyStep(this.nodes.get(id), false)) return false;
+    this.nodes.get(this.currentId).activeChild = id;
+    this.currentId = id;
+    return true;
+  }
+
+  /**
+   * Применить патчи шага к модели: откат — с конца, повтор — с начала. События модели, возникающие по ходу,
+   * в историю не попадают; итоговое structure:change { type: 'undo' | 'redo' } пересчитывает формулы, итоги и рендер.
+   * @param {HistoryStep} step
+   * @param {boolean} undo
+   * @returns {boolean} false — шаг не применился, история очищена
+   * @private
+   */
+  _applyStep(step, undo) {
+    const { model } = this;
+    const patches = undo ? [...step.patches].reverse() : step.patches;
+    const dropped = new Set();
     this._suspend = true;
     try {
-      applyFn(doc);
+      this.bus.batch(() => {
+        for (const patch of patches) {
+          if (patch.kind === 'cell') {
+            applyCell(model, patch, undo, dropped);
+            continue;
+          }
+          dropCells(model, dropped);
+          this._applyPatch(patch, undo);
+        }
+        dropCells(model, dropped);
+        this.bus.emit('structure:change', { type: undo ? 'undo' : 'redo' });
+      });
+      return true;
+    } catch (err) {
+      // Модель могла остаться между состояниями шагов — оставшиеся шаги к ней уже не применимы
+      console.error('[HistoryService] Ошибка применения шага истории', err);
+      this.clear();
+      return false;
     } finally {
       this._suspend = false;
     }
   }
+
+  /**
+   * Применить патч (кроме cell — их применяет _applyStep).
+   * @param {object} patch
+   * @param {boolean} undo
+   * @private
+   */
+  _applyPatch(patch, undo) {
+    const { model } = this;
+    switch (patch.kind) {
+      case 'spans':
+        applySpans(model, patch, undo);
+        break;
+      case 'meta':
+        model.meta[patch.field] = undo ? patch.oldValue : patch.newValue;
+        break;
+      case 'document':
+        model.applyDocument(undo ? patch.docBefore : patch.docAfter, { emitEvent: false });
+        break;
+      case 'structure': {
+        if (GRID_CHANGES.has(patch.type)) {
+          restoreGrid(model, undo ? patch.gridBefore : patch.gridAfter);
+          break;
+        }
+        const res = STRUCTURE_PATCHES[patch.type][undo ? 'undo' : 'redo'](model, patch);
+        if (res === false || (res && res.ok === false)) throw new Error(`${patch.type}: ${res.reason || 'операция отклонена'}`);
+        break;
+      }
+      default:
+        break;
+    }
+  }
+
+  /**
+   * Отписаться от событий модели.
+   */
+  destroy() {
+    this.bus.off('cell:change', this._onCellChange);
+    this.bus.off('structure:change', this._onStructureChange);
+    this.bus.off('merge', this._onMerge);
+    this.bus.off('split', this._onSplit);
+    this.bus.off('paste', this._onPaste);
+    this.bus.off('batch:start', this._onBatchStart);
+    this.bus.off('batch:flush', this._onBatchFlush);
+  }
 }
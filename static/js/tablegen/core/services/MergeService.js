@@ -74,7 +74,8 @@ export function mergeRange(model, r1, c1, r2, c2) {
     lead = model.getCell(r1, c1);
   }
 
-  // Применяем размеры объединения
+  // Применяем размеры объединения (прежние размеры и поглощённые ячейки уходят в payload события — для undo)
+  const previous = { rowSpan: lead.rowSpan || 1, colSpan: lead.colSpan || 1 };
   lead.rowSpan = rowSpan;
   lead.colSpan = colSpan;
 
@@ -90,9 +91,11 @@ export function mergeRange(model, r1, c1, r2, c2) {
 
   // Фильтруем массив ячеек, убирая поглощённые (кроме ведущей)
   const keep = [];
+  const removed = [];
   for (const cell of model.cells) {
     if (cell === lead) { keep.push(cell); continue; }
     if (cell.r >= r1 && cell.r <= r2 && cell.c >= c1 && cell.c <= c2) {
+      removed.push({ ...cell });
       continue; // поглощённая ячейка
     }
     keep.push(cell);
@@ -100,7 +103,7 @@ export function mergeRange(model, r1, c1, r2, c2) {
   model.cells = keep;
   model._rebuildIndex();
 
-  model.bus?.emit('merge', { r1, c1, r2, c2, rowSpan, colSpan });
+  model.bus?.emit('merge', { r1, c1, r2, c2, rowSpan, colSpan, previous, removed });
   return { ok: true };
 }
 
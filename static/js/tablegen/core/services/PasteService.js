@@ -1,54 +1,117 @@
 // PasteService.js
 // Сервис для вставки диапазона (например из Excel через буфер обмена)
 // На вход получает TableModel и двумерный массив значений (matrix)
+// Объединения, целиком попавшие в область вставки, снимаются: вставляемые данные задают структуру заново.
+// Объединения, которые область режет частично, должны быть отклонены заранее (ValidationService.validatePasteArea).
+// Специальная вставка (только значения / только оформление, пропуск пустых) — applyPasteContent и options.skipBlanks:
+// выбор режима и транспонирование делает ClipboardPasteService.pasteAtAnchor.
+
+import { buildCoverageMap } from '../utils/cellGrid.js';
+
+/**
+ * Изменение размеров ведущей ячейки при вставке — попадает в payload события paste (spans), чтобы вставку можно было
+ * откатить: HistoryService возвращает прежние размеры и поглощённые ячейки (removed).
+ * @typedef {Object} PasteSpanChange
+ * @property {number} r
+ * @property {number} c
+ * @property {{rowSpan:number, colSpan:number}} from
+ * @property {{rowSpan:number, colSpan:number}} to
+ */
+
+/**
+ * Снять объединения, ведущая ячейка которых лежит в области вставки (r1,c1)-(r2,c2).
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {number} r1
+ * @param {number} c1
+ * @param {number} r2
+ * @param {number} c2
+ * @returns {PasteSpanChange[]} Снятые объединения
+ */
+function resetMergesInArea(model, r1, c1, r2, c2) {
+  const spans = [];
+  for (const cell of model.cells) {
+    if (cell.r < r1 || cell.r > r2 || cell.c < c1 || cell.c > c2) continue;
+    if ((cell.rowSpan || 1) === 1 && (cell.colSpan || 1) === 1) continue;
+    spans.push({ r: cell.r, c: cell.c, from: { rowSpan: cell.rowSpan || 1, colSpan: cell.colSpan || 1 }, to: { rowSpan: 1, colSpan: 1 } });
+    cell.rowSpan = 1;
+    cell.colSpan = 1;
+  }
+  return spans;
+}
 
 /**
  * @param {import('../model/TableModel.js').TableModel} model
  * @param {number} startR - начальная строка вставки
  * @param {number} startC - начальный столбец вставки
  * @param {string[][]} matrix - матрица значений (результат parseClipboardMatrix)
+ * @param {Object} [options]
+ * @param {boolean} [options.skipBlanks=false] Пустые значения матрицы не затирают ячейки таблицы
  */
-export function applyPaste(model, startR, startC, matrix) {
+export function applyPaste(model, startR, startC, matrix, options = {}) {
   const rows = matrix.length;
   const cols = rows ? matrix[0].length : 0;
   // Расширяем таблицу при необходимости
   model.ensureSize(startR + rows, startC + cols);
+  const spans = resetMergesInArea(model, startR, startC, startR + rows - 1, startC + cols - 1);
   for (let i = 0; i < rows; i++) {
     for (let j = 0; j < cols; j++) {
       const raw = matrix[i][j];
       // Тримим пробелы по краям
       const val = raw.trim();
+      if (options.skipBlanks && val === '') continue;
       model.setCellValue(startR + i, startC + j, val);
     }
   }
-  model.bus?.emit('paste', { startR, startC, rows, cols });
+  model.bus?.emit('paste', { startR, startC, rows, cols, spans, removed: [] });
 }
 
 /**
- * Вставка HTML таблицы (с already parsed structure), учитывая rowspan/colspan
+ * Вставка HTML таблицы (с already parsed structure), учитывая rowspan/colspan.
+ * Классы и data-* из importMappings (cell.classes / cell.data) переносятся в ведущие ячейки.
  * @param {import('../model/TableModel.js').TableModel} model
  * @param {number} startR
  * @param {number} startC
- * @param {{rows:number, cols:number, cells:Array<{r:number,c:number,value:string,rowSpan:number,colSpan:number}>}} parsed
+ * @param {{rows:number, cols:number, cells:import('../../integration/import/parseClipboardHtmlTable.js').ParsedHtmlCell[]}} parsed
+ * @param {Object} [options]
+ * @param {boolean} [options.replaceAttributes=false] Снять классы и data-* ячеек области, которых нет во вставке
+ *   (копия диапазона из этой же таблицы переносит оформление целиком; внешний HTML только дополняет его)
+ * @param {boolean} [options.skipBlanks=false] Ячейки вставки с пустым значением не меняют содержимое и оформление
+ *   таблицы; объединения вставки применяются всегда (структуру задаёт вставляемый фрагмент)
  */
-export function applyHtmlTablePaste(model, startR, startC, parsed) {
+export function applyHtmlTablePaste(model, startR, startC, parsed, options = {}) {
   // Расширяем размеры
   model.ensureSize(startR + parsed.rows, startC + parsed.cols);
+  const spans = resetMergesInArea(model, startR, startC, startR + parsed.rows - 1, startC + parsed.cols - 1);
+  const removed = [];
   // Сначала вставляем все значения как будто без merge
-  // Заполняем пустыми строками базовую сетку, чтобы split потом не требовался
-  for (let r = 0; r < parsed.rows; r++) {
+  // Заполняем пустыми строками базовую сетку, чтобы split потом не требовался (при skipBlanks сетку не трогаем)
+  for (let r = 0; r < (options.skipBlanks ? 0 : parsed.rows); r++) {
     for (let c = 0; c < parsed.cols; c++) {
       model.setCellValue(startR + r, startC + c, '');
+      if (options.replaceAttributes) {
+        const existing = model.getCell(startR + r, startC + c);
+        if (existing.classes) model.setCellClasses(startR + r, startC + c, null);
+        if (existing.data) model.setCellData(startR + r, startC + c, null);
+      }
     }
   }
   // Теперь применяем ведущие ячейки
   for (const cell of parsed.cells) {
     const R = startR + cell.r;
     const C = startC + cell.c;
-    model.setCellValue(R, C, cell.value.trim());
+    const value = cell.value.trim();
+    if (!options.skipBlanks || value !== '') {
+      model.setCellValue(R, C, value);
+      const existing = model.getCell(R, C);
+      if (cell.classes) model.setCellClasses(R, C, cell.classes);
+      else if (options.skipBlanks && options.replaceAttributes && existing.classes) model.setCellClasses(R, C, null);
+      if (cell.data) model.setCellData(R, C, cell.data);
+      else if (options.skipBlanks && options.replaceAttributes && existing.data) model.setCellData(R, C, null);
+    }
     if (cell.rowSpan > 1 || cell.colSpan > 1) {
       // Объединяем вручную: присваиваем размеры и удаляем поглощённые
       let lead = model.getCell(R, C);
+      spans.push({ r: R, c: C, from: { rowSpan: lead.rowSpan || 1, colSpan: lead.colSpan || 1 }, to: { rowSpan: cell.rowSpan, colSpan: cell.colSpan } });
       lead.rowSpan = cell.rowSpan;
       lead.colSpan = cell.colSpan;
       // Удаляем внутренние ведущие ячейки
@@ -56,6 +119,7 @@ export function applyHtmlTablePaste(model, startR, startC, parsed) {
       for (const existing of model.cells) {
         if (existing === lead) { keep.push(existing); continue; }
         if (existing.r >= R && existing.r < R + cell.rowSpan && existing.c >= C && existing.c < C + cell.colSpan) {
+          removed.push({ ...existing });
           continue;
         }
         keep.push(existing);
@@ -64,5 +128,46 @@ export function applyHtmlTablePaste(model, startR, startC, parsed) {
       model._rebuildIndex();
     }
   }
-  model.bus?.emit('paste', { startR, startC, rows: parsed.rows, cols: parsed.cols, html: true });
+  model.bus?.emit('paste', { startR, startC, rows: parsed.rows, cols: parsed.cols, html: true, spans, removed });
+}
+
+/**
+ * Специальная вставка без изменения структуры: из фрагмента берутся только значения (mode 'values')
+ * или только классы и data-* (mode 'formats'). Объединения таблицы сохраняются — позиция, которую в таблице
+ * накрывает чужое объединение, пропускается; объединения фрагмента не переносятся (их покрытые позиции пропускаются).
+ * Оформление заменяется целиком: ячейка фрагмента без классов снимает классы ячейки таблицы.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {number} startR
+ * @param {number} startC
+ * @param {{rows:number, cols:number, cells:import('../../integration/import/parseClipboardHtmlTable.js').ParsedHtmlCell[]}} parsed
+ * @param {Object} [options]
+ * @param {'values'|'formats'} [options.mode='values']
+ * @param {boolean} [options.skipBlanks=false] Ячейки фрагмента с пустым значением не меняют таблицу
+ */
+export function applyPasteContent(model, startR, startC, parsed, options = {}) {
+  const { mode = 'values', skipBlanks = false } = options;
+  model.ensureSize(startR + parsed.rows, startC + parsed.cols);
+  const sourceCovered = buildCoverageMap(parsed.cells);
+  const sourceCells = new Map(parsed.cells.map(cell => [cell.r + ',' + cell.c, cell]));
+  const targetCovered = buildCoverageMap(model.cells);
+  for (let r = 0; r < parsed.rows; r++) {
+    for (let c = 0; c < parsed.cols; c++) {
+      if (sourceCovered.has(r + ',' + c)) continue;
+      const R = startR + r;
+      const C = startC + c;
+      if (targetCovered.has(R + ',' + C)) continue;
+      const source = sourceCells.get(r + ',' + c) || { value: '' };
+      const value = source.value.trim();
+      if (skipBlanks && value === '') continue;
+      if (mode === 'values') {
+        model.setCellValue(R, C, value);
+        continue;
+      }
+      // Не создаём ячейку ради снятия оформления, которого у неё и так нет
+      const existing = model.getCell(R, C);
+      if (source.classes || existing?.classes) model.setCellClasses(R, C, source.classes || null);
+      if (source.data || existing?.data) model.setCellData(R, C, source.data || null);
+    }
+  }
+  model.bus?.emit('paste', { startR, startC, rows: parsed.rows, cols: parsed.cols, mode });
 }
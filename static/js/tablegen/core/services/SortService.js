@@ -0,0 +1,176 @@
+// SortService.js
+// Сортировка строк тела таблицы по одному или нескольким столбцам.
+// Строки шапки (grid.headerRows) остаются на месте. Вертикальные объединения делают соседние строки неразрывной
+// группой: группа переезжает целиком, а её ключ — единственное непустое значение столбца ключа в группе.
+// Если в группе несколько разных значений ключа (или объединение пересекает границу шапки), порядок неоднозначен —
+// сортировка отклоняется с понятной причиной. Сама перестановка выполняется TableModel.reorderRows.
+//
+// Семантика сравнения столбца определяется по ячейкам тела: data-format (number / percent / date) или класс numeric
+// означают сравнение чисел, иначе сравнивается текст (без тегов, без учёта регистра, «цифры как числа»).
+// Пустые значения всегда оказываются в конце, в любом направлении — как в табличных редакторах.
+// У ячеек с формулой сравнивается результат; ссылки формул переставленных строк переписывает модель.
+
+import { buildCoverageMap } from '../utils/cellGrid.js';
+import { getCellFormat } from '../utils/cellData.js';
+import { stripAllowedTags } from '../utils/renderValue.js';
+import { displayValue } from '../utils/formula.js';
+import { parseNumber, parseFormattedValue, dateToSerial } from '../utils/valueFormat.js';
+
+/**
+ * Ключ сортировки
+ * @typedef {Object} SortKey
+ * @property {number} col Индекс столбца
+ * @property {'asc'|'desc'} [direction='asc']
+ * @property {'auto'|'number'|'text'} [type='auto'] auto — по data-format / классу numeric ячеек столбца
+ */
+
+/** Сравнение текста: русская локаль, регистр и «ё/е» не различаются, числа внутри текста сравниваются как числа */
+const textCollator = new Intl.Collator('ru', { numeric: true, sensitivity: 'base' });
+
+/**
+ * Разбить строки тела на неразрывные группы: объединение, начатое в группе, тянет её вниз до своей последней строки.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {number} start Первая строка тела
+ * @returns {{ok:true, groups:Array<{r1:number, r2:number}>} | {ok:false, error:string}}
+ */
+function buildRowGroups(model, start) {
+  const reach = new Array(model.grid.rows).fill(-1);
+  for (const cell of model.cells) {
+    const bottom = cell.r + (cell.rowSpan || 1) - 1;
+    if (cell.r < start && bottom >= start) {
+      return { ok: false, error: `Объединение в (${cell.r + 1},${cell.c + 1}) пересекает границу шапки` };
+    }
+    if (cell.r >= start) reach[cell.r] = Math.max(reach[cell.r], bottom);
+  }
+  const groups = [];
+  let groupStart = start;
+  let groupEnd = start;
+  for (let r = start; r < model.grid.rows; r++) {
+    groupEnd = Math.max(groupEnd, reach[r], r);
+    if (r === groupEnd) {
+      groups.push({ r1: groupStart, r2: r });
+      groupStart = r + 1;
+    }
+  }
+  return { ok: true, groups };
+}
+
+/**
+ * Ведущая ячейка, которая показывает значение столбца col в группе строк.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {Map<string, object>} covered Карта покрытия (buildCoverageMap)
+ * @param {{r1:number, r2:number}} group
+ * @param {number} col
+ * @returns {{ok:true, cell:object|null} | {ok:false, error:string}}
+ */
+function groupKeyCell(model, covered, group, col) {
+  let keyCell = null;
+  for (let r = group.r1; r <= group.r2; r++) {
+    const cell = model.getCell(r, col) || covered.get(r + ',' + col);
+    if (!cell || cell === keyCell || stripAllowedTags(displayValue(cell), ' ').trim() === '') continue;
+    if (keyCell) {
+      return {
+        ok: false,
+        error: `Строки ${group.r1 + 1}–${group.r2 + 1} связаны объединением, а в столбце ${col + 1} у них разные значения — порядок неоднозначен`
+      };
+    }
+    keyCell = cell;
+  }
+  return { ok: true, cell: keyCell };
+}
+
+/**
+ * Семантика сравнения столбца по ячейкам ключей: формат из data-format, иначе number для класса numeric, иначе text.
+ * @param {Array<object|null>} cells Ячейки ключей всех групп
+ * @param {'auto'|'number'|'text'} type Явно выбранный тип ключа
+ * @returns {'number'|'percent'|'date'|'text'}
+ */
+function columnSemantics(cells, type) {
+  if (type === 'text') return 'text';
+  const format = cells.map(getCellFormat).find(Boolean);
+  if (format) return format;
+  if (type === 'number' || cells.some(cell => cell && cell.classes && cell.classes.includes('numeric'))) return 'number';
+  return 'text';
+}
+
+/**
+ * Значение для сравнения: число (для дат — серийный номер), строка или null для пустой ячейки.
+ * Текст в числовом столбце, который не разобрался как число, сравнивается как текст и идёт после чисел.
+ * @param {object|null} cell
+ * @param {'number'|'percent'|'date'|'text'} semantics
+ * @returns {number|string|null}
+ */
+function sortValue(cell, semantics) {
+  const text = cell ? stripAllowedTags(displayValue(cell), ' ').trim() : '';
+  if (text === '') return null;
+  if (semantics === 'text') return text;
+  const parsed = semantics === 'number' ? parseNumber(text) : parseFormattedValue(text, semantics);
+  if (parsed == null) return text;
+  return semantics === 'date' ? dateToSerial(parsed) : parsed;
+}
+
+/**
+ * Сравнить два значения ключа: пустые в конце независимо от направления, числа раньше текста.
+ * @param {number|string|null} a
+ * @param {number|string|null} b
+ * @param {number} sign 1 — по возрастанию, -1 — по убыванию
+ * @returns {number}
+ */
+function compareValues(a, b, sign) {
+  if (a === null || b === null) return a === b ? 0 : (a === null ? 1 : -1);
+  const aNum = typeof a === 'number';
+  const bNum = typeof b === 'number';
+  if (aNum !== bNum) return sign * (aNum ? -1 : 1);
+  return sign * (aNum ? a - b : textCollator.compare(a, b));
+}
+
+/**
+ * Отсортировать строки тела таблицы по ключам (первый ключ главный, следующие различают равные значения).
+ * Сортировка устойчивая: строки с равными ключами сохраняют взаимный порядок.
+ * @param {import('../model/TableModel.js').TableModel} model
+ * @param {SortKey[]} keys
+ * @returns {{ok:boolean, error?:string, changed?:boolean}}
+ */
+export function sortRows(model, keys) {
+  if (!Array.isArray(keys) || !keys.length) return { ok: false, error: 'Не задан столбец сортировки' };
+  for (const key of keys) {
+    if (!Number.isInteger(key.col) || key.col < 0 || key.col >= model.grid.cols) {
+      return { ok: false, error: `Столбец ${Number(key.col) + 1} вне таблицы` };
+    }
+  }
+  const start = Math.min(model.grid.headerRows || 0, model.grid.rows);
+  const grouping = buildRowGroups(model, start);
+  if (!grouping.ok) return grouping;
+  const { groups } = grouping;
+  if (groups.length < 2) return { ok: true, changed: false };
+
+  // Для каждого ключа: ячейка-ключ каждой группы -> семантика столбца -> значения для сравнения
+  const covered = buildCoverageMap(model.cells);
+  const columns = [];
+  for (const key of keys) {
+    const cells = [];
+    for (const group of groups) {
+      const res = groupKeyCell(model, covered, group, key.col);
+      if (!res.ok) return res;
+      cells.push(res.cell);
+    }
+    const semantics = columnSemantics(cells, key.type || 'auto');
+    columns.push({ sign: key.direction === 'desc' ? -1 : 1, values: cells.map(cell => sortValue(cell, semantics)) });
+  }
+
+  const sorted = groups.map((group, i) => ({ group, i }));
+  sorted.sort((a, b) => {
+    for (const column of columns) {
+      const diff = compareValues(column.values[a.i], column.values[b.i], column.sign);
+      if (diff) return diff;
+    }
+    return a.i - b.i;
+  });
+
+  const order = Array.from({ length: start }, (_v, r) => r);
+  for (const { group } of sorted) {
+    for (let r = group.r1; r <= group.r2; r++) order.push(r);
+  }
+  const res = model.reorderRows(order);
+  return res.ok ? { ok: true, changed: res.changed } : { ok: false, error: 'Перестановка отклонена: ' + res.reason };
+}
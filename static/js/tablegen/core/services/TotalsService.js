@@ -0,0 +1,157 @@
+// TotalsService.js
+// Автоматические итоги (режим включается grid.aggregates, см. TableModel.setTotalsEnabled).
+// Строка итога — строка тела, в которой хотя бы одна ведущая ячейка помечена data-role="total" или "subtotal"
+// (total важнее subtotal). В каждом столбце с выбранной функцией (grid.aggregates[c]) ячейка такой строки считается
+// по числовым ячейкам того же столбца выше неё:
+//  - subtotal — до предыдущей строки итога (total или subtotal) или до шапки;
+//  - total — до предыдущей строки total или до шапки; строки subtotal внутри пропускаются, чтобы не считать дважды.
+// Учитываются только ведущие ячейки ровно этого столбца со значением-числом ('1 000,5'; у формулы — её результат);
+// текст и проценты пропускаются, ошибка формулы в источнике становится результатом итога.
+// Столбцы-заголовки строк (headerCols) и ячейки, покрытые объединением, не считаются.
+//
+// Итог хранится в cell.cached пустой ячейки (value === '') и показывается через displayValue, как результат формулы.
+// Непустое значение, введённое в ячейку итога, — ручное значение: оно не перезаписывается и помечается cell.override;
+// очистка ячейки возвращает автоматический итог. Пересчёт идёт после каждого изменения значений, data-* и структуры,
+// без событий (как у FormulaService); формулы, ссылающиеся на изменившиеся итоги, пересчитываются следом.
+
+import { buildCoverageMap } from '../utils/cellGrid.js';
+import { computeAggregate } from '../utils/aggregates.js';
+import { displayValue, isFormulaError } from '../utils/formula.js';
+import { stripAllowedTags } from '../utils/renderValue.js';
+import { parseNumber } from '../utils/valueFormat.js';
+
+/** Типы structure:change, которые не меняют ни значения, ни границы итогов */
+const LAYOUT_CHANGES = new Set(['meta', 'columnSizes', 'rowSizes']);
+
+export class TotalsService {
+  /**
+   * @param {import('../model/TableModel.js').TableModel} model
+   * @param {import('../events/EventBus.js').EventBus} bus
+   * @param {import('./FormulaService.js').FormulaService} [formulas] Пересчитать формулы, зависящие от изменившихся итогов
+   */
+  constructor(model, bus, formulas = null) {
+    this.model = model;
+    this.bus = bus;
+    this.formulas = formulas;
+    this._onCellChange = (payload) => {
+      if (payload && payload.field === 'classes') return;
+      this.recalculate();
+    };
+    this._onStructureChange = (payload) => {
+      if (payload && LAYOUT_CHANGES.has(payload.type)) return;
+      this.recalculate();
+    };
+    this._onMergeChange = () => this.recalculate();
+    bus.on('cell:change', this._onCellChange);
+    bus.on('structure:change', this._onStructureChange);
+    bus.on('merge', this._onMergeChange);
+    bus.on('split', this._onMergeChange);
+    this.recalculate();
+  }
+
+  /**
+   * Роль строки: 'total', 'subtotal' или null.
+   * @param {number} r
+   * @returns {'total'|'subtotal'|null}
+   */
+  rowRole(r) {
+    let role = null;
+    for (let c = 0; c < this.model.grid.cols; c++) {
+      const value = this.model.getCell(r, c)?.data?.['data-role'];
+      if (value === 'total') return 'total';
+      if (value === 'subtotal') role = 'subtotal';
+    }
+    return role;
+  }
+
+  /**
+   * Пересчитать все итоги и снять производные поля (cached, override) с ячеек, которые итогами быть перестали.
+   * @returns {Array<{r:number, c:number}>} Ячейки, у которых изменился показываемый итог
+   */
+  recalculate() {
+    const { model } = this;
+    const { rows, cols } = model.grid;
+    const aggregates = model.grid.aggregates;
+    const headerRows = model.grid.headerRows || 0;
+    const headerCols = model.grid.headerCols || 0;
+    const changed = [];
+    /** @type {Set<string>} ключи "r,c" ячеек итогов */
+    const targets = new Set();
+    if (aggregates) {
+      const covered = buildCoverageMap(model.cells);
+      const roles = [];
+      for (let r = 0; r < rows; r++) roles.push(r < headerRows ? null : this.rowRole(r));
+      for (let r = headerRows; r < rows; r++) {
+        const role = roles[r];
+        if (!role) continue;
+        // Строки-источники: вверх до границы (см. комментарий к модулю)
+        const sources = [];
+        for (let rr = r - 1; rr >= headerRows; rr--) {
+          if (roles[rr] === 'total' || (roles[rr] === 'subtotal' && role === 'subtotal')) break;
+          if (!roles[rr]) sources.push(rr);
+        }
+        for (let c = headerCols; c < cols; c++) {
+          const name = aggregates[c];
+          if (!name || covered.has(r + ',' + c)) continue;
+          const key = r + ',' + c;
+          targets.add(key);
+          const cell = model.getCell(r, c);
+          if (cell && cell.value !== '') {
+            // Ручное значение: не трогаем, только помечаем
+            cell.override = true;
+            continue;
+          }
+          const result = this._aggregateColumn(name, c, sources);
+          const target = cell || (result !== null ? model.ensureCell(r, c) : null);
+          if (!target) continue;
+          delete target.override;
+          if ((target.cached ?? null) === result) continue;
+          if (result === null) delete target.cached;
+          else target.cached = result;
+          changed.push({ r, c });
+        }
+      }
+    }
+    // Бывшие итоги: строка больше не total / subtotal, столбец не считается или режим выключен
+    for (const cell of model.cells) {
+      if (targets.has(cell.r + ',' + cell.c)) continue;
+      delete cell.override;
+      if (cell.value === '' && cell.cached !== undefined) {
+        delete cell.cached;
+        changed.push({ r: cell.r, c: cell.c });
+      }
+    }
+    if (this.formulas) {
+      for (const { r, c } of changed) this.formulas.recalculateFrom(r, c);
+    }
+    return changed;
+  }
+
+  /**
+   * Итог столбца c по строкам sources.
+   * @param {string} name Функция из grid.aggregates
+   * @param {number} c
+   * @param {number[]} sources
+   * @returns {string|null} Текст итога, код ошибки формулы-источника или null (нечего показывать)
+   */
+  _aggregateColumn(name, c, sources) {
+    const numbers = [];
+    for (const r of sources) {
+      const text = stripAllowedTags(displayValue(this.model.getCell(r, c)), ' ').trim();
+      if (isFormulaError(text)) return text;
+      const num = parseNumber(text);
+      if (num !== null) numbers.push(num);
+    }
+    return computeAggregate(name, numbers);
+  }
+
+  /**
+   * Отписаться от событий модели.
+   */
+  destroy() {
+    this.bus.off('cell:change', this._onCellChange);
+    this.bus.off('structure:change', this._onStructureChange);
+    this.bus.off('merge', this._onMergeChange);
+    this.bus.off('split', this._onMergeChange);
+  }
+}
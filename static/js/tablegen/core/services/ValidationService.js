@@ -19,6 +19,7 @@ export class ValidationService {
     this._classSet = new Set();      // множество допустимых классов
     this._exclusiveGroups = new Map(); // карта: className -> exclusiveGroup
     this._attrMap = new Map();       // карта: attrName -> метаданные
+    this._importMappings = [];       // проверенные правила преобразования оформления при импорте HTML
     this._strict = true;             // STRICT политика импорта/валидации
   }
 
@@ -120,6 +121,20 @@ export class ValidationService {
     return errors;
   }
 
+  /**
+   * Проверка отдельной ячейки (вне документа — например, из патча истории): границы grid, формат классов и data-*
+   * и, если реестр инициализирован, STRICT проверка по нему — как для ячеек в validateDocument.
+   * @param {Object} cell Объект ячейки
+   * @param {Object} grid Размеры таблицы {rows, cols}
+   * @returns {string[]} Массив ошибок
+   */
+  validateCellStrict(cell, grid) {
+    const errors = this.validateCell(cell, grid);
+    // Реестр проверяем только у корректно оформленной ячейки (classes — массив, data — объект)
+    if (errors.length || !this._registry) return errors;
+    return this._validateCellRegistry(cell);
+  }
+
   /**
    * Инициализация реестра допустимых классов и атрибутов.
    * STRICT политика: любое неизвестное значение считается ошибкой при валидации документов/импорта.
@@ -147,6 +162,52 @@ export class ValidationService {
     if (registry.rules && registry.rules.importPolicy === 'strict') {
       this._strict = true; // сейчас только strict
     }
+    this._importMappings = this._checkImportMappings(registry.importMappings);
+  }
+
+  /**
+   * Проверка правил importMappings против реестра: из правила убираем неизвестные классы и недопустимые data-* значения
+   * (с предупреждением в консоль), правило без условия или без результата отбрасываем целиком.
+   * Так ошибка в конфигурации сайта не ломает вставку и не приводит к STRICT ошибкам при импорте.
+   * @param {Array<object>|undefined} mappings
+   * @returns {Array<{sourceClass?:string, style?:string, values?:string[], classes?:string[], data?:Object}>}
+   */
+  _checkImportMappings(mappings) {
+    if (!Array.isArray(mappings)) return [];
+    const result = [];
+    for (const rule of mappings) {
+      if (!rule || (!rule.sourceClass && !rule.style)) {
+        console.warn('[Registry] importMappings: правило без sourceClass/style пропущено', rule);
+        continue;
+      }
+      const classes = (rule.classes || []).filter(cls => {
+        if (this._classSet.has(cls)) return true;
+        console.warn(`[Registry] importMappings: неизвестный класс '${cls}' пропущен`);
+        return false;
+      });
+      const data = {};
+      for (const [key, value] of Object.entries(rule.data || {})) {
+        const meta = this._attrMap.get(key);
+        if (meta && this._validateAttributeValue(meta, value)) data[key] = value;
+        else console.warn(`[Registry] importMappings: недопустимый атрибут ${key}=${value} пропущен`);
+      }
+      if (!classes.length && !Object.keys(data).length) continue;
+      result.push({
+        ...(rule.sourceClass ? { sourceClass: rule.sourceClass } : { style: String(rule.style).toLowerCase() }),
+        ...(Array.isArray(rule.values) ? { values: rule.values.map(v => String(v).toLowerCase()) } : {}),
+        ...(classes.length ? { classes } : {}),
+        ...(Object.keys(data).length ? { data } : {})
+      });
+    }
+    return result;
+  }
+
+  /**
+   * Правила преобразования оформления исходных ячеек при импорте / вставке HTML (уже проверенные против реестра).
+   * @returns {Array<object>}
+   */
+  getImportMappings() {
+    return this._importMappings.slice();
   }
 
   /**
@@ -248,6 +309,22 @@ export class ValidationService {
     return { ok: true, value };
   }
 
+  /**
+   * Проверка значения атрибута, прочитанного из HTML (там любое значение — строка):
+   * строка приводится к типу из реестра ('12' -> 12, 'true' -> true) и затем проверяется как обычно.
+   * @param {string} name имя атрибута
+   * @param {string} text значение из разметки
+   * @returns {{ok:boolean, value?:any, error?:string}}
+   */
+  parseAttributeText(name, text) {
+    const meta = this._attrMap.get(name);
+    if (!meta) return { ok: false, error: 'Неизвестный атрибут' };
+    let value = String(text).trim();
+    if (meta.type === 'number') value = value === '' ? NaN : Number(value);
+    else if (meta.type === 'boolean') value = value === 'true' ? true : value === 'false' ? false : value;
+    return this.validateAttribute(name, value);
+  }
+
   /**
    * Доступные классы (для UI)
    */
@@ -355,6 +432,40 @@ export class ValidationService {
     return { ok: true };
   }
 
+  /**
+   * Проверка области вставки диапазона (r1,c1)-(r2,c2) из буфера обмена.
+   * В отличие от merge, область может выходить за текущие границы (таблица будет расширена ensureSize),
+   * а каждое существующее объединение, задетое областью, должно лежать в ней ЦЕЛИКОМ: такие объединения
+   * вставка заменяет своей структурой. Объединение, которое область режет (в том числе вставка внутрь
+   * большего объединения), — конфликт: иначе часть значений попала бы в скрытые ячейки.
+   * @param {number} r1 Начальная строка
+   * @param {number} c1 Начальная колонка
+   * @param {number} r2 Конечная строка
+   * @param {number} c2 Конечная колонка
+   * @returns {{ok: boolean, error?: string}}
+   */
+  validatePasteArea(r1, c1, r2, c2) {
+    const minR = Math.min(r1, r2);
+    const maxR = Math.max(r1, r2);
+    const minC = Math.min(c1, c2);
+    const maxC = Math.max(c1, c2);
+    if (minR < 0 || minC < 0) {
+      return { ok: false, error: 'Область вставки начинается за пределами таблицы' };
+    }
+    for (const cell of this.model.cells) {
+      const cellMaxR = cell.r + (cell.rowSpan || 1) - 1;
+      const cellMaxC = cell.c + (cell.colSpan || 1) - 1;
+      if (cellMaxR === cell.r && cellMaxC === cell.c) continue; // не merge
+      const overlaps = !(maxR < cell.r || minR > cellMaxR || maxC < cell.c || minC > cellMaxC);
+      if (!overlaps) continue;
+      const inside = minR <= cell.r && maxR >= cellMaxR && minC <= cell.c && maxC >= cellMaxC;
+      if (!inside) {
+        return { ok: false, error: `Вставка задевает часть объединения (${cell.r},${cell.c}) ${cell.rowSpan || 1}x${cell.colSpan || 1}` };
+      }
+    }
+    return { ok: true };
+  }
+
   /**
    * Валидация имени CSS класса
    * @param {string} className Имя класса
@@ -0,0 +1,54 @@
+// aggregates.js
+// Агрегатные функции автоматических итогов (строки с data-role="total" / "subtotal", см. core/services/TotalsService.js).
+// Выбор функции хранится в документе по столбцам: grid.aggregates — массив длиной grid.cols, элемент — имя функции
+// или null (столбец не считается). Отсутствие массива (null) — режим итогов выключен.
+
+import { formatNumber } from './valueFormat.js';
+
+/** Допустимые агрегатные функции */
+export const AGGREGATES = ['sum', 'avg', 'min', 'max', 'count'];
+
+/** Подписи функций для интерфейса */
+export const AGGREGATE_LABELS = { sum: 'Сумма', avg: 'Среднее', min: 'Минимум', max: 'Максимум', count: 'Количество' };
+
+/** Функция по умолчанию для столбцов, появившихся при включении режима или вставке */
+export const DEFAULT_AGGREGATE = 'sum';
+
+/**
+ * Является ли значение именем агрегатной функции.
+ * @param {*} name
+ * @returns {boolean}
+ */
+export function isAggregate(name) {
+  return AGGREGATES.includes(name);
+}
+
+/**
+ * Нормализовать grid.aggregates из документа: не массив или пустой массив — null (режим выключен),
+ * неизвестные имена заменяются на null (столбец не считается), чтобы не сдвигать остальные столбцы.
+ * @param {*} list
+ * @returns {Array<string|null>|null}
+ */
+export function normalizeAggregates(list) {
+  if (!Array.isArray(list) || !list.length) return null;
+  return list.map(x => (isAggregate(x) ? x : null));
+}
+
+/**
+ * Вычислить агрегат над числами столбца.
+ * sum / avg / min / max без чисел не дают результата (ячейка итога остаётся пустой), count — 0.
+ * @param {string} name Имя функции из AGGREGATES
+ * @param {number[]} numbers
+ * @returns {string|null} Результат в записи с запятой или null
+ */
+export function computeAggregate(name, numbers) {
+  if (name === 'count') return String(numbers.length);
+  if (!numbers.length) return null;
+  switch (name) {
+    case 'sum': return formatNumber(numbers.reduce((a, b) => a + b, 0));
+    case 'avg': return formatNumber(numbers.reduce((a, b) => a + b, 0) / numbers.length);
+    case 'min': return formatNumber(Math.min(...numbers));
+    case 'max': return formatNumber(Math.max(...numbers));
+    default: return null;
+  }
+}
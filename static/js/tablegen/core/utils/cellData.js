@@ -0,0 +1,22 @@
+// cellData.js
+// Работа с data-* атрибутами ячейки. В cell.data ключи хранятся под полными именами из реестра ('data-role', 'data-format'),
+// как их записывают SidePanel, панель быстрых атрибутов и ValidationService.
+
+/**
+ * Имя HTML атрибута для ключа cell.data. Ключ уже содержит приставку data- — используем как есть,
+ * иначе (старые документы с ключами без приставки) добавляем её.
+ * @param {string} key Ключ из cell.data
+ * @returns {string} Например 'data-role'
+ */
+export function dataAttributeName(key) {
+  return key.startsWith('data-') ? key : 'data-' + key;
+}
+
+/**
+ * Значение формата ячейки (data-format: number / percent / date) или undefined.
+ * @param {{data?:Object}} cell
+ * @returns {string|undefined}
+ */
+export function getCellFormat(cell) {
+  return cell && cell.data ? cell.data['data-format'] : undefined;
+}
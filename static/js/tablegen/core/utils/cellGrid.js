@@ -0,0 +1,68 @@
+// cellGrid.js
+// Вспомогательные функции обхода сетки таблицы с учётом объединённых (merge) областей.
+// Модель хранит только ведущие ячейки, поэтому экспортёрам и сервисам часто нужно знать,
+// какие координаты «накрыты» чужим rowSpan/colSpan и какой ведущей ячейке они принадлежат.
+// Здесь же — преобразование координат в нотацию A1 (буквы столбцов + номер строки) и обратно.
+
+/**
+ * Строит карту покрытых координат: ключ "r,c" -> ведущая ячейка, которая накрывает эту координату.
+ * Сама ведущая ячейка в карту НЕ попадает (её можно получить через model.getCell).
+ * @param {Array<import('../model/TableModel.js').TableCell>} cells Массив ведущих ячеек модели
+ * @returns {Map<string, import('../model/TableModel.js').TableCell>}
+ */
+export function buildCoverageMap(cells) {
+  const covered = new Map();
+  for (const cell of cells) {
+    const rs = cell.rowSpan || 1;
+    const cs = cell.colSpan || 1;
+    if (rs === 1 && cs === 1) continue; // нет объединения — нечего добавлять
+    for (let rr = cell.r; rr < cell.r + rs; rr++) {
+      for (let cc = cell.c; cc < cell.c + cs; cc++) {
+        if (rr === cell.r && cc === cell.c) continue; // ведущая ячейка
+        covered.set(rr + ',' + cc, cell);
+      }
+    }
+  }
+  return covered;
+}
+
+/**
+ * Буквенное имя столбца в стиле электронных таблиц: 0 -> 'A', 25 -> 'Z', 26 -> 'AA'.
+ * @param {number} c Индекс столбца (0-based)
+ * @returns {string}
+ */
+export function columnLabel(c) {
+  let n = c + 1;
+  let label = '';
+  while (n > 0) {
+    const rem = (n - 1) % 26;
+    label = String.fromCharCode(65 + rem) + label;
+    n = Math.floor((n - 1) / 26);
+  }
+  return label;
+}
+
+/**
+ * Ссылка на ячейку в нотации A1: (0,0) -> 'A1'.
+ * @param {number} r Индекс строки (0-based)
+ * @param {number} c Индекс столбца (0-based)
+ * @returns {string}
+ */
+export function cellRef(r, c) {
+  return columnLabel(c) + (r + 1);
+}
+
+/**
+ * Разобрать ссылку A1 ('B3', '$B$3', 'b3') в координаты (0-based).
+ * @param {string} ref
+ * @returns {{r:number, c:number}|null}
+ */
+export function parseCellRef(ref) {
+  const match = /^\$?([A-Za-z]{1,3})\$?(\d+)$/.exec(String(ref || '').trim());
+  if (!match) return null;
+  let c = 0;
+  for (const ch of match[1].toUpperCase()) c = c * 26 + (ch.charCodeAt(0) - 64);
+  const r = parseInt(match[2], 10);
+  if (r < 1) return null;
+  return { r: r - 1, c: c - 1 };
+}
@@ -0,0 +1,240 @@
+// columnSizes.js
+// Схема размеров столбцов grid.columnSizes ({ v, u, min?, max? }): разбор ввода, проверка, текстовое представление
+// и преобразование в CSS ширины. Используется при экспорте (colgroup в HTML, относительные ширины в AsciiDoc),
+// в редакторе (colgroup TableRenderer, строка инпутов «W») и при импорте JSON — логика вынесена отдельно,
+// чтобы её можно было переиспользовать.
+//
+// Единицы:
+//  - 'px'    — фиксированная ширина;
+//  - 'ratio' — доля оставшегося места (дробная: 1.5), 1:2 — второй столбец вдвое шире первого;
+//  - '%'     — процент ширины таблицы (0 < v <= 100);
+//  - 'auto'  — по содержимому (v не используется, хранится 0).
+// Ограничения min / max (px) допустимы только для гибких единиц ratio и %: фиксированной и автоматической
+// ширине они не нужны. В ячейке ввода записываются как minmax(80px, 2) или clamp(80px, 25%, 300px).
+
+/**
+ * Размер столбца
+ * @typedef {Object} ColumnSize
+ * @property {number} v Значение (для auto — 0)
+ * @property {'px'|'ratio'|'%'|'auto'} u Единица
+ * @property {number} [min] Минимальная ширина, px (только ratio / %)
+ * @property {number} [max] Максимальная ширина, px (только ratio / %)
+ */
+
+/** Допустимые единицы размера столбца */
+export const COLUMN_SIZE_UNITS = ['px', 'ratio', '%', 'auto'];
+
+/** Подсказка о формате ввода — для сообщений об ошибке */
+const SIZE_SYNTAX_HINT = '120px, 1.5, 25%, auto, minmax(80px, 2) или clamp(80px, 25%, 300px)';
+
+/**
+ * Проверить размер столбца по схеме.
+ * @param {*} size
+ * @returns {string|null} Текст ошибки или null, если размер корректен
+ */
+export function validateColumnSize(size) {
+  if (!size || typeof size !== 'object') return 'ожидался объект { v, u }';
+  if (!COLUMN_SIZE_UNITS.includes(size.u)) return `неизвестная единица '${size.u}'`;
+  if (typeof size.v !== 'number' || !Number.isFinite(size.v)) return 'v должно быть числом';
+  if (size.u === 'auto') {
+    if (size.v !== 0) return 'у auto значение v должно быть 0';
+  } else if (!(size.v > 0)) {
+    return 'v должно быть больше 0';
+  }
+  if (size.u === '%' && size.v > 100) return 'процент не может быть больше 100';
+  const hasMin = size.min !== undefined;
+  const hasMax = size.max !== undefined;
+  if (!hasMin && !hasMax) return null;
+  if (size.u !== 'ratio' && size.u !== '%') return `ограничения min / max допустимы только для долей и процентов, не для ${size.u}`;
+  for (const key of ['min', 'max']) {
+    if (size[key] !== undefined && !(typeof size[key] === 'number' && size[key] > 0)) return `${key} должно быть числом px больше 0`;
+  }
+  if (hasMin && hasMax && size.min > size.max) return 'min больше max';
+  return null;
+}
+
+/**
+ * Скопировать корректный размер без посторонних полей.
+ * @param {ColumnSize} size
+ * @returns {ColumnSize}
+ */
+export function cloneColumnSize(size) {
+  const copy = { v: size.v, u: size.u };
+  if (size.min !== undefined) copy.min = size.min;
+  if (size.max !== undefined) copy.max = size.max;
+  return copy;
+}
+
+/**
+ * Разобрать число (точка или запятая как разделитель дробной части).
+ * @param {string} text
+ * @returns {number|null}
+ */
+function parseDecimal(text) {
+  if (!/^\d+(?:[.,]\d+)?$/.test(text)) return null;
+  return Number(text.replace(',', '.'));
+}
+
+/**
+ * Разобрать простой размер без ограничений: '120px', '1.5', '25%', 'auto'.
+ * @param {string} text
+ * @returns {ColumnSize|null}
+ */
+function parseSimpleSize(text) {
+  const t = text.trim().toLowerCase();
+  if (t === 'auto') return { v: 0, u: 'auto' };
+  if (t.endsWith('px')) {
+    const v = parseDecimal(t.slice(0, -2).trim());
+    return v === null ? null : { v, u: 'px' };
+  }
+  if (t.endsWith('%')) {
+    const v = parseDecimal(t.slice(0, -1).trim());
+    return v === null ? null : { v, u: '%' };
+  }
+  const v = parseDecimal(t);
+  return v === null ? null : { v, u: 'ratio' };
+}
+
+/**
+ * Разобрать границу ограничения: px или 'auto' / 'none' (ограничения нет).
+ * @param {string} text
+ * @returns {number|undefined|null} число px, undefined — без ограничения, null — ошибка
+ */
+function parseBound(text) {
+  const t = text.trim().toLowerCase();
+  if (t === 'auto' || t === 'none') return undefined;
+  const size = parseSimpleSize(t);
+  return size && size.u === 'px' ? size.v : null;
+}
+
+/**
+ * Разобрать ввод размера столбца.
+ *  - '120px' -> { v:120, u:'px' }; '1.5' / '1,5' -> { v:1.5, u:'ratio' }; '25%' -> { v:25, u:'%' }; 'auto' -> { v:0, u:'auto' }
+ *  - 'minmax(80px, 2)' -> { v:2, u:'ratio', min:80 }
+ *  - 'clamp(80px, 25%, 300px)' -> { v:25, u:'%', min:80, max:300 } (границу можно опустить словом auto / none)
+ * Пустой ввод — размер по умолчанию (одна доля).
+ * @param {string} raw
+ * @returns {{ok:true, size:ColumnSize}|{ok:false, error:string}}
+ */
+export function parseColumnSize(raw) {
+  const text = typeof raw === 'string' ? raw.trim() : '';
+  if (!text) return { ok: true, size: { v: 1, u: 'ratio' } };
+  const fail = (reason) => ({ ok: false, error: `«${text}»: ${reason}. Допустимо: ${SIZE_SYNTAX_HINT}` });
+  let size;
+  const fn = /^(minmax|clamp)\s*\((.*)\)$/i.exec(text);
+  if (fn) {
+    // Запятая здесь разделяет аргументы, поэтому дробные доли внутри minmax / clamp пишутся через точку
+    const args = fn[2].split(',').map(s => s.trim());
+    const isClamp = fn[1].toLowerCase() === 'clamp';
+    if (args.length !== (isClamp ? 3 : 2)) return fail(isClamp ? 'clamp принимает три значения: min, размер, max' : 'minmax принимает два значения: min, размер');
+    const min = parseBound(args[0]);
+    const max = isClamp ? parseBound(args[2]) : undefined;
+    if (min === null || max === null) return fail('границы задаются в px (или auto — без границы)');
+    size = parseSimpleSize(args[1]);
+    if (!size) return fail('не удалось разобрать размер');
+    if (min !== undefined) size.min = min;
+    if (max !== undefined) size.max = max;
+  } else {
+    size = parseSimpleSize(text);
+    if (!size) return fail('неизвестный формат');
+  }
+  const error = validateColumnSize(size);
+  return error ? fail(error) : { ok: true, size };
+}
+
+/**
+ * Текстовое представление размера для строки ввода (обратное parseColumnSize).
+ * @param {ColumnSize|null|undefined} size
+ * @returns {string}
+ */
+export function formatColumnSize(size) {
+  if (!size) return '1';
+  let base;
+  if (size.u === 'px') base = size.v + 'px';
+  else if (size.u === '%') base = size.v + '%';
+  else if (size.u === 'auto') base = 'auto';
+  else base = String(size.v);
+  const hasMin = size.min !== undefined;
+  const hasMax = size.max !== undefined;
+  if (hasMax) return `clamp(${hasMin ? size.min + 'px' : 'auto'}, ${base}, ${size.max}px)`;
+  if (hasMin) return `minmax(${size.min}px, ${base})`;
+  return base;
+}
+
+/**
+ * Обернуть CSS ширину ограничениями min / max: max(80px, 25%), min(25%, 300px), clamp(80px, 25%, 300px).
+ * Если ширина уже в px — ограничение считается сразу.
+ * @param {string} width CSS ширина
+ * @param {ColumnSize} cs
+ * @returns {string}
+ */
+function applyBounds(width, cs) {
+  const hasMin = cs.min !== undefined;
+  const hasMax = cs.max !== undefined;
+  if (!width || (!hasMin && !hasMax)) return width;
+  if (width.endsWith('px')) {
+    let px = parseFloat(width);
+    if (hasMin) px = Math.max(px, cs.min);
+    if (hasMax) px = Math.min(px, cs.max);
+    return px + 'px';
+  }
+  if (hasMin && hasMax) return `clamp(${cs.min}px, ${width}, ${cs.max}px)`;
+  return hasMin ? `max(${cs.min}px, ${width})` : `min(${width}, ${cs.max}px)`;
+}
+
+/**
+ * Переводит массив размеров столбцов в массив CSS значений width.
+ * Правила:
+ *  - u:'px'    -> фиксированная ширина 'Npx'
+ *  - u:'%'     -> 'N%'
+ *  - u:'auto'  -> '' (ширина не задаётся — по содержимому)
+ *  - u:'ratio' -> доля места, оставшегося после процентных столбцов, в процентах (например 1:2:1 -> 25% / 50% / 25%)
+ *    или, если задан options.ratioUnitPx, фиксированная ширина v * ratioUnitPx px. Второй вариант нужен редактору:
+ *    ширина его таблицы определяется содержимым, и проценты от неё не дают устойчивых пропорций.
+ *  - min / max оборачивают ширину в max() / min() / clamp().
+ * Если columnSizes не задан — возвращаем null (ширины по умолчанию, colgroup не нужен).
+ * @param {ColumnSize[]|null} columnSizes
+ * @param {Object} [options]
+ * @param {number} [options.ratioUnitPx] Ширина одной доли ratio в px (вместо процентов)
+ * @returns {string[]|null}
+ */
+export function columnSizesToCssWidths(columnSizes, options = {}) {
+  const { ratioUnitPx } = options;
+  if (!Array.isArray(columnSizes) || !columnSizes.length) return null;
+  // Сумма всех ratio нужна, чтобы перевести доли в проценты; процентные столбцы занимают свою часть заранее
+  let ratioSum = 0;
+  let percentSum = 0;
+  for (const cs of columnSizes) {
+    if (cs && cs.u === 'ratio' && cs.v > 0) ratioSum += cs.v;
+    if (cs && cs.u === '%' && cs.v > 0) percentSum += cs.v;
+  }
+  const ratioSpace = Math.max(0, 100 - percentSum);
+  return columnSizes.map(cs => {
+    if (!cs) return '';
+    let width = '';
+    if (cs.u === 'px') width = cs.v + 'px';
+    else if (cs.u === '%') width = cs.v + '%';
+    else if (cs.u === 'ratio' && ratioUnitPx > 0 && cs.v > 0) width = Math.round(cs.v * ratioUnitPx) + 'px';
+    else if (cs.u === 'ratio' && ratioSum > 0 && cs.v > 0 && ratioSpace > 0) {
+      // Округляем до сотых, чтобы не тащить в разметку длинные дроби
+      width = Math.round(cs.v / ratioSum * ratioSpace * 100) / 100 + '%';
+    }
+    return applyBounds(width, cs);
+  });
+}
+
+/**
+ * Переводит размеры столбцов в целые относительные веса (проценты от суммы), например 1:2:1 -> [25, 50, 25].
+ * Нужен форматам, где ширины задаются только пропорциями (AsciiDoc cols).
+ * Пропорции осмысленны лишь при одной единице измерения у всех столбцов, поэтому при смешении единиц,
+ * столбцах auto (или отсутствии размеров) возвращаем null. Ограничения min / max в пропорции не переводятся.
+ * @param {ColumnSize[]|null} columnSizes
+ * @returns {number[]|null}
+ */
+export function columnSizesToWeights(columnSizes) {
+  if (!Array.isArray(columnSizes) || !columnSizes.length) return null;
+  const unit = columnSizes[0] && columnSizes[0].u;
+  if (!columnSizes.every(cs => cs && cs.u === unit && cs.v > 0)) return null;
+  const sum = columnSizes.reduce((acc, cs) => acc + cs.v, 0);
+  return columnSizes.map(cs => Math.max(1, Math.round(cs.v / sum * 100)));
+}
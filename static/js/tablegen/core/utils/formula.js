@@ -0,0 +1,629 @@
+// formula.js
+// Формулы ячеек: значение, начинающееся с '=', вычисляется как выражение над ссылками A1 ('=SUM(B2:B10)', '=B2*C2').
+// Здесь — функции без состояния: разбор текста в дерево, вычисление дерева (значения ссылок отдаёт вызывающий код),
+// перезапись ссылок при структурных изменениях таблицы и представление результата.
+// Граф зависимостей и пересчёт по событиям — в core/services/FormulaService.js.
+//
+// Синтаксис (подмножество электронных таблиц):
+//  - числа с точкой как десятичным разделителем: 2, 0.5, 1e3;
+//  - ссылки A1 и $A$1, диапазоны A1:B3 (ссылка за пределами таблицы — пустая ячейка);
+//  - операторы + - * / ^, унарный минус, скобки;
+//  - функции SUM, AVERAGE, MIN, MAX, COUNT, ROUND, ABS и их русские имена (СУММ, СРЗНАЧ, МИН, МАКС, СЧЁТ, ОКРУГЛ);
+//    аргументы разделяются запятой или точкой с запятой.
+// Значения ячеек в модели — строки, набранные человеком, поэтому ссылка на '1 000,5' даёт число 1000.5,
+// на '12%' — 0.12, на пустую ячейку — пусто (0 в арифметике), на прочий текст — текст.
+
+import { cellRef, columnLabel } from './cellGrid.js';
+import { parseNumber, parsePercent, formatNumber } from './valueFormat.js';
+import { stripAllowedTags } from './renderValue.js';
+
+/** Коды ошибок формул (как в электронных таблицах; #CYCLE! — циклическая ссылка, #ERROR! — синтаксис) */
+export const FORMULA_ERRORS = {
+  REF: '#REF!',
+  DIV0: '#DIV/0!',
+  VALUE: '#VALUE!',
+  NAME: '#NAME?',
+  NUM: '#NUM!',
+  CYCLE: '#CYCLE!',
+  SYNTAX: '#ERROR!'
+};
+
+const ERROR_CODES = Object.values(FORMULA_ERRORS);
+
+/**
+ * Результат вычисления: число, строка, null (пустая ячейка) или ошибка.
+ * @typedef {number|string|null|{error:string}} FormulaValue
+ */
+
+/**
+ * Прямоугольник ссылки (для одиночной ссылки r1 = r2, c1 = c2), координаты 0-based.
+ * @typedef {{r1:number, c1:number, r2:number, c2:number}} FormulaRange
+ */
+
+/**
+ * Является ли значение ячейки формулой. Одиночный знак '=' формулой не считается.
+ * @param {*} value
+ * @returns {boolean}
+ */
+export function isFormula(value) {
+  return typeof value === 'string' && value.length > 1 && value[0] === '=';
+}
+
+/**
+ * Текст, который показывается вместо значения ячейки: для формулы — кэшированный результат, для пустой ячейки
+ * с автоматическим итогом (TotalsService) — итог, иначе само значение.
+ * Используется редактором и экспортёрами; редактирование по-прежнему работает с формулой (cell.value).
+ * @param {import('../model/TableModel.js').TableCell|null|undefined} cell
+ * @returns {string}
+ */
+export function displayValue(cell) {
+  if (!cell) return '';
+  if (isFormula(cell.value)) return typeof cell.cached === 'string' ? cell.cached : '';
+  if (cell.value === '' && typeof cell.cached === 'string') return cell.cached;
+  return cell.value;
+}
+
+/**
+ * Является ли текст кодом ошибки формулы ('#REF!', '#DIV/0!' ...).
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isFormulaError(text) {
+  return ERROR_CODES.includes(text);
+}
+
+// --- Разбор ---
+
+/** Синтаксическая ошибка разбора (наружу не выходит: parseFormula возвращает {ok:false}) */
+class FormulaSyntaxError extends Error {}
+
+const NUMBER_RE = /(?:\d+(?:\.\d*)?|\.\d+)(?:[eE][-+]?\d+)?/y;
+// Ссылка не должна быть началом имени функции или более длинного слова: 'LOG10(' — не ссылка
+const REF_RE = /(\$?)([A-Za-z]{1,3})(\$?)([1-9]\d*)(?![\wА-Яа-яЁё.]|\s*\()/y;
+const NAME_RE = /[A-Za-zА-Яа-яЁё_][\wА-Яа-яЁё.]*/y;
+const ERROR_RE = /#(?:REF!|DIV\/0!|VALUE!|NAME\?|NUM!|CYCLE!|ERROR!)/y;
+
+/**
+ * Разбить текст формулы (без ведущего '=') на токены. Позиции start / end нужны для перезаписи ссылок на месте.
+ * @param {string} src
+ * @returns {Array<{type:string, start:number, end:number, [key:string]:*}>}
+ */
+function tokenize(src) {
+  const tokens = [];
+  let pos = 0;
+  const match = (re) => {
+    re.lastIndex = pos;
+    return re.exec(src);
+  };
+  while (pos < src.length) {
+    const ch = src[pos];
+    if (/\s/.test(ch)) { pos++; continue; }
+    let m;
+    if ((m = match(NUMBER_RE))) {
+      tokens.push({ type: 'num', value: Number(m[0]), start: pos, end: pos + m[0].length });
+    } else if ((m = match(REF_RE))) {
+      let c = 0;
+      for (const letter of m[2].toUpperCase()) c = c * 26 + (letter.charCodeAt(0) - 64);
+      tokens.push({ type: 'ref', r: Number(m[4]) - 1, c: c - 1, absC: m[1] === '$', absR: m[3] === '$', start: pos, end: pos + m[0].length });
+    } else if ((m = match(NAME_RE))) {
+      tokens.push({ type: 'name', name: m[0].toUpperCase(), start: pos, end: pos + m[0].length });
+    } else if ((m = match(ERROR_RE))) {
+      tokens.push({ type: 'error', code: m[0], start: pos, end: pos + m[0].length });
+    } else if ('+-*/^'.includes(ch)) {
+      tokens.push({ type: 'op', op: ch, start: pos, end: pos + 1 });
+    } else if (ch === '(' || ch === ')' || ch === ':') {
+      tokens.push({ type: ch, start: pos, end: pos + 1 });
+    } else if (ch === ',' || ch === ';') {
+      tokens.push({ type: 'sep', start: pos, end: pos + 1 });
+    } else {
+      throw new FormulaSyntaxError(`неожиданный символ «${ch}»`);
+    }
+    if (m) pos += m[0].length;
+    else pos++;
+  }
+  return tokens;
+}
+
+/**
+ * Разобрать формулу в дерево.
+ * Узлы: num {value}, ref {r,c}, range {r1,c1,r2,c2}, error {code}, unary {op,arg}, binary {op,left,right}, call {name,args}.
+ * Неизвестная функция — не синтаксическая ошибка: при вычислении она даёт #NAME?.
+ * @param {string} formula Значение ячейки, начинающееся с '='
+ * @returns {{ok:true, ast:object}|{ok:false, error:string}}
+ */
+export function parseFormula(formula) {
+  if (!isFormula(formula)) return { ok: false, error: 'Формула должна начинаться с =' };
+  let tokens;
+  try {
+    tokens = tokenize(formula.slice(1));
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+  let i = 0;
+  const peek = () => tokens[i];
+  const expect = (type) => {
+    const t = tokens[i];
+    if (!t || t.type !== type) throw new FormulaSyntaxError(t ? 'неожиданный элемент формулы' : 'формула оборвана');
+    i++;
+    return t;
+  };
+  // Приоритеты: + - < * / < ^ < унарный минус (как в электронных таблицах: -2^2 = 4)
+  const parseAdditive = () => {
+    let node = parseTerm();
+    while (peek() && peek().type === 'op' && (peek().op === '+' || peek().op === '-')) {
+      const op = tokens[i++].op;
+      node = { type: 'binary', op, left: node, right: parseTerm() };
+    }
+    return node;
+  };
+  const parseTerm = () => {
+    let node = parsePower();
+    while (peek() && peek().type === 'op' && (peek().op === '*' || peek().op === '/')) {
+      const op = tokens[i++].op;
+      node = { type: 'binary', op, left: node, right: parsePower() };
+    }
+    return node;
+  };
+  const parsePower = () => {
+    let node = parseUnary();
+    while (peek() && peek().type === 'op' && peek().op === '^') {
+      i++;
+      node = { type: 'binary', op: '^', left: node, right: parseUnary() };
+    }
+    return node;
+  };
+  const parseUnary = () => {
+    const t = peek();
+    if (t && t.type === 'op' && (t.op === '-' || t.op === '+')) {
+      i++;
+      return { type: 'unary', op: t.op, arg: parseUnary() };
+    }
+    return parsePrimary();
+  };
+  const parsePrimary = () => {
+    const t = tokens[i++];
+    if (!t) throw new FormulaSyntaxError('формула оборвана');
+    if (t.type === 'num') return { type: 'num', value: t.value };
+    if (t.type === 'error') return { type: 'error', code: t.code };
+    if (t.type === 'ref') {
+      if (peek() && peek().type === ':') {
+        i++;
+        const end = expect('ref');
+        return { type: 'range', ...normalizeRange({ r1: t.r, c1: t.c, r2: end.r, c2: end.c }) };
+      }
+      return { type: 'ref', r: t.r, c: t.c };
+    }
+    if (t.type === 'name') {
+      expect('(');
+      const args = [];
+      if (peek() && peek().type === ')') {
+        i++;
+      } else {
+        args.push(parseAdditive());
+        while (peek() && peek().type === 'sep') { i++; args.push(parseAdditive()); }
+        expect(')');
+      }
+      return { type: 'call', name: FUNCTION_ALIASES[t.name] || t.name, args };
+    }
+    if (t.type === '(') {
+      const node = parseAdditive();
+      expect(')');
+      return node;
+    }
+    throw new FormulaSyntaxError('неожиданный элемент формулы');
+  };
+  try {
+    const ast = parseAdditive();
+    if (i < tokens.length) throw new FormulaSyntaxError('лишние элементы в конце формулы');
+    return { ok: true, ast };
+  } catch (e) {
+    if (e instanceof FormulaSyntaxError) return { ok: false, error: e.message };
+    throw e;
+  }
+}
+
+/**
+ * Упорядочить углы диапазона (B10:B2 -> B2:B10).
+ * @param {FormulaRange} range
+ * @returns {FormulaRange}
+ */
+function normalizeRange({ r1, c1, r2, c2 }) {
+  return { r1: Math.min(r1, r2), c1: Math.min(c1, c2), r2: Math.max(r1, r2), c2: Math.max(c1, c2) };
+}
+
+/**
+ * Поддерживается ли формула целиком: разбирается и использует только известные функции.
+ * Импорт из XLSX переносит только такие формулы, остальные — их значением.
+ * @param {string} formula
+ * @returns {boolean}
+ */
+export function isSupportedFormula(formula) {
+  const parsed = parseFormula(formula);
+  if (!parsed.ok) return false;
+  const known = (node) => {
+    if (node.type === 'call') return !!FUNCTIONS[node.name] && node.args.every(known);
+    if (node.type === 'unary') return known(node.arg);
+    if (node.type === 'binary') return known(node.left) && known(node.right);
+    return true;
+  };
+  return known(parsed.ast);
+}
+
+/**
+ * Все ссылки дерева формулы как прямоугольники (одиночная ссылка — прямоугольник 1x1). Нужны графу зависимостей.
+ * @param {object} ast
+ * @returns {FormulaRange[]}
+ */
+export function formulaReferences(ast) {
+  const ranges = [];
+  const walk = (node) => {
+    if (node.type === 'ref') ranges.push({ r1: node.r, c1: node.c, r2: node.r, c2: node.c });
+    else if (node.type === 'range') ranges.push({ r1: node.r1, c1: node.c1, r2: node.r2, c2: node.c2 });
+    else if (node.type === 'unary') walk(node.arg);
+    else if (node.type === 'binary') { walk(node.left); walk(node.right); }
+    else if (node.type === 'call') node.args.forEach(walk);
+  };
+  walk(ast);
+  return ranges;
+}
+
+// --- Вычисление ---
+
+/** Русские имена функций -> основные */
+const FUNCTION_ALIASES = {
+  'СУММ': 'SUM',
+  'СРЗНАЧ': 'AVERAGE',
+  'МИН': 'MIN',
+  'МАКС': 'MAX',
+  'СЧЁТ': 'COUNT',
+  'СЧЕТ': 'COUNT',
+  'ОКРУГЛ': 'ROUND'
+};
+
+const isError = (v) => v !== null && typeof v === 'object' && 'error' in v;
+const error = (code) => ({ error: code });
+
+/**
+ * Числа аргументов агрегатной функции: из ссылок и диапазонов берутся только числа (текст и пустые пропускаются),
+ * первая встреченная ошибка возвращается как результат.
+ * @param {FormulaValue[][]} args Значения аргументов (каждый аргумент — список значений)
+ * @returns {number[]|{error:string}}
+ */
+function collectNumbers(args) {
+  const nums = [];
+  for (const list of args) {
+    for (const v of list) {
+      if (isError(v)) return v;
+      if (typeof v === 'number') nums.push(v);
+    }
+  }
+  return nums;
+}
+
+/**
+ * Округление «от нуля» как в электронных таблицах (ROUND(2.5) = 3, ROUND(-2.5) = -3).
+ * toPrecision убирает хвосты двоичной арифметики: 1.005 хранится как 1.00499999...
+ * @param {number} x
+ * @param {number} digits
+ * @returns {number}
+ */
+function roundHalfAwayFromZero(x, digits) {
+  const factor = Math.pow(10, digits);
+  const scaled = Number((Math.abs(x) * factor).toPrecision(15));
+  return Math.sign(x) * Math.round(scaled) / factor;
+}
+
+/**
+ * Функции формул. Каждая получает список аргументов, где аргумент — список значений
+ * (у диапазона — значения всех ячеек, у выражения — одно значение).
+ * min / max — допустимое число аргументов.
+ */
+const FUNCTIONS = {
+  SUM: { min: 1, max: Infinity, fn: (args) => {
+    const nums = collectNumbers(args);
+    return isError(nums) ? nums : nums.reduce((a, b) => a + b, 0);
+  } },
+  AVERAGE: { min: 1, max: Infinity, fn: (args) => {
+    const nums = collectNumbers(args);
+    if (isError(nums)) return nums;
+    return nums.length ? nums.reduce((a, b) => a + b, 0) / nums.length : error(FORMULA_ERRORS.DIV0);
+  } },
+  MIN: { min: 1, max: Infinity, fn: (args) => {
+    const nums = collectNumbers(args);
+    return isError(nums) ? nums : (nums.length ? Math.min(...nums) : 0);
+  } },
+  MAX: { min: 1, max: Infinity, fn: (args) => {
+    const nums = collectNumbers(args);
+    return isError(nums) ? nums : (nums.length ? Math.max(...nums) : 0);
+  } },
+  // COUNT не распространяет ошибки: ячейка с ошибкой просто не число
+  COUNT: { min: 1, max: Infinity, fn: (args) => args.reduce((n, list) => n + list.filter(v => typeof v === 'number').length, 0) },
+  ROUND: { min: 1, max: 2, fn: (args) => {
+    const x = toNumber(scalarOf(args[0]));
+    const digits = args.length > 1 ? toNumber(scalarOf(args[1])) : 0;
+    if (isError(x)) return x;
+    if (isError(digits)) return digits;
+    return roundHalfAwayFromZero(x, Math.trunc(digits));
+  } },
+  ABS: { min: 1, max: 1, fn: (args) => {
+    const x = toNumber(scalarOf(args[0]));
+    return isError(x) ? x : Math.abs(x);
+  } }
+};
+
+/**
+ * Аргумент, который должен быть одним значением: диапазон из нескольких ячеек здесь недопустим.
+ * @param {FormulaValue[]} list
+ * @returns {FormulaValue}
+ */
+function scalarOf(list) {
+  return list.length === 1 ? list[0] : error(FORMULA_ERRORS.VALUE);
+}
+
+/**
+ * Привести значение к числу для арифметики: пусто — 0, текст — если разбирается как число, иначе #VALUE!.
+ * @param {FormulaValue} v
+ * @returns {number|{error:string}}
+ */
+function toNumber(v) {
+  if (isError(v)) return v;
+  if (v === null) return 0;
+  if (typeof v === 'number') return v;
+  const num = parseNumber(v);
+  return num === null ? error(FORMULA_ERRORS.VALUE) : num;
+}
+
+/**
+ * Значение, которое даёт ссылка на ячейку с обычным (не формульным) текстом.
+ * @param {string} value Значение ячейки из модели
+ * @returns {FormulaValue}
+ */
+export function literalValue(value) {
+  const text = stripAllowedTags(value, ' ').trim();
+  if (text === '') return null;
+  if (isFormulaError(text)) return error(text);
+  const num = parseNumber(text);
+  if (num !== null) return num;
+  if (text.endsWith('%')) {
+    const share = parsePercent(text);
+    if (share !== null) return share;
+  }
+  return value;
+}
+
+/**
+ * Вычислить дерево формулы.
+ * @param {object} ast Результат parseFormula
+ * @param {Object} ctx
+ * @param {(r:number, c:number) => FormulaValue} ctx.value Значение ячейки по координатам
+ * @param {number} ctx.rows Число строк таблицы (диапазон обрезается по границе таблицы)
+ * @param {number} ctx.cols Число столбцов таблицы
+ * @returns {FormulaValue}
+ */
+export function evaluateFormula(ast, ctx) {
+  const rangeValues = (node) => {
+    const values = [];
+    for (let r = node.r1; r <= Math.min(node.r2, ctx.rows - 1); r++) {
+      for (let c = node.c1; c <= Math.min(node.c2, ctx.cols - 1); c++) values.push(ctx.value(r, c));
+    }
+    return values;
+  };
+  const evalNode = (node) => {
+    switch (node.type) {
+      case 'num': return node.value;
+      case 'error': return error(node.code);
+      case 'ref': return node.r < ctx.rows && node.c < ctx.cols ? ctx.value(node.r, node.c) : null;
+      // Диапазон вне аргумента функции (=A1:A3+1) — значение не определено
+      case 'range': return error(FORMULA_ERRORS.VALUE);
+      case 'unary': {
+        const x = toNumber(evalNode(node.arg));
+        return isError(x) || node.op === '+' ? x : -x;
+      }
+      case 'binary': {
+        const a = toNumber(evalNode(node.left));
+        if (isError(a)) return a;
+        const b = toNumber(evalNode(node.right));
+        if (isError(b)) return b;
+        if (node.op === '+') return a + b;
+        if (node.op === '-') return a - b;
+        if (node.op === '*') return a * b;
+        if (node.op === '/') return b === 0 ? error(FORMULA_ERRORS.DIV0) : a / b;
+        return Math.pow(a, b);
+      }
+      case 'call': {
+        const def = FUNCTIONS[node.name];
+        if (!def) return error(FORMULA_ERRORS.NAME);
+        if (node.args.length < def.min || node.args.length > def.max) return error(FORMULA_ERRORS.VALUE);
+        return def.fn(node.args.map(arg => (arg.type === 'range' ? rangeValues(arg) : [evalNode(arg)])));
+      }
+      default: return error(FORMULA_ERRORS.VALUE);
+    }
+  };
+  const result = evalNode(ast);
+  if (typeof result === 'number' && !Number.isFinite(result)) return error(FORMULA_ERRORS.NUM);
+  return result;
+}
+
+/**
+ * Текст результата для ячейки (cell.cached): число — в привычной записи с запятой, пусто — 0, ошибка — её код.
+ * @param {FormulaValue} value
+ * @returns {string}
+ */
+export function formatFormulaResult(value) {
+  if (isError(value)) return value.error;
+  if (value === null) return '0';
+  if (typeof value === 'number') return formatNumber(value);
+  return value;
+}
+
+// --- Перезапись ссылок ---
+
+/**
+ * Переписать ссылки формулы через mapRange. Остальной текст (пробелы, регистр имён функций, $) сохраняется.
+ * mapRange получает упорядоченный прямоугольник ссылки и возвращает новый или null — ссылка пропала (#REF!).
+ * Формула, которую не удалось разобрать на токены, возвращается без изменений.
+ * @param {string} formula
+ * @param {(range:FormulaRange) => FormulaRange|null} mapRange
+ * @returns {string}
+ */
+export function rewriteFormulaReferences(formula, mapRange) {
+  if (!isFormula(formula)) return formula;
+  const src = formula.slice(1);
+  let tokens;
+  try {
+    tokens = tokenize(src);
+  } catch (_e) {
+    return formula;
+  }
+  let out = '';
+  let pos = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    const start = tokens[i];
+    if (start.type !== 'ref') continue;
+    const isRange = tokens[i + 1] && tokens[i + 1].type === ':' && tokens[i + 2] && tokens[i + 2].type === 'ref';
+    const end = isRange ? tokens[i + 2] : start;
+    const mapped = mapRange(normalizeRange({ r1: start.r, c1: start.c, r2: end.r, c2: end.c }));
+    let text = FORMULA_ERRORS.REF;
+    if (mapped) {
+      const first = formatRef(mapped.r1, mapped.c1, start);
+      text = isRange ? first + ':' + formatRef(mapped.r2, mapped.c2, end) : first;
+    }
+    out += src.slice(pos, start.start) + text;
+    pos = end.end;
+    if (isRange) i += 2;
+  }
+  return '=' + out + src.slice(pos);
+}
+
+/**
+ * Ссылка A1 с сохранением признаков $ исходного токена.
+ * @param {number} r
+ * @param {number} c
+ * @param {{absR:boolean, absC:boolean}} flags
+ * @returns {string}
+ */
+function formatRef(r, c, flags) {
+  if (!flags.absR && !flags.absC) return cellRef(r, c);
+  return (flags.absC ? '$' : '') + columnLabel(c) + (flags.absR ? '$' : '') + (r + 1);
+}
+
+/**
+ * Отрезок прямоугольника по оси и замена отрезка.
+ * @param {FormulaRange} range
+ * @param {'r'|'c'} axis
+ * @returns {[number, number]}
+ */
+const spanOf = (range, axis) => (axis === 'r' ? [range.r1, range.r2] : [range.c1, range.c2]);
+const withSpan = (range, axis, a, b) => (axis === 'r' ? { ...range, r1: a, r2: b } : { ...range, c1: a, c2: b });
+
+/**
+ * Ссылки после вставки count линий перед index: всё, что ниже (правее), сдвигается; диапазон, внутрь
+ * которого вставили линии, растягивается.
+ * @param {'r'|'c'} axis Строки или столбцы
+ * @param {number} index
+ * @param {number} count
+ * @returns {(range:FormulaRange) => FormulaRange}
+ */
+export function insertLinesMapper(axis, index, count) {
+  const shift = (i) => (i >= index ? i + count : i);
+  return (range) => {
+    const [a, b] = spanOf(range, axis);
+    return withSpan(range, axis, shift(a), shift(b));
+  };
+}
+
+/**
+ * Ссылки после удаления линий [start, start+count): ссылка на удалённую линию пропадает (#REF!),
+ * диапазон сжимается до оставшихся линий и пропадает, только если удалён целиком.
+ * @param {'r'|'c'} axis
+ * @param {number} start
+ * @param {number} count
+ * @returns {(range:FormulaRange) => FormulaRange|null}
+ */
+export function deleteLinesMapper(axis, start, count) {
+  const end = start + count - 1;
+  return (range) => {
+    const [a, b] = spanOf(range, axis);
+    if (a >= start && b <= end) return null;
+    const newA = a < start ? a : (a > end ? a - count : start);
+    const newB = b > end ? b - count : (b < start ? b : start - 1);
+    return withSpan(range, axis, newA, newB);
+  };
+}
+
+/**
+ * Ссылки после перестановки линий (перемещение, сортировка): newIndex[old] — новая позиция линии.
+ * Одиночная ссылка следует за своей ячейкой. Диапазон следует за ячейками, если они остались рядом
+ * (например, строки переставлены внутри диапазона).
+ * Диапазон, который перестановка разорвала (его линии больше не идут подряд), намеренно не меняется и не становится
+ * #REF!: он продолжает ссылаться на те же позиции, как ссылки при сортировке в табличных редакторах — частичная
+ * сортировка данных под итоговой формулой не должна ломать формулу. Прежний текст формулы операция всё равно
+ * возвращает (TableModel._rewriteFormulas), поэтому откат восстанавливает его точно.
+ * Линии за пределами newIndex (за границей таблицы) остаются на месте.
+ * @param {'r'|'c'} axis
+ * @param {number[]} newIndex
+ * @returns {(range:FormulaRange) => FormulaRange}
+ */
+export function permuteLinesMapper(axis, newIndex) {
+  const map = (i) => (i < newIndex.length ? newIndex[i] : i);
+  return (range) => {
+    const [a, b] = spanOf(range, axis);
+    let min = Infinity;
+    let max = -Infinity;
+    for (let i = a; i <= Math.min(b, newIndex.length - 1); i++) {
+      min = Math.min(min, map(i));
+      max = Math.max(max, map(i));
+    }
+    if (b >= newIndex.length) {
+      min = Math.min(min, Math.max(a, newIndex.length));
+      max = Math.max(max, b);
+    }
+    if (max - min !== b - a) return range;
+    return withSpan(range, axis, min, max);
+  };
+}
+
+/**
+ * Ссылки после транспонирования всей таблицы (rect не задан) или блока rect: ссылки внутри блока
+ * поворачиваются вместе с ячейками, ссылки вне блока и диапазоны, пересекающие его границу, не меняются.
+ * @param {FormulaRange} [rect]
+ * @returns {(range:FormulaRange) => FormulaRange}
+ */
+export function transposeMapper(rect) {
+  return (range) => {
+    if (!rect) return { r1: range.c1, c1: range.r1, r2: range.c2, c2: range.r2 };
+    const inside = range.r1 >= rect.r1 && range.r2 <= rect.r2 && range.c1 >= rect.c1 && range.c2 <= rect.c2;
+    if (!inside) return range;
+    const turn = (r, c) => ({ r: rect.r1 + (c - rect.c1), c: rect.c1 + (r - rect.r1) });
+    const p1 = turn(range.r1, range.c1);
+    const p2 = turn(range.r2, range.c2);
+    return normalizeRange({ r1: p1.r, c1: p1.c, r2: p2.r, c2: p2.c });
+  };
+}
+
+/**
+ * Формула в синтаксисе Excel (для экспорта XLSX): без '=' и с запятой между аргументами.
+ * @param {string} formula
+ * @returns {string}
+ */
+export function toExcelFormula(formula) {
+  const src = isFormula(formula) ? formula.slice(1) : formula;
+  let tokens;
+  try {
+    tokens = tokenize(src);
+  } catch (_e) {
+    return src;
+  }
+  let out = '';
+  let pos = 0;
+  for (const t of tokens) {
+    if (t.type === 'name' && FUNCTION_ALIASES[t.name]) {
+      out += src.slice(pos, t.start) + FUNCTION_ALIASES[t.name];
+      pos = t.end;
+    } else if (t.type === 'sep') {
+      out += src.slice(pos, t.start) + ',';
+      pos = t.end;
+    }
+  }
+  return out + src.slice(pos);
+}
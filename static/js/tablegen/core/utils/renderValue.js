@@ -6,10 +6,11 @@
 
 /**
  * Экранирует все HTML-символы.
+ * Экспортируется, чтобы экспортёры могли безопасно выводить значения атрибутов (class, data-*).
  * @param {string} s исходная строка
  * @returns {string}
  */
-function escapeHtml(s) {
+export function escapeHtml(s) {
   return s
     .replace(/&/g, '&amp;')
     .replace(/</g, '&lt;')
@@ -43,6 +44,54 @@ export function renderCellHtml(value) {
   return escaped;
 }
 
+/**
+ * Преобразует значение ячейки в простой текст для форматов без HTML (CSV, XLSX и т.п.).
+ * <br> превращается в перенос строки, остальные разрешённые теги (i, u, sup, sub) снимаются,
+ * а их содержимое остаётся. Прочий текст не меняется (в модели значения хранятся без HTML-сущностей).
+ * @param {string} value исходное значение из модели
+ * @param {string} [lineBreak='\n'] чем заменять <br>
+ * @returns {string}
+ */
+export function stripAllowedTags(value, lineBreak = '\n') {
+  if (!value) return '';
+  return String(value)
+    .replace(/<br\s*\/?>/gi, lineBreak)
+    .replace(/<\/?(i|u|sup|sub)>/gi, '');
+}
+
+/**
+ * Переводит разрешённые теги значения в разметку другого формата (Markdown, AsciiDoc, LaTeX).
+ * Значение разбивается на теги и текст: каждый открывающий / закрывающий тег заменяется своей парой из схемы,
+ * а текст между тегами проходит через функцию экранирования формата.
+ * @param {string} value исходное значение из модели
+ * @param {Object} markup схема преобразования
+ * @param {(text:string)=>string} markup.text экранирование обычного текста
+ * @param {string} markup.br чем заменять <br>
+ * @param {[string,string]} markup.i открывающая и закрывающая разметка курсива
+ * @param {[string,string]} markup.u то же для подчёркивания
+ * @param {[string,string]} markup.sup то же для верхнего индекса
+ * @param {[string,string]} markup.sub то же для нижнего индекса
+ * @returns {string}
+ */
+export function convertAllowedTags(value, markup) {
+  if (!value) return '';
+  let out = '';
+  const re = /<br\s*\/?>|<(\/?)(i|u|sup|sub)>/gi;
+  let last = 0;
+  let match;
+  while ((match = re.exec(value)) !== null) {
+    out += markup.text(value.slice(last, match.index));
+    if (match[2]) {
+      const pair = markup[match[2].toLowerCase()];
+      out += match[1] ? pair[1] : pair[0];
+    } else {
+      out += markup.br;
+    }
+    last = re.lastIndex;
+  }
+  return out + markup.text(value.slice(last));
+}
+
 /**
  * Быстрая проверка — содержит ли значение потенциально разрешённые теги.
  * Можно использовать в будущем для оптимизации (skip replace если нет ни '<').
@@ -0,0 +1,109 @@
+// valueFormat.js
+// Разбор текстовых значений ячеек в числа / проценты / даты согласно data-format (см. CORE_REGISTRY: number, percent, date).
+// Значения в модели — строки, набранные человеком, поэтому допускаем привычные варианты записи:
+// пробелы между разрядами, запятую как десятичный разделитель, знак % у процентов, даты ДД.ММ.ГГГГ и ГГГГ-ММ-ДД.
+
+/**
+ * Разобрать число из строки. Пробелы (в том числе неразрывные) между разрядами убираются,
+ * запятая трактуется как десятичный разделитель. Возвращает null, если строка не является числом.
+ * @param {string} text
+ * @returns {number|null}
+ */
+export function parseNumber(text) {
+  if (text == null) return null;
+  const cleaned = String(text).trim().replace(/\s/g, '').replace(',', '.');
+  if (!/^[-+]?(\d+\.?\d*|\.\d+)(e[-+]?\d+)?$/i.test(cleaned)) return null;
+  const num = Number(cleaned);
+  return Number.isFinite(num) ? num : null;
+}
+
+/**
+ * Разобрать процент: '12,5%' и '12,5' одинаково означают 12.5% и возвращают долю 0.125.
+ * @param {string} text
+ * @returns {number|null} Доля (1 = 100%) или null
+ */
+export function parsePercent(text) {
+  if (text == null) return null;
+  const num = parseNumber(String(text).trim().replace(/%$/, ''));
+  return num == null ? null : num / 100;
+}
+
+/**
+ * Разобрать дату в форматах ДД.ММ.ГГГГ (также с / или -) и ГГГГ-ММ-ДД.
+ * Проверяет существование даты (например 31.02 отклоняется).
+ * @param {string} text
+ * @returns {{y:number, m:number, d:number}|null} Компоненты даты (m — 1..12)
+ */
+export function parseDate(text) {
+  if (text == null) return null;
+  const t = String(text).trim();
+  let y, m, d;
+  let match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(t);
+  if (match) {
+    y = +match[1]; m = +match[2]; d = +match[3];
+  } else {
+    match = /^(\d{1,2})[./-](\d{1,2})[./-](\d{4})$/.exec(t);
+    if (!match) return null;
+    d = +match[1]; m = +match[2]; y = +match[3];
+  }
+  // Проверяем через Date.UTC: если день/месяц «переполнились», дата несуществующая
+  const probe = new Date(Date.UTC(y, m - 1, d));
+  if (probe.getUTCFullYear() !== y || probe.getUTCMonth() !== m - 1 || probe.getUTCDate() !== d) return null;
+  return { y, m, d };
+}
+
+/**
+ * Форматирует компоненты даты в привычный вид ДД.ММ.ГГГГ.
+ * @param {{y:number, m:number, d:number}} date
+ * @returns {string}
+ */
+export function formatDate({ y, m, d }) {
+  return String(d).padStart(2, '0') + '.' + String(m).padStart(2, '0') + '.' + y;
+}
+
+/**
+ * Обратное к parseNumber: число в привычную запись с запятой как десятичным разделителем.
+ * Округляем до 15 значащих цифр, чтобы погрешности двоичной арифметики (0.1 + 0.2) не попадали в текст.
+ * @param {number} num
+ * @returns {string}
+ */
+export function formatNumber(num) {
+  return String(Number(num.toPrecision(15))).replace('.', ',');
+}
+
+/**
+ * Разобрать значение ячейки по её формату (значение data-format).
+ * @param {string} value Текст ячейки
+ * @param {'number'|'percent'|'date'} format
+ * @returns {number|{y:number,m:number,d:number}|null} Число / доля для number и percent, компоненты даты для date
+ */
+export function parseFormattedValue(value, format) {
+  if (format === 'number') return parseNumber(value);
+  if (format === 'percent') return parsePercent(value);
+  if (format === 'date') return parseDate(value);
+  return null;
+}
+
+/** Количество миллисекунд в сутках — шаг «серийного» номера даты */
+const MS_PER_DAY = 86400000;
+/** Нулевой день системы дат 1900 (Excel / LibreOffice): 30.12.1899, с учётом исторической ошибки 29.02.1900 */
+const SERIAL_EPOCH_UTC = Date.UTC(1899, 11, 30);
+
+/**
+ * Перевести дату в серийный номер электронных таблиц (число дней от 30.12.1899).
+ * @param {{y:number, m:number, d:number}} date
+ * @returns {number}
+ */
+export function dateToSerial({ y, m, d }) {
+  return Math.round((Date.UTC(y, m - 1, d) - SERIAL_EPOCH_UTC) / MS_PER_DAY);
+}
+
+/**
+ * Перевести серийный номер электронных таблиц обратно в компоненты даты (дробная часть — время — отбрасывается).
+ * @param {number} serial
+ * @returns {{y:number, m:number, d:number}}
+ */
+export function serialToDate(serial) {
+  const dt = new Date(SERIAL_EPOCH_UTC + Math.floor(serial) * MS_PER_DAY);
+  return { y: dt.getUTCFullYear(), m: dt.getUTCMonth() + 1, d: dt.getUTCDate() };
+}
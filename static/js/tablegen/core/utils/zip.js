@@ -0,0 +1,178 @@
+// zip.js
+// Минимальная реализация ZIP архива без внешних библиотек (нужна для формата XLSX, который является ZIP-контейнером).
+// Запись: метод STORE (без сжатия) — синхронно, просто и поддерживается всеми программами чтения ZIP.
+// Чтение: STORE и DEFLATE (распаковка штатным DecompressionStream браузера, поэтому асинхронно).
+// Структура архива: [локальный заголовок + данные] * N, центральный каталог, запись конца каталога (EOCD).
+
+/** Таблица для быстрого расчёта CRC-32 (полином 0xEDB88320), строится один раз при загрузке модуля */
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = (c & 1) ? (0xEDB88320 ^ (c >>> 1)) : (c >>> 1);
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * Контрольная сумма CRC-32 (обязательна для каждого файла в ZIP).
+ * @param {Uint8Array} bytes
+ * @returns {number} Беззнаковое 32-битное число
+ */
+export function crc32(bytes) {
+  let crc = 0xFFFFFFFF;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Переводит дату в формат MS-DOS (так ZIP хранит время модификации файла).
+ * @param {Date} date
+ * @returns {{time:number, date:number}}
+ */
+function toDosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Создать ZIP архив из набора файлов.
+ * @param {Array<{name:string, data:string|Uint8Array}>} entries Файлы архива (строки кодируются в UTF-8)
+ * @param {Date} [modified=new Date()] Время модификации для всех файлов
+ * @returns {Uint8Array} Байты готового архива
+ */
+export function createZip(entries, modified = new Date()) {
+  const encoder = new TextEncoder();
+  const { time, date } = toDosDateTime(modified);
+  const localParts = [];   // локальные заголовки + данные
+  const centralParts = []; // записи центрального каталога
+  let offset = 0;
+
+  for (const entry of entries) {
+    const nameBytes = encoder.encode(entry.name);
+    const data = typeof entry.data === 'string' ? encoder.encode(entry.data) : entry.data;
+    const crc = crc32(data);
+
+    // Локальный заголовок файла (30 байт + имя)
+    const local = new Uint8Array(30 + nameBytes.length);
+    const lv = new DataView(local.buffer);
+    lv.setUint32(0, 0x04034B50, true);  // сигнатура local file header
+    lv.setUint16(4, 20, true);          // версия для распаковки (2.0)
+    lv.setUint16(6, 0x0800, true);      // флаг 11: имена в UTF-8
+    lv.setUint16(8, 0, true);           // метод 0 = STORE
+    lv.setUint16(10, time, true);
+    lv.setUint16(12, date, true);
+    lv.setUint32(14, crc, true);
+    lv.setUint32(18, data.length, true); // сжатый размер (совпадает с исходным при STORE)
+    lv.setUint32(22, data.length, true); // исходный размер
+    lv.setUint16(26, nameBytes.length, true);
+    lv.setUint16(28, 0, true);          // длина extra поля
+    local.set(nameBytes, 30);
+
+    // Запись центрального каталога (46 байт + имя)
+    const central = new Uint8Array(46 + nameBytes.length);
+    const cv = new DataView(central.buffer);
+    cv.setUint32(0, 0x02014B50, true);  // сигнатура central directory header
+    cv.setUint16(4, 20, true);          // версия, создавшая архив
+    cv.setUint16(6, 20, true);          // версия для распаковки
+    cv.setUint16(8, 0x0800, true);
+    cv.setUint16(10, 0, true);
+    cv.setUint16(12, time, true);
+    cv.setUint16(14, date, true);
+    cv.setUint32(16, crc, true);
+    cv.setUint32(20, data.length, true);
+    cv.setUint32(24, data.length, true);
+    cv.setUint16(28, nameBytes.length, true);
+    // 30..41: extra / comment / disk / атрибуты — нули
+    cv.setUint32(42, offset, true);     // смещение локального заголовка от начала архива
+    central.set(nameBytes, 46);
+
+    localParts.push(local, data);
+    centralParts.push(central);
+    offset += local.length + data.length;
+  }
+
+  const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+  // Запись конца центрального каталога (EOCD, 22 байта)
+  const eocd = new Uint8Array(22);
+  const ev = new DataView(eocd.buffer);
+  ev.setUint32(0, 0x06054B50, true);
+  ev.setUint16(8, entries.length, true);  // записей на этом диске
+  ev.setUint16(10, entries.length, true); // записей всего
+  ev.setUint32(12, centralSize, true);
+  ev.setUint32(16, offset, true);         // смещение начала центрального каталога
+
+  const result = new Uint8Array(offset + centralSize + eocd.length);
+  let pos = 0;
+  for (const part of [...localParts, ...centralParts, eocd]) {
+    result.set(part, pos);
+    pos += part.length;
+  }
+  return result;
+}
+
+/**
+ * Распаковать raw DEFLATE поток (метод 8 в ZIP) средствами браузера.
+ * @param {Uint8Array} data
+ * @returns {Promise<Uint8Array>}
+ */
+async function inflateRaw(data) {
+  if (typeof DecompressionStream === 'undefined') {
+    throw new Error('Браузер не поддерживает DecompressionStream');
+  }
+  const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Прочитать ZIP архив. Файлы перечисляются по центральному каталогу (в локальных заголовках размеры
+ * могут быть нулевыми, если архиватор писал data descriptor). Поддерживаются методы STORE и DEFLATE.
+ * Ошибки формата выбрасываются как Error с понятным сообщением.
+ * @param {Uint8Array|ArrayBuffer} input Байты архива
+ * @returns {Promise<Map<string, Uint8Array>>} Имя файла -> распакованные байты (каталоги пропускаются)
+ */
+export async function readZip(input) {
+  const bytes = input instanceof Uint8Array ? input : new Uint8Array(input);
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  // EOCD находится в конце архива, но за ним может идти комментарий (до 65535 байт) — ищем сигнатуру с конца
+  let eocd = -1;
+  for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 22 - 0xFFFF); i--) {
+    if (view.getUint32(i, true) === 0x06054B50) { eocd = i; break; }
+  }
+  if (eocd < 0) throw new Error('Файл не является ZIP архивом');
+
+  const decoder = new TextDecoder();
+  const count = view.getUint16(eocd + 10, true);
+  let pos = view.getUint32(eocd + 16, true);
+  const files = new Map();
+  for (let n = 0; n < count; n++) {
+    if (pos + 46 > bytes.length || view.getUint32(pos, true) !== 0x02014B50) {
+      throw new Error('Повреждён центральный каталог ZIP');
+    }
+    const method = view.getUint16(pos + 10, true);
+    const compressedSize = view.getUint32(pos + 20, true);
+    const nameLength = view.getUint16(pos + 28, true);
+    const extraLength = view.getUint16(pos + 30, true);
+    const commentLength = view.getUint16(pos + 32, true);
+    const localOffset = view.getUint32(pos + 42, true);
+    const name = decoder.decode(bytes.subarray(pos + 46, pos + 46 + nameLength));
+    pos += 46 + nameLength + extraLength + commentLength;
+    if (name.endsWith('/')) continue; // каталог
+
+    if (view.getUint32(localOffset, true) !== 0x04034B50) throw new Error('Повреждён заголовок файла ' + name);
+    const dataStart = localOffset + 30 + view.getUint16(localOffset + 26, true) + view.getUint16(localOffset + 28, true);
+    const data = bytes.subarray(dataStart, dataStart + compressedSize);
+    if (method === 0) files.set(name, data);
+    else if (method === 8) files.set(name, await inflateRaw(data));
+    else throw new Error(`Неподдерживаемый метод сжатия ${method} (${name})`);
+  }
+  return files;
+}
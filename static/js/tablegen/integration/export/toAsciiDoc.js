@@ -0,0 +1,83 @@
+// toAsciiDoc.js
+// Экспорт TableModel в таблицу AsciiDoc (Asciidoctor).
+// В отличие от GFM, AsciiDoc поддерживает настоящие объединения: спецификатор ячейки
+// '2+|' растягивает её на 2 столбца, '.2+|' — на 2 строки, '2.3+|' — на 2 столбца и 3 строки.
+// Первая строка шапки помечается options="header", остальные строки шапки и столбцы-заголовки (grid.headerCols) — стилем ячейки 'h'.
+
+import { convertAllowedTags } from '../../core/utils/renderValue.js';
+import { buildCoverageMap } from '../../core/utils/cellGrid.js';
+import { columnSizesToWeights } from '../../core/utils/columnSizes.js';
+import { displayValue } from '../../core/utils/formula.js';
+
+/**
+ * Разрешённые теги -> AsciiDoc. Курсив — «неограниченная» форма __..__ (работает и внутри слова),
+ * подчёркивание — встроенная роль underline, перевод строки — жёсткий перенос ' +'.
+ */
+const ASCIIDOC_MARKUP = {
+  // | разрывает ячейку, остальные символы иначе могут быть приняты за разметку форматирования / атрибуты
+  text: text => text.replace(/[|*_^~#`{]/g, '\\$&'),
+  br: ' +\n',
+  i: ['__', '__'],
+  u: ['[.underline]#', '#'],
+  sup: ['^', '^'],
+  sub: ['~', '~']
+};
+
+/**
+ * Спецификатор ячейки: объединение ('2+', '.2+', '2.3+') и стиль ('h' — ячейка заголовка).
+ * @param {number} colSpan
+ * @param {number} rowSpan
+ * @param {boolean} headerStyle
+ * @returns {string}
+ */
+function cellSpec(colSpan, rowSpan, headerStyle) {
+  let spec = '';
+  if (colSpan > 1 || rowSpan > 1) {
+    spec = (colSpan > 1 ? String(colSpan) : '') + (rowSpan > 1 ? '.' + rowSpan : '') + '+';
+  }
+  return spec + (headerStyle ? 'h' : '');
+}
+
+/**
+ * Экспорт модели в AsciiDoc таблицу.
+ * @param {import('../../core/model/TableModel.js').TableModel} model
+ * @param {Object} [options]
+ * @param {boolean} [options.title=false] Добавить заголовок блока (.Имя) из meta.name
+ * @returns {string}
+ */
+export function toAsciiDoc(model, options = {}) {
+  const { title = false } = options;
+  const { rows, cols } = model.grid;
+  const headerRows = Math.min(model.grid.headerRows || 0, rows);
+  const headerCols = Math.min(model.grid.headerCols || 0, cols);
+  const covered = buildCoverageMap(model.cells);
+
+  const lines = [];
+  if (title && model.meta && model.meta.name) lines.push('.' + model.meta.name);
+  // Относительные ширины столбцов, если их можно выразить пропорциями; иначе — равные столбцы
+  const weights = columnSizesToWeights(model.grid.columnSizes);
+  const attrs = [`cols="${weights && weights.length === cols ? weights.join(',') : cols + '*'}"`];
+  if (headerRows > 0) attrs.push('options="header"');
+  lines.push(`[${attrs.join(',')}]`);
+  lines.push('|===');
+
+  for (let r = 0; r < rows; r++) {
+    const parts = [];
+    // Строки шапки после первой: options="header" распространяется только на первую строку
+    const headerRow = r > 0 && r < headerRows;
+    for (let c = 0; c < cols; c++) {
+      if (covered.has(r + ',' + c)) continue;
+      // Столбцы-заголовки в теле таблицы тоже получают стиль h
+      const headerStyle = headerRow || (r >= headerRows && c < headerCols);
+      const cell = model.getCell(r, c);
+      const spec = cell ? cellSpec(cell.colSpan || 1, cell.rowSpan || 1, headerStyle) : cellSpec(1, 1, headerStyle);
+      const content = cell ? convertAllowedTags(displayValue(cell), ASCIIDOC_MARKUP) : '';
+      parts.push(spec + '|' + content);
+    }
+    // Строки разделяем пустой строкой — так исходник читается как сетка
+    if (r > 0) lines.push('');
+    lines.push(parts.join(' '));
+  }
+  lines.push('|===');
+  return lines.join('\n') + '\n';
+}
@@ -0,0 +1,64 @@
+// toCsv.js
+// Экспорт TableModel в CSV / TSV по RFC 4180 с выбором политики для объединённых областей.
+
+import { stripAllowedTags } from '../../core/utils/renderValue.js';
+import { buildCoverageMap } from '../../core/utils/cellGrid.js';
+import { displayValue } from '../../core/utils/formula.js';
+
+/**
+ * Политики заполнения объединённых (merge) областей:
+ *  - 'lead'   — значение только в ведущей ячейке, остальные координаты области пустые
+ *  - 'repeat' — значение ведущей ячейки повторяется во всех координатах области
+ *  - 'blank'  — вся объединённая область (включая ведущую) выводится пустой
+ */
+export const CSV_MERGE_POLICIES = ['lead', 'repeat', 'blank'];
+
+/**
+ * Экранирует одно поле CSV: если в нём есть разделитель, кавычка, перевод строки
+ * или пробелы по краям — оборачиваем в кавычки, а внутренние кавычки удваиваем.
+ * @param {string} text
+ * @param {string} delimiter
+ * @returns {string}
+ */
+function quoteField(text, delimiter) {
+  const needsQuotes = text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim();
+  return needsQuotes ? '"' + text.replace(/"/g, '""') + '"' : text;
+}
+
+/**
+ * Экспорт модели в CSV строку.
+ * @param {import('../../core/model/TableModel.js').TableModel} model
+ * @param {Object} [options]
+ * @param {string} [options.delimiter=','] Разделитель полей (',' ';' '\t')
+ * @param {'lead'|'repeat'|'blank'} [options.mergePolicy='lead'] Политика для объединённых областей
+ * @param {string} [options.lineBreak='\r\n'] Разделитель записей (RFC 4180 требует CRLF)
+ * @param {boolean} [options.bom=false] Добавить BOM в начало (Excel тогда корректно читает UTF-8)
+ * @returns {string}
+ */
+export function toCsv(model, options = {}) {
+  const { delimiter = ',', lineBreak = '\r\n', bom = false } = options;
+  const mergePolicy = CSV_MERGE_POLICIES.includes(options.mergePolicy) ? options.mergePolicy : 'lead';
+  const covered = buildCoverageMap(model.cells);
+  const lines = [];
+  for (let r = 0; r < model.grid.rows; r++) {
+    const fields = [];
+    for (let c = 0; c < model.grid.cols; c++) {
+      let value = '';
+      const owner = covered.get(r + ',' + c);
+      if (owner) {
+        // Покрытая координата: значение есть только при политике repeat
+        if (mergePolicy === 'repeat') value = displayValue(owner);
+      } else {
+        const cell = model.getCell(r, c);
+        if (cell) {
+          const isMerged = (cell.rowSpan || 1) > 1 || (cell.colSpan || 1) > 1;
+          if (!(isMerged && mergePolicy === 'blank')) value = displayValue(cell);
+        }
+      }
+      // В CSV нет разметки: <br> превращаем в перевод строки внутри поля, остальные теги снимаем
+      fields.push(quoteField(stripAllowedTags(value, '\n'), delimiter));
+    }
+    lines.push(fields.join(delimiter));
+  }
+  return (bom ? '\uFEFF' : '') + lines.join(lineBreak) + lineBreak;
+}
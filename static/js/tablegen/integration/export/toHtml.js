@@ -0,0 +1,130 @@
+// toHtml.js
+// Экспорт TableModel в «чистую» семантическую HTML разметку, готовую к публикации.
+// В отличие от TableRenderer здесь нет служебных элементов редактора: строки нумерации столбцов,
+// строки инпутов ширины «W», левой нумерации строк и data-r / data-c координат.
+
+import { renderCellHtml, escapeHtml } from '../../core/utils/renderValue.js';
+import { buildCoverageMap } from '../../core/utils/cellGrid.js';
+import { columnSizesToCssWidths } from '../../core/utils/columnSizes.js';
+import { dataAttributeName } from '../../core/utils/cellData.js';
+import { displayValue } from '../../core/utils/formula.js';
+
+/**
+ * Формирует строку атрибутов ячейки: rowspan/colspan, class и data-*.
+ * Значения атрибутов экранируются, чтобы кавычки и угловые скобки не ломали разметку.
+ * @param {import('../../core/model/TableModel.js').TableCell} cell Ведущая ячейка
+ * @param {string} [scope] Значение scope для th (col/colgroup/row/rowgroup) или пусто для td
+ * @returns {string} Строка атрибутов с ведущим пробелом (или пустая строка)
+ */
+function buildCellAttributes(cell, scope) {
+  const attrs = [];
+  const rowSpan = cell.rowSpan || 1;
+  const colSpan = cell.colSpan || 1;
+  if (scope) attrs.push(`scope="${scope}"`);
+  if (rowSpan > 1) attrs.push(`rowspan="${rowSpan}"`);
+  if (colSpan > 1) attrs.push(`colspan="${colSpan}"`);
+  if (cell.classes && cell.classes.length) {
+    attrs.push(`class="${escapeHtml(cell.classes.join(' '))}"`);
+  }
+  if (cell.data) {
+    for (const key of Object.keys(cell.data)) {
+      // Значения data-* в модели могут быть числами или boolean — в HTML всё строка
+      attrs.push(`${escapeHtml(dataAttributeName(key))}="${escapeHtml(String(cell.data[key]))}"`);
+    }
+  }
+  return attrs.length ? ' ' + attrs.join(' ') : '';
+}
+
+/**
+ * Строит HTML одной строки таблицы (tr) с учётом покрытых merge координат.
+ * @param {import('../../core/model/TableModel.js').TableModel} model
+ * @param {number} r Индекс строки
+ * @param {boolean} isHeader true — строка шапки (ячейки th), false — строка тела (td)
+ * @param {Map<string, object>} covered Карта покрытых координат (buildCoverageMap)
+ * @param {number} headerCols Число столбцов-заголовков: в строках тела их ячейки выводятся как th scope="row"
+ * @returns {string[]} Массив HTML фрагментов ячеек строки
+ */
+function buildRowCells(model, r, isHeader, covered, headerCols) {
+  const parts = [];
+  for (let c = 0; c < model.grid.cols; c++) {
+    // Покрытые координаты не выводим — их занимает rowspan/colspan ведущей ячейки
+    if (covered.has(r + ',' + c)) continue;
+    const isRowHeader = !isHeader && c < headerCols;
+    const tag = isHeader || isRowHeader ? 'th' : 'td';
+    const cell = model.getCell(r, c);
+    if (!cell) {
+      // Ячейка не материализована в модели (пустая) — выводим пустой тег, чтобы сетка не «съехала»
+      parts.push(isRowHeader ? '<th scope="row"></th>' : `<${tag}></${tag}>`);
+      continue;
+    }
+    // Для заголовочных ячеек указываем scope: colgroup / rowgroup если ячейка накрывает несколько столбцов / строк
+    let scope = '';
+    if (isHeader) scope = (cell.colSpan || 1) > 1 ? 'colgroup' : 'col';
+    else if (isRowHeader) scope = (cell.rowSpan || 1) > 1 ? 'rowgroup' : 'row';
+    // renderCellHtml — тот же allow-list, что и в превью редактора (br, i, u, sup, sub), остальное экранируется
+    parts.push(`<${tag}${buildCellAttributes(cell, scope)}>${renderCellHtml(displayValue(cell))}</${tag}>`);
+  }
+  return parts;
+}
+
+/**
+ * Экспорт модели в HTML строку.
+ * Структура результата:
+ *  <table>
+ *    <caption> (опционально, из meta.name)
+ *    <colgroup> (если задан grid.columnSizes)
+ *    <thead> (первые grid.headerRows строк, ячейки th)
+ *    <tbody> (остальные строки: ячейки td, в первых grid.headerCols столбцах — th scope="row")
+ *  </table>
+ * Высоты строк в px (grid.rowSizes) выводятся inline-стилем height у tr.
+ * @param {import('../../core/model/TableModel.js').TableModel} model
+ * @param {Object} [options]
+ * @param {boolean} [options.pretty=true] Форматировать переносами строк и отступами
+ * @param {boolean} [options.caption=false] Добавить <caption> с именем таблицы (meta.name)
+ * @returns {string} HTML разметка таблицы
+ */
+export function toHtml(model, options = {}) {
+  const { pretty = true, caption = false } = options;
+  const covered = buildCoverageMap(model.cells);
+  const headerRows = Math.min(model.grid.headerRows || 0, model.grid.rows);
+  const headerCols = Math.min(model.grid.headerCols || 0, model.grid.cols);
+  const rowSizes = model.grid.rowSizes || [];
+  const lines = []; // пары [уровень вложенности, текст]
+
+  lines.push([0, '<table>']);
+  if (caption && model.meta && model.meta.name) {
+    lines.push([1, `<caption>${escapeHtml(model.meta.name)}</caption>`]);
+  }
+
+  // colgroup: ширины столбцов из grid.columnSizes
+  const widths = columnSizesToCssWidths(model.grid.columnSizes);
+  if (widths) {
+    lines.push([1, '<colgroup>']);
+    for (const w of widths) {
+      lines.push([2, w ? `<col style="width: ${w}">` : '<col>']);
+    }
+    lines.push([1, '</colgroup>']);
+  }
+
+  // Секции thead / tbody. Пустую секцию не выводим.
+  const sections = [
+    { tag: 'thead', from: 0, to: headerRows, isHeader: true },
+    { tag: 'tbody', from: headerRows, to: model.grid.rows, isHeader: false }
+  ];
+  for (const section of sections) {
+    if (section.from >= section.to) continue;
+    lines.push([1, `<${section.tag}>`]);
+    for (let r = section.from; r < section.to; r++) {
+      const cells = buildRowCells(model, r, section.isHeader, covered, headerCols);
+      const size = rowSizes[r];
+      lines.push([2, size && size.u === 'px' ? `<tr style="height: ${size.v}px">` : '<tr>']);
+      for (const cellHtml of cells) lines.push([3, cellHtml]);
+      lines.push([2, '</tr>']);
+    }
+    lines.push([1, `</${section.tag}>`]);
+  }
+  lines.push([0, '</table>']);
+
+  if (!pretty) return lines.map(([, text]) => text).join('');
+  return lines.map(([level, text]) => '  '.repeat(level) + text).join('\n') + '\n';
+}
@@ -3,9 +3,14 @@
 
 /**
  * @param {import('../../core/model/TableModel.js').TableModel} model
+ * @param {Object} [options]
+ * @param {import('../../core/services/HistoryService.js').HistoryService} [options.history] Сохранить дерево истории
+ *   в поле history документа, чтобы после импорта продолжить сессию со всеми ветками undo. По умолчанию не сохраняется:
+ *   дерево заметно увеличивает файл и хранит все прежние состояния таблицы, в том числе удалённое содержимое
  * @returns {string} JSON строка (красиво отформатированная)
  */
-export function toJson(model) {
+export function toJson(model, options = {}) {
   const doc = model.toJSON();
+  if (options.history) doc.history = options.history.toJSON();
   return JSON.stringify(doc, null, 2);
 }
@@ -0,0 +1,149 @@
+// toLatex.js
+// Экспорт TableModel в LaTeX: окружение tabular, а для длинных таблиц — longtable (переносится по страницам,
+// строки шапки повторяются на каждой странице через \endhead).
+// Объединения: colSpan -> \multicolumn, rowSpan -> \multirow. Линейки — booktabs (\toprule, \midrule после шапки, \bottomrule).
+// Выравнивание столбцов берётся из классов типа данных: numeric -> r, text -> l.
+// Нужные пакеты перечисляются комментарием в начале результата (\usepackage{...}).
+
+import { convertAllowedTags } from '../../core/utils/renderValue.js';
+import { buildCoverageMap } from '../../core/utils/cellGrid.js';
+import { displayValue } from '../../core/utils/formula.js';
+
+/** С какого числа строк режим 'auto' выбирает longtable */
+export const LATEX_LONGTABLE_ROWS = 40;
+
+/** Спецсимволы LaTeX и их безопасная запись в тексте */
+const LATEX_SPECIALS = {
+  '\\': '\\textbackslash{}',
+  '&': '\\&',
+  '%': '\\%',
+  '$': '\\$',
+  '#': '\\#',
+  '_': '\\_',
+  '{': '\\{',
+  '}': '\\}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}'
+};
+
+/** Разрешённые теги -> команды LaTeX. Перевод строки внутри ячейки возможен только в \makecell (см. formatContent) */
+const LATEX_MARKUP = {
+  text: text => text.replace(/[\\&%$#_{}~^]/g, ch => LATEX_SPECIALS[ch]),
+  br: '\\\\',
+  i: ['\\textit{', '}'],
+  u: ['\\underline{', '}'],
+  sup: ['\\textsuperscript{', '}'],
+  sub: ['\\textsubscript{', '}']
+};
+
+/**
+ * Выравнивание по классам типа данных ячейки.
+ * @param {import('../../core/model/TableModel.js').TableCell} cell
+ * @returns {'r'|'l'|null} null — тип не задан
+ */
+function alignFromClasses(cell) {
+  if (!cell.classes) return null;
+  if (cell.classes.includes('numeric')) return 'r';
+  if (cell.classes.includes('text')) return 'l';
+  return null;
+}
+
+/**
+ * Выравнивание столбцов: r, если числовых ячеек (класс numeric) в теле столбца больше, чем текстовых (класс text).
+ * Учитываются только ячейки в один столбец — объединённые по горизонтали выравниваются своим \multicolumn.
+ * @param {import('../../core/model/TableModel.js').TableModel} model
+ * @param {number} headerRows
+ * @returns {Array<'l'|'r'>}
+ */
+function detectColumnAligns(model, headerRows) {
+  const numeric = new Array(model.grid.cols).fill(0);
+  const text = new Array(model.grid.cols).fill(0);
+  for (const cell of model.cells) {
+    if (cell.r < headerRows || (cell.colSpan || 1) > 1) continue;
+    const align = alignFromClasses(cell);
+    if (align === 'r') numeric[cell.c]++;
+    if (align === 'l') text[cell.c]++;
+  }
+  return numeric.map((n, c) => (n > 0 && n > text[c] ? 'r' : 'l'));
+}
+
+/**
+ * Содержимое ячейки в LaTeX. Если в значении есть <br>, оборачиваем в \makecell — обычная ячейка не допускает \\.
+ * @param {string} value
+ * @param {string} align Выравнивание строк внутри \makecell
+ * @param {Set<string>} packages Накопитель нужных пакетов
+ * @returns {string}
+ */
+function formatContent(value, align, packages) {
+  const content = convertAllowedTags(value, LATEX_MARKUP);
+  if (!/<br\s*\/?>/i.test(value || '')) return content;
+  packages.add('makecell');
+  return `\\makecell[${align}]{${content}}`;
+}
+
+/**
+ * Экспорт модели в LaTeX.
+ * @param {import('../../core/model/TableModel.js').TableModel} model
+ * @param {Object} [options]
+ * @param {'auto'|'tabular'|'longtable'} [options.environment='auto'] Окружение; auto — longtable от LATEX_LONGTABLE_ROWS строк
+ * @param {boolean} [options.packagesComment=true] Добавить комментарий со списком нужных пакетов
+ * @returns {string}
+ */
+export function toLatex(model, options = {}) {
+  const { environment = 'auto', packagesComment = true } = options;
+  const { rows, cols } = model.grid;
+  const headerRows = Math.min(model.grid.headerRows || 0, rows);
+  const covered = buildCoverageMap(model.cells);
+  const columnAligns = detectColumnAligns(model, headerRows);
+  const isLong = environment === 'longtable' || (environment === 'auto' && rows >= LATEX_LONGTABLE_ROWS);
+  const packages = new Set(['booktabs']);
+  if (isLong) packages.add('longtable');
+
+  const bodyLines = [];
+  for (let r = 0; r < rows; r++) {
+    const isHeader = r < headerRows;
+    const parts = [];
+    for (let c = 0; c < cols; c++) {
+      const owner = covered.get(r + ',' + c);
+      if (owner) {
+        // Координаты справа от ведущей ячейки в той же строке поглощены её \multicolumn
+        if (owner.r === r || c !== owner.c) continue;
+        // Строки ниже \multirow: оставляем пустое место той же ширины
+        const cs = owner.colSpan || 1;
+        parts.push(cs > 1 ? `\\multicolumn{${cs}}{${isHeader ? 'c' : columnAligns[c]}}{}` : '');
+        continue;
+      }
+      const cell = model.getCell(r, c);
+      if (!cell) { parts.push(''); continue; }
+      const cs = cell.colSpan || 1;
+      const rs = cell.rowSpan || 1;
+      // Ячейки шапки, объединённые по горизонтали, центрируем — так принято оформлять групповые заголовки
+      const align = alignFromClasses(cell) || (isHeader && cs > 1 ? 'c' : columnAligns[c]);
+      let content = formatContent(displayValue(cell), align, packages);
+      if (rs > 1) {
+        packages.add('multirow');
+        content = `\\multirow{${rs}}{*}{${content}}`;
+      }
+      if (cs > 1 || align !== columnAligns[c]) {
+        content = `\\multicolumn{${cs}}{${align}}{${content}}`;
+      }
+      parts.push(content);
+    }
+    bodyLines.push(parts.join(' & ') + ' \\\\');
+    if (headerRows > 0 && r === headerRows - 1) {
+      bodyLines.push('\\midrule');
+      // longtable: всё, что выше \endhead, повторяется на каждой странице
+      if (isLong) bodyLines.push('\\endhead');
+    }
+  }
+
+  const env = isLong ? 'longtable' : 'tabular';
+  const lines = [];
+  if (packagesComment) lines.push(`% \\usepackage{${[...packages].join(', ')}}`);
+  lines.push(`\\begin{${env}}{${columnAligns.join('')}}`);
+  lines.push('\\toprule');
+  lines.push(...bodyLines);
+  lines.push('\\bottomrule');
+  lines.push(`\\end{${env}}`);
+  return lines.join('\n') + '\n';
+}
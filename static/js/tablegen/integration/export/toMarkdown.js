@@ -0,0 +1,82 @@
+// toMarkdown.js
+// Экспорт TableModel в pipe-таблицу GitHub Flavored Markdown (README, документация).
+// В GFM нет объединённых ячеек и бывает ровно одна строка заголовка, поэтому:
+//  - покрытые merge координаты заполняются по выбранной политике (повтор значения или пусто);
+//  - строки шапки (grid.headerRows) сливаются в одну строку заголовка через <br>,
+//    без шапки выводится пустая строка заголовка (GFM без неё таблицу не распознаёт).
+
+import { convertAllowedTags } from '../../core/utils/renderValue.js';
+import { buildCoverageMap } from '../../core/utils/cellGrid.js';
+import { displayValue } from '../../core/utils/formula.js';
+
+/**
+ * Политики для покрытых merge координат:
+ *  - 'repeat' — повторить значение ведущей ячейки
+ *  - 'blank'  — оставить пустыми (значение только в ведущей ячейке)
+ */
+export const MARKDOWN_SPAN_FALLBACKS = ['repeat', 'blank'];
+
+/**
+ * Разрешённые теги -> GFM. Курсив — звёздочки; у подчёркивания нет Markdown синтаксиса, но GitHub
+ * пропускает <ins>, а <sup> / <sub> / <br> и так входят в его список допустимых HTML тегов.
+ */
+const GFM_MARKUP = {
+  // Экранируем символы разметки Markdown и | (иначе он разорвёт ячейку)
+  text: text => text.replace(/[\\|*_`[\]<>~]/g, '\\$&').replace(/\r\n|\r|\n/g, '<br>'),
+  br: '<br>',
+  i: ['*', '*'],
+  u: ['<ins>', '</ins>'],
+  sup: ['<sup>', '</sup>'],
+  sub: ['<sub>', '</sub>']
+};
+
+/**
+ * Экспорт модели в GFM таблицу.
+ * @param {import('../../core/model/TableModel.js').TableModel} model
+ * @param {Object} [options]
+ * @param {'repeat'|'blank'} [options.spanFallback='blank'] Чем заполнять покрытые merge координаты
+ * @param {boolean} [options.pretty=true] Выравнивать столбцы пробелами (удобнее читать исходник)
+ * @returns {string}
+ */
+export function toMarkdown(model, options = {}) {
+  const { pretty = true } = options;
+  const spanFallback = MARKDOWN_SPAN_FALLBACKS.includes(options.spanFallback) ? options.spanFallback : 'blank';
+  const { rows, cols } = model.grid;
+  const headerRows = Math.min(model.grid.headerRows || 0, rows);
+  const covered = buildCoverageMap(model.cells);
+
+  // Матрица уже сконвертированных значений
+  const matrix = [];
+  for (let r = 0; r < rows; r++) {
+    const line = [];
+    for (let c = 0; c < cols; c++) {
+      const owner = covered.get(r + ',' + c);
+      const cell = owner ? (spanFallback === 'repeat' ? owner : null) : model.getCell(r, c);
+      line.push(cell ? convertAllowedTags(displayValue(cell), GFM_MARKUP) : '');
+    }
+    matrix.push(line);
+  }
+
+  // Строка заголовка: значения строк шапки по столбцу через <br> (подряд идущие повторы — один раз)
+  const header = [];
+  for (let c = 0; c < cols; c++) {
+    const parts = [];
+    for (let r = 0; r < headerRows; r++) {
+      const v = matrix[r][c];
+      if (v !== '' && parts[parts.length - 1] !== v) parts.push(v);
+    }
+    header.push(parts.join('<br>'));
+  }
+  const body = matrix.slice(headerRows);
+
+  const widths = new Array(cols).fill(3); // разделитель --- не короче трёх дефисов
+  if (pretty) {
+    for (const line of [header, ...body]) {
+      line.forEach((v, c) => { widths[c] = Math.max(widths[c], v.length); });
+    }
+  }
+  const pad = (v, c) => (pretty ? v.padEnd(widths[c]) : v);
+  const formatRow = line => '| ' + line.map(pad).join(' | ') + ' |';
+  const separator = '| ' + widths.map(w => '-'.repeat(w)).join(' | ') + ' |';
+  return [formatRow(header), separator, ...body.map(formatRow)].join('\n') + '\n';
+}
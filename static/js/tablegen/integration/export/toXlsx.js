@@ -0,0 +1,329 @@
+// toXlsx.js
+// Экспорт TableModel в книгу Excel (.xlsx, Office Open XML) без внешних сервисов и библиотек.
+// XLSX — это ZIP архив с набором XML частей. Формируем минимально достаточный набор:
+//  [Content_Types].xml, _rels/.rels, xl/workbook.xml, xl/_rels/workbook.xml.rels,
+//  xl/styles.xml, xl/sharedStrings.xml, xl/worksheets/sheet1.xml.
+// Объединения -> <mergeCells>, grid.columnSizes -> <cols>, grid.rowSizes (px) -> высоты <row ht>,
+// headerRows / headerCols -> жирные ячейки, закреплённая область и повтор строк шапки при печати,
+// значения с data-format number/percent/date -> числовые ячейки с соответствующим числовым форматом,
+// формулы -> <f> с кэшированным результатом в <v> (Excel пересчитает их при открытии).
+// Автоматические итоги (TotalsService) выгружаются значениями-числами.
+
+import { createZip } from '../../core/utils/zip.js';
+import { cellRef } from '../../core/utils/cellGrid.js';
+import { stripAllowedTags } from '../../core/utils/renderValue.js';
+import { parseFormattedValue, parseNumber, dateToSerial } from '../../core/utils/valueFormat.js';
+import { getCellFormat } from '../../core/utils/cellData.js';
+import { isFormula, isFormulaError, parseFormula, displayValue, toExcelFormula, FORMULA_ERRORS } from '../../core/utils/formula.js';
+
+/** MIME тип книги Excel — пригодится при скачивании Blob */
+export const XLSX_MIME = 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet';
+
+/** Встроенные числовые форматы Excel (id из спецификации ECMA-376) */
+const NUM_FMT_GENERAL = 0;
+const NUM_FMT_PERCENT = 10; // 0.00%
+const NUM_FMT_DATE = 14;    // короткая дата в локали пользователя
+
+/** Сколько «символов» ширины Excel соответствует одной единице ratio */
+const RATIO_UNIT_CHARS = 12;
+/** Приблизительная ширина символа стандартного шрифта Calibri 11 в пикселях */
+const PX_PER_CHAR = 7;
+/** Высота строки в Excel задаётся в пунктах: 1px = 0.75pt (96 dpi) */
+const PT_PER_PX = 0.75;
+
+/**
+ * Экранирование текста для XML. Управляющие символы (кроме \t \n \r) запрещены в XML 1.0 — удаляем их.
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return String(text)
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Имя листа Excel: не длиннее 31 символа и без символов []:*?/\
+ * @param {string} name
+ * @returns {string}
+ */
+function toSheetName(name) {
+  const cleaned = String(name || '').replace(/[[\]:*?/\\]/g, ' ').trim().slice(0, 31);
+  return cleaned || 'Sheet1';
+}
+
+/**
+ * Реестр стилей ячеек (cellXfs). Каждая уникальная комбинация {numFmtId, bold, wrap} получает свой индекс.
+ * Индекс 0 всегда зарезервирован под стиль по умолчанию.
+ */
+class StyleRegistry {
+  constructor() {
+    this.styles = [{ numFmtId: NUM_FMT_GENERAL, bold: false, wrap: false }];
+    this._index = new Map([['0|false|false', 0]]);
+  }
+
+  /**
+   * Получить индекс стиля (создаёт новый при первом обращении).
+   * @param {{numFmtId:number, bold:boolean, wrap:boolean}} style
+   * @returns {number}
+   */
+  get(style) {
+    const key = style.numFmtId + '|' + style.bold + '|' + style.wrap;
+    if (!this._index.has(key)) {
+      this._index.set(key, this.styles.length);
+      this.styles.push(style);
+    }
+    return this._index.get(key);
+  }
+
+  /** XML части xl/styles.xml: шрифты (обычный / жирный) и список cellXfs */
+  toXml() {
+    const xfs = this.styles.map(s => {
+      const attrs = [`numFmtId="${s.numFmtId}"`, `fontId="${s.bold ? 1 : 0}"`, 'fillId="0"', 'borderId="0"', 'xfId="0"'];
+      if (s.numFmtId !== NUM_FMT_GENERAL) attrs.push('applyNumberFormat="1"');
+      if (s.bold) attrs.push('applyFont="1"');
+      if (!s.wrap) return `<xf ${attrs.join(' ')}/>`;
+      attrs.push('applyAlignment="1"');
+      return `<xf ${attrs.join(' ')}><alignment wrapText="1" vertical="top"/></xf>`;
+    });
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">'
+      + '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>'
+      + '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>'
+      + '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>'
+      + '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>'
+      + `<cellXfs count="${xfs.length}">${xfs.join('')}</cellXfs>`
+      + '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>'
+      + '</styleSheet>';
+  }
+}
+
+/**
+ * Таблица общих строк (sharedStrings): одинаковые строки хранятся один раз, ячейки ссылаются на индекс.
+ */
+class SharedStrings {
+  constructor() {
+    this.list = [];
+    this._index = new Map();
+    this.refCount = 0; // общее число ссылок (атрибут count)
+  }
+
+  /**
+   * @param {string} text
+   * @returns {number} Индекс строки
+   */
+  add(text) {
+    this.refCount++;
+    if (!this._index.has(text)) {
+      this._index.set(text, this.list.length);
+      this.list.push(text);
+    }
+    return this._index.get(text);
+  }
+
+  toXml() {
+    // xml:space="preserve" сохраняет пробелы по краям и переводы строк
+    const items = this.list.map(t => `<si><t xml:space="preserve">${escapeXml(t)}</t></si>`);
+    return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+      + `<sst xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" count="${this.refCount}" uniqueCount="${this.list.length}">`
+      + items.join('') + '</sst>';
+  }
+}
+
+/**
+ * Построить XML одной ячейки: число (если data-format распознан) или общая строка.
+ * @param {import('../../core/model/TableModel.js').TableCell} cell
+ * @param {boolean} isHeader Ячейка в строках шапки или столбцах-заголовках (жирный шрифт)
+ * @param {StyleRegistry} styles
+ * @param {SharedStrings} strings
+ * @returns {string} XML элемента <c> или пустая строка для пустых ячеек без стиля
+ */
+function buildCellXml(cell, isHeader, styles, strings) {
+  const ref = cellRef(cell.r, cell.c);
+  const format = getCellFormat(cell);
+  // Формула с синтаксической ошибкой Excel не примет — такая ячейка уходит своим результатом, как обычный текст
+  if (isFormula(cell.value) && parseFormula(cell.value).ok) return buildFormulaCellXml(cell, ref, format, isHeader, styles);
+  // Автоматический итог (TotalsService) хранится в cached пустой ячейки — это число и без data-format
+  const value = displayValue(cell);
+  const parsed = format ? parseFormattedValue(value, format) : value !== cell.value ? parseNumber(value) : null;
+  if (parsed != null) {
+    let numFmtId = NUM_FMT_GENERAL;
+    let number = parsed;
+    if (format === 'percent') numFmtId = NUM_FMT_PERCENT;
+    if (format === 'date') { numFmtId = NUM_FMT_DATE; number = dateToSerial(parsed); }
+    const s = styles.get({ numFmtId, bold: isHeader, wrap: false });
+    return `<c r="${ref}"${s ? ` s="${s}"` : ''}><v>${number}</v></c>`;
+  }
+  const text = stripAllowedTags(value, '\n');
+  // Пустая ячейка выводится только если ей нужен стиль шапки (иначе её можно просто опустить)
+  if (text === '' && !isHeader) return '';
+  const s = styles.get({ numFmtId: NUM_FMT_GENERAL, bold: isHeader, wrap: text.includes('\n') });
+  if (text === '') return `<c r="${ref}" s="${s}"/>`;
+  return `<c r="${ref}"${s ? ` s="${s}"` : ''} t="s"><v>${strings.add(text)}</v></c>`;
+}
+
+/** Ошибки формул, которых нет в Excel, записываются как #VALUE! */
+const EXCEL_ERRORS = new Set([FORMULA_ERRORS.REF, FORMULA_ERRORS.DIV0, FORMULA_ERRORS.VALUE, FORMULA_ERRORS.NAME, FORMULA_ERRORS.NUM]);
+
+/**
+ * XML ячейки с формулой: <f> и кэшированный результат (число, ошибка t="e" или строка t="str").
+ * @param {import('../../core/model/TableModel.js').TableCell} cell
+ * @param {string} ref Адрес ячейки A1
+ * @param {string|null} format data-format ячейки
+ * @param {boolean} isHeader
+ * @param {StyleRegistry} styles
+ * @returns {string}
+ */
+function buildFormulaCellXml(cell, ref, format, isHeader, styles) {
+  const result = displayValue(cell);
+  const numFmtId = format === 'percent' ? NUM_FMT_PERCENT : format === 'date' ? NUM_FMT_DATE : NUM_FMT_GENERAL;
+  const s = styles.get({ numFmtId, bold: isHeader, wrap: false });
+  const attrs = `r="${ref}"${s ? ` s="${s}"` : ''}`;
+  const f = `<f>${escapeXml(toExcelFormula(cell.value))}</f>`;
+  const number = parseNumber(result);
+  if (number !== null) return `<c ${attrs}>${f}<v>${number}</v></c>`;
+  if (isFormulaError(result)) return `<c ${attrs} t="e">${f}<v>${EXCEL_ERRORS.has(result) ? result : FORMULA_ERRORS.VALUE}</v></c>`;
+  return `<c ${attrs} t="str">${f}<v>${escapeXml(stripAllowedTags(result, '\n'))}</v></c>`;
+}
+
+/**
+ * Ширины столбцов (<cols>) из grid.columnSizes. px переводим в «символы» Excel, ratio — в кратное базовой ширине,
+ * % — в долю условной ширины таблицы (столбцы × базовая ширина). auto пропускаем (ширина Excel по умолчанию).
+ * Ограничения min / max (px) применяются к получившейся ширине: у Excel нет гибких столбцов.
+ * @param {import('../../core/utils/columnSizes.js').ColumnSize[]|null} columnSizes
+ * @returns {string} XML <cols> или пустая строка
+ */
+function buildColsXml(columnSizes) {
+  if (!Array.isArray(columnSizes) || !columnSizes.length) return '';
+  const tableChars = columnSizes.length * RATIO_UNIT_CHARS;
+  const cols = columnSizes.map((cs, i) => {
+    if (!cs || !(cs.v > 0) || cs.u === 'auto') return '';
+    let width = cs.u === 'px' ? cs.v / PX_PER_CHAR : cs.u === '%' ? cs.v / 100 * tableChars : cs.v * RATIO_UNIT_CHARS;
+    if (cs.min !== undefined) width = Math.max(width, cs.min / PX_PER_CHAR);
+    if (cs.max !== undefined) width = Math.min(width, cs.max / PX_PER_CHAR);
+    const rounded = Math.round(width * 100) / 100;
+    return `<col min="${i + 1}" max="${i + 1}" width="${rounded}" customWidth="1"/>`;
+  }).filter(Boolean);
+  return cols.length ? `<cols>${cols.join('')}</cols>` : '';
+}
+
+/**
+ * Сформировать XML листа (xl/worksheets/sheet1.xml).
+ * @param {import('../../core/model/TableModel.js').TableModel} model
+ * @param {StyleRegistry} styles
+ * @param {SharedStrings} strings
+ * @returns {string}
+ */
+function buildSheetXml(model, styles, strings) {
+  const { rows, cols } = model.grid;
+  const headerRows = Math.min(model.grid.headerRows || 0, rows);
+  const headerCols = Math.min(model.grid.headerCols || 0, cols);
+  const rowSizes = model.grid.rowSizes || [];
+
+  // Группируем ведущие ячейки по строкам и сортируем по столбцу (Excel требует возрастающий порядок)
+  const byRow = new Map();
+  const merges = [];
+  for (const cell of model.cells) {
+    if (!byRow.has(cell.r)) byRow.set(cell.r, []);
+    byRow.get(cell.r).push(cell);
+    const rs = cell.rowSpan || 1;
+    const cs = cell.colSpan || 1;
+    if (rs > 1 || cs > 1) merges.push(cellRef(cell.r, cell.c) + ':' + cellRef(cell.r + rs - 1, cell.c + cs - 1));
+  }
+  const rowsXml = [];
+  for (let r = 0; r < rows; r++) {
+    const cellsXml = (byRow.get(r) || [])
+      .sort((a, b) => a.c - b.c)
+      .map(cell => buildCellXml(cell, r < headerRows || cell.c < headerCols, styles, strings))
+      .join('');
+    // Фиксированная высота (px) выводится и у строки без ячеек — иначе Excel её не узнает
+    const size = rowSizes[r];
+    const height = size && size.u === 'px' && size.v > 0 ? ` ht="${Math.round(size.v * PT_PER_PX * 100) / 100}" customHeight="1"` : '';
+    if (cellsXml || height) rowsXml.push(`<row r="${r + 1}"${height}>${cellsXml}</row>`);
+  }
+
+  // Закрепляем строки шапки и столбцы-заголовки: при прокрутке они остаются на экране
+  let sheetView = '<sheetView workbookViewId="0"/>';
+  if (headerRows > 0 || headerCols > 0) {
+    const pane = headerRows > 0 && headerCols > 0 ? 'bottomRight' : (headerRows > 0 ? 'bottomLeft' : 'topRight');
+    const split = (headerCols > 0 ? ` xSplit="${headerCols}"` : '') + (headerRows > 0 ? ` ySplit="${headerRows}"` : '');
+    sheetView = '<sheetView workbookViewId="0">'
+      + `<pane${split} topLeftCell="${cellRef(headerRows, headerCols)}" activePane="${pane}" state="frozen"/>`
+      + `<selection pane="${pane}"/></sheetView>`;
+  }
+  // Порядок элементов внутри worksheet фиксирован схемой: dimension, sheetViews, sheetFormatPr, cols, sheetData, mergeCells
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + `<dimension ref="A1:${cellRef(rows - 1, cols - 1)}"/>`
+    + `<sheetViews>${sheetView}</sheetViews>`
+    + '<sheetFormatPr defaultRowHeight="15"/>'
+    + buildColsXml(model.grid.columnSizes)
+    + `<sheetData>${rowsXml.join('')}</sheetData>`
+    + (merges.length ? `<mergeCells count="${merges.length}">${merges.map(ref => `<mergeCell ref="${ref}"/>`).join('')}</mergeCells>` : '')
+    + '</worksheet>';
+}
+
+/**
+ * XML книги: один лист + (если есть шапка) определённое имя _xlnm.Print_Titles — повтор строк шапки на каждой странице печати.
+ * @param {string} sheetName
+ * @param {number} headerRows
+ * @returns {string}
+ */
+function buildWorkbookXml(sheetName, headerRows) {
+  const quoted = "'" + sheetName.replace(/'/g, "''") + "'";
+  const definedNames = headerRows > 0
+    ? `<definedNames><definedName name="_xlnm.Print_Titles" localSheetId="0">${escapeXml(quoted)}!$1:$${headerRows}</definedName></definedNames>`
+    : '';
+  return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">'
+    + `<sheets><sheet name="${escapeXml(sheetName)}" sheetId="1" r:id="rId1"/></sheets>`
+    + definedNames
+    + '</workbook>';
+}
+
+/**
+ * Экспорт модели в XLSX.
+ * @param {import('../../core/model/TableModel.js').TableModel} model
+ * @returns {Uint8Array} Байты файла .xlsx (для скачивания: new Blob([bytes], { type: XLSX_MIME }))
+ */
+export function toXlsx(model) {
+  const styles = new StyleRegistry();
+  const strings = new SharedStrings();
+  const sheetName = toSheetName(model.meta && model.meta.name);
+  const headerRows = Math.min(model.grid.headerRows || 0, model.grid.rows);
+  // Лист строим первым: он наполняет реестры стилей и строк
+  const sheetXml = buildSheetXml(model, styles, strings);
+
+  const contentTypes = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">'
+    + '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>'
+    + '<Default Extension="xml" ContentType="application/xml"/>'
+    + '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>'
+    + '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>'
+    + '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>'
+    + '<Override PartName="/xl/sharedStrings.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sharedStrings+xml"/>'
+    + '</Types>';
+  const rootRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>'
+    + '</Relationships>';
+  const workbookRels = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n'
+    + '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">'
+    + '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>'
+    + '<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>'
+    + '<Relationship Id="rId3" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/sharedStrings" Target="sharedStrings.xml"/>'
+    + '</Relationships>';
+
+  return createZip([
+    { name: '[Content_Types].xml', data: contentTypes },
+    { name: '_rels/.rels', data: rootRels },
+    { name: 'xl/workbook.xml', data: buildWorkbookXml(sheetName, headerRows) },
+    { name: 'xl/_rels/workbook.xml.rels', data: workbookRels },
+    { name: 'xl/styles.xml', data: styles.toXml() },
+    { name: 'xl/sharedStrings.xml', data: strings.toXml() },
+    { name: 'xl/worksheets/sheet1.xml', data: sheetXml }
+  ]);
+}
@@ -1,6 +1,64 @@
 // fromJson.js
 // Импорт JSON документа в TableDocument (валидирует и возвращает объект для конструктора TableModel; без DOM операций).
 
+import { validateColumnSize } from '../../core/utils/columnSizes.js';
+import { AGGREGATES, isAggregate } from '../../core/utils/aggregates.js';
+
+/**
+ * Проверить счётчик линий шапки (headerRows / headerCols): целое 0..max, отсутствие допустимо.
+ * @param {*} value
+ * @param {number} max Число строк / столбцов таблицы
+ * @param {string} field Имя поля для сообщения
+ * @returns {string|null} Текст ошибки или null
+ */
+function validateHeaderCount(value, max, field) {
+  if (value === undefined) return null;
+  if (!Number.isInteger(value) || value < 0 || value > max) return `grid.${field} должно быть целым числом от 0 до ${max}`;
+  return null;
+}
+
+/**
+ * Проверить размер строки: { v:number>0, u:'px'|'ratio' }.
+ * @param {*} size
+ * @returns {string|null} Текст ошибки или null
+ */
+function validateRowSize(size) {
+  if (!size || typeof size.v !== 'number' || !(size.v > 0) || (size.u !== 'px' && size.u !== 'ratio')) {
+    return "ожидался объект { v: число > 0, u: 'px' | 'ratio' }";
+  }
+  return null;
+}
+
+/**
+ * Проверить функцию итога столбца (grid.aggregates): имя из AGGREGATES или null (столбец не считается).
+ * @param {*} name
+ * @returns {string|null} Текст ошибки или null
+ */
+function validateAggregate(name) {
+  if (name === null || isAggregate(name)) return null;
+  return `ожидалось одно из ${AGGREGATES.join(', ')} или null`;
+}
+
+/**
+ * Проверить список размеров (columnSizes / rowSizes) или функций итогов (aggregates): null / отсутствие или массив длиной expected,
+ * каждый элемент которого проходит validate.
+ * @param {*} list
+ * @param {number} expected Число столбцов / строк таблицы
+ * @param {string} field Имя поля для сообщения
+ * @param {(size:*) => (string|null)} validate Проверка одного размера
+ * @returns {string|null} Текст ошибки или null
+ */
+function validateSizeList(list, expected, field, validate) {
+  if (list == null) return null;
+  if (!Array.isArray(list)) return `grid.${field} должно быть массивом`;
+  if (list.length !== expected) return `grid.${field}: ожидалось ${expected} элементов, получено ${list.length}`;
+  for (let i = 0; i < list.length; i++) {
+    const error = validate(list[i]);
+    if (error) return `grid.${field}[${i}]: ${error}`;
+  }
+  return null;
+}
+
 /**
  * Попытаться разобрать JSON строку в TableDocument.
  * Дополнено STRICT проверкой против реестра (если validator передан) — базовый парсинг + поверхностные проверки структуры
@@ -25,6 +83,15 @@ export function parseTableJson(jsonString, validator) {
   if (!raw.grid || typeof raw.grid.rows !== 'number' || typeof raw.grid.cols !== 'number') {
     return { ok: false, error: 'Отсутствует корректный grid' };
   }
+  const gridError = validateHeaderCount(raw.grid.headerCols, raw.grid.cols, 'headerCols')
+    || validateSizeList(raw.grid.columnSizes, raw.grid.cols, 'columnSizes', validateColumnSize)
+    || validateSizeList(raw.grid.rowSizes, raw.grid.rows, 'rowSizes', validateRowSize)
+    || validateSizeList(raw.grid.aggregates, raw.grid.cols, 'aggregates', validateAggregate);
+  if (gridError) return { ok: false, error: gridError };
+  // Дерево истории (toJson с history) разбирает HistoryService.load; здесь — только форма поля
+  if (raw.history !== undefined && (!raw.history || typeof raw.history !== 'object' || !Array.isArray(raw.history.steps))) {
+    return { ok: false, error: 'Поле history должно быть объектом с массивом steps' };
+  }
   if (!Array.isArray(raw.cells)) raw.cells = [];
   // Ленивая нормализация полей ячеек + локальное накопление ошибок STRICT (если есть validator)
   const strictErrors = [];
@@ -33,6 +100,10 @@ export function parseTableJson(jsonString, validator) {
       return { ok: false, error: 'Ячейка без координат (r,c)' };
     }
     if (typeof cell.value !== 'string') cell.value = '';
+    // Кэш результата формулы — только строка; при загрузке в редактор формулы всё равно пересчитываются
+    if (cell.cached !== undefined && typeof cell.cached !== 'string') delete cell.cached;
+    // Пометка ручного итога — только true; TotalsService всё равно выставит её заново
+    if (cell.override !== undefined && cell.override !== true) delete cell.override;
     if (cell.rowSpan && cell.rowSpan < 1) cell.rowSpan = 1;
     if (cell.colSpan && cell.colSpan < 1) cell.colSpan = 1;
     if (cell.classes && !Array.isArray(cell.classes)) {
@@ -93,7 +164,38 @@ export function parseTableJson(jsonString, validator) {
 export function applyImportedDocument(model, doc, bus) {
   // Теперь используем публичный метод модели, чтобы не дублировать логику переноса полей.
   // emitEvent:false — чтобы не создавать событие applyDocument (мы хотим пометить именно import).
+  const docBefore = model.toJSON();
   model.applyDocument(doc, { emitEvent: false });
-  // Эмитим одно событие структуры с конкретной причиной 'import'.
-  bus.emit('structure:change', { type: 'import' });
+  // Эмитим одно событие структуры с конкретной причиной 'import'; документы до и после нужны истории для undo / redo.
+  bus.emit('structure:change', { type: 'import', docBefore, docAfter: model.toJSON() });
+}
+
+/**
+ * Проверить документ и применить его к модели одним шагом истории (undo вернёт предыдущую таблицу) — общий путь
+ * импорта файла и восстановления автосохранения. Если документ несёт дерево истории (поле history), оно заменяет
+ * текущую историю: сессия продолжается со всеми ветками. Дерево, не прошедшее проверку (формат или патчи —
+ * см. HistoryService.load), отбрасывается: импорт остаётся обычным шагом, причина возвращается в historyError.
+ * @param {Object} ctx
+ * @param {import('../../core/model/TableModel.js').TableModel} ctx.model
+ * @param {import('../../core/services/HistoryService.js').HistoryService} ctx.history
+ * @param {import('../../core/services/ValidationService.js').ValidationService} ctx.validator
+ * @param {import('../../core/events/EventBus.js').EventBus} ctx.bus
+ * @param {object} input TableDocument (возможно с полем history)
+ * @returns {{ok:true, historyError?:string}|{ok:false, error:string}}
+ */
+export function applyDocumentWithHistory({ model, history, validator, bus }, input) {
+  const { history: savedHistory, ...doc } = input;
+  const docValidation = validator.validateDocument(doc);
+  if (!docValidation.valid) return { ok: false, error: docValidation.errors.join('\n') };
+  // Событие import несёт прежний документ — фиксируем его отдельным шагом, не дожидаясь debounce
+  history.record();
+  applyImportedDocument(model, doc, bus);
+  let historyError;
+  if (savedHistory) {
+    const loaded = history.load(savedHistory, { validator });
+    if (loaded.ok) return { ok: true };
+    historyError = loaded.error;
+  }
+  history.record();
+  return historyError ? { ok: true, historyError } : { ok: true };
 }
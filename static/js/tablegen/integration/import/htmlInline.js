@@ -0,0 +1,79 @@
+// htmlInline.js
+// Преобразование HTML содержимого ячейки (DOM) в значение модели с ограниченным набором тегов: <br>, <i>, <u>, <sup>, <sub>.
+// Это те же теги, что умеет показывать renderCellHtml, поэтому форматирование из Word / Excel / сохранённых HTML страниц
+// переносится без потерь, а всё прочее (стили, span, font, ссылки) отбрасывается — остаётся только текст.
+
+/** Теги, которые переводятся в разрешённые (ключ — исходный тег, значение — тег модели) */
+const INLINE_TAGS = {
+  i: 'i', em: 'i', cite: 'i', var: 'i',
+  u: 'u', ins: 'u',
+  sup: 'sup',
+  sub: 'sub'
+};
+
+/** Блочные элементы: между соседними блоками ставится перевод строки (<br>) */
+const BLOCK_TAGS = new Set(['p', 'div', 'li', 'ul', 'ol', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'blockquote', 'pre', 'section', 'article']);
+
+/** Элементы, содержимое которых не является текстом ячейки */
+const SKIP_TAGS = new Set(['script', 'style', 'template', 'noscript', 'head', 'title', 'meta', 'link']);
+
+/**
+ * Рекурсивно собирает значение из дочерних узлов элемента.
+ * @param {Node} el
+ * @returns {string}
+ */
+function serializeChildren(el) {
+  let out = '';
+  let breakPending = false; // предыдущий узел был блоком — следующий текст начинаем с новой строки
+  for (const node of Array.from(el.childNodes)) {
+    let piece = '';
+    let isBlock = false;
+    if (node.nodeType === 3) {
+      // Текст: любые пробельные последовательности (включая переводы строк исходника) — один пробел, как в браузере
+      piece = node.nodeValue.replace(/\s+/g, ' ');
+    } else if (node.nodeType === 1) {
+      const tag = node.localName;
+      if (SKIP_TAGS.has(tag)) continue;
+      if (tag === 'br') {
+        out += '<br>';
+        breakPending = false;
+        continue;
+      }
+      piece = serializeChildren(node);
+      const mapped = INLINE_TAGS[tag];
+      // Пустые обёртки (<i></i>, <sup> </sup>) не переносим
+      if (mapped && piece.trim()) piece = `<${mapped}>${piece}</${mapped}>`;
+      isBlock = BLOCK_TAGS.has(tag);
+    } else {
+      continue; // комментарии и прочие узлы
+    }
+
+    if (isBlock) {
+      if (out.trim() && !out.endsWith('<br>')) out += '<br>';
+      out += piece.trim();
+      breakPending = true;
+      continue;
+    }
+    if (breakPending && piece.trim()) {
+      if (!out.endsWith('<br>')) out += '<br>';
+      piece = piece.replace(/^\s+/, '');
+      breakPending = false;
+    }
+    out += piece;
+  }
+  return out;
+}
+
+/**
+ * Значение ячейки из её DOM элемента с сохранением разрешённого форматирования.
+ * Пробелы вокруг переводов строк и по краям убираются, повторные пробелы схлопываются.
+ * @param {Element} el Элемент ячейки (td / th) или любой контейнер
+ * @returns {string}
+ */
+export function htmlInlineToValue(el) {
+  return serializeChildren(el)
+    .replace(/ {2,}/g, ' ')
+    .replace(/\s*<br>\s*/g, '<br>')
+    .replace(/^(<br>)+|(<br>)+$/g, '')
+    .trim();
+}
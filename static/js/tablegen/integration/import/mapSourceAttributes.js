@@ -0,0 +1,51 @@
+// mapSourceAttributes.js
+// Перевод оформления исходной HTML ячейки (классы, inline стили) в классы и data-* значения реестра
+// по правилам importMappings (объявляются в проектном реестре, проверяются ValidationService.getImportMappings).
+// При вставке из другого экземпляра TableGen (keepSource) собственные class и data-* ячейки переносятся как есть —
+// проверка против реестра выполняется позже, при применении (ClipboardPasteService.pasteAtAnchor).
+
+/** Значения стиля, которые означают «оформление не задано» — правило без values на них не срабатывает */
+const NEUTRAL_STYLE_VALUES = new Set(['', 'transparent', 'normal', 'initial', 'inherit', 'none', 'rgba(0, 0, 0, 0)', 'windowtext']);
+
+/**
+ * Проверить одно правило против элемента ячейки.
+ * @param {Element} el
+ * @param {{sourceClass?:string, style?:string, values?:string[]}} rule
+ * @returns {boolean}
+ */
+function ruleMatches(el, rule) {
+  if (rule.sourceClass) return el.classList.contains(rule.sourceClass);
+  const value = (el.style ? el.style.getPropertyValue(rule.style) : '').trim().toLowerCase();
+  if (rule.values) return rule.values.includes(value);
+  return !NEUTRAL_STYLE_VALUES.has(value);
+}
+
+/**
+ * Классы и data-* значения для исходной ячейки. Правила применяются по порядку: при совпадении
+ * data-атрибута более позднее правило перезаписывает значение, классы накапливаются без повторов.
+ * Собственные атрибуты ячейки (keepSource) приоритетнее правил: они заданы явно.
+ * @param {Element} el Элемент td / th
+ * @param {Array<object>} mappings Проверенные правила importMappings
+ * @param {Object} [options]
+ * @param {boolean} [options.keepSource=false] Перенести class и data-* самой ячейки
+ * @returns {{classes?:string[], data?:Object}} Пустой объект, если ни одно правило не сработало
+ */
+export function mapSourceAttributes(el, mappings, options = {}) {
+  const classes = [];
+  const data = {};
+  for (const rule of mappings || []) {
+    if (!ruleMatches(el, rule)) continue;
+    for (const cls of rule.classes || []) if (!classes.includes(cls)) classes.push(cls);
+    Object.assign(data, rule.data || {});
+  }
+  if (options.keepSource) {
+    for (const cls of Array.from(el.classList)) if (!classes.includes(cls)) classes.push(cls);
+    for (const attr of Array.from(el.attributes)) {
+      if (attr.name.startsWith('data-')) data[attr.name] = attr.value;
+    }
+  }
+  const result = {};
+  if (classes.length) result.classes = classes;
+  if (Object.keys(data).length) result.data = data;
+  return result;
+}
@@ -2,22 +2,38 @@
 // Парсит HTML-фрагмент из буфера обмена (если пользователь копировал диапазон с объединёнными ячейками)
 // Excel / Google Sheets при копировании передают в clipboard тип text/html с кусочком <table>.
 // Задача: извлечь структуру, учесть rowspan/colspan и вернуть нормализованные ведущие ячейки с координатами и размерами.
+// Значения сохраняют разрешённое форматирование (<i>, <u>, <sup>, <sub>, <br> — см. htmlInlineToValue),
+// а оформление исходных ячеек по правилам importMappings реестра превращается в классы / data-*.
+// Обход строк вынесен в parseTableElement — его же использует импорт HTML файлов (parseHtmlTables).
+
+import { htmlInlineToValue } from './htmlInline.js';
+import { mapSourceAttributes } from './mapSourceAttributes.js';
 
 /**
- * Попытка извлечь первую таблицу из HTML
- * @param {string} html
- * @returns {{success:boolean, rows?:number, cols?:number, cells?:Array<{r:number,c:number,value:string,rowSpan:number,colSpan:number}>}}
+ * @typedef {Object} ParsedHtmlCell
+ * @property {number} r
+ * @property {number} c
+ * @property {string} value
+ * @property {number} rowSpan
+ * @property {number} colSpan
+ * @property {string[]} [classes] Классы реестра из importMappings
+ * @property {Object} [data] data-* значения реестра из importMappings
  */
-export function parseClipboardHtmlTable(html) {
-  if (!html || html.indexOf('<table') === -1) return { success: false };
-  // Создаём временной контейнер
-  const container = document.createElement('div');
-  container.innerHTML = html;
-  const table = container.querySelector('table');
-  if (!table) return { success: false };
 
-  const rowsEls = Array.from(table.querySelectorAll('tr'));
-  if (!rowsEls.length) return { success: false };
+/**
+ * Разбирает DOM элемент <table> в ведущие ячейки с координатами.
+ * Учитываются только собственные строки таблицы (вложенные таблицы не смешиваются с внешней).
+ * @param {HTMLTableElement} table
+ * @param {Object} [options]
+ * @param {(cellEl:HTMLTableCellElement) => string} [options.readValue=htmlInlineToValue] Как получить значение ячейки
+ * @param {Array<object>} [options.mappings] Правила importMappings (validator.getImportMappings())
+ * @param {boolean} [options.keepSourceAttributes=false] Перенести собственные class и data-* ячеек (без проверки реестром)
+ * @returns {{rows:number, cols:number, cells:ParsedHtmlCell[]}|null} null — в таблице нет строк
+ */
+export function parseTableElement(table, options = {}) {
+  const { readValue = htmlInlineToValue, mappings = [], keepSourceAttributes = false } = options;
+  const rowsEls = Array.from(table.rows || []);
+  if (!rowsEls.length) return null;
 
   // Используем алгоритм развёртки с учётом rowspan/colspan
   const cells = [];
@@ -32,15 +48,16 @@ export function parseClipboardHtmlTable(html) {
     // Пропускаем занятые позиции (занесённые предыдущими rowspan)
     while (occupancy[r][cIndex]) cIndex++;
 
-    const cellEls = Array.from(rowEl.querySelectorAll('th,td'));
+    const cellEls = Array.from(rowEl.cells);
     for (const cellEl of cellEls) {
       // Перематываем пока текущее место занято
       while (occupancy[r][cIndex]) cIndex++;
-      const txt = cellEl.textContent || '';
-      const rowSpan = parseInt(cellEl.getAttribute('rowspan') || '1', 10) || 1;
-      const colSpan = parseInt(cellEl.getAttribute('colspan') || '1', 10) || 1;
+      const rawRowSpan = parseInt(cellEl.getAttribute('rowspan') || '1', 10) || 1;
+      // rowspan не может выходить за последнюю строку таблицы (браузер его так же обрезает)
+      const rowSpan = Math.max(1, Math.min(rawRowSpan, rowsEls.length - r));
+      const colSpan = Math.max(1, parseInt(cellEl.getAttribute('colspan') || '1', 10) || 1);
 
-      cells.push({ r, c: cIndex, value: txt.trim(), rowSpan, colSpan });
+      cells.push({ r, c: cIndex, value: readValue(cellEl), rowSpan, colSpan, ...mapSourceAttributes(cellEl, mappings, { keepSource: keepSourceAttributes }) });
 
       // Помечаем занятость диапазона
       for (let rr = r; rr < r + rowSpan; rr++) {
@@ -55,5 +72,26 @@ export function parseClipboardHtmlTable(html) {
     if (cIndex > maxCols) maxCols = cIndex;
   }
 
-  return { success: true, rows: rowsEls.length, cols: maxCols, cells };
+  return { rows: rowsEls.length, cols: maxCols, cells };
+}
+
+/**
+ * Попытка извлечь первую таблицу из HTML
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {Array<object>} [options.mappings] Правила importMappings (validator.getImportMappings())
+ * @param {boolean} [options.keepSourceAttributes=false] Перенести собственные class и data-* ячеек
+ * @returns {{success:boolean, rows?:number, cols?:number, cells?:ParsedHtmlCell[]}}
+ */
+export function parseClipboardHtmlTable(html, options = {}) {
+  if (!html || html.indexOf('<table') === -1) return { success: false };
+  // Разбираем в отдельный документ DOMParser: в отличие от innerHTML временного div, картинки и обработчики
+  // (<img onerror=...>) из чужого HTML не загружаются и не выполняются
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const table = doc.querySelector('table');
+  if (!table) return { success: false };
+
+  const parsed = parseTableElement(table, { mappings: options.mappings, keepSourceAttributes: options.keepSourceAttributes });
+  if (!parsed) return { success: false };
+  return { success: true, ...parsed };
 }
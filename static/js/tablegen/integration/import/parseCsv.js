@@ -0,0 +1,176 @@
+// parseCsv.js
+// Разбор CSV / TSV текста по RFC 4180: кавычки, удвоенные кавычки внутри поля, переносы строк внутри поля,
+// BOM в начале файла и автоопределение разделителя (запятая, точка с запятой, табуляция).
+// Результат — матрица строк и готовый TableDocument для импорта (без DOM операций).
+
+/** Разделители, среди которых выполняется автоопределение */
+export const CSV_DELIMITERS = [',', ';', '\t'];
+
+/** Сколько первых записей анализировать при автоопределении разделителя */
+const DETECT_SAMPLE_RECORDS = 10;
+
+/**
+ * Убирает BOM (U+FEFF) в начале текста — Excel добавляет его при сохранении CSV в UTF-8.
+ * @param {string} text
+ * @returns {string}
+ */
+function stripBom(text) {
+  return text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+}
+
+/**
+ * Определяет разделитель по первым записям файла.
+ * Алгоритм: для каждого кандидата считаем количество вхождений ВНЕ кавычек в каждой непустой записи.
+ * Лучший кандидат — тот, у которого количество одинаково во всех записях (таблица «ровная»);
+ * при равенстве выигрывает больший счёт. Если ни один не встречается — возвращаем запятую.
+ * @param {string} text Исходный текст (BOM допускается)
+ * @returns {string} Один из CSV_DELIMITERS
+ */
+export function detectCsvDelimiter(text) {
+  const src = stripBom(String(text ?? ''));
+  const perRecord = new Map(CSV_DELIMITERS.map(d => [d, []]));
+  let current = new Map(CSV_DELIMITERS.map(d => [d, 0]));
+  let recordHasChars = false;
+  let inQuotes = false;
+  let records = 0;
+
+  // Фиксирует счётчики текущей записи (пустые строки пропускаем, чтобы они не ломали «ровность»)
+  const flushRecord = () => {
+    if (recordHasChars) {
+      for (const d of CSV_DELIMITERS) perRecord.get(d).push(current.get(d));
+      records++;
+    }
+    current = new Map(CSV_DELIMITERS.map(d => [d, 0]));
+    recordHasChars = false;
+  };
+
+  for (let i = 0; i < src.length && records < DETECT_SAMPLE_RECORDS; i++) {
+    const ch = src[i];
+    if (ch === '"') {
+      // Удвоенная кавычка "" переключит флаг дважды — состояние останется верным
+      inQuotes = !inQuotes;
+      recordHasChars = true;
+      continue;
+    }
+    if (inQuotes) continue;
+    if (ch === '\n' || ch === '\r') {
+      flushRecord();
+      continue;
+    }
+    recordHasChars = true;
+    if (current.has(ch)) current.set(ch, current.get(ch) + 1);
+  }
+  flushRecord();
+
+  let best = ',';
+  let bestScore = 0;
+  for (const d of CSV_DELIMITERS) {
+    const counts = perRecord.get(d);
+    if (!counts.length) continue;
+    const total = counts.reduce((a, n) => a + n, 0);
+    if (total === 0) continue;
+    const consistent = counts.every(n => n === counts[0]) && counts[0] > 0;
+    // «Ровный» кандидат всегда важнее неровного, поэтому добавляем большой бонус
+    const score = (consistent ? 1000000 : 0) + total;
+    if (score > bestScore) {
+      bestScore = score;
+      best = d;
+    }
+  }
+  return best;
+}
+
+/**
+ * Разобрать CSV / TSV текст в матрицу строк.
+ * Правила RFC 4180:
+ *  - поле в двойных кавычках может содержать разделитель, перевод строки и кавычку (записанную как "");
+ *  - записи разделяются CRLF, но принимаем также LF и CR;
+ *  - завершающий перевод строки в конце файла не создаёт пустую запись.
+ * @param {string} text Исходный текст
+ * @param {Object} [options]
+ * @param {string} [options.delimiter='auto'] Разделитель или 'auto' для автоопределения
+ * @returns {{ok:true, delimiter:string, matrix:string[][]}|{ok:false, error:string}}
+ */
+export function parseCsv(text, options = {}) {
+  if (typeof text !== 'string') return { ok: false, error: 'Ожидалась строка CSV' };
+  const src = stripBom(text);
+  if (!src.trim()) return { ok: false, error: 'Пустой CSV' };
+  const delimiter = options.delimiter && options.delimiter !== 'auto' ? options.delimiter : detectCsvDelimiter(src);
+
+  const matrix = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  let i = 0;
+  while (i < src.length) {
+    const ch = src[i];
+    if (inQuotes) {
+      if (ch === '"') {
+        if (src[i + 1] === '"') { field += '"'; i += 2; continue; } // экранированная кавычка
+        inQuotes = false; // закрывающая кавычка
+        i++;
+        continue;
+      }
+      field += ch; // внутри кавычек берём всё как есть, включая переводы строк
+      i++;
+      continue;
+    }
+    if (ch === '"' && field === '') {
+      // Кавычка в начале поля открывает «защищённое» поле
+      inQuotes = true;
+      i++;
+      continue;
+    }
+    if (ch === delimiter) {
+      row.push(field);
+      field = '';
+      i++;
+      continue;
+    }
+    if (ch === '\r' || ch === '\n') {
+      row.push(field);
+      matrix.push(row);
+      row = [];
+      field = '';
+      // CRLF считаем одним переводом строки
+      i += (ch === '\r' && src[i + 1] === '\n') ? 2 : 1;
+      continue;
+    }
+    field += ch;
+    i++;
+  }
+  if (inQuotes) return { ok: false, error: 'Незакрытая кавычка в CSV' };
+  // Последняя запись без завершающего перевода строки
+  if (field !== '' || row.length) {
+    row.push(field);
+    matrix.push(row);
+  }
+  return { ok: true, delimiter, matrix };
+}
+
+/**
+ * Построить TableDocument из матрицы строк CSV.
+ * Переводы строк внутри поля превращаются в <br> (единственный способ переноса в ячейке редактора).
+ * Пустые значения не материализуются (модель хранит только непустые ячейки).
+ * @param {string[][]} matrix Результат parseCsv
+ * @param {Object} [meta] meta для документа (например { name })
+ * @returns {import('../../core/model/TableModel.js').TableDocument}
+ */
+export function csvMatrixToDocument(matrix, meta = {}) {
+  const rows = matrix.length;
+  let cols = 0;
+  for (const line of matrix) if (line.length > cols) cols = line.length;
+  const cells = [];
+  for (let r = 0; r < rows; r++) {
+    for (let c = 0; c < matrix[r].length; c++) {
+      const value = matrix[r][c].replace(/\r\n|\r|\n/g, '<br>');
+      if (value !== '') cells.push({ r, c, value, rowSpan: 1, colSpan: 1 });
+    }
+  }
+  return {
+    version: 1,
+    meta: { ...meta },
+    grid: { rows: Math.max(rows, 1), cols: Math.max(cols, 1), headerRows: 0 },
+    cells
+  };
+}
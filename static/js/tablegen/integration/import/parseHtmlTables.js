@@ -0,0 +1,71 @@
+// parseHtmlTables.js
+// Импорт таблиц из HTML файла (например, сохранённого экспорта toHtml или страницы документации).
+// В отличие от parseClipboardHtmlTable, здесь извлекаются ВСЕ таблицы документа — пользователь выбирает нужную.
+// Значения сохраняют разрешённое форматирование (htmlInlineToValue), строки <thead> становятся grid.headerRows,
+// оформление ячеек переводится в классы / data-* по правилам importMappings реестра.
+
+import { parseTableElement } from './parseClipboardHtmlTable.js';
+
+/**
+ * @typedef {Object} ParsedTable
+ * @property {number} rows
+ * @property {number} cols
+ * @property {number} headerRows Количество строк шапки
+ * @property {Array<import('./parseClipboardHtmlTable.js').ParsedHtmlCell>} cells Ведущие ячейки
+ * @property {string} caption Подпись таблицы (caption / заголовок перед таблицей) или пустая строка
+ */
+
+/**
+ * Найти и разобрать все таблицы HTML документа.
+ * Документ разбирается через DOMParser: в отличие от innerHTML, скрипты и картинки такого документа не загружаются.
+ * @param {string} html
+ * @param {Object} [options]
+ * @param {Array<object>} [options.mappings] Правила importMappings реестра (оформление -> классы / data-*)
+ * @returns {ParsedTable[]} Таблицы в порядке следования (пустые таблицы пропускаются)
+ */
+export function parseHtmlTables(html, options = {}) {
+  if (!html || html.indexOf('<table') === -1) return [];
+  const doc = new DOMParser().parseFromString(html, 'text/html');
+  const result = [];
+  for (const table of Array.from(doc.querySelectorAll('table'))) {
+    const parsed = parseTableElement(table, { mappings: options.mappings });
+    if (!parsed || !parsed.cols) continue;
+    // thead всегда идёт первым в table.rows, поэтому его строки — ровно первые строки сетки
+    const headerRows = table.tHead ? Math.min(table.tHead.rows.length, parsed.rows) : 0;
+    const caption = table.caption ? (table.caption.textContent || '').replace(/\s+/g, ' ').trim() : '';
+    result.push({ ...parsed, headerRows, caption });
+  }
+  return result;
+}
+
+/**
+ * Собрать TableDocument из разобранной таблицы (HTML или Markdown).
+ * Пустые ячейки без объединения и оформления не сохраняем — модель хранит только значимые ведущие ячейки.
+ * @param {ParsedTable} table
+ * @param {Object} [meta] meta будущего документа
+ * @returns {object} TableDocument
+ */
+export function parsedTableToDocument(table, meta = {}) {
+  return {
+    version: 1,
+    meta: { ...meta },
+    grid: { rows: Math.max(table.rows, 1), cols: Math.max(table.cols, 1), headerRows: table.headerRows || 0 },
+    cells: table.cells
+      .filter(c => c.value !== '' || c.rowSpan > 1 || c.colSpan > 1 || c.classes || c.data)
+      .map(c => ({ ...c }))
+  };
+}
+
+/**
+ * Краткое описание таблицы для окна выбора: размер и начало первой строки.
+ * @param {ParsedTable} table
+ * @returns {string}
+ */
+export function describeParsedTable(table) {
+  const firstRow = table.cells
+    .filter(c => c.r === 0 && c.value)
+    .map(c => c.value.replace(/<[^>]+>/g, ' ').replace(/\s+/g, ' ').trim())
+    .join(' | ');
+  const preview = firstRow.length > 60 ? firstRow.slice(0, 57) + '...' : firstRow;
+  return `${table.rows} x ${table.cols}` + (preview ? ` — ${preview}` : '');
+}
@@ -0,0 +1,109 @@
+// parseMarkdownTables.js
+// Импорт pipe-таблиц GitHub Flavored Markdown из .md файла (в том числе созданного нашим toMarkdown).
+// Таблица GFM: строка заголовка, строка-разделитель (| --- | :---: |) и строки тела до пустой строки.
+// Inline разметка переводится в разрешённые теги модели: *курсив* / _курсив_ -> <i>, <ins> -> <u>,
+// HTML теги <i>/<u>/<sup>/<sub>/<br> остаются как есть, прочая разметка (жирный, ссылки, код) снимается до текста.
+// HTML таблицы, вставленные в Markdown как есть, разбираются parseHtmlTables.
+
+import { parseHtmlTables } from './parseHtmlTables.js';
+
+/** Строка-разделитель заголовка: ячейки вида ---, :---, ---:, :---: */
+const SEPARATOR_RE = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+/** Заголовок Markdown (# ...) — используем как подпись следующей за ним таблицы */
+const HEADING_RE = /^\s{0,3}#{1,6}\s+(.*?)\s*#*\s*$/;
+/** Символ-заглушка для экранированных символов на время разбора разметки (из области Private Use) */
+const ESCAPE_MARK = '\uE000';
+
+/**
+ * Разбить строку таблицы на ячейки по неэкранированным |. Крайние | необязательны.
+ * @param {string} line
+ * @returns {string[]} Сырые (ещё не разобранные) значения ячеек
+ */
+function splitRow(line) {
+  let text = line.trim();
+  if (text.startsWith('|')) text = text.slice(1);
+  if (text.endsWith('|') && !text.endsWith('\\|')) text = text.slice(0, -1);
+  const cells = [];
+  let current = '';
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '\\' && i + 1 < text.length) {
+      current += ch + text[i + 1]; // экранирование разберёт markdownInlineToValue
+      i++;
+      continue;
+    }
+    if (ch === '|') {
+      cells.push(current);
+      current = '';
+      continue;
+    }
+    current += ch;
+  }
+  cells.push(current);
+  return cells;
+}
+
+/**
+ * Перевести inline разметку Markdown в значение модели с разрешёнными тегами.
+ * @param {string} text Сырое содержимое ячейки
+ * @returns {string}
+ */
+export function markdownInlineToValue(text) {
+  // 1) Экранированные символы прячем, чтобы \* не стал курсивом
+  const escaped = [];
+  let value = text.replace(/\\([\\`*_{}[\]()#+\-.!|<>~])/g, (_m, ch) => {
+    escaped.push(ch);
+    return ESCAPE_MARK + (escaped.length - 1) + ESCAPE_MARK;
+  });
+  value = value
+    .replace(/`([^`]*)`/g, '$1')                        // код — просто текст
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')          // ссылки и картинки — их подпись
+    .replace(/\*\*(.+?)\*\*|__(.+?)__/g, '$1$2')        // жирного в модели нет — оставляем текст
+    .replace(/\*(?!\s)(.+?)\*|(^|[^\w])_(?!\s)(.+?)_(?!\w)/g, (_m, star, pre, under) =>
+      (star !== undefined ? `<i>${star}</i>` : `${pre}<i>${under}</i>`))
+    .replace(/<(\/?)(?:em|cite)>/gi, '<$1i>')
+    .replace(/<(\/?)ins>/gi, '<$1u>')
+    .replace(/<br\s*\/?>/gi, '<br>')
+    .replace(/<(?!\/?(?:i|u|sup|sub|br)>)\/?[a-z][^>]*>/gi, ''); // прочие HTML теги снимаем
+  // 2) Возвращаем экранированные символы
+  value = value.replace(new RegExp(ESCAPE_MARK + '(\\d+)' + ESCAPE_MARK, 'g'), (_m, idx) => escaped[Number(idx)]);
+  return value.replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Найти и разобрать все таблицы Markdown текста (pipe-таблицы и встроенные HTML таблицы).
+ * Пустая строка заголовка (так toMarkdown выводит таблицу без шапки) не становится строкой модели.
+ * @param {string} text Содержимое .md файла
+ * @param {Object} [options] Параметры разбора встроенных HTML таблиц (см. parseHtmlTables)
+ * @returns {import('./parseHtmlTables.js').ParsedTable[]}
+ */
+export function parseMarkdownTables(text, options = {}) {
+  const lines = String(text || '').replace(/^\uFEFF/, '').split(/\r\n|\r|\n/);
+  const result = [];
+  let lastHeading = '';
+  for (let i = 0; i < lines.length; i++) {
+    const heading = HEADING_RE.exec(lines[i]);
+    if (heading) { lastHeading = markdownInlineToValue(heading[1]).replace(/<[^>]+>/g, ''); continue; }
+    // Начало таблицы: строка с | и сразу за ней разделитель с тем же числом столбцов
+    if (!lines[i].includes('|') || i + 1 >= lines.length || !SEPARATOR_RE.test(lines[i + 1])) continue;
+    const header = splitRow(lines[i]).map(markdownInlineToValue);
+    const cols = splitRow(lines[i + 1]).length;
+    if (header.length !== cols) continue;
+
+    const matrix = [];
+    const hasHeader = header.some(v => v !== '');
+    if (hasHeader) matrix.push(header);
+    let j = i + 2;
+    for (; j < lines.length && lines[j].trim() !== '' && lines[j].includes('|'); j++) {
+      const row = splitRow(lines[j]).map(markdownInlineToValue);
+      // GFM: лишние ячейки отбрасываются, недостающие считаются пустыми
+      matrix.push(Array.from({ length: cols }, (_v, c) => row[c] || ''));
+    }
+    const cells = [];
+    matrix.forEach((row, r) => row.forEach((value, c) => cells.push({ r, c, value, rowSpan: 1, colSpan: 1 })));
+    result.push({ rows: matrix.length, cols, headerRows: hasHeader ? 1 : 0, cells, caption: lastHeading });
+    i = j - 1;
+  }
+  // Встроенные в Markdown HTML таблицы идут после pipe-таблиц (точное положение в тексте для выбора не важно)
+  return result.concat(parseHtmlTables(text, options)).filter(t => t.rows > 0);
+}
@@ -0,0 +1,308 @@
+// parseXlsx.js
+// Импорт книги Excel (.xlsx) в TableDocument: берётся первый лист книги.
+// Архив распаковывается readZip (DEFLATE через DecompressionStream браузера), XML части разбираются DOMParser.
+// Переносим: значения (общие строки, inline строки, числа с учётом числового формата), объединения (<mergeCells> -> rowSpan/colSpan),
+// ширины столбцов (<cols> -> grid.columnSizes в px), высоты строк (<row ht> -> grid.rowSizes в px),
+// закреплённые строки и столбцы (-> grid.headerRows / grid.headerCols), формулы, которые умеет вычислять редактор
+// (-> '=...' с результатом Excel в cached).
+// Опционально числа / проценты / даты помечаются классом numeric и data-format (см. CORE_REGISTRY).
+
+import { readZip } from '../../core/utils/zip.js';
+import { parseCellRef } from '../../core/utils/cellGrid.js';
+import { formatNumber, formatDate, serialToDate, parseDate } from '../../core/utils/valueFormat.js';
+import { isSupportedFormula } from '../../core/utils/formula.js';
+
+/** Пространство имён связей (атрибут r:id у <sheet>) */
+const REL_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+/** Ширина столбца Excel по умолчанию (в «символах»), если лист не задаёт defaultColWidth */
+const DEFAULT_COL_WIDTH = 8.43;
+/** Приблизительная ширина символа стандартного шрифта в пикселях (та же константа, что и в toXlsx) */
+const PX_PER_CHAR = 7;
+/** Высота строки в Excel задаётся в пунктах: 1px = 0.75pt (96 dpi) */
+const PT_PER_PX = 0.75;
+/** Встроенные числовые форматы Excel: проценты и даты (ECMA-376, 18.8.30) */
+const BUILTIN_PERCENT_FORMATS = new Set([9, 10]);
+const BUILTIN_DATE_FORMATS = new Set([14, 15, 16, 17, 18, 19, 20, 21, 22, 45, 46, 47]);
+
+/**
+ * Дочерние элементы с заданным локальным именем (без учёта префикса пространства имён).
+ * @param {Element} el
+ * @param {string} name
+ * @returns {Element[]}
+ */
+function childElements(el, name) {
+  return Array.from(el.children).filter(ch => ch.localName === name);
+}
+
+/**
+ * Все потомки с заданным локальным именем.
+ * @param {Document|Element} root
+ * @param {string} name
+ * @returns {Element[]}
+ */
+function descendants(root, name) {
+  return Array.from(root.getElementsByTagNameNS('*', name));
+}
+
+/**
+ * Разобрать XML часть архива.
+ * @param {Map<string, Uint8Array>} files
+ * @param {string} path
+ * @returns {Document|null} null, если части нет
+ */
+function readXml(files, path) {
+  const bytes = files.get(path);
+  if (!bytes) return null;
+  const xml = new DOMParser().parseFromString(new TextDecoder().decode(bytes), 'application/xml');
+  if (xml.getElementsByTagName('parsererror').length) throw new Error('Некорректный XML в ' + path);
+  return xml;
+}
+
+/**
+ * Текст строкового элемента (<si> или <is>). Простой вариант — один <t>; форматированный (rich text) — набор <r>,
+ * у которых курсив / подчёркивание / верхний и нижний индекс переводим в разрешённые теги значения ячейки.
+ * Фонетические подсказки <rPh> пропускаются. Переводы строк превращаются в <br>.
+ * @param {Element} el
+ * @returns {string}
+ */
+function readStringItem(el) {
+  let out = '';
+  for (const ch of Array.from(el.children)) {
+    if (ch.localName === 't') {
+      out += ch.textContent;
+    } else if (ch.localName === 'r') {
+      let text = childElements(ch, 't').map(t => t.textContent).join('');
+      const props = childElements(ch, 'rPr')[0];
+      if (props && text) {
+        const vert = childElements(props, 'vertAlign')[0];
+        const vertVal = vert && vert.getAttribute('val');
+        if (vertVal === 'superscript') text = `<sup>${text}</sup>`;
+        if (vertVal === 'subscript') text = `<sub>${text}</sub>`;
+        const underline = childElements(props, 'u')[0];
+        if (underline && underline.getAttribute('val') !== 'none') text = `<u>${text}</u>`;
+        const italic = childElements(props, 'i')[0];
+        if (italic && italic.getAttribute('val') !== '0' && italic.getAttribute('val') !== 'false') text = `<i>${text}</i>`;
+      }
+      out += text;
+    }
+  }
+  return out.replace(/\r\n|\r|\n/g, '<br>');
+}
+
+/**
+ * Определить вид числового формата по его коду: проценты, даты или обычные числа.
+ * Литералы в кавычках, блоки [..] (цвета, локаль) и экранированные символы не учитываются.
+ * @param {string} code
+ * @returns {'percent'|'date'|'number'}
+ */
+function classifyFormatCode(code) {
+  const stripped = code.replace(/"[^"]*"/g, '').replace(/\[[^\]]*\]/g, '').replace(/\\./g, '');
+  if (stripped.includes('%')) return 'percent';
+  if (/[dy]/i.test(stripped)) return 'date';
+  return 'number';
+}
+
+/**
+ * Таблица стилей -> для каждого индекса cellXfs вид числа ('percent' | 'date' | 'number').
+ * @param {Document|null} stylesXml
+ * @returns {Array<'percent'|'date'|'number'>}
+ */
+function readStyleKinds(stylesXml) {
+  if (!stylesXml) return [];
+  const customFormats = new Map();
+  for (const fmt of descendants(stylesXml, 'numFmt')) {
+    customFormats.set(Number(fmt.getAttribute('numFmtId')), fmt.getAttribute('formatCode') || '');
+  }
+  const cellXfs = descendants(stylesXml, 'cellXfs')[0];
+  if (!cellXfs) return [];
+  return childElements(cellXfs, 'xf').map(xf => {
+    const id = Number(xf.getAttribute('numFmtId') || 0);
+    if (customFormats.has(id)) return classifyFormatCode(customFormats.get(id));
+    if (BUILTIN_PERCENT_FORMATS.has(id)) return 'percent';
+    if (BUILTIN_DATE_FORMATS.has(id)) return 'date';
+    return 'number';
+  });
+}
+
+/**
+ * Путь к XML первого листа книги (через workbook.xml и его связи). Если связи не найдены — стандартный sheet1.xml.
+ * @param {Map<string, Uint8Array>} files
+ * @returns {{path:string, name:string}}
+ */
+function locateFirstSheet(files) {
+  const fallback = { path: 'xl/worksheets/sheet1.xml', name: '' };
+  const workbook = readXml(files, 'xl/workbook.xml');
+  if (!workbook) return fallback;
+  const sheet = descendants(workbook, 'sheet')[0];
+  if (!sheet) return fallback;
+  const name = sheet.getAttribute('name') || '';
+  const relId = sheet.getAttributeNS(REL_NS, 'id') || sheet.getAttribute('r:id');
+  const rels = readXml(files, 'xl/_rels/workbook.xml.rels');
+  const rel = rels && descendants(rels, 'Relationship').find(el => el.getAttribute('Id') === relId);
+  if (!rel) return { ...fallback, name };
+  const target = rel.getAttribute('Target') || '';
+  // Target задаётся относительно папки xl/ либо абсолютным путём от корня пакета
+  const path = target.startsWith('/') ? target.slice(1) : 'xl/' + target;
+  return { path, name };
+}
+
+/**
+ * Значение ячейки <c> в виде строки модели + распознанный вид числа (для пометки классом / data-format).
+ * @param {Element} c
+ * @param {string[]} sharedStrings
+ * @param {Array<'percent'|'date'|'number'>} styleKinds
+ * @returns {{value:string, kind:'number'|'percent'|'date'|null}}
+ */
+function readCellValue(c, sharedStrings, styleKinds) {
+  const type = c.getAttribute('t') || 'n';
+  const v = childElements(c, 'v')[0];
+  const raw = v ? v.textContent : '';
+  if (type === 'inlineStr') {
+    const is = childElements(c, 'is')[0];
+    return { value: is ? readStringItem(is) : '', kind: null };
+  }
+  if (type === 's') return { value: sharedStrings[Number(raw)] || '', kind: null };
+  if (type === 'b') return { value: raw === '1' ? 'ИСТИНА' : 'ЛОЖЬ', kind: null };
+  if (type === 'd') {
+    // Дата в ISO 8601 (встречается в файлах, сохранённых не Excel)
+    const date = parseDate(raw.slice(0, 10));
+    return date ? { value: formatDate(date), kind: 'date' } : { value: raw, kind: null };
+  }
+  if (type !== 'n' || raw === '') return { value: raw.replace(/\r\n|\r|\n/g, '<br>'), kind: null }; // str, e
+  const num = Number(raw);
+  if (!Number.isFinite(num)) return { value: raw, kind: null };
+  const kind = styleKinds[Number(c.getAttribute('s') || 0)] || 'number';
+  if (kind === 'percent') return { value: formatNumber(num * 100) + '%', kind };
+  if (kind === 'date') return { value: formatDate(serialToDate(num)), kind };
+  return { value: formatNumber(num), kind: 'number' };
+}
+
+/**
+ * Разобрать XLSX файл в TableDocument.
+ * @param {Uint8Array|ArrayBuffer} input Байты файла
+ * @param {Object} [options]
+ * @param {boolean} [options.tagTypes=false] Помечать числа / проценты / даты классом numeric и data-format
+ * @param {Object} [options.meta] meta будущего документа (name по умолчанию — имя листа)
+ * @returns {Promise<{ok:true, doc:object, sheetName:string}|{ok:false, error:string}>}
+ */
+export async function parseXlsx(input, options = {}) {
+  const { tagTypes = false, meta = {} } = options;
+  try {
+    let files;
+    try {
+      files = await readZip(input);
+    } catch (e) {
+      return { ok: false, error: 'Не удалось распаковать XLSX: ' + e.message };
+    }
+    const sheetRef = locateFirstSheet(files);
+    const sheet = readXml(files, sheetRef.path);
+    if (!sheet) return { ok: false, error: 'В книге не найден лист (' + sheetRef.path + ')' };
+
+    const sstXml = readXml(files, 'xl/sharedStrings.xml');
+    const sharedStrings = sstXml ? descendants(sstXml, 'si').map(readStringItem) : [];
+    const styleKinds = readStyleKinds(readXml(files, 'xl/styles.xml'));
+
+    // --- ячейки ---
+    // Атрибут r у <row> / <c> необязателен: при его отсутствии координата продолжает предыдущую
+    const byKey = new Map();
+    const rowHeights = new Map(); // r -> высота в px для строк с customHeight
+    let rows = 0;
+    let cols = 0;
+    let r = -1;
+    for (const rowEl of descendants(sheet, 'row')) {
+      const rowAttr = Number(rowEl.getAttribute('r'));
+      r = rowAttr > 0 ? rowAttr - 1 : r + 1;
+      const ht = Number(rowEl.getAttribute('ht'));
+      if (ht > 0 && /^(1|true)$/.test(rowEl.getAttribute('customHeight') || '')) rowHeights.set(r, Math.round(ht / PT_PER_PX));
+      let c = -1;
+      for (const cEl of childElements(rowEl, 'c')) {
+        const ref = parseCellRef(cEl.getAttribute('r'));
+        c = ref ? ref.c : c + 1;
+        const { value, kind } = readCellValue(cEl, sharedStrings, styleKinds);
+        // Формула переносится, если редактор умеет её вычислять; иначе остаётся только её значение.
+        // Общие формулы (<f t="shared"/> без текста) тоже переносятся значением
+        const fEl = childElements(cEl, 'f')[0];
+        const formula = fEl && fEl.textContent.trim() ? '=' + fEl.textContent.trim() : '';
+        const supported = formula !== '' && isSupportedFormula(formula);
+        if (value === '' && !supported) continue;
+        const cell = supported ? { r, c, value: formula, cached: value, rowSpan: 1, colSpan: 1 } : { r, c, value, rowSpan: 1, colSpan: 1 };
+        if (tagTypes && kind) {
+          cell.classes = ['numeric'];
+          cell.data = { 'data-format': kind };
+        }
+        byKey.set(r + ',' + c, cell);
+        rows = Math.max(rows, r + 1);
+        cols = Math.max(cols, c + 1);
+      }
+    }
+
+    // --- объединения ---
+    // Ведущая ячейка — левая верхняя; значения в покрытых координатах (Excel их не показывает) отбрасываем
+    for (const mc of descendants(sheet, 'mergeCell')) {
+      const [from, to] = String(mc.getAttribute('ref') || '').split(':').map(parseCellRef);
+      if (!from || !to) continue;
+      const r0 = Math.min(from.r, to.r), r1 = Math.max(from.r, to.r);
+      const c0 = Math.min(from.c, to.c), c1 = Math.max(from.c, to.c);
+      for (let rr = r0; rr <= r1; rr++) {
+        for (let cc = c0; cc <= c1; cc++) {
+          if (rr !== r0 || cc !== c0) byKey.delete(rr + ',' + cc);
+        }
+      }
+      let lead = byKey.get(r0 + ',' + c0);
+      if (!lead) {
+        lead = { r: r0, c: c0, value: '', rowSpan: 1, colSpan: 1 };
+        byKey.set(r0 + ',' + c0, lead);
+      }
+      lead.rowSpan = r1 - r0 + 1;
+      lead.colSpan = c1 - c0 + 1;
+      rows = Math.max(rows, r1 + 1);
+      cols = Math.max(cols, c1 + 1);
+    }
+    rows = Math.max(rows, 1);
+    cols = Math.max(cols, 1);
+
+    // --- ширины столбцов ---
+    // Заданы только у части столбцов: остальным даём ширину по умолчанию, чтобы массив покрывал все столбцы
+    let columnSizes = null;
+    const colEls = descendants(sheet, 'col');
+    if (colEls.length) {
+      const formatPr = descendants(sheet, 'sheetFormatPr')[0];
+      const defaultWidth = Number(formatPr && formatPr.getAttribute('defaultColWidth')) || DEFAULT_COL_WIDTH;
+      const widths = new Array(cols).fill(defaultWidth);
+      for (const col of colEls) {
+        const min = Number(col.getAttribute('min'));
+        const max = Math.min(Number(col.getAttribute('max')), cols);
+        const width = Number(col.getAttribute('width'));
+        if (!(min >= 1) || !(width > 0)) continue;
+        for (let i = min - 1; i < max; i++) widths[i] = width;
+      }
+      columnSizes = widths.map(w => ({ v: Math.round(w * PX_PER_CHAR), u: 'px' }));
+    }
+
+    // --- высоты строк: только заданные явно, остальные — по содержимому ---
+    let rowSizes = null;
+    if ([...rowHeights.keys()].some(rr => rr < rows)) {
+      rowSizes = Array.from({ length: rows }, (_v, rr) => (rowHeights.has(rr) ? { v: rowHeights.get(rr), u: 'px' } : { v: 1, u: 'ratio' }));
+    }
+
+    // --- шапка: закреплённые сверху строки и слева столбцы ---
+    let headerRows = 0;
+    let headerCols = 0;
+    const pane = descendants(sheet, 'pane')[0];
+    if (pane && /^frozen/.test(pane.getAttribute('state') || '')) {
+      headerRows = Math.min(Math.max(0, Math.floor(Number(pane.getAttribute('ySplit')) || 0)), rows);
+      headerCols = Math.min(Math.max(0, Math.floor(Number(pane.getAttribute('xSplit')) || 0)), cols);
+    }
+
+    const cells = [...byKey.values()].sort((a, b) => a.r - b.r || a.c - b.c);
+    const doc = {
+      version: 1,
+      meta: { ...meta, name: meta.name || sheetRef.name || 'Таблица' },
+      grid: { rows, cols, headerRows, headerCols, ...(columnSizes ? { columnSizes } : {}), ...(rowSizes ? { rowSizes } : {}) },
+      cells
+    };
+    return { ok: true, doc, sheetName: sheetRef.name };
+  } catch (e) {
+    return { ok: false, error: e.message };
+  }
+}
@@ -0,0 +1,147 @@
+// autosaveStore.js
+// Хранилище автосохранений в IndexedDB: одна запись на документ (ключ — meta.id), внутри — документ toJSON
+// и, по желанию, дерево истории. Модуль только оборачивает запросы IndexedDB в Promise; когда и что сохранять,
+// решает AutosaveService: он же удаляет записи — после экспорта таблицы, по решению пользователя (см. setupAutosave)
+// и по возрасту / числу записей при запуске. Сам put ничего не вытесняет.
+
+export const AUTOSAVE_DB_NAME = 'tablegen';
+const STORE_NAME = 'autosave';
+const DB_VERSION = 1;
+
+/**
+ * @typedef {Object} AutosaveRecord
+ * @property {string} id Идентификатор документа (meta.id)
+ * @property {string} name Имя таблицы (meta.name) — для вопроса о восстановлении
+ * @property {number} savedAt Date.now() сохранения
+ * @property {object} doc Документ (TableModel.toJSON)
+ * @property {object|null} history Дерево истории (HistoryService.toJSON) или null
+ */
+
+/**
+ * Ошибка переполнения хранилища браузера (квота IndexedDB). Имя отличается у движков.
+ * @param {*} err
+ * @returns {boolean}
+ */
+export function isQuotaError(err) {
+  return !!err && (err.name === 'QuotaExceededError' || err.name === 'NS_ERROR_DOM_QUOTA_REACHED');
+}
+
+/**
+ * Promise по IDBRequest: результат запроса или его ошибка.
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisifyRequest(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Promise завершения транзакции. Переполнение квоты часто приходит только здесь (abort), а не в запросе put.
+ * @param {IDBTransaction} tx
+ * @returns {Promise<void>}
+ */
+function promisifyTransaction(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new DOMException('Транзакция прервана', 'AbortError'));
+  });
+}
+
+export class AutosaveStore {
+  /**
+   * @param {Object} [options]
+   * @param {IDBFactory} [options.indexedDB=globalThis.indexedDB] Фабрика IndexedDB (в тестах — отдельное имя базы)
+   * @param {string} [options.dbName=AUTOSAVE_DB_NAME]
+   */
+  constructor(options = {}) {
+    this.idb = options.indexedDB ?? globalThis.indexedDB;
+    this.dbName = options.dbName ?? AUTOSAVE_DB_NAME;
+    /** @type {Promise<IDBDatabase>|null} */
+    this._db = null;
+  }
+
+  /**
+   * Доступен ли IndexedDB в окружении (нет в Node и в некоторых приватных режимах).
+   * @returns {boolean}
+   */
+  get available() {
+    return !!this.idb && typeof this.idb.open === 'function';
+  }
+
+  /**
+   * Открыть базу (один раз; при ошибке следующая операция попробует снова).
+   * @returns {Promise<IDBDatabase>}
+   * @private
+   */
+  _open() {
+    if (!this._db) {
+      if (!this.available) return Promise.reject(new Error('IndexedDB недоступен'));
+      const request = this.idb.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+      };
+      this._db = promisifyRequest(request).catch((err) => {
+        this._db = null;
+        throw err;
+      });
+    }
+    return this._db;
+  }
+
+  /**
+   * Выполнить операцию в транзакции над хранилищем автосохранений.
+   * @template T
+   * @param {IDBTransactionMode} mode
+   * @param {(store:IDBObjectStore) => (IDBRequest|void)} run Запрос (его результат станет результатом Promise)
+   * @returns {Promise<T>}
+   * @private
+   */
+  async _transaction(mode, run) {
+    const db = await this._open();
+    const tx = db.transaction(STORE_NAME, mode);
+    const request = run(tx.objectStore(STORE_NAME));
+    const [result] = await Promise.all([request ? promisifyRequest(request) : undefined, promisifyTransaction(tx)]);
+    return result;
+  }
+
+  /**
+   * Записать (перезаписать) автосохранение документа.
+   * @param {AutosaveRecord} record
+   * @returns {Promise<void>} Отклоняется ошибкой IndexedDB (в т.ч. QuotaExceededError — см. isQuotaError)
+   */
+  async put(record) {
+    await this._transaction('readwrite', store => store.put(record));
+  }
+
+  /**
+   * Автосохранение документа по id.
+   * @param {string} id
+   * @returns {Promise<AutosaveRecord|null>}
+   */
+  async get(id) {
+    return (await this._transaction('readonly', store => store.get(id))) ?? null;
+  }
+
+  /**
+   * Все автосохранения, от самого свежего к старому (кандидаты на восстановление при запуске).
+   * @returns {Promise<AutosaveRecord[]>}
+   */
+  async list() {
+    const all = await this._transaction('readonly', store => store.getAll());
+    return all.sort((a, b) => b.savedAt - a.savedAt);
+  }
+
+  /**
+   * Удалить автосохранение документа.
+   * @param {string} id
+   * @returns {Promise<void>}
+   */
+  async delete(id) {
+    await this._transaction('readwrite', store => store.delete(id));
+  }
+}
@@ -1,8 +1,10 @@
 // applyDocument.test.js
-// Тесты TableModel.applyDocument: с событием, без события (emitEvent:false), отказ на некорректном документе.
+// Тесты TableModel.applyDocument: с событием, без события (emitEvent:false), отказ на некорректном документе,
+// перенос headerCols / rowSizes через JSON (parseTableJson) и их проверка.
 
 import { EventBus } from '../core/events/EventBus.js';
 import { TableModel } from '../core/model/TableModel.js';
+import { parseTableJson } from '../integration/import/fromJson.js';
 
 function assert(cond, message) {
   if (!cond) {
@@ -53,9 +55,29 @@ export function testApplyDocumentInvalid() {
   console.log('testApplyDocumentInvalid OK');
 }
 
+export function testGridHeaderColsAndRowSizesJson() {
+  const { model } = createBaseModel();
+  model.setHeaderCols(1);
+  model.setRowSize(0, '28px');
+  const res = parseTableJson(JSON.stringify(model.toJSON()));
+  assert(res.ok, 'Сериализованный документ проходит проверку: ' + res.error);
+  const { model: target } = createBaseModel();
+  target.applyDocument(res.doc);
+  assert(target.grid.headerCols === 1 && target.grid.rowSizes[0].v === 28 && target.grid.rowSizes[1].u === 'ratio', 'headerCols и rowSizes восстановлены');
+  const bad = (grid) => parseTableJson(JSON.stringify({ version:1, meta:{}, grid:{ rows:2, cols:2, ...grid }, cells:[] }));
+  assert(!bad({ headerCols:3 }).ok && !bad({ headerCols:1.5 }).ok, 'headerCols вне 0..cols отклоняется');
+  assert(/2 элементов/.test(bad({ rowSizes:[ { v:1, u:'ratio' } ] }).error), 'Длина rowSizes должна совпадать с rows');
+  assert(/rowSizes\[1\]/.test(bad({ rowSizes:[ { v:1, u:'ratio' }, { v:10, u:'em' } ] }).error), 'Неизвестная единица отклоняется');
+  assert(bad({ columnSizes:[ { v:25, u:'%' }, { v:0, u:'auto' } ] }).ok && bad({ columnSizes:[ { v:1, u:'ratio', min:50, max:90 }, null ] }).ok === false,
+    'columnSizes проверяется по схеме столбцов');
+  assert(/columnSizes\[0\]: min больше max/.test(bad({ columnSizes:[ { v:1, u:'ratio', min:90, max:50 }, { v:1, u:'ratio' } ] }).error), 'min > max отклоняется');
+  console.log('testGridHeaderColsAndRowSizesJson OK');
+}
+
 export function runApplyDocumentTests() {
   testApplyDocumentEmit();
   testApplyDocumentSilent();
   testApplyDocumentInvalid();
+  testGridHeaderColsAndRowSizesJson();
   console.log('All applyDocument tests passed');
 }
@@ -0,0 +1,273 @@
+// autosave.test.js
+// Тесты автосохранения: debounce записи после шагов истории, повтор без истории при переполнении квоты, сообщение
+// об ошибке, восстановление документа с деревом истории, удаление записи после экспорта и устаревших записей. Хранилище подменяется объектом в памяти; проверка настоящего
+// IndexedDB выполняется только там, где он есть (в браузере).
+
+import { EventBus } from '../core/events/EventBus.js';
+import { TableModel } from '../core/model/TableModel.js';
+import { HistoryService } from '../core/services/HistoryService.js';
+import { ValidationService } from '../core/services/ValidationService.js';
+import { TABLEGEN_REGISTRY } from '../config/registry.index.js';
+import { AutosaveService } from '../app/AutosaveService.js';
+import { AutosaveStore } from '../integration/storage/autosaveStore.js';
+
+function assert(cond, message) {
+  if (!cond) {
+    console.error('TEST FAIL:', message);
+    throw new Error(message);
+  }
+}
+
+/**
+ * Хранилище в памяти с интерфейсом AutosaveStore; failWith(record) возвращает ошибку для записи или null.
+ * @param {(record:object) => (Error|null)} [failWith]
+ */
+function memoryStore(failWith = () => null) {
+  const records = new Map();
+  return {
+    records,
+    available: true,
+    async put(record) {
+      const err = failWith(record);
+      if (err) throw err;
+      records.set(record.id, structuredClone(record));
+    },
+    async get(id) { return records.get(id) ?? null; },
+    async list() { return [...records.values()].sort((a, b) => b.savedAt - a.savedAt); },
+    async delete(id) { records.delete(id); }
+  };
+}
+
+function quotaError() {
+  return new DOMException('Хранилище переполнено', 'QuotaExceededError');
+}
+
+/**
+ * Модель 2x2 с историей и автосохранением.
+ * @param {object} store
+ * @param {string} [id='doc-1']
+ */
+function setup(store, id = 'doc-1') {
+  const bus = new EventBus();
+  const model = new TableModel({ version:1, meta:{ id, name:'Autosave' }, grid:{ rows:2, cols:2 }, cells:[] }, bus);
+  const history = new HistoryService(model, bus);
+  const validator = new ValidationService(model);
+  validator.initRegistry(TABLEGEN_REGISTRY);
+  const statuses = [];
+  bus.on('autosave:status', s => statuses.push(s));
+  const service = new AutosaveService({ model, history, bus, validator, store, documentId: 'fallback', delay: 10 });
+  return { bus, model, history, service, statuses };
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+export async function testDebouncedSave() {
+  const store = memoryStore();
+  const { model, history, service, statuses } = setup(store);
+  model.setCellValue(0, 0, 'a');
+  history.record();
+  model.setCellValue(0, 1, 'b');
+  history.record();
+  assert(store.records.size === 0, 'Запись отложена');
+  await wait(30);
+  await service.flush();
+  const saved = store.records.get('doc-1');
+  assert(saved && saved.name === 'Autosave' && saved.doc.cells.some(c => c.value === 'b'), 'Документ сохранён по meta.id');
+  assert(saved.history.steps.length === 3 && saved.history.current === history.currentId, 'История сохранена вместе с документом');
+  assert(statuses.length === 1 && statuses[0].state === 'saved', 'Одна запись на серию шагов');
+  // Незаписанная группа истории записывается перед сохранением — документ и текущий шаг совпадают
+  model.setCellValue(1, 1, 'c');
+  service.schedule();
+  await service.flush();
+  assert(store.records.get('doc-1').history.steps.length === 4, 'flush записывает незаписанный шаг истории');
+  model.meta.id = undefined;
+  history.record();
+  model.setCellValue(1, 0, 'd');
+  history.record();
+  await service.flush();
+  assert(store.records.has('fallback'), 'Без meta.id используется documentId');
+  service.destroy();
+  console.log('testDebouncedSave OK');
+}
+
+export async function testQuotaErrors() {
+  // Квота: с историей запись не проходит, без неё — проходит
+  const store = memoryStore(record => (record.history ? quotaError() : null));
+  const first = setup(store);
+  first.model.setCellValue(0, 0, 'x');
+  first.history.record();
+  await first.service.flush();
+  const saved = store.records.get('doc-1');
+  assert(saved && saved.history === null && saved.doc.cells.some(c => c.value === 'x'), 'Документ сохранён без истории');
+  assert(first.statuses[0].state === 'saved' && first.statuses[0].withoutHistory, 'Пропуск истории сообщается');
+  first.service.destroy();
+  // Квота не позволяет записать даже документ — ошибка сообщается, а не теряется
+  const full = memoryStore(() => quotaError());
+  const second = setup(full);
+  second.model.setCellValue(0, 0, 'y');
+  second.history.record();
+  const ok = await second.service.flush();
+  assert(!ok && full.records.size === 0, 'Запись не прошла');
+  assert(second.statuses[0].state === 'error' && second.statuses[0].quota === true, 'Ошибка квоты сообщается событием');
+  second.service.destroy();
+  // Прочие ошибки тоже приходят событием (без пометки квоты)
+  const broken = setup(memoryStore(() => new Error('disk')));
+  broken.model.setCellValue(0, 0, 'z');
+  broken.history.record();
+  await broken.service.flush();
+  assert(broken.statuses[0].state === 'error' && !broken.statuses[0].quota && broken.statuses[0].error.message === 'disk', 'Ошибка записи');
+  broken.service.destroy();
+  console.log('testQuotaErrors OK');
+}
+
+export async function testRestore() {
+  const store = memoryStore();
+  const before = setup(store, 'crashed');
+  before.model.setCellValue(0, 0, 'one');
+  before.history.record();
+  before.model.setCellValue(1, 1, 'two');
+  before.history.record();
+  await before.service.flush();
+  before.service.destroy();
+
+  // Новый запуск: пустая таблица с новым id
+  const after = setup(store, 'fresh');
+  const [record] = await after.service.findRecovery();
+  assert(record && record.id === 'crashed', 'Найдено автосохранение прежнего сеанса');
+  assert(after.service.restore(record).ok, 'Восстановление');
+  assert(after.model.getCell(1, 1).value === 'two' && after.model.meta.id === 'crashed', 'Документ восстановлен вместе с meta.id');
+  assert(after.history.steps.length === 2 && after.history.canUndo(), 'История восстановлена');
+  after.history.undo();
+  assert(!after.model.getCell(1, 1)?.value && after.model.getCell(0, 0).value === 'one', 'Undo по восстановленной истории');
+  await wait(30);
+  await after.service.flush();
+  assert(!store.records.has('fresh') && store.records.get('crashed').history.current === after.history.currentId, 'Дальше пишется та же запись');
+  assert((await after.service.findRecovery()).length === 0, 'Запись текущего сеанса не предлагается');
+  await after.service.discard('crashed');
+  assert(!store.records.has('crashed'), 'Отказ удаляет автосохранение');
+  // Запись без истории: документ восстанавливается, история начинается заново
+  store.records.set('nohist', { id: 'nohist', name: '', savedAt: Date.now(), doc: { ...record.doc, meta: { name: 'X' } }, history: null });
+  assert(after.service.restore((await after.service.findRecovery())[0]).ok, 'Восстановление без истории');
+  assert(after.model.meta.id === 'nohist' && after.history.canUndo(), 'meta.id берётся из ключа, восстановление — шаг истории');
+  assert(!after.service.restore({ id: 'bad', doc: { version: 2 } }).ok, 'Повреждённый документ не применяется');
+  // Запись проходит ту же STRICT проверку, что и импорт файла: документ — по реестру, история — по патчам
+  const stale = structuredClone(store.records.get('nohist'));
+  stale.doc.cells = [{ r: 0, c: 0, value: 'x', classes: ['no-such-class'] }];
+  const rejected = after.service.restore(stale);
+  assert(!rejected.ok && rejected.error.includes('no-such-class') && after.model.meta.id === 'nohist', 'Документ с неизвестным классом не восстанавливается');
+  const tampered = structuredClone(record);
+  tampered.history.steps.flatMap(step => step.patches).find(p => p.kind === 'cell').newValue = 42;
+  const stepsBefore = after.history.nodes.size;
+  const partial = after.service.restore(tampered);
+  assert(partial.ok && partial.historyError && after.model.getCell(1, 1).value === 'two', 'Документ восстановлен, испорченная история — нет');
+  assert(after.history.nodes.size === stepsBefore + 1 && after.history.canUndo(), 'История сеанса продолжается шагом восстановления');
+  after.service.destroy();
+  console.log('testRestore OK');
+}
+
+export async function testRecoveryNotLost() {
+  // Сеанс 1 оставил несохранённую таблицу; сеанс 2 ответил «Не сейчас» и сам что-то изменил
+  const store = memoryStore();
+  const first = setup(store, 'session-1');
+  first.model.setCellValue(0, 0, 'old');
+  first.history.record();
+  await first.service.flush();
+  first.service.destroy();
+  const second = setup(store, 'session-2');
+  assert((await second.service.findRecovery()).map(r => r.id).join() === 'session-1', 'Сеансу 2 предложена таблица сеанса 1');
+  await wait(5);
+  second.model.setCellValue(0, 0, 'new');
+  second.history.record();
+  await second.service.flush();
+  second.service.destroy();
+  // Сеанс 3: предлагаются обе таблицы, самая свежая первой — таблица сеанса 1 не потерялась
+  const third = setup(store, 'session-3');
+  assert((await third.service.findRecovery()).map(r => r.id).join() === 'session-2,session-1', 'Предлагаются все несохранённые таблицы');
+  third.service.destroy();
+  console.log('testRecoveryNotLost OK');
+}
+
+export async function testExportDropsRecord() {
+  const store = memoryStore();
+  const { bus, model, history, service } = setup(store);
+  model.setCellValue(0, 0, 'a');
+  history.record();
+  await service.flush();
+  assert(store.records.has('doc-1'), 'Изменение автосохранено');
+  // Запись, отложенная до экспорта, тоже отменяется: сохранённую таблицу не предлагаем восстановить
+  model.setCellValue(0, 1, 'b');
+  history.record();
+  bus.emit('export', { format: 'json' });
+  await wait(30);
+  await service.flush();
+  assert(!store.records.has('doc-1'), 'Экспорт удаляет автосохранение');
+  model.setCellValue(1, 1, 'c');
+  history.record();
+  await service.flush();
+  assert(store.records.get('doc-1').doc.cells.some(c => c.value === 'c'), 'Следующее изменение записывается снова');
+  service.destroy();
+  bus.emit('export', { format: 'csv' });
+  await wait(5);
+  assert(store.records.has('doc-1'), 'После destroy экспорт не трогает запись');
+  console.log('testExportDropsRecord OK');
+}
+
+export async function testStaleRecordsEvicted() {
+  const store = memoryStore();
+  const now = Date.now();
+  const day = 24 * 60 * 60 * 1000;
+  const record = (id, savedAt) => ({ id, name: id, savedAt, doc: { version: 1 }, history: null });
+  store.records.set('recent', record('recent', now - day));
+  store.records.set('older', record('older', now - 2 * day));
+  store.records.set('oldest', record('oldest', now - 3 * day));
+  store.records.set('expired', record('expired', now - 31 * day));
+  store.records.set('broken', { id: 'broken', doc: { version: 1 } });
+  const { bus, model, history } = setup(memoryStore());
+  const service = new AutosaveService({ model, history, bus, store, documentId: 'fresh', maxRecords: 2 });
+  const found = await service.findRecovery();
+  assert(found.map(r => r.id).join() === 'recent,older', 'Предлагаются только свежие записи в пределах лимита');
+  assert([...store.records.keys()].sort().join() === 'older,recent', 'Устаревшие и лишние записи удалены');
+  // Ошибка удаления не мешает предложить свежие записи
+  store.records.set('expired', record('expired', now - 31 * day));
+  store.delete = async () => { throw new Error('locked'); };
+  const errors = [];
+  const consoleError = console.error;
+  console.error = (...args) => errors.push(args);
+  try {
+    assert((await service.findRecovery()).length === 2 && errors.length === 1, 'Ошибка удаления записывается в консоль');
+  } finally {
+    console.error = consoleError;
+  }
+  service.destroy();
+  console.log('testStaleRecordsEvicted OK');
+}
+
+export async function testIndexedDbStore() {
+  const store = new AutosaveStore({ dbName: 'tablegen-test-' + Date.now() });
+  if (!store.available) {
+    console.log('testIndexedDbStore SKIPPED (нет IndexedDB)');
+    return;
+  }
+  const record = (id, savedAt) => ({ id, name: id, savedAt, doc: { version: 1 }, history: null });
+  await store.put(record('a', 1));
+  await store.put(record('b', 3));
+  await store.put(record('a', 2));
+  assert((await store.get('a')).savedAt === 2, 'Запись перезаписывается по id');
+  assert((await store.list()).map(r => r.id).join() === 'b,a', 'Записи от самой свежей');
+  await store.delete('b');
+  assert(await store.get('b') === null && (await store.list()).map(r => r.id).join() === 'a', 'Удаление');
+  (await store._open()).close();
+  store.idb.deleteDatabase(store.dbName);
+  console.log('testIndexedDbStore OK');
+}
+
+export async function runAutosaveTests() {
+  await testDebouncedSave();
+  await testQuotaErrors();
+  await testRestore();
+  await testRecoveryNotLost();
+  await testExportDropsRecord();
+  await testStaleRecordsEvicted();
+  await testIndexedDbStore();
+  console.log('All autosave tests passed');
+}
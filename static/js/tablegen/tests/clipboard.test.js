@@ -0,0 +1,161 @@
+// clipboard.test.js
+// Тесты копирования диапазона в системный буфер: выравнивание по объединениям, HTML (rowspan/colspan, class, data-*),
+// TSV для Excel, круговой тест «копирование -> вставка в другую таблицу» через ClipboardPasteService
+// и внутренняя вставка фрагмента со структурой (плитка, проверка объединений до записи).
+
+import { EventBus } from '../core/events/EventBus.js';
+import { TableModel } from '../core/model/TableModel.js';
+import { ValidationService } from '../core/services/ValidationService.js';
+import { expandRangeToMerges, extractRangeDocument, buildRangeClipboardData, clearRangeValues } from '../core/services/CopyService.js';
+import { readClipboardPayload, pasteAtAnchor, computePasteTiles } from '../core/services/ClipboardPasteService.js';
+import { TABLEGEN_REGISTRY } from '../config/registry.index.js';
+
+function assert(cond, message) {
+  if (!cond) {
+    console.error('TEST FAIL:', message);
+    throw new Error(message);
+  }
+}
+
+function sampleModel() {
+  const bus = new EventBus();
+  return new TableModel({ version:1, meta:{ name:'Copy' }, grid:{ rows:4, cols:4, headerRows:1,
+    columnSizes:[{ v:100, u:'px' }, { v:60, u:'px' }, { v:1, u:'ratio' }, { v:1, u:'ratio' }] }, cells:[
+    { r:0, c:0, value:'Шапка', rowSpan:1, colSpan:2 },
+    { r:0, c:2, value:'C', rowSpan:1, colSpan:1 },
+    { r:1, c:0, value:'A<sub>1</sub>', rowSpan:2, colSpan:1 },
+    { r:1, c:1, value:'12,5', rowSpan:1, colSpan:1, classes:['numeric'], data:{ 'data-role':'total' } },
+    { r:2, c:1, value:'x\ty', rowSpan:1, colSpan:1 },
+    { r:3, c:3, value:'z', rowSpan:1, colSpan:1 }
+  ]}, bus);
+}
+
+export function testExpandAndExtract() {
+  const model = sampleModel();
+  // (1,1)-(1,2) задевает только строку 1 объединения (1,0) 2x1 и не задевает шапку
+  const rect = expandRangeToMerges(model, { r1:1, c1:1, r2:1, c2:1 });
+  assert(JSON.stringify(rect) === '{"r1":1,"c1":1,"r2":1,"c2":1}', 'Диапазон без объединений не меняется');
+  const grown = expandRangeToMerges(model, { r1:0, c1:1, r2:1, c2:1 });
+  assert(JSON.stringify(grown) === '{"r1":0,"c1":0,"r2":2,"c2":1}', 'Расширение по цепочке объединений: ' + JSON.stringify(grown));
+  const doc = extractRangeDocument(model, grown);
+  assert(doc.grid.rows === 3 && doc.grid.cols === 2 && doc.grid.headerRows === 1, 'Размер и шапка фрагмента');
+  assert(doc.grid.columnSizes.length === 2 && doc.grid.columnSizes[1].v === 60, 'Ширины столбцов переносятся');
+  assert(doc.cells.find(c => c.r === 1 && c.c === 1).classes[0] === 'numeric', 'Классы переносятся');
+  const body = extractRangeDocument(model, { r1:1, c1:0, r2:2, c2:1 });
+  assert(body.grid.headerRows === 0 && body.cells[0].r === 0, 'Координаты сдвигаются к началу, шапки нет');
+  console.log('testExpandAndExtract OK');
+}
+
+export function testClipboardData() {
+  const model = sampleModel();
+  const data = buildRangeClipboardData(model, { r1:1, c1:0, r2:2, c2:1 });
+  assert(data.html.startsWith('<table>') && !data.html.includes('\n'), 'HTML таблица одной строкой');
+  assert(data.html.includes('<td rowspan="2">A<sub>1</sub></td>'), 'rowspan и разрешённые теги сохраняются: ' + data.html);
+  assert(data.html.includes('class="numeric" data-role="total"'), 'class и data-* в HTML');
+  assert(data.text === 'A1\t12,5\r\n\t"x\ty"\r\n', 'TSV: значение merge только в ведущей, поле с табом в кавычках: ' + JSON.stringify(data.text));
+  console.log('testClipboardData OK');
+}
+
+export function testCopyPasteRoundTrip() {
+  const source = sampleModel();
+  const data = buildRangeClipboardData(source, { r1:0, c1:0, r2:2, c2:1 });
+  const target = new TableModel({ version:1, meta:{ name:'T' }, grid:{ rows:2, cols:2 }, cells:[] }, new EventBus());
+  const validator = new ValidationService(target);
+  validator.initRegistry(TABLEGEN_REGISTRY);
+  const clipboard = { getData: (type) => (type === 'text/html' ? data.html : data.text) };
+  const payload = readClipboardPayload(clipboard, { mappings: validator.getImportMappings(), keepSourceAttributes: true });
+  const res = pasteAtAnchor(target, { r:1, c:1 }, payload, { validator });
+  assert(res.ok && target.grid.rows === 4 && target.grid.cols === 3, 'Таблица расширена под фрагмент');
+  assert(target.getCell(1,1).colSpan === 2 && target.getCell(2,1).rowSpan === 2, 'Объединения сохранены');
+  const num = target.getCell(2,2);
+  assert(num.classes[0] === 'numeric' && num.data['data-role'] === 'total', 'class и data-* сохранены');
+  assert(validator.validateDocument(target.toJSON()).valid, 'Результат проходит STRICT проверку');
+  // Неизвестные реестру классы и недопустимые значения data-* из чужого HTML отбрасываются
+  const foreign = readClipboardPayload({ getData: (type) => (type === 'text/html'
+    ? '<table><tr><td class="numeric text MsoNormal" data-role="boss" data-format="date">1</td></tr></table>' : '') }, { keepSourceAttributes: true });
+  pasteAtAnchor(target, { r:0, c:0 }, foreign, { validator });
+  const cell = target.getCell(0,0);
+  assert(JSON.stringify(cell.classes) === '["text"]' && JSON.stringify(cell.data) === '{"data-format":"date"}', 'Фильтр реестром: ' + JSON.stringify(cell));
+  console.log('testCopyPasteRoundTrip OK');
+}
+
+export function testCutClearsValuesInOneBatch() {
+  const model = sampleModel();
+  let flushes = 0;
+  model.bus.on('batch:flush', () => flushes++);
+  const cleared = clearRangeValues(model, { r1:1, c1:0, r2:2, c2:1 });
+  assert(cleared === 3 && flushes === 1, 'Три значения очищены одним batch');
+  assert(model.getCell(1,0).value === '' && model.getCell(1,0).rowSpan === 2, 'Структура остаётся');
+  assert(model.getCell(1,1).classes[0] === 'numeric', 'Классы остаются');
+  assert(model.getCell(0,0).value === 'Шапка', 'Ячейки вне диапазона не тронуты');
+  console.log('testCutClearsValuesInOneBatch OK');
+}
+
+export function testInternalRangeTiling() {
+  const model = new TableModel({ version:1, meta:{ name:'Tile' }, grid:{ rows:4, cols:6 }, cells:[
+    { r:0, c:0, value:'A', rowSpan:1, colSpan:2, classes:['text'], data:{ 'data-role':'total' } },
+    { r:1, c:0, value:'1', rowSpan:1, colSpan:1, classes:['numeric'] },
+    { r:2, c:2, value:'old', rowSpan:1, colSpan:1, classes:['numeric'] }
+  ]}, new EventBus());
+  const validator = new ValidationService(model);
+  validator.initRegistry(TABLEGEN_REGISTRY);
+  const data = buildRangeClipboardData(model, { r1:0, c1:0, r2:1, c2:1 });
+  const internal = { text: data.text, doc: data.doc };
+  // Браузер мог заменить \r\n на \n — фрагмент всё равно узнаётся; другой текст в буфере — уже не наш
+  const clipboard = { getData: (type) => (type === 'text/plain' ? data.text.replace(/\r\n/g, '\n') : data.html) };
+  const payload = readClipboardPayload(clipboard, { internal });
+  assert(payload.type === 'range' && payload.parsed.rows === 2 && payload.parsed.cols === 2, 'Внутренний фрагмент 2x2');
+  assert(readClipboardPayload({ getData: (type) => (type === 'text/plain' ? 'x' : '') }, { internal }).type === 'text', 'Чужой текст');
+
+  assert(JSON.stringify(computePasteTiles(2, 2, { r1:0, c1:0, r2:3, c2:5 })) === '{"tilesR":2,"tilesC":3}', 'Кратная область');
+  assert(JSON.stringify(computePasteTiles(2, 2, { r1:0, c1:0, r2:2, c2:3 })) === '{"tilesR":1,"tilesC":1}', 'Некратная область');
+
+  let flushes = 0;
+  model.bus.on('batch:flush', () => flushes++);
+  const res = pasteAtAnchor(model, { r:2, c:2 }, payload, { validator, fillRect: { r1:2, c1:2, r2:3, c2:5 } });
+  assert(res.ok && res.rows === 2 && res.cols === 4 && flushes === 1, 'Две плитки одним шагом: ' + JSON.stringify(res));
+  for (const c of [2, 4]) {
+    const head = model.getCell(2, c);
+    assert(head.colSpan === 2 && head.value === 'A' && head.data['data-role'] === 'total', 'Объединение и data-* плитки ' + c);
+    assert(model.getCell(3, c).classes[0] === 'numeric', 'Классы плитки ' + c);
+  }
+  // Ячейка без классов во фрагменте снимает классы цели (старое 'numeric' в (3,3) не остаётся)
+  model.setCellClasses(3, 3, ['numeric']);
+  pasteAtAnchor(model, { r:2, c:2 }, payload, { validator });
+  assert(!model.getCell(3, 3) || !model.getCell(3, 3).classes, 'Оформление заменяется целиком');
+  console.log('testInternalRangeTiling OK');
+}
+
+export function testInternalRangeMergeConflicts() {
+  const model = new TableModel({ version:1, meta:{ name:'Merge' }, grid:{ rows:3, cols:4 }, cells:[
+    { r:0, c:0, value:'AB', rowSpan:1, colSpan:2 },
+    { r:1, c:0, value:'tall', rowSpan:2, colSpan:1 },
+    { r:2, c:2, value:'s', rowSpan:1, colSpan:1, classes:['text'] }
+  ]}, new EventBus());
+  const validator = new ValidationService(model);
+  validator.initRegistry(TABLEGEN_REGISTRY);
+  const wide = buildRangeClipboardData(model, { r1:0, c1:0, r2:0, c2:0 });
+  assert(wide.doc.grid.cols === 2, 'Копия объединения расширена до всего merge');
+  const payload = readClipboardPayload({ getData: () => wide.text }, { internal: wide });
+  // Вставка 1x2 в (1,0) задела бы часть объединения (1,0) 2x1 — модель не меняется
+  const before = JSON.stringify(model.toJSON());
+  const res = pasteAtAnchor(model, { r:1, c:0 }, payload, { validator });
+  assert(!res.ok && JSON.stringify(model.toJSON()) === before, 'Конфликт отклонён до записи: ' + res.error);
+  // Одиночная ячейка в выделенный диапазон переносит значение и оформление, объединения остаются
+  const single = buildRangeClipboardData(model, { r1:2, c1:2, r2:2, c2:2 });
+  const one = readClipboardPayload({ getData: () => single.text }, { internal: single });
+  const filled = pasteAtAnchor(model, { r:0, c:0 }, one, { validator, fillRect: { r1:0, c1:0, r2:1, c2:1 } });
+  assert(filled.ok && model.getCell(0,0).colSpan === 2 && model.getCell(1,0).rowSpan === 2, 'Объединения сохранены');
+  assert(model.getCell(0,0).value === 's' && model.getCell(1,1).classes[0] === 'text', 'Значение и классы в каждой видимой ячейке');
+  console.log('testInternalRangeMergeConflicts OK');
+}
+
+export function runClipboardTests() {
+  testExpandAndExtract();
+  testClipboardData();
+  testCopyPasteRoundTrip();
+  testCutClearsValuesInOneBatch();
+  testInternalRangeTiling();
+  testInternalRangeMergeConflicts();
+  console.log('All clipboard tests passed');
+}
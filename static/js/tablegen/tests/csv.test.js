@@ -0,0 +1,62 @@
+// csv.test.js
+// Тесты CSV / TSV: разбор кавычек и переносов, BOM, автоопределение разделителя, экспорт с политиками merge.
+
+import { EventBus } from '../core/events/EventBus.js';
+import { TableModel } from '../core/model/TableModel.js';
+import { parseCsv, detectCsvDelimiter, csvMatrixToDocument } from '../integration/import/parseCsv.js';
+import { toCsv } from '../integration/export/toCsv.js';
+
+function assert(cond, message) {
+  if (!cond) {
+    console.error('TEST FAIL:', message);
+    throw new Error(message);
+  }
+}
+
+export function testParseQuotedFields() {
+  const text = '\uFEFFa,"b,c","say ""hi"""\r\n1,"line1\nline2",3\r\n';
+  const res = parseCsv(text);
+  assert(res.ok, 'parseCsv должен вернуть ok');
+  assert(res.delimiter === ',', 'Разделитель должен определиться как запятая');
+  assert(res.matrix.length === 2, 'Завершающий CRLF не должен создавать пустую запись');
+  assert(res.matrix[0][0] === 'a', 'BOM должен быть удалён из первого поля');
+  assert(res.matrix[0][1] === 'b,c', 'Разделитель внутри кавычек — часть поля');
+  assert(res.matrix[0][2] === 'say "hi"', 'Удвоенная кавычка превращается в одну');
+  assert(res.matrix[1][1] === 'line1\nline2', 'Перевод строки внутри кавычек сохраняется');
+  const doc = csvMatrixToDocument(res.matrix, { name:'Csv' });
+  assert(doc.grid.rows === 2 && doc.grid.cols === 3, 'Размер документа 2x3');
+  assert(doc.cells.find(c => c.r === 1 && c.c === 1).value === 'line1<br>line2', 'Перевод строки в значении становится <br>');
+  console.log('testParseQuotedFields OK');
+}
+
+export function testDetectDelimiter() {
+  assert(detectCsvDelimiter('a;b;c\n1,5;2;3\n') === ';', 'Ровное количество ; важнее запятых в числах');
+  assert(detectCsvDelimiter('a\tb\n1\t2\n') === '\t', 'Табуляция определяется как TSV');
+  assert(detectCsvDelimiter('"x;y",b\n1,2\n') === ',', 'Разделители внутри кавычек не учитываются');
+  assert(!parseCsv('"abc').ok, 'Незакрытая кавычка — ошибка');
+  console.log('testDetectDelimiter OK');
+}
+
+export function testExportMergePolicies() {
+  const bus = new EventBus();
+  const model = new TableModel({ version:1, meta:{ name:'CsvExport' }, grid:{ rows:2, cols:2 }, cells:[
+    { r:0, c:0, value:'M', rowSpan:1, colSpan:2 },
+    { r:1, c:0, value:'a;b', rowSpan:1, colSpan:1 },
+    { r:1, c:1, value:'x<sup>2</sup><br>y', rowSpan:1, colSpan:1 }
+  ]}, bus);
+  assert(toCsv(model, { mergePolicy:'lead' }) === 'M,\r\na;b,"x2\ny"\r\n', 'lead: значение только в ведущей ячейке');
+  assert(toCsv(model, { mergePolicy:'repeat' }).startsWith('M,M\r\n'), 'repeat: значение повторяется по области');
+  assert(toCsv(model, { mergePolicy:'blank' }).startsWith(',\r\n'), 'blank: вся объединённая область пустая');
+  assert(toCsv(model, { delimiter:';' }).includes('"a;b"'), 'Поле с разделителем оборачивается в кавычки');
+  // Круговой тест: экспорт -> импорт даёт те же значения
+  const back = parseCsv(toCsv(model, { delimiter:';', bom:true }));
+  assert(back.ok && back.delimiter === ';' && back.matrix[1][0] === 'a;b', 'Экспорт должен читаться обратно');
+  console.log('testExportMergePolicies OK');
+}
+
+export function runCsvTests() {
+  testParseQuotedFields();
+  testDetectDelimiter();
+  testExportMergePolicies();
+  console.log('All CSV tests passed');
+}
@@ -0,0 +1,76 @@
+// documentImport.test.js
+// Тесты импорта таблиц из HTML и Markdown файлов: выбор из нескольких таблиц, thead -> headerRows,
+// сохранение разрешённого форматирования, разбор pipe-таблиц и круговой тест с toMarkdown / toHtml.
+
+import { EventBus } from '../core/events/EventBus.js';
+import { TableModel } from '../core/model/TableModel.js';
+import { parseHtmlTables, parsedTableToDocument } from '../integration/import/parseHtmlTables.js';
+import { parseMarkdownTables, markdownInlineToValue } from '../integration/import/parseMarkdownTables.js';
+import { toMarkdown } from '../integration/export/toMarkdown.js';
+import { toHtml } from '../integration/export/toHtml.js';
+
+function assert(cond, message) {
+  if (!cond) {
+    console.error('TEST FAIL:', message);
+    throw new Error(message);
+  }
+}
+
+function sampleModel() {
+  const bus = new EventBus();
+  return new TableModel({ version:1, meta:{ name:'DocImport' }, grid:{ rows:3, cols:2, headerRows:1 }, cells:[
+    { r:0, c:0, value:'Показатель', rowSpan:1, colSpan:2 },
+    { r:1, c:0, value:'H<sub>2</sub>O', rowSpan:2, colSpan:1 },
+    { r:1, c:1, value:'<i>a</i>|b', rowSpan:1, colSpan:1 },
+    { r:2, c:1, value:'x<br><u>y</u>', rowSpan:1, colSpan:1 }
+  ]}, bus);
+}
+
+export function testHtmlFileTables() {
+  const html = '<html><body><h1>Док</h1>'
+    + '<table><tr><td>Первая</td></tr></table>'
+    + '<table><caption> Вторая  таблица </caption><thead><tr><th colspan="2">Шапка</th></tr></thead>'
+    + '<tbody><tr><td><p>Абзац <em>1</em></p><p>Абзац 2</p></td><td><span style="color:red">x<sup>2</sup></span><script>alert(1)</script></td></tr>'
+    + '<tr><td rowspan="5">r</td><td><table><tr><td>вложенная</td></tr></table></td></tr></tbody></table></body></html>';
+  const tables = parseHtmlTables(html);
+  assert(tables.length === 3, 'Найдены все таблицы документа, включая вложенную');
+  const t = tables[1];
+  assert(t.caption === 'Вторая таблица', 'caption становится подписью');
+  assert(t.headerRows === 1 && t.rows === 3 && t.cols === 2, 'thead -> headerRows');
+  const at = (r, c) => t.cells.find(x => x.r === r && x.c === c);
+  assert(at(1, 0).value === 'Абзац <i>1</i><br>Абзац 2', 'Абзацы -> <br>, em -> <i>: ' + at(1, 0).value);
+  assert(at(1, 1).value === 'x<sup>2</sup>', 'span снимается, sup остаётся, script игнорируется');
+  assert(at(2, 0).rowSpan === 1, 'rowspan обрезается по последней строке таблицы');
+  assert(at(2, 1).value === 'вложенная', 'Вложенная таблица не добавляет строк во внешнюю');
+  const doc = parsedTableToDocument(t, { name:'X' });
+  assert(doc.grid.headerRows === 1 && doc.meta.name === 'X' && doc.cells.every(c => c.value || c.rowSpan > 1 || c.colSpan > 1), 'Документ без пустых ячеек');
+  // Круговой тест с собственным HTML экспортом
+  const back = parseHtmlTables(toHtml(sampleModel()))[0];
+  assert(back.headerRows === 1 && back.cells.find(x => x.r === 1 && x.c === 0).rowSpan === 2, 'toHtml -> импорт сохраняет шапку и объединения');
+  assert(back.cells.find(x => x.r === 2 && x.c === 1).value === 'x<br><u>y</u>', 'toHtml -> импорт сохраняет форматирование');
+  console.log('testHtmlFileTables OK');
+}
+
+export function testMarkdownFileTables() {
+  assert(markdownInlineToValue('**Жирный** *курсив* _и_ snake_case \\*не\\* [ссылка](http://x) `код`') === 'Жирный <i>курсив</i> <i>и</i> snake_case *не* ссылка код', 'Inline разметка Markdown');
+  assert(markdownInlineToValue('a <b>b</b> <ins>c</ins> 1 < 2') === 'a b <u>c</u> 1 < 2', 'HTML теги: разрешённые остаются, прочие снимаются');
+  const md = '# Отчёт\n\nТекст\n\n| A | B |\n|:--|--:|\n| 1 | x \\| y |\n| 2 |\n\nпосле\n\n| | |\n| --- | --- |\n| без | шапки |\n';
+  const tables = parseMarkdownTables(md);
+  assert(tables.length === 2, 'Две pipe-таблицы');
+  assert(tables[0].caption === 'Отчёт' && tables[0].headerRows === 1 && tables[0].rows === 3, 'Заголовок и шапка');
+  assert(tables[0].cells.find(x => x.r === 1 && x.c === 1).value === 'x | y', 'Экранированный | внутри ячейки');
+  assert(tables[0].cells.find(x => x.r === 2 && x.c === 1).value === '', 'Недостающая ячейка пустая');
+  assert(tables[1].headerRows === 0 && tables[1].rows === 1, 'Пустой заголовок не становится строкой');
+  // Круговой тест с toMarkdown: форматирование и спецсимволы сохраняются
+  const back = parseMarkdownTables(toMarkdown(sampleModel(), { spanFallback:'blank' }))[0];
+  assert(back.cells.find(x => x.r === 1 && x.c === 0).value === 'H<sub>2</sub>O', 'sub сохраняется');
+  assert(back.cells.find(x => x.r === 1 && x.c === 1).value === '<i>a</i>|b', 'Курсив и | сохраняются: ' + back.cells.find(x => x.r === 1 && x.c === 1).value);
+  assert(back.cells.find(x => x.r === 2 && x.c === 1).value === 'x<br><u>y</u>', '<br> и <ins> -> <u>');
+  console.log('testMarkdownFileTables OK');
+}
+
+export function runDocumentImportTests() {
+  testHtmlFileTables();
+  testMarkdownFileTables();
+  console.log('All document import tests passed');
+}
@@ -0,0 +1,139 @@
+// formula.test.js
+// Тесты формул: вычисление (функции, арифметика, текстовые числа, ошибки), инкрементальный пересчёт по графу
+// зависимостей и обнаружение циклов, перезапись ссылок при структурных изменениях, JSON и экспорт результата.
+
+import { EventBus } from '../core/events/EventBus.js';
+import { TableModel } from '../core/model/TableModel.js';
+import { FormulaService } from '../core/services/FormulaService.js';
+import { sortRows } from '../core/services/SortService.js';
+import { rewriteFormulaReferences, deleteLinesMapper, toExcelFormula, isSupportedFormula } from '../core/utils/formula.js';
+import { toHtml } from '../integration/export/toHtml.js';
+import { toCsv } from '../integration/export/toCsv.js';
+
+function assert(cond, message) {
+  if (!cond) {
+    console.error('TEST FAIL:', message);
+    throw new Error(message);
+  }
+}
+
+/**
+ * Модель из матрицы значений с подключённым FormulaService.
+ * @param {string[][]} matrix
+ * @returns {{model:TableModel, formulas:FormulaService}}
+ */
+function setup(matrix) {
+  const cells = [];
+  matrix.forEach((row, r) => row.forEach((value, c) => { if (value !== '') cells.push({ r, c, value, rowSpan: 1, colSpan: 1 }); }));
+  const bus = new EventBus();
+  const model = new TableModel({ version:1, meta:{ name:'Formula' }, grid:{ rows: matrix.length, cols: matrix[0].length }, cells }, bus);
+  return { model, formulas: new FormulaService(model, bus) };
+}
+
+/** Результат ячейки (cached) по адресу A1 */
+function shown(model, r, c) {
+  const cell = model.getCell(r, c);
+  return cell ? cell.cached : undefined;
+}
+
+export function testFormulaEvaluation() {
+  const { model } = setup([
+    ['Товар', 'Цена', 'Кол-во', 'Сумма'],
+    ['a', '10', '3', '=B2*C2'],
+    ['b', '1 000,5', '2', '=B3*C3'],
+    ['c', 'нет', '1', '=B4*C4'],
+    ['Итого', '=AVERAGE(B2:B3)', '=ROUND(2.5)', '=SUM(D2:D3)']
+  ]);
+  assert(shown(model, 1, 3) === '30', 'Произведение ссылок: ' + shown(model, 1, 3));
+  assert(shown(model, 2, 3) === '2001', 'Число с пробелами и запятой: ' + shown(model, 2, 3));
+  assert(shown(model, 3, 3) === '#VALUE!', 'Текст в арифметике');
+  assert(shown(model, 4, 3) === '2031', 'SUM диапазона: ' + shown(model, 4, 3));
+  assert(shown(model, 4, 1) === '505,25' && shown(model, 4, 2) === '3', 'AVERAGE (текст пропускается) и ROUND от нуля');
+  model.setCellValue(4, 0, '=СУММ(B2;C2) / 0');
+  assert(shown(model, 4, 0) === '#DIV/0!', 'Русское имя функции, ; и деление на ноль');
+  model.setCellValue(4, 0, '=FOO(1)');
+  assert(shown(model, 4, 0) === '#NAME?', 'Неизвестная функция');
+  model.setCellValue(4, 0, '=SUM(B2:B3');
+  assert(shown(model, 4, 0) === '#ERROR!', 'Синтаксическая ошибка');
+  model.setCellValue(4, 0, '=-2^2 + A100');
+  assert(shown(model, 4, 0) === '4', 'Унарный минус раньше степени, ссылка за таблицей пустая: ' + shown(model, 4, 0));
+  model.setCellValue(4, 0, 'Итого');
+  assert(model.getCell(4, 0).cached === undefined, 'Обычный текст не хранит результат');
+  console.log('testFormulaEvaluation OK');
+}
+
+export function testFormulaIncrementalAndCycles() {
+  const { model } = setup([['1', '=A1*2', '=B1+1', '=5']]);
+  assert(shown(model, 0, 2) === '3', 'Цепочка A1 -> B1 -> C1');
+  // Пометка: формула D1 не зависит от A1 и при инкрементальном пересчёте не трогается
+  model.getCell(0, 3).cached = 'не пересчитано';
+  model.setCellValue(0, 0, '4');
+  assert(shown(model, 0, 1) === '8' && shown(model, 0, 2) === '9', 'Зависимые формулы пересчитаны: ' + shown(model, 0, 2));
+  assert(shown(model, 0, 3) === 'не пересчитано', 'Независимая формула не пересчитывается');
+  // Цикл A1 -> C1 -> B1 -> A1
+  model.setCellValue(0, 0, '=C1');
+  assert(['A', 'B', 'C'].every((_l, c) => shown(model, 0, c) === '#CYCLE!'), 'Цикл обнаружен во всех его ячейках');
+  model.setCellValue(0, 0, '2');
+  assert(shown(model, 0, 1) === '4' && shown(model, 0, 2) === '5', 'Разрыв цикла восстанавливает значения');
+  model.setCellValue(0, 3, '=D1');
+  assert(shown(model, 0, 3) === '#CYCLE!', 'Ссылка на себя');
+  console.log('testFormulaIncrementalAndCycles OK');
+}
+
+export function testFormulaReferencesFollowStructure() {
+  const { model } = setup([
+    ['1', '2', '=SUM(A1:A3)'],
+    ['3', '4', '=A2*B2'],
+    ['5', '6', '=$B$3+A1']
+  ]);
+  model.insertRows(1, 1);
+  assert(model.getCell(0, 2).value === '=SUM(A1:A4)', 'Вставка внутрь диапазона растягивает его: ' + model.getCell(0, 2).value);
+  assert(model.getCell(2, 2).value === '=A3*B3' && model.getCell(3, 2).value === '=$B$4+A1', 'Ссылки ниже вставки сдвигаются, $ сохраняется');
+  assert(shown(model, 0, 2) === '9', 'После вставки формулы пересчитаны');
+  model.deleteColumns(1, 1);
+  assert(model.getCell(2, 1).value === '=A3*#REF!' && shown(model, 2, 1) === '#REF!', 'Удалённый столбец -> #REF!: ' + model.getCell(2, 1).value);
+  model.deleteRows(0, 2);
+  assert(model.getCell(0, 1).value === '=A1*#REF!' && model.getCell(1, 1).value === '=#REF!+#REF!', 'Удалённые строки: ' + model.getCell(1, 1).value);
+  assert(rewriteFormulaReferences('=SUM(B2:B10) + b5', deleteLinesMapper('r', 3, 2)) === '=SUM(B2:B8) + #REF!', 'Диапазон сжимается, регистр и пробелы сохраняются');
+  // Перемещение и сортировка: ссылка на строку следует за строкой
+  const sorted = setup([['3', '=A1*10', '=SUM(A1:A3)'], ['1', '=A2*10', ''], ['2', '=A3*10', '']]).model;
+  assert(sortRows(sorted, [{ col: 0 }]).ok, 'Сортировка');
+  assert(sorted.getCell(0, 1).value === '=A1*10' && shown(sorted, 0, 1) === '10', 'Формула уехала со строкой: ' + shown(sorted, 0, 1));
+  assert(sorted.getCell(2, 2).value === '=SUM(A1:A3)' && shown(sorted, 2, 2) === '6', 'Диапазон, переставленный внутри себя, не меняется');
+  let moved = null;
+  sorted.bus.on('structure:change', (p) => { if (p.type === 'moveRows') moved = p; });
+  sorted.moveRows(0, 1, 3);
+  assert(sorted.getCell(2, 1).value === '=A3*10' && shown(sorted, 2, 1) === '10', 'moveRows переписывает ссылку');
+  assert(moved.formulas.some(f => f.r === 2 && f.c === 1 && f.value === '=A1*10'), 'Событие несёт прежний текст формулы');
+  // Диапазон, который перемещение разорвало, остаётся прежним по позиции (не #REF!)
+  const split = setup([['1', '2', '3', '=SUM(A1:B1)']]).model;
+  split.moveColumns(0, 1, 3);
+  assert(split.getCell(0, 3).value === '=SUM(A1:B1)', 'Разорванный диапазон не меняется: ' + split.getCell(0, 3).value);
+  // Транспонирование всей таблицы
+  const t = setup([['1', '2'], ['=A1+B1', '']]).model;
+  t.transpose();
+  assert(t.getCell(0, 1).value === '=A1+A2' && shown(t, 0, 1) === '3', 'Транспонирование меняет ссылки местами: ' + t.getCell(0, 1).value);
+  console.log('testFormulaReferencesFollowStructure OK');
+}
+
+export function testFormulaJsonAndExport() {
+  const { model } = setup([['2', '3', '=A1*B1']]);
+  const json = model.toJSON();
+  const cell = json.cells.find(c => c.c === 2);
+  assert(cell.value === '=A1*B1' && cell.cached === '6', 'JSON хранит формулу и результат');
+  // Модель без FormulaService (например копия в буфере обмена) показывает сохранённый результат
+  const copy = new TableModel(JSON.parse(JSON.stringify(json)), null);
+  assert(toHtml(copy, { pretty:false }).includes('<td>6</td>'), 'HTML экспортирует результат');
+  assert(toCsv(copy).trim() === '2,3,6', 'CSV экспортирует результат');
+  assert(toExcelFormula('=СУММ(A1;B1)') === 'SUM(A1,B1)', 'Формула в синтаксисе Excel');
+  assert(isSupportedFormula('=ROUND(A1, 2)') && !isSupportedFormula('=VLOOKUP(A1, B1:C3, 2)') && !isSupportedFormula('=Sheet2!A1'), 'Поддерживаемые формулы');
+  console.log('testFormulaJsonAndExport OK');
+}
+
+export function runFormulaTests() {
+  testFormulaEvaluation();
+  testFormulaIncrementalAndCycles();
+  testFormulaReferencesFollowStructure();
+  testFormulaJsonAndExport();
+  console.log('All formula tests passed');
+}
@@ -1,10 +1,22 @@
 // historyService.test.js
-// Тесты истории: undo/redo, сброс redo после новой правки, debounce группировка (UI не используется).
+// Тесты истории: undo/redo на месте, сброс redo после новой правки, debounce группировка (UI не используется),
+// патчи ячеек, объединений и вставки, замена документа (импорт), ограничение глубины и веса истории,
+// подписи шагов, переход к шагу (goTo), событие history:change и панель истории, восстановление выделения и прокрутки,
+// дерево шагов (ветки после отката), его сериализация вместе с документом и проверка патчей при загрузке.
 
 import { EventBus } from '../core/events/EventBus.js';
 import { TableModel } from '../core/model/TableModel.js';
 import { HistoryService } from '../core/services/HistoryService.js';
+import { ValidationService } from '../core/services/ValidationService.js';
+import { TABLEGEN_REGISTRY } from '../config/registry.index.js';
+import { mergeRange, splitCell } from '../core/services/MergeService.js';
+import { applyHtmlTablePaste } from '../core/services/PasteService.js';
+import { applyImportedDocument, parseTableJson } from '../integration/import/fromJson.js';
+import { toJson } from '../integration/export/toJson.js';
 import { HistoryDebounceRecorder } from '../app/HistoryDebounce.js';
+import { setupHistoryPanel } from '../app/init/setupHistoryPanel.js';
+import { TableRenderer } from '../app/TableRenderer.js';
+import { SelectionService } from '../app/SelectionService.js';
 
 function assert(cond, message) {
   if (!cond) {
@@ -13,54 +25,382 @@ function assert(cond, message) {
   }
 }
 
-function createEnv() {
+function createEnv(doc = { version:1, meta:{ name:'Hist' }, grid:{ rows:2, cols:2 }, cells:[] }) {
   const bus = new EventBus();
-  const doc = { version:1, meta:{ name:'Hist' }, grid:{ rows:2, cols:2 }, cells:[] };
   const model = new TableModel(doc, bus);
-  const history = new HistoryService(20);
-  history.record(model); // snapshot #0
-  const debounced = new HistoryDebounceRecorder(history, model, 50, bus);
+  const history = new HistoryService(model, bus, { limit: 20 });
+  const debounced = new HistoryDebounceRecorder(history, 50, bus);
   return { bus, model, history, debounced };
 }
 
+/**
+ * Содержимое модели для сравнения состояний: документ без производных полей, ячейки по порядку координат.
+ * @param {TableModel} model
+ * @returns {string}
+ */
+function state(model) {
+  const doc = model.toJSON();
+  doc.cells = doc.cells
+    .map(({ cached, override, ...cell }) => cell)
+    .sort((a, b) => (a.r - b.r) || (a.c - b.c));
+  return JSON.stringify(doc);
+}
+
 export function testBasicUndoRedo() {
-  const { model, history } = createEnv();
-  // Изменяем 2 ячейки и фиксируем сразу вручную (имитируем события через прямую запись)
+  const { bus, model, history } = createEnv();
+  const events = [];
+  bus.on('structure:change', e => events.push(e.type));
+  // Изменяем 2 ячейки и фиксируем каждую шагом вручную
   model.setCellValue(0,0,'A');
-  history.record(model); // snapshot #1
+  history.record(); // шаг #1
   model.setCellValue(0,1,'B');
-  history.record(model); // snapshot #2
+  history.record(); // шаг #2
   assert(history.index === 2, 'Ожидаем индекс 2');
-  // Undo -> snapshot #1
-  let doc = history.undo();
-  assert(doc.grid.cols === 2, 'grid должен сохраниться');
+  assert(!history.record(), 'Без изменений шаг не создаётся');
+  // Undo -> состояние после шага #1
+  assert(history.undo(), 'undo выполнен');
   assert(history.index === 1, 'После undo индекс 1');
-  // Undo -> snapshot #0
-  doc = history.undo();
-  assert(history.index === 0, 'После второго undo индекс 0');
+  assert(!model.getCell(0,1) && model.getCell(0,0).value === 'A', 'Созданная ячейка убрана, первая осталась');
+  // Undo -> исходная таблица
+  history.undo();
+  assert(history.index === 0 && model.cells.length === 0, 'После второго undo индекс 0 и таблица пустая');
+  assert(!history.undo(), 'Дальше откатывать нечего');
   // Redo -> назад к #1
-  doc = history.redo();
-  assert(history.index === 1, 'После redo индекс 1');
+  assert(history.redo(), 'redo выполнен');
+  assert(history.index === 1 && model.getCell(0,0).value === 'A', 'После redo индекс 1 и значение вернулось');
+  assert(!events.includes('applyDocument') && events.includes('undo') && events.includes('redo'), 'Откат без applyDocument: ' + events.join());
   console.log('testBasicUndoRedo OK');
 }
 
 export function testRedoInvalidatedAfterNewEdit() {
   const { model, history } = createEnv();
   model.setCellValue(0,0,'A');
-  history.record(model); // #1
+  history.record(); // #1
   model.setCellValue(0,0,'B');
-  history.record(model); // #2
+  history.record(); // #2
   assert(history.index === 2, 'index==2 после двух изменений');
   // undo -> #1
   history.undo();
-  assert(history.index === 1, 'undo -> index==1');
+  assert(history.index === 1 && model.getCell(0,0).value === 'A', 'undo -> index==1, значение A');
   // Новое изменение после undo (должно усечь будущее (#2))
   model.setCellValue(1,1,'X');
-  history.record(model); // теперь это новый #2, старый #2 потерян
-  assert(!history.canRedo(), 'redo должен быть недоступен после новой правки');
+  assert(!history.canRedo(), 'redo недоступен, пока есть незаписанная правка');
+  history.record(); // теперь это новый #2, старый #2 остался соседней веткой
+  assert(!history.canRedo() && history.steps.length === 2, 'redo должен быть недоступен после новой правки');
+  assert(history.nodes.size === 4, 'Откатанный шаг не удалён из дерева');
+  // Незаписанная правка откатывается сразу (undo сам закрывает группу)
+  model.setCellValue(1,1,'Y');
+  history.undo();
+  assert(model.getCell(1,1).value === 'X', 'undo откатывает ещё не записанную правку');
   console.log('testRedoInvalidatedAfterNewEdit OK');
 }
 
+export function testCellFieldsAndMergeHistory() {
+  const { bus, model, history } = createEnv({ version:1, meta:{ name:'Merge' }, grid:{ rows:3, cols:3 }, cells:[
+    { r:0, c:0, value:'a', rowSpan:1, colSpan:1 },
+    { r:0, c:1, value:'b', rowSpan:1, colSpan:1, classes:['x'] },
+    { r:1, c:1, value:'c', rowSpan:1, colSpan:1, data:{ 'data-role':'total' } }
+  ]});
+  const initial = state(model);
+  model.setCellClasses(0, 0, ['y']);
+  model.setCellData(0, 0, { 'data-role':'subtotal' });
+  history.record();
+  // Объединение в batch (как в UI): значение ведущей и поглощённые ячейки
+  bus.batch(() => mergeRange(model, 0, 0, 1, 1));
+  history.record();
+  const merged = state(model);
+  assert(model.getCell(0,0).value === 'a b c' && !model.getCell(1,1), 'Объединение склеило значения');
+  history.undo();
+  assert(model.getCell(1,1).data['data-role'] === 'total' && model.getCell(0,1).classes[0] === 'x', 'Поглощённые ячейки вернулись с оформлением');
+  history.undo();
+  assert(state(model) === initial, 'Классы и data-* откатились');
+  history.redo();
+  history.redo();
+  assert(state(model) === merged, 'Повтор объединения');
+  // Разделение создаёт ячейки — откат убирает их, а не оставляет под объединением
+  bus.batch(() => splitCell(model, 0, 0));
+  history.record();
+  assert(model.getCell(1,1) && model.getCell(0,0).rowSpan === 1, 'Разделено');
+  history.undo();
+  assert(state(model) === merged && !model.getCell(1,1), 'Откат разделения');
+  console.log('testCellFieldsAndMergeHistory OK');
+}
+
+export function testHtmlPasteHistory() {
+  const { bus, model, history } = createEnv({ version:1, meta:{ name:'Paste' }, grid:{ rows:3, cols:3 }, cells:[
+    { r:0, c:0, value:'old', rowSpan:2, colSpan:2 },
+    { r:2, c:2, value:'keep', rowSpan:1, colSpan:1 }
+  ]});
+  const initial = state(model);
+  const parsed = {
+    rows: 2,
+    cols: 4,
+    cells: [
+      { r:0, c:0, value:'X', rowSpan:1, colSpan:1 },
+      { r:0, c:1, value:'Y', rowSpan:2, colSpan:2 },
+      { r:1, c:3, value:'W', rowSpan:1, colSpan:1 }
+    ]
+  };
+  bus.batch(() => applyHtmlTablePaste(model, 0, 0, parsed));
+  const pasted = state(model);
+  assert(history.index === 1, 'Вставка в batch — один шаг');
+  assert(model.grid.cols === 4 && model.getCell(0,1).colSpan === 2 && model.getCell(0,0).rowSpan === 1, 'Вставка расширила таблицу и сменила объединения');
+  history.undo();
+  assert(state(model) === initial, 'Откат вставки возвращает объединение и размер: ' + state(model));
+  history.redo();
+  assert(state(model) === pasted, 'Повтор вставки');
+  console.log('testHtmlPasteHistory OK');
+}
+
+export function testDocumentAndLimits() {
+  const { bus, model, history } = createEnv();
+  model.setCellValue(0, 0, 'before');
+  history.record();
+  const initial = state(model);
+  applyImportedDocument(model, { version:1, meta:{ name:'Imported' }, grid:{ rows:4, cols:1 }, cells:[{ r:3, c:0, value:'new', rowSpan:1, colSpan:1 }] }, bus);
+  history.record();
+  history.undo();
+  assert(state(model) === initial, 'Импорт откатывается к прежней таблице');
+  history.redo();
+  assert(model.meta.name === 'Imported' && model.getCell(3,0).value === 'new', 'Повтор импорта');
+  // Глубина: шагов не больше limit, самые старые отбрасываются
+  const limited = createEnv();
+  limited.history.limit = 3;
+  for (let i = 0; i < 5; i++) {
+    limited.model.setCellValue(0, 0, String(i));
+    limited.history.record();
+  }
+  assert(limited.history.steps.length === 3 && limited.history.index === 3, 'Хранятся 3 последних шага');
+  while (limited.history.undo());
+  assert(limited.model.getCell(0,0).value === '1', 'Откат доходит до самого старого сохранённого шага');
+  // Вес: суммарная длина патчей ограничена maxWeight
+  const light = createEnv();
+  light.history.maxWeight = 400;
+  for (let i = 0; i < 10; i++) {
+    light.model.setCellValue(1, 1, 'x'.repeat(60) + i);
+    light.history.record();
+  }
+  assert(light.history.weight <= 400 && light.history.steps.length < 10, 'Старые шаги отброшены по весу: ' + light.history.steps.length);
+  console.log('testDocumentAndLimits OK');
+}
+
+export function testStepLabelsAndGoTo() {
+  const { bus, model, history } = createEnv({ version:1, meta:{ name:'Labels' }, grid:{ rows:3, cols:4 }, cells:[] });
+  const states = [];
+  bus.on('history:change', e => states.push(e));
+  model.setCellValue(1, 1, 'x');
+  assert(states.length === 1 && states[0].canUndo && states[0].index === 0, 'Начало незаписанной правки включает undo');
+  history.record();
+  bus.batch(() => mergeRange(model, 1, 1, 2, 3));
+  bus.batch(() => model.insertRows(0, 2));
+  bus.batch(() => applyHtmlTablePaste(model, 0, 0, { rows: 2, cols: 4, cells: [{ r:0, c:0, value:'p', rowSpan:1, colSpan:1 }] }));
+  bus.batch(() => { for (let c = 0; c < 3; c++) model.setCellValue(0, c, ''); });
+  const labels = history.steps.map(step => step.label);
+  assert(labels.join('|') === 'Изменение B2|Объединение B2:D3|Добавление 2 строк|Вставка 8 ячеек|Очистка 3 ячеек', 'Подписи шагов: ' + labels.join('|'));
+  assert(history.steps.every(step => typeof step.time === 'number' && step.time <= Date.now()), 'Шаги хранят время записи');
+  const last = states[states.length - 1];
+  assert(last.index === 5 && last.length === 5 && last.canUndo && !last.canRedo, 'history:change после записи шага');
+  const final = state(model);
+  // Переход назад на несколько шагов и вперёд
+  const count = states.length;
+  assert(history.goTo(2), 'Переход к шагу 2');
+  assert(states.length === count + 1 && states[count].index === 2 && states[count].canRedo, 'Переход — одно событие history:change');
+  assert(model.grid.rows === 3 && model.getCell(1, 1).colSpan === 3, 'Состояние после объединения');
+  assert(!history.goTo(2) && !history.goTo(9), 'Переход к текущему или несуществующему шагу ничего не делает');
+  history.goTo(0);
+  assert(model.cells.length === 0, 'Шаг 0 — исходная таблица');
+  history.goTo(5);
+  assert(state(model) === final, 'Переход к последнему шагу повторяет все');
+  // Панель истории: строка исходного состояния + шаги, текущий выделен, клик переходит к шагу
+  const panel = setupHistoryPanel({ history, bus });
+  const items = panel.element.querySelectorAll('.tablegen-history-item');
+  assert(items.length === 6 && items[2].textContent.startsWith('Объединение B2:D3'), 'Панель показывает шаги');
+  assert(items[5].classList.contains('tablegen-history-item-current'), 'Текущий шаг выделен');
+  items[3].click();
+  assert(history.index === 3 && panel.element.querySelectorAll('.tablegen-history-item-undone').length === 2, 'Клик по шагу — переход, дальнейшие шаги приглушены');
+  history.undo();
+  history.clear();
+  assert(states[states.length - 1].length === 0 && !states[states.length - 1].canUndo, 'Очистка сообщает об отсутствии шагов');
+  assert(panel.element.querySelectorAll('.tablegen-history-item').length === 1, 'Панель очищена');
+  panel.destroy();
+  console.log('testStepLabelsAndGoTo OK');
+}
+
+export function testSelectionRestore() {
+  const { bus, model, history } = createEnv({ version:1, meta:{ name:'View' }, grid:{ rows:3, cols:3 }, cells:[] });
+  const renderer = new TableRenderer(model, bus);
+  renderer.render();
+  const scroller = document.createElement('div');
+  scroller.className = 'tablegen-table-scroll';
+  scroller.appendChild(renderer.tableEl);
+  const selection = new SelectionService(model, renderer, bus);
+  history.setViewState({
+    capture: () => selection.getViewState(),
+    restore: (view) => { renderer.render(); selection.restoreViewState(view); }
+  });
+  // Правка без batch: выделение до и после — выбранная ячейка
+  selection.select(2, 2);
+  model.setCellValue(2, 2, 'x');
+  history.record();
+  // Операция в batch, как на панели действий: вставка строки сдвигает выделение внутри того же batch
+  selection.startRange(0, 0);
+  selection.updateRange(1, 1);
+  selection.commitRange();
+  scroller.scrollLeft = 40;
+  bus.batch(() => {
+    model.insertRows(0, 1);
+    selection.clearRange();
+    selection.select(1, 0);
+  });
+  scroller.scrollLeft = 0;
+  selection.select(0, 2);
+  assert(history.undo(), 'undo выполнен');
+  const rect = selection.getRange();
+  assert(selection.hasRange() && rect.r1 === 0 && rect.c2 === 1 && rect.r2 === 1, 'Откат возвращает диапазон, бывший до шага');
+  assert(selection.getSelected().r === 2 && selection.getSelected().c === 2 && scroller.scrollLeft === 40, 'Откат возвращает выбранную ячейку и прокрутку');
+  assert(renderer.tableEl.querySelectorAll('.tablegen-range-cell').length === 4, 'Диапазон подсвечен после перерисовки');
+  history.redo();
+  assert(!selection.hasRange() && selection.getSelected().r === 1 && selection.getSelected().c === 0, 'Повтор возвращает выделение после шага');
+  // Выделение за пределами таблицы (строки удалены последующим шагом) пропускается
+  history.goTo(0);
+  assert(selection.getSelected().r === 2 && selection.getSelected().c === 2, 'Переход к началу — выделение до первого шага');
+  bus.batch(() => model.deleteRows(1, 2));
+  history.undo();
+  history.setViewState(null);
+  history.redo();
+  assert(model.grid.rows === 1 && selection.getSelected().r === 2, 'Без подключённого вида выделение не трогается');
+  console.log('testSelectionRestore OK');
+}
+
+export function testUndoTree() {
+  const { bus, model, history } = createEnv();
+  model.setCellValue(0, 0, 'A');
+  history.record(); // id 1
+  const stepA = history.currentId;
+  model.setCellValue(0, 1, 'B');
+  history.record(); // ветка 1: A -> B
+  const stepB = history.currentId;
+  history.undo();
+  model.setCellValue(1, 0, 'C');
+  history.record(); // ветка 2: A -> C
+  const stepC = history.currentId;
+  const withC = state(model);
+  assert(history.nodes.get(stepA).children.join() === [stepB, stepC].join(), 'У шага A две ветки');
+  // Переход в заброшенную ветку: откат до общего предка и повтор до цели
+  assert(history.goTo(stepB), 'Переход в другую ветку');
+  assert(model.getCell(0, 1).value === 'B' && !model.getCell(1, 0), 'Состояние ветки B');
+  history.undo();
+  assert(history.redo() && history.currentId === stepB, 'redo идёт по последней посещённой ветке');
+  history.goTo(stepC);
+  assert(state(model) === withC, 'Возврат в ветку C');
+  // Панель: альтернативная ветка с отступом и курсивом
+  const panel = setupHistoryPanel({ history, bus });
+  const branchItem = panel.element.querySelector(`[data-history-step="${stepB}"]`);
+  assert(branchItem.classList.contains('tablegen-history-item-branch'), 'Шаг другой ветки помечен');
+  const forkItem = panel.element.querySelector(`[data-history-step="${stepC}"]`);
+  assert(forkItem.style.getPropertyValue('--tg-history-level') === '1' && forkItem.textContent.startsWith('↳'), 'Ответвление с отступом');
+  panel.destroy();
+  // Сериализация вместе с документом: новая сессия продолжает с теми же ветками
+  const json = toJson(model, { history });
+  const parsed = parseTableJson(json);
+  assert(parsed.ok && parsed.doc.history.steps.length === 4, 'Документ несёт дерево истории');
+  assert(JSON.parse(toJson(model)).history === undefined, 'Без опции history дерево не экспортируется');
+  const { history: savedHistory, ...doc } = parsed.doc;
+  const resumed = createEnv(doc);
+  assert(resumed.history.load(savedHistory).ok, 'Дерево загружено');
+  assert(resumed.history.currentId === stepC && resumed.history.index === 2, 'Текущий шаг восстановлен');
+  resumed.history.goTo(stepB);
+  assert(resumed.model.getCell(0, 1).value === 'B' && !resumed.model.getCell(1, 0), 'Ветка доступна после загрузки');
+  resumed.history.goTo(resumed.history.rootId);
+  assert(resumed.model.cells.length === 0, 'Откат до корня в новой сессии');
+  assert(!resumed.history.load({ version: 1, root: 0, current: 5, steps: [] }).ok, 'Некорректное дерево отклоняется');
+  assert(resumed.history.nodes.size === 4, 'После ошибки загрузки история прежняя');
+  assert(!parseTableJson(JSON.stringify({ ...doc, history: [] })).ok, 'Поле history проверяется при импорте');
+  // Ограничение: отбрасывается самый старый шаг — начало истории или лист заброшенной ветки
+  history.limit = 3;
+  model.setCellValue(2, 0, 'D');
+  history.record();
+  assert(history.nodes.size === 4 && history.rootId === stepA && history.nodes.get(stepA).patches.length === 0, 'Корень сдвинут на первый шаг');
+  model.setCellValue(2, 1, 'E');
+  history.record();
+  assert(history.nodes.size === 4 && !history.nodes.has(stepB) && history.index === 3, 'Отброшен лист другой ветки');
+  console.log('testUndoTree OK');
+}
+
+export function testFailedStep() {
+  // Шаг, который нельзя применить (перемещение за пределы таблицы): undo / redo / goTo сообщают false, история очищается
+  const broken = () => [{ kind: 'structure', type: 'moveRows', from: 9, count: 1, to: 0, gridBefore: {}, gridAfter: {} }];
+  const { model, history } = createEnv();
+  const originalError = console.error;
+  console.error = () => {};
+  try {
+    model.setCellValue(0, 0, 'A');
+    history.record();
+    history.nodes.get(history.currentId).patches = broken();
+    assert(history.undo() === false && !history.canUndo() && history.nodes.size === 1, 'Неудачный undo возвращает false');
+    model.setCellValue(0, 1, 'B');
+    history.record();
+    const step = history.currentId;
+    history.undo();
+    history.nodes.get(step).patches = broken();
+    assert(history.redo() === false && !history.canRedo(), 'Неудачный redo возвращает false');
+    model.setCellValue(1, 1, 'C');
+    history.record();
+    history.nodes.get(history.currentId).patches = broken();
+    assert(history.goTo(history.rootId) === false && history.nodes.size === 1, 'Неудачный goTo возвращает false');
+  } finally {
+    console.error = originalError;
+  }
+  console.log('testFailedStep OK');
+}
+
+export function testLoadValidatesPatches() {
+  // Дерево из файла проверяется целиком до загрузки: испорченный патч отклоняет всё дерево, история остаётся прежней
+  const { bus, model, history } = createEnv({ version:1, meta:{ name:'Load' }, grid:{ rows:3, cols:3 }, cells:[] });
+  const validator = new ValidationService(model);
+  validator.initRegistry(TABLEGEN_REGISTRY);
+  model.setCellValue(0, 0, '1');
+  model.setCellClasses(0, 0, ['numeric']);
+  history.record();
+  bus.batch(() => model.insertRows(1, 2));
+  history.record();
+  applyImportedDocument(model, { version:1, meta:{ name:'Other' }, grid:{ rows:2, cols:2 }, cells:[{ r:1, c:1, value:'x', rowSpan:1, colSpan:1 }] }, bus);
+  history.record();
+  model.setCellValue(1, 0, 'y');
+  history.record();
+  const saved = history.toJSON();
+  const doc = model.toJSON();
+  const load = (tamper) => {
+    const data = structuredClone(saved);
+    if (tamper) tamper(data.steps.flatMap(step => step.patches));
+    const env = createEnv(structuredClone(doc));
+    return { env, res: env.history.load(data, { validator }) };
+  };
+  const valid = load();
+  assert(valid.res.ok && valid.env.history.index === 4, 'Корректное дерево загружается');
+  valid.env.history.goTo(valid.env.history.rootId);
+  assert(valid.env.model.grid.rows === 3 && !valid.env.model.getCell(0, 0), 'Загруженное дерево откатывается до корня');
+  const byKind = (patches, kind, field) => patches.find(p => p.kind === kind && (!field || p.field === field));
+  const broken = [
+    [patches => { byKind(patches, 'cell', 'classes').newValue = ['no-such-class']; }, 'неизвестный класс'],
+    [patches => { byKind(patches, 'cell', 'classes').newValue = ['numeric', 'text']; }, 'exclusiveGroup'],
+    [patches => { Object.assign(byKind(patches, 'cell', 'classes'), { field: 'data', newValue: { 'data-unknown': 1 } }); }, 'неизвестный data-атрибут'],
+    [patches => { byKind(patches, 'cell', 'value').r = 4; }, 'вне таблицы'],
+    [patches => { byKind(patches, 'cell', 'value').field = '__proto__'; }, 'неизвестное поле'],
+    [patches => { byKind(patches, 'document').docBefore.cells.push({ r:0, c:1, value:'', classes:['evil'] }); }, 'неизвестный класс'],
+    [patches => { byKind(patches, 'document').docAfter.grid.rows = 0; }, 'grid'],
+    [patches => { byKind(patches, 'structure').type = 'explode'; }, 'неизвестная структурная операция'],
+    [patches => { byKind(patches, 'structure').index = 7; }, 'линии вне таблицы'],
+    [patches => { byKind(patches, 'document').docAfter.grid.cols = 3; }, 'не соответствует']
+  ];
+  for (const [tamper, reason] of broken) {
+    const { env, res } = load(tamper);
+    assert(!res.ok && res.error.includes(reason), `Испорченный патч отклоняется (${reason}): ${res.error}`);
+    assert(env.history.nodes.size === 1 && !env.history.canUndo(), 'После отказа история прежняя');
+  }
+  console.log('testLoadValidatesPatches OK');
+}
+
 export function testDebounceGrouping(doneCallback) {
   const { model, history, debounced } = createEnv();
   // Сделаем несколько быстрых изменений через debounced.schedule()
@@ -71,7 +411,9 @@ export function testDebounceGrouping(doneCallback) {
   assert(history.index === 0, 'Пока debounce не завершён, индекс должен быть 0');
   // Ждём 120 мс (больше 50) чтобы debounce отработал
   setTimeout(() => {
-    assert(history.index === 1, 'После debounce должен быть один новый snapshot (index 1)');
+    assert(history.index === 1, 'После debounce должен быть один новый шаг (index 1)');
+    history.undo();
+    assert(!model.getCell(0,0), 'Один undo откатывает всю серию');
     console.log('testDebounceGrouping OK');
     if (doneCallback) doneCallback();
   }, 120);
@@ -80,6 +422,14 @@ export function testDebounceGrouping(doneCallback) {
 export function runHistoryTests() {
   testBasicUndoRedo();
   testRedoInvalidatedAfterNewEdit();
+  testCellFieldsAndMergeHistory();
+  testHtmlPasteHistory();
+  testDocumentAndLimits();
+  testStepLabelsAndGoTo();
+  testSelectionRestore();
+  testUndoTree();
+  testFailedStep();
+  testLoadValidatesPatches();
   // Для debounce используем асинхронный паттерн — завершим цепочку в конце timeout
   testDebounceGrouping(() => {
     console.log('All history tests passed');
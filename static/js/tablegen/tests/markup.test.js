@@ -0,0 +1,109 @@
+// markup.test.js
+// Тесты текстовых экспортёров разметки: GFM (политики для merge, шапка, экранирование), AsciiDoc (спецификаторы объединений)
+// и LaTeX (multicolumn / multirow, экранирование, выравнивание по классам, longtable).
+
+import { EventBus } from '../core/events/EventBus.js';
+import { TableModel } from '../core/model/TableModel.js';
+import { toMarkdown } from '../integration/export/toMarkdown.js';
+import { toAsciiDoc } from '../integration/export/toAsciiDoc.js';
+import { toLatex } from '../integration/export/toLatex.js';
+
+function assert(cond, message) {
+  if (!cond) {
+    console.error('TEST FAIL:', message);
+    throw new Error(message);
+  }
+}
+
+function createModel(doc) {
+  const bus = new EventBus();
+  return new TableModel({ version:1, meta:{ name:'MarkupTest' }, ...doc }, bus);
+}
+
+function spanModel() {
+  return createModel({
+    grid:{ rows:3, cols:3, headerRows:1 },
+    cells:[
+      { r:0, c:0, value:'Шапка', rowSpan:1, colSpan:2 },
+      { r:0, c:2, value:'X', rowSpan:1, colSpan:1 },
+      { r:1, c:0, value:'A', rowSpan:2, colSpan:1 },
+      { r:1, c:1, value:'H<sub>2</sub>O', rowSpan:1, colSpan:1 },
+      { r:1, c:2, value:'<i>курсив</i> a|b', rowSpan:1, colSpan:1 },
+      { r:2, c:1, value:'x<sup>2</sup><br><u>y</u>', rowSpan:1, colSpan:1 }
+    ]
+  });
+}
+
+export function testMarkdownExport() {
+  const blank = toMarkdown(spanModel(), { pretty:false });
+  const lines = blank.trim().split('\n');
+  assert(lines[0] === '| Шапка |  | X |', 'headerRows -> строка заголовка, покрытая ячейка пустая: ' + lines[0]);
+  assert(lines[1] === '| --- | --- | --- |', 'Разделитель заголовка');
+  assert(lines[2] === '| A | H<sub>2</sub>O | *курсив* a\\|b |', 'Теги конвертируются, | экранируется: ' + lines[2]);
+  assert(lines[3] === '|  | x<sup>2</sup><br><ins>y</ins> |  |', 'blank: покрытая merge координата пустая: ' + lines[3]);
+  const repeat = toMarkdown(spanModel(), { pretty:false, spanFallback:'repeat' }).split('\n');
+  assert(repeat[0] === '| Шапка | Шапка | X |' && repeat[3].startsWith('| A |'), 'repeat: значение повторяется по области');
+  const pretty = toMarkdown(spanModel()).split('\n');
+  assert(pretty[0].length === pretty[1].length && pretty[1].length === pretty[2].length, 'pretty выравнивает столбцы');
+  const noHeader = toMarkdown(createModel({ grid:{ rows:1, cols:2, headerRows:0 }, cells:[{ r:0, c:0, value:'a*b', rowSpan:1, colSpan:1 }] }), { pretty:false });
+  assert(noHeader === '|  |  |\n| --- | --- |\n| a\\*b |  |\n', 'Без шапки выводится пустой заголовок: ' + noHeader);
+  console.log('testMarkdownExport OK');
+}
+
+export function testAsciiDocExport() {
+  const adoc = toAsciiDoc(spanModel());
+  const lines = adoc.trim().split('\n');
+  assert(lines[0] === '[cols="3*",options="header"]' && lines[1] === '|===', 'Атрибуты таблицы: ' + lines[0]);
+  assert(lines[2] === '2+|Шапка |X', 'colspan -> 2+|: ' + lines[2]);
+  assert(lines[4] === '.2+|A |H~2~O |__курсив__ a\\|b', 'rowspan -> .2+|, теги конвертируются: ' + lines[4]);
+  assert(adoc.includes('|x^2^ +\n[.underline]#y# |'), '<br> -> жёсткий перенос, <u> -> underline');
+  assert(lines[lines.length - 1] === '|===', 'Таблица закрыта');
+
+  const twoHeaders = createModel({
+    grid:{ rows:3, cols:2, headerRows:2, columnSizes:[{v:1,u:'ratio'},{v:3,u:'ratio'}] },
+    cells:[
+      { r:0, c:0, value:'A', rowSpan:2, colSpan:2 },
+      { r:2, c:0, value:'1', rowSpan:1, colSpan:1 }
+    ]
+  });
+  const out = toAsciiDoc(twoHeaders, { title:true }).split('\n');
+  assert(out[0] === '.MarkupTest' && out[1] === '[cols="25,75",options="header"]', 'Заголовок блока и пропорции столбцов: ' + out[1]);
+  assert(out[3] === '2.2+|A', 'Комбинированный спецификатор colspan.rowspan');
+  assert(out[5] === '', 'Строка целиком покрыта объединением — пустая');
+  assert(out[7] === '|1 |', 'Пустая ячейка выводится как |');
+  console.log('testAsciiDocExport OK');
+}
+
+export function testLatexExport() {
+  const model = createModel({
+    grid:{ rows:4, cols:3, headerRows:1 },
+    cells:[
+      { r:0, c:0, value:'Группа', rowSpan:1, colSpan:2 },
+      { r:0, c:2, value:'Итог', rowSpan:1, colSpan:1 },
+      { r:1, c:0, value:'50% & $5_x', rowSpan:2, colSpan:2 },
+      { r:1, c:2, value:'10', rowSpan:1, colSpan:1, classes:['numeric'] },
+      { r:2, c:2, value:'20', rowSpan:1, colSpan:1, classes:['numeric'] },
+      { r:3, c:0, value:'x<sup>2</sup><br><i>y</i>', rowSpan:1, colSpan:1 },
+      { r:3, c:2, value:'н/д', rowSpan:1, colSpan:1, classes:['text'] }
+    ]
+  });
+  const lines = toLatex(model).trim().split('\n');
+  assert(lines[0] === '% \\usepackage{booktabs, multirow, makecell}', 'Список пакетов: ' + lines[0]);
+  assert(lines[1] === '\\begin{tabular}{llr}', 'numeric -> r в спецификации столбцов: ' + lines[1]);
+  assert(lines[3] === '\\multicolumn{2}{c}{Группа} & Итог \\\\', 'Объединение в шапке -> multicolumn: ' + lines[3]);
+  assert(lines[4] === '\\midrule', 'midrule после headerRows');
+  assert(lines[5] === '\\multicolumn{2}{l}{\\multirow{2}{*}{50\\% \\& \\$5\\_x}} & 10 \\\\', 'multirow внутри multicolumn, спецсимволы экранированы: ' + lines[5]);
+  assert(lines[6] === '\\multicolumn{2}{l}{} & 20 \\\\', 'Строка под multirow получает пустой multicolumn: ' + lines[6]);
+  assert(lines[7] === '\\makecell[l]{x\\textsuperscript{2}\\\\\\textit{y}} &  & \\multicolumn{1}{l}{н/д} \\\\', 'Теги, <br> через makecell, класс text переопределяет выравнивание: ' + lines[7]);
+  assert(lines[8] === '\\bottomrule' && lines[9] === '\\end{tabular}', 'Закрывающие линейка и окружение');
+  const long = toLatex(model, { environment:'longtable', packagesComment:false });
+  assert(long.startsWith('\\begin{longtable}{llr}') && long.includes('\\midrule\n\\endhead'), 'longtable повторяет шапку через endhead');
+  console.log('testLatexExport OK');
+}
+
+export function runMarkupTests() {
+  testMarkdownExport();
+  testAsciiDocExport();
+  testLatexExport();
+  console.log('All markup export tests passed');
+}
@@ -5,6 +5,12 @@
 import { EventBus } from '../core/events/EventBus.js';
 import { TableModel } from '../core/model/TableModel.js';
 import { applyPaste, applyHtmlTablePaste } from '../core/services/PasteService.js';
+import { ValidationService } from '../core/services/ValidationService.js';
+import { HistoryService } from '../core/services/HistoryService.js';
+import { pasteAtAnchor, readClipboardPayload, transposePayload } from '../core/services/ClipboardPasteService.js';
+import { HistoryDebounceRecorder } from '../app/HistoryDebounce.js';
+import { parseClipboardHtmlTable } from '../integration/import/parseClipboardHtmlTable.js';
+import { TABLEGEN_REGISTRY } from '../config/registry.index.js';
 
 // Утилита для assert
 function assert(cond, message) {
@@ -55,9 +61,176 @@ export function testHtmlPasteWithMerge() {
   console.log('testHtmlPasteWithMerge OK');
 }
 
+export function testHtmlPasteKeepsFormatting() {
+  // Фрагмент в духе Word: абзацы, span со стилями, em и sup
+  const html = '<table><tr><td><p class="MsoNormal"><span style="font-family:Calibri">Строка <em>1</em></span></p>'
+    + '<p class="MsoNormal">м<sup>2</sup></p></td><td>H<sub>2</sub>O<img src="x" onerror="window.__pasteXss=1"></td></tr></table>';
+  const parsed = parseClipboardHtmlTable(html);
+  assert(parsed.success && parsed.rows === 1 && parsed.cols === 2, 'HTML фрагмент разобран');
+  assert(parsed.cells[0].value === 'Строка <i>1</i><br>м<sup>2</sup>', 'Абзацы -> <br>, em -> <i>, span снимается: ' + parsed.cells[0].value);
+  assert(parsed.cells[1].value === 'H<sub>2</sub>O', 'sub сохраняется, img отбрасывается');
+  console.log('testHtmlPasteKeepsFormatting OK');
+}
+
+export function testHtmlPasteMapsSourceAttributes() {
+  const { model } = createEmptyModel(3,3);
+  const validator = new ValidationService(model);
+  validator.initRegistry(TABLEGEN_REGISTRY);
+  const mappings = validator.getImportMappings();
+  const html = '<table><tr><td style="background-color:#ff0">A</td><td style="background-color:transparent">B</td></tr>'
+    + '<tr><td class="total" style="text-align:right">10</td><td style="font-weight:700;text-align:left">C</td></tr></table>';
+  const parsed = parseClipboardHtmlTable(html, { mappings });
+  const at = (r, c) => parsed.cells.find(x => x.r === r && x.c === c);
+  assert(JSON.stringify(at(0,0).classes) === '["color-highlight"]', 'Заливка -> color-highlight');
+  assert(!at(0,1).classes && !at(0,1).data, 'Прозрачная заливка не считается оформлением');
+  assert(JSON.stringify(at(1,0).classes) === '["numeric"]' && at(1,0).data['data-role'] === 'total', 'text-align:right -> numeric, class total -> data-role');
+  assert(!at(1,1).classes && at(1,1).data['data-role'] === 'header', 'Жирный -> data-role=header, text-align:left не совпадает с values');
+  applyHtmlTablePaste(model, 0, 0, parsed);
+  assert(model.getCell(1,0).classes[0] === 'numeric' && model.getCell(1,0).data['data-role'] === 'total', 'Классы и data-* попадают в модель');
+  assert(validator.validateDocument(model.toJSON()).valid, 'Результат вставки проходит STRICT проверку');
+  // Без правил (или с пустым списком) оформление игнорируется
+  const plain = parseClipboardHtmlTable(html);
+  assert(plain.cells.every(c => !c.classes && !c.data), 'Без importMappings классы не назначаются');
+  console.log('testHtmlPasteMapsSourceAttributes OK');
+}
+
+export function testImportMappingsChecked() {
+  const { model } = createEmptyModel(1,1);
+  const validator = new ValidationService(model);
+  const warn = console.warn;
+  console.warn = () => {}; // ожидаемые предупреждения о пропущенных правилах
+  try {
+    validator.initRegistry({ ...TABLEGEN_REGISTRY, importMappings: [
+      { style: 'Color', classes: ['no-such-class'] },
+      { classes: ['numeric'] },
+      { sourceClass: 'sum', data: { 'data-role': 'grand', 'data-format': 'number' } },
+      { style: 'Text-Align', values: ['RIGHT'], classes: ['numeric', 'unknown'] }
+    ]});
+  } finally {
+    console.warn = warn;
+  }
+  const rules = validator.getImportMappings();
+  assert(rules.length === 2, 'Правила без условия и без допустимого результата отброшены');
+  assert(JSON.stringify(rules[0]) === '{"sourceClass":"sum","data":{"data-format":"number"}}', 'Недопустимое значение data-* отброшено');
+  assert(JSON.stringify(rules[1]) === '{"style":"text-align","values":["right"],"classes":["numeric"]}', 'Стиль и значения приведены к нижнему регистру');
+  console.log('testImportMappingsChecked OK');
+}
+
+/** Минимальная замена DataTransfer для readClipboardPayload */
+function fakeClipboard(data) {
+  return { getData: (type) => data[type] || '' };
+}
+
+export function testPasteAtAnchorGrowsGrid() {
+  const { model } = createEmptyModel(3,3);
+  const validator = new ValidationService(model);
+  const payload = readClipboardPayload(fakeClipboard({ 'text/plain': 'a\tb\tc\r\nd\r\n' }));
+  assert(payload.type === 'text' && payload.matrix[1].length === 3, 'Неровные строки TSV дополняются до прямоугольника');
+  const res = pasteAtAnchor(model, { r:2, c:1 }, payload, { validator });
+  assert(res.ok && res.rows === 2 && res.cols === 3, 'Вставка выполнена');
+  assert(model.grid.rows === 4 && model.grid.cols === 4, 'Таблица расширена до 4x4: ' + model.grid.rows + 'x' + model.grid.cols);
+  assert(model.getCell(2,1).value === 'a' && model.getCell(2,3).value === 'c' && model.getCell(3,1).value === 'd', 'Значения легли от якоря');
+  assert(!model.getCell(0,0), 'Ячейки вне области не тронуты');
+  console.log('testPasteAtAnchorGrowsGrid OK');
+}
+
+export function testPasteMergeConflicts() {
+  const { model } = createEmptyModel(4,4);
+  const validator = new ValidationService(model);
+  model.setCellValue(1,1,'M');
+  Object.assign(model.getCell(1,1), { rowSpan:2, colSpan:2 });
+  const before = JSON.stringify(model.toJSON());
+  const payload = readClipboardPayload(fakeClipboard({ 'text/plain': '1\t2\n3\t4' }));
+  // Область (0,0)-(1,1) режет объединение (1,1)-(2,2)
+  const res = pasteAtAnchor(model, { r:0, c:0 }, payload, { validator });
+  assert(!res.ok && /объединения \(1,1\)/.test(res.error), 'Конфликт с merge отклонён: ' + res.error);
+  assert(JSON.stringify(model.toJSON()) === before, 'При конфликте модель не меняется');
+  // Одиночное значение в ведущую ячейку объединения — просто замена значения
+  const single = pasteAtAnchor(model, { r:1, c:1 }, readClipboardPayload(fakeClipboard({ 'text/plain': 'X\n' })), { validator });
+  assert(single.ok && model.getCell(1,1).value === 'X' && model.getCell(1,1).rowSpan === 2, 'Значение заменено, merge сохранён');
+  // Область, целиком содержащая объединение, заменяет его структурой вставки
+  const html = '<table><tr><td>a</td><td>b</td><td>c</td></tr><tr><td colspan="2">d</td><td>e</td></tr><tr><td>f</td><td>g</td><td>h</td></tr></table>';
+  const covering = pasteAtAnchor(model, { r:0, c:0 }, readClipboardPayload(fakeClipboard({ 'text/html': html, 'text/plain': 'ignored' })), { validator });
+  assert(covering.ok && covering.type === 'html', 'HTML таблица приоритетнее текста');
+  assert(model.getCell(1,0).colSpan === 2 && model.getCell(2,2).value === 'h' && model.getCell(1,1) === undefined, 'Структура вставки заменила объединение');
+  assert(validator.validateDocument(model.toJSON()).valid, 'Итоговый документ корректен');
+  console.log('testPasteMergeConflicts OK');
+}
+
+export function testPasteIsSingleHistoryStep() {
+  const { model, bus } = createEmptyModel(2,2);
+  const history = new HistoryService(model, bus, { limit: 20 });
+  const debounced = new HistoryDebounceRecorder(history, 50, bus);
+  for (const evt of ['cell:change', 'structure:change', 'paste']) bus.on(evt, () => debounced.schedule());
+  const res = pasteAtAnchor(model, { r:1, c:1 }, readClipboardPayload(fakeClipboard({ 'text/plain': 'a\tb\nc\td' })), { validator: new ValidationService(model) });
+  assert(res.ok && model.grid.rows === 3 && model.grid.cols === 3, 'Вставка с расширением');
+  assert(history.index === 1 && !debounced._timer, 'Вся вставка — один шаг истории, отложенных записей нет');
+  assert(history.undo(), 'undo выполнен');
+  assert(model.grid.rows === 2 && model.cells.length === 0, 'Undo возвращает таблицу до вставки целиком');
+  console.log('testPasteIsSingleHistoryStep OK');
+}
+
 // Запуск всех тестов (можно вызвать из консоли импортировав модуль)
+export function testPasteSpecialModes() {
+  const html = '<table><tr><td colspan="2" class="numeric">AB</td><td></td></tr><tr><td>1</td><td class="text"></td><td>3</td></tr></table>';
+  const makeModel = () => {
+    const { model, bus } = createEmptyModel(3, 3);
+    model.setCellValue(0, 0, 'keep');
+    model.setCellValue(1, 1, 'old');
+    model.setCellClasses(1, 0, ['text']);
+    model.cells.push({ r:2, c:1, value:'M', rowSpan:1, colSpan:2 });
+    model._rebuildIndex();
+    const validator = new ValidationService(model);
+    validator.initRegistry(TABLEGEN_REGISTRY);
+    let flushes = 0;
+    bus.on('batch:flush', () => flushes++);
+    return { model, validator, flushes: () => flushes };
+  };
+  const payload = () => readClipboardPayload(fakeClipboard({ 'text/html': html }), { keepSourceAttributes: true });
+
+  // Только значения: объединения и классы таблицы остаются, покрытая позиция фрагмента (0,1) пропускается
+  let t = makeModel();
+  let res = pasteAtAnchor(t.model, { r:0, c:0 }, payload(), { validator: t.validator, mode: 'values' });
+  assert(res.ok && t.flushes() === 1, 'Только значения одним шагом');
+  assert(t.model.getCell(0,0).value === 'AB' && t.model.getCell(0,0).colSpan === 1 && !t.model.getCell(0,0).classes, 'Структура и оформление источника не переносятся');
+  assert(t.model.getCell(1,0).value === '1' && t.model.getCell(1,0).classes[0] === 'text', 'Классы таблицы сохранены');
+  assert(t.model.getCell(1,1).value === '', 'Пустое значение затирает');
+
+  // Только оформление: значения не меняются, ячейка без классов снимает классы таблицы
+  t = makeModel();
+  res = pasteAtAnchor(t.model, { r:0, c:0 }, payload(), { validator: t.validator, mode: 'formats' });
+  assert(res.ok && t.model.getCell(0,0).value === 'keep' && t.model.getCell(0,0).classes[0] === 'numeric', 'Классы без значений');
+  assert(!t.model.getCell(1,0).classes && t.model.getCell(1,1).classes[0] === 'text', 'Оформление заменено целиком');
+  const plain = readClipboardPayload(fakeClipboard({ 'text/plain': 'a' }));
+  assert(!pasteAtAnchor(t.model, { r:0, c:0 }, plain, { validator: t.validator, mode: 'formats' }).ok, 'В тексте нет оформления');
+
+  // Пропуск пустых: пустая (1,1) не затирает 'old', объединение источника применяется
+  t = makeModel();
+  res = pasteAtAnchor(t.model, { r:0, c:0 }, payload(), { validator: t.validator, skipBlanks: true });
+  assert(res.ok && t.flushes() === 1 && t.model.getCell(0,0).colSpan === 2, 'Структура источника применена');
+  assert(t.model.getCell(1,1).value === 'old', 'Пустая ячейка пропущена');
+
+  // Транспонирование: colspan становится rowspan; область (0,0)-(2,1) режет объединение (2,1) 1x2 — отказ
+  const transposed = transposePayload(payload());
+  assert(transposed.parsed.rows === 3 && transposed.parsed.cells.find(c => c.r === 0 && c.c === 0).rowSpan === 2, 'Спаны меняются местами');
+  t = makeModel();
+  const before = JSON.stringify(t.model.toJSON());
+  res = pasteAtAnchor(t.model, { r:0, c:0 }, payload(), { validator: t.validator, transpose: true });
+  assert(!res.ok && JSON.stringify(t.model.toJSON()) === before, 'Конфликт транспонированной области');
+  res = pasteAtAnchor(t.model, { r:0, c:0 }, payload(), { validator: t.validator, transpose: true, mode: 'values' });
+  assert(res.ok && t.model.getCell(1,0).value === '' && t.model.getCell(0,1).value === '1', 'Значения транспонированы: ' + JSON.stringify(t.model.cells));
+  console.log('testPasteSpecialModes OK');
+}
+
 export function runPasteTests() {
   testPlainTextPaste();
   testHtmlPasteWithMerge();
+  testHtmlPasteKeepsFormatting();
+  testHtmlPasteMapsSourceAttributes();
+  testImportMappingsChecked();
+  testPasteAtAnchorGrowsGrid();
+  testPasteMergeConflicts();
+  testPasteIsSingleHistoryStep();
+  testPasteSpecialModes();
   console.log('All paste tests passed');
 }
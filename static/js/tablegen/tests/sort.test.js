@@ -0,0 +1,86 @@
+// sort.test.js
+// Тесты сортировки строк (SortService): шапка на месте, семантика по data-format / numeric,
+// вертикальные объединения как неразрывные группы и отказ при неоднозначности.
+
+import { EventBus } from '../core/events/EventBus.js';
+import { TableModel } from '../core/model/TableModel.js';
+import { sortRows } from '../core/services/SortService.js';
+
+function assert(cond, message) {
+  if (!cond) {
+    console.error('TEST FAIL:', message);
+    throw new Error(message);
+  }
+}
+
+/**
+ * Модель из матрицы значений; первая строка — шапка.
+ * @param {string[][]} matrix
+ * @returns {TableModel}
+ */
+function modelFromMatrix(matrix) {
+  const cells = [];
+  matrix.forEach((row, r) => row.forEach((value, c) => cells.push({ r, c, value, rowSpan: 1, colSpan: 1 })));
+  return new TableModel({ version:1, meta:{ name:'Sort' }, grid:{ rows: matrix.length, cols: matrix[0].length, headerRows: 1 }, cells }, new EventBus());
+}
+
+/** Значения столбца c по всем строкам */
+function column(model, c) {
+  return Array.from({ length: model.grid.rows }, (_v, r) => (model.getCell(r, c) || { value: '' }).value);
+}
+
+export function testSortTextAndNumbers() {
+  const model = modelFromMatrix([['Имя', 'Сумма'], ['б', '10'], ['А', '9'], ['', '1 000,5'], ['в', '']]);
+  let events = 0;
+  model.bus.on('structure:change', () => events++);
+  assert(sortRows(model, [{ col: 0 }]).ok && events === 1, 'Сортировка одним событием');
+  assert(column(model, 0).join('|') === 'Имя|А|б|в|', 'Текст без учёта регистра, пустые в конце, шапка на месте: ' + column(model, 0));
+  // Без класса numeric это текст: группы цифр сравниваются как числа, поэтому '1 000,5' (начинается с «1») меньше '9'
+  sortRows(model, [{ col: 1, direction: 'desc' }]);
+  assert(column(model, 1).join('|') === 'Сумма|10|9|1 000,5|', 'Текст по убыванию: ' + column(model, 1));
+  model.setCellClasses(1, 1, ['numeric']);
+  sortRows(model, [{ col: 1, direction: 'desc' }]);
+  assert(column(model, 1).join('|') === 'Сумма|1 000,5|10|9|', 'Класс numeric включает сравнение чисел: ' + column(model, 1));
+  sortRows(model, [{ col: 1, type: 'text' }]);
+  assert(column(model, 1)[1] === '1 000,5', 'Явный тип text');
+  console.log('testSortTextAndNumbers OK');
+}
+
+export function testSortByDataFormatAndKeys() {
+  const model = modelFromMatrix([['Дата', 'Группа'], ['01.02.2024', 'b'], ['15.01.2024', 'a'], ['2023-12-31', 'b'], ['05.03.2024', 'a']]);
+  model.setCellData(1, 0, { 'data-format': 'date' });
+  assert(sortRows(model, [{ col: 0 }]).ok, 'Сортировка по дате');
+  assert(column(model, 0).slice(1).join('|') === '2023-12-31|15.01.2024|01.02.2024|05.03.2024', 'Даты разных записей: ' + column(model, 0));
+  // Два ключа: группа по возрастанию, внутри — дата по убыванию; сортировка устойчивая
+  sortRows(model, [{ col: 1 }, { col: 0, direction: 'desc' }]);
+  assert(column(model, 0).slice(1).join('|') === '05.03.2024|15.01.2024|01.02.2024|2023-12-31', 'Второй ключ: ' + column(model, 0));
+  console.log('testSortByDataFormatAndKeys OK');
+}
+
+export function testSortMergedGroups() {
+  const model = modelFromMatrix([['К', 'V'], ['b', '1'], ['', '2'], ['a', '3'], ['c', '4']]);
+  // Строки 1-2 связаны вертикальным объединением в столбце 0
+  model.cells = model.cells.filter(cell => !(cell.r === 2 && cell.c === 0));
+  model.getCell(1, 0).rowSpan = 2;
+  model._rebuildIndex();
+  assert(sortRows(model, [{ col: 0 }]).ok, 'Группа по объединению сортируется');
+  assert(column(model, 1).join('|') === 'V|3|1|2|4', 'Группа переехала целиком: ' + column(model, 1));
+  assert(model.getCell(2, 0).rowSpan === 2 && model.getCell(2, 0).value === 'b', 'Объединение сохранено');
+  // В столбце 1 группа содержит два разных значения — порядок неоднозначен, модель не меняется
+  const before = JSON.stringify(model.toJSON());
+  const res = sortRows(model, [{ col: 1 }]);
+  assert(!res.ok && res.error.includes('неоднозначен') && JSON.stringify(model.toJSON()) === before, 'Отказ: ' + res.error);
+  // Объединение, выходящее из шапки в тело
+  model.cells.find(cell => cell.r === 0 && cell.c === 1).rowSpan = 2;
+  model.cells = model.cells.filter(cell => !(cell.r === 1 && cell.c === 1));
+  model._rebuildIndex();
+  assert(sortRows(model, [{ col: 0 }]).error.includes('шапки'), 'Объединение через границу шапки');
+  console.log('testSortMergedGroups OK');
+}
+
+export function runSortTests() {
+  testSortTextAndNumbers();
+  testSortByDataFormatAndKeys();
+  testSortMergedGroups();
+  console.log('All sort tests passed');
+}
@@ -1,11 +1,15 @@
 // structureHistory.test.js
-// Undo тесты для структурных операций вставки (insertRows/insertColumns) и удаления (deleteRows/deleteColumns).
-// Цель: убедиться что batch вставка/удаление даёт ровно один snapshot в истории
-// и undo полностью восстанавливает исходную структуру (rows, cols, spans и позиции ведущих ячеек).
+// Undo тесты для структурных операций вставки (insertRows/insertColumns) и удаления (deleteRows/deleteColumns),
+// перемещения, сортировки и транспонирования.
+// Цель: убедиться что batch операция даёт ровно один шаг в истории, undo на месте полностью восстанавливает исходную
+// структуру (rows, cols, spans и позиции ведущих ячеек), а вместе с ней тексты формул, размеры и функции итогов.
 
 import { EventBus } from '../core/events/EventBus.js';
 import { TableModel } from '../core/model/TableModel.js';
 import { HistoryService } from '../core/services/HistoryService.js';
+import { FormulaService } from '../core/services/FormulaService.js';
+import { TotalsService } from '../core/services/TotalsService.js';
+import { sortRows } from '../core/services/SortService.js';
 import { HistoryDebounceRecorder } from '../app/HistoryDebounce.js';
 
 function assert(cond, msg) {
@@ -29,12 +33,24 @@ function createEnv() {
     { r:1, c:1, value:'', rowSpan:2, colSpan:3 }
   ]};
   const model = new TableModel(doc, bus);
-  const history = new HistoryService(30);
-  history.record(model); // snapshot #0
-  const debounced = new HistoryDebounceRecorder(history, model, 30, bus); // короткий debounce
+  const history = new HistoryService(model, bus, { limit: 30 });
+  const debounced = new HistoryDebounceRecorder(history, 30, bus); // короткий debounce
   return { bus, model, history, debounced };
 }
 
+/**
+ * Полное состояние модели для сравнения: документ без производных полей, ячейки по порядку координат.
+ * @param {TableModel} model
+ * @returns {string}
+ */
+function fullState(model) {
+  const doc = model.toJSON();
+  doc.cells = doc.cells
+    .map(({ cached, override, ...cell }) => cell)
+    .sort((a, b) => (a.r - b.r) || (a.c - b.c));
+  return JSON.stringify(doc);
+}
+
 export function testInsertRowsHistory() {
   const { bus, model, history } = createEnv();
   const before = snapshotModelShape(model);
@@ -43,15 +59,14 @@ export function testInsertRowsHistory() {
   bus.batch(()=>{
     model.insertRows(2,2);
   });
-  // После batch HistoryDebounceRecorder должен сразу синхронно сделать snapshot (по событию batch:flush)
-  assert(history.index === prevIndex + 1, 'Ожидаем один snapshot после batch insertRows');
+  // После batch HistoryDebounceRecorder должен сразу синхронно записать шаг (по событию batch:flush)
+  assert(history.index === prevIndex + 1, 'Ожидаем один шаг после batch insertRows');
   // Проверяем что модель изменилась
   assert(model.grid.rows === before.rows + 2, 'rows должны увеличиться на 2');
   const merged = model.getCell(1,1);
   assert(merged && merged.rowSpan === 4, 'rowSpan блока должен увеличиться с 2 до 4');
   // Undo
-  const undoDoc = history.undo();
-  model.applyDocument(undoDoc); // обычно UI слой делает applyDocument
+  assert(history.undo(), 'undo выполнен');
   const afterUndo = snapshotModelShape(model);
   assert(JSON.stringify(afterUndo) === JSON.stringify(before), 'После undo структура должна полностью совпасть с исходной');
   console.log('testInsertRowsHistory OK');
@@ -65,13 +80,12 @@ export function testInsertColumnsHistory() {
   bus.batch(()=>{
     model.insertColumns(2,1);
   });
-  assert(history.index === prevIndex + 1, 'Ожидаем один snapshot после batch insertColumns');
+  assert(history.index === prevIndex + 1, 'Ожидаем один шаг после batch insertColumns');
   assert(model.grid.cols === before.cols + 1, 'cols должны увеличиться на 1');
   const merged = model.getCell(1,1);
   assert(merged && merged.colSpan === 4, 'colSpan блока должен увеличиться до 4');
   // Undo
-  const undoDoc = history.undo();
-  model.applyDocument(undoDoc);
+  assert(history.undo(), 'undo выполнен');
   const afterUndo = snapshotModelShape(model);
   assert(JSON.stringify(afterUndo) === JSON.stringify(before), 'После undo структура должна совпасть с исходной (columns)');
   console.log('testInsertColumnsHistory OK');
@@ -82,8 +96,7 @@ export function testDeleteRowsHistory() {
   // Добавим крупный вертикальный merge для shrink edge сценария
   model.cells.push({ r:0, c:0, value:'', rowSpan:4, colSpan:1 });
   model._rebuildIndex();
-  // ВАЖНО: мы модифицировали модель после initial snapshot (#0), поэтому нужно зафиксировать новое базовое состояние.
-  history.record(model); // теперь это snapshot #1
+  // Прямая правка ячеек минует события — история её не видит и откатывает только удаление ниже.
   const before = snapshotModelShape(model);
   const prevIndex = history.index; // фиксируем индекс до batch удаления
   // Удаляем нижнюю строку merge блока (start=3) -> shrink снизу
@@ -91,12 +104,11 @@ export function testDeleteRowsHistory() {
     const res = model.deleteRows(3,1);
     assert(res.ok, 'deleteRows должен вернуть ok');
   });
-  assert(history.index === prevIndex + 1, 'Ожидаем один snapshot после batch deleteRows');
+  assert(history.index === prevIndex + 1, 'Ожидаем один шаг после batch deleteRows');
   const shrinkCell = model.getCell(0,0);
   assert(shrinkCell.rowSpan === 3, 'rowSpan должен уменьшиться до 3');
   // Undo
-  const undoDoc = history.undo();
-  model.applyDocument(undoDoc);
+  assert(history.undo(), 'undo выполнен');
   const afterUndo = snapshotModelShape(model);
   assert(JSON.stringify(afterUndo) === JSON.stringify(before), 'После undo структура (deleteRows) должна восстановиться');
   console.log('testDeleteRowsHistory OK');
@@ -107,8 +119,6 @@ export function testDeleteColumnsHistory() {
   // Горизонтальный merge для shrink edge
   model.cells.push({ r:0, c:0, value:'', rowSpan:1, colSpan:4 });
   model._rebuildIndex();
-  // Аналогично тесту строк: фиксация нового стартового состояния после добавления merge блока.
-  history.record(model); // snapshot инкремент
   const before = snapshotModelShape(model);
   const prevIndex = history.index;
   // Удаляем правый край (col=3)
@@ -116,17 +126,134 @@ export function testDeleteColumnsHistory() {
     const res = model.deleteColumns(3,1);
     assert(res.ok, 'deleteColumns должен вернуть ok');
   });
-  assert(history.index === prevIndex + 1, 'Ожидаем один snapshot после batch deleteColumns');
+  assert(history.index === prevIndex + 1, 'Ожидаем один шаг после batch deleteColumns');
   const shrinkCell = model.getCell(0,0);
   assert(shrinkCell.colSpan === 3, 'colSpan должен уменьшиться до 3');
   // Undo
-  const undoDoc = history.undo();
-  model.applyDocument(undoDoc);
+  assert(history.undo(), 'undo выполнен');
   const afterUndo = snapshotModelShape(model);
   assert(JSON.stringify(afterUndo) === JSON.stringify(before), 'После undo структура (deleteColumns) должна восстановиться');
   console.log('testDeleteColumnsHistory OK');
 }
 
+/**
+ * Выполнить операцию в batch (один шаг истории) и проверить undo / redo на месте: откат даёт в точности прежнее
+ * состояние, повтор — состояние после операции. Модель остаётся в состоянии после операции.
+ * @param {{bus:EventBus, model:TableModel, history:HistoryService}} env
+ * @param {Function} op
+ * @param {string} label
+ */
+function assertUndoRedo({ bus, model, history }, op, label) {
+  const before = fullState(model);
+  bus.batch(op);
+  const after = fullState(model);
+  assert(after !== before, label + ': операция должна изменить таблицу');
+  assert(history.undo() && fullState(model) === before, label + ': undo восстанавливает таблицу ' + fullState(model));
+  assert(history.redo() && fullState(model) === after, label + ': redo повторяет операцию ' + fullState(model));
+}
+
+/**
+ * Таблица 5x4: две строки шапки, объединение по строкам 2-4, формулы, строка итога, высоты строк, ширины и итоги по столбцам.
+ */
+function createRichEnv() {
+  const bus = new EventBus();
+  const cells = [
+    { r:0, c:0, value:'=A3+A4', rowSpan:1, colSpan:1 },
+    { r:0, c:1, value:'Шапка', rowSpan:1, colSpan:1, classes:['x'] },
+    { r:2, c:0, value:'1', rowSpan:1, colSpan:1 },
+    { r:2, c:3, value:'M', rowSpan:3, colSpan:1 },
+    { r:3, c:0, value:'2', rowSpan:1, colSpan:1 },
+    { r:4, c:0, value:'=SUM(A1:A4)+B4', rowSpan:1, colSpan:1 },
+    { r:3, c:1, value:'5', rowSpan:1, colSpan:1, data:{ 'data-role':'total' } }
+  ];
+  const doc = { version:1, meta:{ name:'Rich' }, grid:{ rows:5, cols:4, headerRows:2 }, cells };
+  const model = new TableModel(doc, bus);
+  const formulas = new FormulaService(model, bus);
+  new TotalsService(model, bus, formulas);
+  model.setRowSize(1, '40px');
+  model.setColumnSize(2, '120px');
+  model.setTotalsEnabled(true);
+  const history = new HistoryService(model, bus);
+  new HistoryDebounceRecorder(history, 30, bus);
+  return { bus, model, history, formulas };
+}
+
+export function testDeleteWithFormulasHistory() {
+  const env = createRichEnv();
+  const { model, history } = env;
+  // Удаление строк 1-2: строка шапки, начало объединения и ссылки формул (#REF!)
+  assertUndoRedo(env, () => model.deleteRows(1, 2), 'deleteRows');
+  assert(model.getCell(0, 0).value.includes('#REF!') && model.grid.headerRows === 1, 'Удаление переписало формулу и шапку');
+  history.undo();
+  assert(model.getCell(0, 0).cached === '3' && model.getCell(2, 3).rowSpan === 3, 'После undo формулы пересчитаны, объединение целое');
+  assert(model.grid.rowSizes[1].v === 40 && model.grid.headerRows === 2, 'Высоты строк и шапка восстановлены');
+  // Удаление столбцов: ширины и функции итогов удалённых столбцов возвращаются
+  assertUndoRedo(env, () => model.deleteColumns(0, 3), 'deleteColumns');
+  history.undo();
+  assert(model.grid.columnSizes[2].v === 120 && model.grid.aggregates.join() === 'sum,sum,sum,sum', 'Ширины и итоги столбцов восстановлены');
+  // Вставка внутрь объединения и перед формулами
+  assertUndoRedo(env, () => model.insertRows(3, 2), 'insertRows');
+  assertUndoRedo(env, () => model.insertColumns(0, 1), 'insertColumns');
+  console.log('testDeleteWithFormulasHistory OK');
+}
+
+export function testMoveSortTransposeHistory() {
+  const env = createRichEnv();
+  const { model } = env;
+  assertUndoRedo(env, () => model.moveRows(0, 1, 2), 'moveRows вниз');
+  assertUndoRedo(env, () => model.moveColumns(2, 2, 0), 'moveColumns влево');
+  assertUndoRedo(env, () => model.setHeaderCols(1), 'headerCols');
+  assertUndoRedo(env, () => model.transpose(), 'transpose всей таблицы');
+  // Блок 2x3 поворачивается в 3x2: освобождённая пустая ячейка и ссылки формул на блок возвращаются при откате
+  const bus = new EventBus();
+  const model2 = new TableModel({ version:1, meta:{ name:'Block' }, grid:{ rows:4, cols:4 }, cells:[
+    { r:0, c:0, value:'a', rowSpan:1, colSpan:2 },
+    { r:0, c:2, value:'b', rowSpan:1, colSpan:1 },
+    { r:1, c:0, value:'1', rowSpan:1, colSpan:1 },
+    { r:1, c:2, value:'2', rowSpan:1, colSpan:1 },
+    { r:2, c:0, value:'', rowSpan:1, colSpan:1 },
+    { r:3, c:3, value:'=SUM(A1:C2)+C1', rowSpan:1, colSpan:1 }
+  ]}, bus);
+  new FormulaService(model2, bus);
+  const history2 = new HistoryService(model2, bus);
+  new HistoryDebounceRecorder(history2, 30, bus);
+  assertUndoRedo({ bus, model: model2, history: history2 }, () => model2.transpose({ r1:0, c1:0, r2:1, c2:2 }), 'transpose блока');
+  // Сортировка переставляет строки (reorderRows) и переписывает ссылки формул
+  assertUndoRedo({ bus, model: model2, history: history2 }, () => sortRows(model2, [{ col: 3, direction: 'desc' }]), 'sortRows');
+  console.log('testMoveSortTransposeHistory OK');
+}
+
+export function testMoveSortFormulaTexts() {
+  // Таблица из матрицы значений с формулами, историей и debounce
+  const createMatrixEnv = (matrix) => {
+    const bus = new EventBus();
+    const cells = [];
+    matrix.forEach((row, r) => row.forEach((value, c) => { if (value !== '') cells.push({ r, c, value, rowSpan:1, colSpan:1 }); }));
+    const model = new TableModel({ version:1, meta:{ name:'Perm' }, grid:{ rows: matrix.length, cols: matrix[0].length }, cells }, bus);
+    new FormulaService(model, bus);
+    const history = new HistoryService(model, bus);
+    new HistoryDebounceRecorder(history, 30, bus);
+    return { bus, model, history };
+  };
+  // Перемещение разрывает диапазон A1:B2 (он остаётся прежним), обратное перемещение не должно его сдвигать
+  const moved = createMatrixEnv([['1', '2', '', ''], ['3', '4', '', ''], ['', '', '', ''], ['', '', '', '=SUM(A1:B2)+A1']]);
+  assertUndoRedo(moved, () => moved.model.moveColumns(0, 1, 4), 'moveColumns с формулой');
+  // Столбец D сдвинулся в C: формула теперь в C4
+  assert(moved.model.getCell(3, 2).value === '=SUM(A1:B2)+D1', 'Одиночная ссылка следует за столбцом: ' + moved.model.getCell(3, 2).value);
+  moved.history.undo();
+  assert(moved.model.getCell(3, 3).value === '=SUM(A1:B2)+A1' && moved.model.getCell(3, 3).cached === '11', 'Undo возвращает текст формулы');
+  moved.history.redo();
+  moved.history.undo();
+  assert(moved.model.getCell(3, 3).value === '=SUM(A1:B2)+A1', 'Повторные undo / redo не накапливают сдвиг');
+  assertUndoRedo(moved, () => moved.model.moveRows(0, 1, 3), 'moveRows с формулой');
+  // Сортировка: диапазон A1:A2 разорван перестановкой строк
+  const sorted = createMatrixEnv([['3', '=SUM(A1:A2)'], ['1', ''], ['2', '']]);
+  assertUndoRedo(sorted, () => sortRows(sorted.model, [{ col: 0 }]), 'sortRows с формулой');
+  sorted.history.undo();
+  assert(sorted.model.getCell(0, 1).value === '=SUM(A1:A2)' && sorted.model.getCell(0, 1).cached === '4', 'Undo сортировки возвращает текст формулы');
+  console.log('testMoveSortFormulaTexts OK');
+}
+
 export function runStructureInsertHistoryTests() {
   testInsertRowsHistory();
   testInsertColumnsHistory();
@@ -143,5 +270,8 @@ export function runStructureDeleteHistoryTests() {
 export function runAllStructureHistoryTests() {
   runStructureInsertHistoryTests();
   runStructureDeleteHistoryTests();
-  console.log('All structure history (insert+delete) tests passed');
+  testDeleteWithFormulasHistory();
+  testMoveSortTransposeHistory();
+  testMoveSortFormulaTexts();
+  console.log('All structure history (insert+delete+move+transpose) tests passed');
 }
@@ -1,7 +1,7 @@
 // structureOps.test.js
-// Тесты операций вставки и удаления строк/столбцов.
+// Тесты операций вставки, удаления, перемещения и транспонирования строк/столбцов.
 // Стиль аналогичен pasteService.test.js: ручные проверки через assert.
-// Цель: убедиться в корректной работе insertRows/insertColumns и deleteRows/deleteColumns,
+// Цель: убедиться в корректной работе insertRows/insertColumns, deleteRows/deleteColumns и moveRows/moveColumns,
 // включая обработку merge-блоков и защиту от interior split.
 
 import { EventBus } from '../core/events/EventBus.js';
@@ -121,6 +121,151 @@ export function testDeleteColumnFullRemoval() {
 }
 
 // Итоговый раннер
+// --- MOVE TESTS ---
+export function testMoveRowsWithMerge() {
+  const { model, bus } = createModel(6,3);
+  for (let r = 0; r < 6; r++) model.setCellValue(r, 0, 'r' + r);
+  model.cells.push({ r:1, c:1, value:'M', rowSpan:2, colSpan:1 }); // merge строк 1-2
+  model._rebuildIndex();
+  let events = 0;
+  bus.on('structure:change', () => events++);
+  // Блок 1-2 (вместе с merge) переносим в конец
+  const res = model.moveRows(1, 2, 6);
+  assert(res.ok && res.start === 4 && events === 1, 'moveRows вниз: ' + JSON.stringify(res));
+  assert(['r0','r3','r4','r5','r1','r2'].every((v, r) => model.getCell(r, 0).value === v), 'Порядок строк после переноса вниз');
+  assert(model.getCell(4,1).rowSpan === 2 && model.getCell(4,1).value === 'M', 'Merge переехал вместе с блоком');
+  // Перенос вверх: блок 4-5 -> перед строкой 0
+  assert(model.moveRows(4, 2, 0).start === 0 && model.getCell(0,0).value === 'r1' && model.getCell(2,0).value === 'r0', 'moveRows вверх');
+  // Позиция внутри блока — ничего не меняется
+  assert(model.moveRows(2, 1, 3).ok && events === 2, 'Перенос на место без события');
+  console.log('testMoveRowsWithMerge OK');
+}
+
+export function testMoveRowsMergeCutForbidden() {
+  const { model } = createModel(6,3);
+  model.cells.push({ r:1, c:0, value:'', rowSpan:3, colSpan:1 }); // merge строк 1-3
+  model._rebuildIndex();
+  const before = JSON.stringify(model.toJSON());
+  assert(model.moveRows(2, 1, 5).reason === 'interior-merge-cut', 'Строка из середины merge не переносится');
+  assert(model.moveRows(3, 2, 0).reason === 'interior-merge-cut', 'Блок, задевающий край merge, не переносится');
+  assert(model.moveRows(5, 1, 2).reason === 'interior-merge-cut', 'Нельзя вставить внутрь merge');
+  assert(model.moveRows(0, 1, 9).reason === 'target-out-of-range', 'Цель за пределами таблицы');
+  assert(JSON.stringify(model.toJSON()) === before, 'Отказ не меняет модель');
+  assert(model.moveRows(1, 3, 6).ok && model.getCell(3,0).rowSpan === 3, 'Весь merge переносится');
+  console.log('testMoveRowsMergeCutForbidden OK');
+}
+
+export function testMoveColumnsCarriesSizes() {
+  const { model } = createModel(2,4);
+  model.setColumnSizes([{ v:10, u:'px' }, { v:20, u:'px' }, { v:30, u:'px' }, { v:2, u:'ratio' }]);
+  model.cells.push({ r:0, c:2, value:'W', rowSpan:1, colSpan:2 });
+  model._rebuildIndex();
+  model.setCellValue(1, 0, 'a');
+  assert(model.moveColumns(0, 1, 3).reason === 'interior-merge-cut', 'Нельзя вставить внутрь merge по столбцам');
+  const res = model.moveColumns(2, 2, 0);
+  assert(res.ok && res.start === 0 && model.getCell(0,0).colSpan === 2, 'Merge столбцов переехал');
+  assert(model.getCell(1,2).value === 'a', 'Значения сдвинуты');
+  assert(model.grid.columnSizes.map(s => s.v).join(',') === '30,2,10,20', 'Ширины переехали вместе со столбцами');
+  console.log('testMoveColumnsCarriesSizes OK');
+}
+
+// --- ROW SIZES / HEADER COLS ---
+export function testRowSizesAndHeaderColsSync() {
+  const { model } = createModel(4,4);
+  model.setHeaderCols(2);
+  model.setRowSize(1, '40px');
+  model.setRowSize(3, '25px');
+  assert(model.grid.rowSizes.length === 4 && model.grid.rowSizes[0].u === 'ratio', 'Высоты инициализированы для всех строк');
+  model.insertRows(1, 2);
+  assert(model.grid.rowSizes.map(s => s.u === 'px' ? s.v : '-').join(',') === '-,-,-,40,-,25', 'Вставка строк сдвигает высоты');
+  model.deleteRows(0, 3);
+  assert(model.grid.rowSizes.map(s => s.u === 'px' ? s.v : '-').join(',') === '40,-,25', 'Удаление строк убирает их высоты');
+  model.moveRows(2, 1, 0);
+  assert(model.grid.rowSizes[0].v === 25 && model.grid.rowSizes[1].v === 40, 'Высоты переезжают вместе со строками');
+  model.reorderRows([1, 2, 0]);
+  assert(model.grid.rowSizes.map(s => s.u === 'px' ? s.v : '-').join(',') === '40,-,25', 'Перестановка строк переставляет высоты');
+  // Столбцы-заголовки: вставка внутрь расширяет, вставка сразу за ними — нет, удаление уменьшает
+  model.insertColumns(1, 1);
+  assert(model.grid.headerCols === 3, 'Вставка внутрь столбцов-заголовков');
+  model.insertColumns(3, 1);
+  assert(model.grid.headerCols === 3, 'Вставка после столбцов-заголовков');
+  model.deleteColumns(2, 2);
+  assert(model.grid.headerCols === 2, 'Удалён один из столбцов-заголовков: ' + model.grid.headerCols);
+  model.setHeaderCols(99);
+  assert(model.grid.headerCols === model.grid.cols, 'headerCols ограничен числом столбцов');
+  const json = model.toJSON();
+  assert(json.grid.headerCols === model.grid.cols && json.grid.rowSizes.length === 3, 'toJSON сериализует headerCols и rowSizes');
+  console.log('testRowSizesAndHeaderColsSync OK');
+}
+
+// --- TRANSPOSE TESTS ---
+export function testSetColumnSizeUnits() {
+  const { model, bus } = createModel(2,3);
+  let events = 0;
+  bus.on('structure:change', () => events++);
+  const same = model.setColumnSize(1, '1');
+  assert(same.ok && !same.changed && model.grid.columnSizes == null && events === 0, 'Размер по умолчанию не создаёт columnSizes без события');
+  assert(model.setColumnSize(0, '1,5').ok && model.grid.columnSizes[0].v === 1.5, 'Дробная доля через запятую');
+  model.setColumnSize(1, '25%');
+  model.setColumnSize(2, 'clamp(80px, 2, auto)');
+  assert(model.grid.columnSizes[1].u === '%' && model.grid.columnSizes[2].min === 80 && model.grid.columnSizes[2].max === undefined, 'Проценты и min');
+  assert(events === 3, 'Каждое изменение — событие: ' + events);
+  const before = JSON.stringify(model.grid.columnSizes);
+  for (const raw of ['abc', '120%', 'minmax(80px, 120px)', 'clamp(300px, 1, 80px)', '-5px']) {
+    const res = model.setColumnSize(0, raw);
+    assert(!res.ok && res.reason.includes('Допустимо'), 'Некорректный ввод отклоняется с пояснением: ' + raw);
+  }
+  assert(JSON.stringify(model.grid.columnSizes) === before && events === 3, 'Некорректный ввод не меняет модель');
+  assert(model.setColumnSize(0, 'auto').ok && model.grid.columnSizes[0].u === 'auto', 'auto');
+  assert(!model.setRowSize(0, '25%').ok && !model.setRowSize(0, 'x').ok, 'Проценты для строк не поддерживаются');
+  assert(!model.setRowSize(0, 'auto').changed && model.grid.rowSizes == null, 'Высота по умолчанию не создаёт rowSizes');
+  assert(model.toJSON().grid.columnSizes[2].min === 80, 'toJSON сохраняет ограничения');
+  console.log('testSetColumnSizeUnits OK');
+}
+
+export function testTransposeWholeTable() {
+  const { model, bus } = createModel(2,3);
+  model.setCellValue(0, 0, 'H');
+  model.cells.push({ r:0, c:1, value:'W', rowSpan:1, colSpan:2 });
+  model.setCellValue(1, 2, 'x');
+  model.setHeaderRows(1);
+  model.setColumnSizes([{ v:10, u:'px' }, { v:1, u:'ratio' }, { v:1, u:'ratio' }]);
+  model.setRowSize(1, '30px');
+  let events = 0;
+  bus.on('structure:change', () => events++);
+  const res = model.transpose();
+  assert(res.ok && events === 1 && model.grid.rows === 3 && model.grid.cols === 2, 'Размеры поменялись местами одним событием');
+  assert(model.getCell(1,0).rowSpan === 2 && model.getCell(1,0).colSpan === 1, 'colSpan стал rowSpan');
+  assert(model.getCell(2,1).value === 'x', 'Значение (1,2) переехало в (2,1)');
+  assert(model.grid.headerRows === 0 && model.grid.headerCols === 1, 'Строка шапки стала столбцом-заголовком');
+  assert(model.grid.columnSizes === null && model.grid.rowSizes === null, 'Ширины и высоты сброшены');
+  console.log('testTransposeWholeTable OK');
+}
+
+export function testTransposeRange() {
+  const { model } = createModel(4,4);
+  model.setCellValue(0, 0, 'a'); model.setCellValue(0, 1, 'b'); model.setCellValue(0, 2, 'c');
+  // Блок 1x3 в строке 0 становится блоком 3x1 в столбце 0; (1,0) и (2,0) пусты
+  let res = model.transpose({ r1:0, c1:0, r2:0, c2:2 });
+  assert(res.ok && res.rect.r2 === 2 && res.rect.c2 === 0, 'Область после поворота');
+  assert(['a','b','c'].every((v, r) => model.getCell(r,0).value === v) && !model.getCell(0,1), 'Значения развёрнуты в столбец');
+  // Поворот 3x1 обратно, но клетка (0,2) занята — отказ без изменений
+  model.setCellValue(0, 2, 'busy');
+  const before = JSON.stringify(model.toJSON());
+  res = model.transpose({ r1:0, c1:0, r2:2, c2:0 });
+  assert(res.reason === 'target-not-empty' && JSON.stringify(model.toJSON()) === before, 'Занятая цель');
+  // Объединение, которое пересекает границу блока
+  model.cells.push({ r:2, c:2, value:'', rowSpan:2, colSpan:1 });
+  model._rebuildIndex();
+  assert(model.transpose({ r1:2, c1:1, r2:2, c2:2 }).reason === 'interior-merge-cut', 'Merge на границе блока');
+  // Блок у края таблицы расширяет её
+  const { model: edge } = createModel(2,3);
+  edge.setCellValue(1, 2, 'z');
+  res = edge.transpose({ r1:1, c1:0, r2:1, c2:2 });
+  assert(res.ok && edge.grid.rows === 4 && edge.getCell(3,0).value === 'z', 'Таблица расширена: ' + edge.grid.rows);
+  console.log('testTransposeRange OK');
+}
+
 export function runStructureOpsTests() {
   // Insert
   testInsertRowMiddle();
@@ -133,5 +278,15 @@ export function runStructureOpsTests() {
   testDeleteColumnShrinkRight();
   testDeleteColumnInteriorSplitForbidden();
   testDeleteColumnFullRemoval();
+  // Move
+  testMoveRowsWithMerge();
+  testMoveRowsMergeCutForbidden();
+  testMoveColumnsCarriesSizes();
+  // Row sizes / header cols
+  testRowSizesAndHeaderColsSync();
+  // Transpose
+  testSetColumnSizeUnits();
+  testTransposeWholeTable();
+  testTransposeRange();
   console.log('All structureOps tests passed');
 }
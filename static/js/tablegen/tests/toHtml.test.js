@@ -0,0 +1,103 @@
+// toHtml.test.js
+// Тесты HTML экспорта: thead/th для headerRows, th scope="row" для headerCols, rowspan/colspan, классы и data-*,
+// colgroup, высоты строк, безопасность значений.
+
+import { EventBus } from '../core/events/EventBus.js';
+import { TableModel } from '../core/model/TableModel.js';
+import { toHtml } from '../integration/export/toHtml.js';
+
+function assert(cond, message) {
+  if (!cond) {
+    console.error('TEST FAIL:', message);
+    throw new Error(message);
+  }
+}
+
+function createModel(doc) {
+  const bus = new EventBus();
+  return new TableModel({ version:1, meta:{ name:'HtmlTest' }, ...doc }, bus);
+}
+
+export function testHtmlHeaderAndSpans() {
+  const model = createModel({
+    grid:{ rows:3, cols:3, headerRows:1 },
+    cells:[
+      { r:0, c:0, value:'Шапка', rowSpan:1, colSpan:2 },
+      { r:0, c:2, value:'X', rowSpan:1, colSpan:1 },
+      { r:1, c:0, value:'A', rowSpan:2, colSpan:1 },
+      { r:1, c:1, value:'B', rowSpan:1, colSpan:1 }
+    ]
+  });
+  const html = toHtml(model, { pretty:false });
+  assert(html.includes('<thead><tr><th scope="colgroup" colspan="2">Шапка</th><th scope="col">X</th></tr></thead>'), 'Шапка должна быть в thead с th и colspan: ' + html);
+  assert(html.includes('<td rowspan="2">A</td>'), 'rowspan должен попасть в атрибут');
+  // Во второй строке тела ячейка (2,0) накрыта rowspan — выводятся только (2,1) и (2,2)
+  assert(html.includes('<tr><td></td><td></td></tr>'), 'Покрытая merge координата не должна выводиться');
+  assert(!html.includes('data-r') && !html.includes('tablegen-'), 'Служебные элементы редактора не должны попадать в экспорт');
+  console.log('testHtmlHeaderAndSpans OK');
+}
+
+export function testHtmlAttributesAndSafety() {
+  const model = createModel({
+    grid:{ rows:1, cols:2 },
+    cells:[
+      { r:0, c:0, value:'x<sup>2</sup><script>alert(1)</script>', rowSpan:1, colSpan:1, classes:['numeric'], data:{ format:'number', flag:true } }
+    ]
+  });
+  const html = toHtml(model, { pretty:false });
+  assert(html.includes('class="numeric"'), 'Классы должны экспортироваться');
+  assert(html.includes('data-format="number"') && html.includes('data-flag="true"'), 'data-* должны экспортироваться');
+  assert(html.includes('x<sup>2</sup>'), 'Разрешённые теги сохраняются');
+  assert(!html.includes('<script>') && html.includes('&lt;script&gt;'), 'Неразрешённые теги экранируются');
+  assert(!html.includes('<thead>'), 'Без headerRows секция thead не выводится');
+  console.log('testHtmlAttributesAndSafety OK');
+}
+
+export function testHtmlColgroup() {
+  const model = createModel({
+    grid:{ rows:1, cols:3, columnSizes:[ { v:120, u:'px' }, { v:1, u:'ratio' }, { v:3, u:'ratio' } ] },
+    cells:[]
+  });
+  const html = toHtml(model, { pretty:false });
+  assert(html.includes('<colgroup><col style="width: 120px"><col style="width: 25%"><col style="width: 75%"></colgroup>'), 'colgroup должен строиться из columnSizes: ' + html);
+  console.log('testHtmlColgroup OK');
+}
+
+export function testHtmlColgroupFlexibleUnits() {
+  const model = createModel({
+    grid:{ rows:1, cols:4, columnSizes:[ { v:20, u:'%' }, { v:0, u:'auto' }, { v:1, u:'ratio', min:80 }, { v:3, u:'ratio', min:80, max:400 } ] },
+    cells:[]
+  });
+  const html = toHtml(model, { pretty:false });
+  // Доли делят место, оставшееся после процентных столбцов (80%): 1:3 -> 20% / 60%; auto — без ширины
+  assert(html.includes('<colgroup><col style="width: 20%"><col><col style="width: max(80px, 20%)"><col style="width: clamp(80px, 60%, 400px)"></colgroup>'),
+    'Проценты, auto и ограничения min / max: ' + html);
+  console.log('testHtmlColgroupFlexibleUnits OK');
+}
+
+export function testHtmlRowHeadersAndHeights() {
+  const model = createModel({
+    grid:{ rows:3, cols:3, headerRows:1, headerCols:1, rowSizes:[ { v:1, u:'ratio' }, { v:32, u:'px' }, { v:1, u:'ratio' } ] },
+    cells:[
+      { r:0, c:0, value:'Год', rowSpan:1, colSpan:1 },
+      { r:1, c:0, value:'2024', rowSpan:2, colSpan:1 },
+      { r:1, c:1, value:'10', rowSpan:1, colSpan:1 }
+    ]
+  });
+  const html = toHtml(model, { pretty:false });
+  assert(html.includes('<thead><tr><th scope="col">Год</th><th></th><th></th></tr></thead>'), 'Шапка не меняется от headerCols: ' + html);
+  assert(html.includes('<tr style="height: 32px"><th scope="rowgroup" rowspan="2">2024</th><td>10</td><td></td></tr>'), 'Заголовок строки и высота: ' + html);
+  assert(html.includes('<tr><td></td><td></td></tr>'), 'Покрытый заголовок строки не выводится');
+  const plain = toHtml(createModel({ grid:{ rows:1, cols:2, headerCols:1 }, cells:[] }), { pretty:false });
+  assert(plain.includes('<tbody><tr><th scope="row"></th><td></td></tr></tbody>'), 'Пустой заголовок строки: ' + plain);
+  console.log('testHtmlRowHeadersAndHeights OK');
+}
+
+export function runToHtmlTests() {
+  testHtmlHeaderAndSpans();
+  testHtmlAttributesAndSafety();
+  testHtmlColgroup();
+  testHtmlColgroupFlexibleUnits();
+  testHtmlRowHeadersAndHeights();
+  console.log('All toHtml tests passed');
+}
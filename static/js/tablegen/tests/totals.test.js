@@ -0,0 +1,137 @@
+// totals.test.js
+// Тесты автоматических итогов: границы subtotal / total, функции по столбцам, пересчёт при изменении данных и структуры,
+// ручные значения (override), сериализация grid.aggregates, экспорт и связь с формулами.
+
+import { EventBus } from '../core/events/EventBus.js';
+import { TableModel } from '../core/model/TableModel.js';
+import { FormulaService } from '../core/services/FormulaService.js';
+import { TotalsService } from '../core/services/TotalsService.js';
+import { displayValue } from '../core/utils/formula.js';
+import { parseTableJson } from '../integration/import/fromJson.js';
+import { toCsv } from '../integration/export/toCsv.js';
+import { TableRenderer } from '../app/TableRenderer.js';
+
+function assert(cond, message) {
+  if (!cond) {
+    console.error('TEST FAIL:', message);
+    throw new Error(message);
+  }
+}
+
+const SUBTOTAL = { 'data-role': 'subtotal' };
+const TOTAL = { 'data-role': 'total' };
+
+/**
+ * Отчёт: шапка, столбец подписей (headerCols), две группы с подытогами и общий итог.
+ * @returns {{model:TableModel, bus:EventBus}}
+ */
+function setup() {
+  const matrix = [
+    ['Товар', 'Q1', 'Q2'],
+    ['a', '10', '1'],
+    ['b', '20', '2'],
+    ['Итого A', '', ''],
+    ['c', '5', 'нет'],
+    ['Итого B', '', ''],
+    ['Всего', '', '']
+  ];
+  const roles = { 3: SUBTOTAL, 5: SUBTOTAL, 6: TOTAL };
+  const cells = [];
+  matrix.forEach((row, r) => row.forEach((value, c) => {
+    const cell = { r, c, value, rowSpan: 1, colSpan: 1 };
+    if (c === 0 && roles[r]) cell.data = { ...roles[r] };
+    cells.push(cell);
+  }));
+  const bus = new EventBus();
+  const model = new TableModel({ version:1, meta:{ name:'Totals' }, grid:{ rows: 7, cols: 3, headerRows: 1, headerCols: 1 }, cells }, bus);
+  const formulas = new FormulaService(model, bus);
+  new TotalsService(model, bus, formulas);
+  return { model, bus };
+}
+
+/** Показываемое значение ячейки */
+function shown(model, r, c) {
+  return displayValue(model.getCell(r, c));
+}
+
+export function testTotalsRanges() {
+  const { model } = setup();
+  assert(shown(model, 3, 1) === '', 'Без включённого режима итоги не считаются');
+  assert(model.setTotalsEnabled(true), 'Режим включается');
+  assert(model.grid.aggregates[0] === null && model.grid.aggregates[1] === 'sum', 'Столбец подписей не считается, остальные — sum');
+  assert(shown(model, 3, 1) === '30' && shown(model, 3, 2) === '3', 'Подытог первой группы: ' + shown(model, 3, 1));
+  assert(shown(model, 5, 1) === '5' && shown(model, 5, 2) === '', 'Подытог второй группы; без чисел итог пустой');
+  assert(shown(model, 6, 1) === '35' && shown(model, 6, 2) === '3', 'Общий итог пропускает подытоги: ' + shown(model, 6, 1));
+  assert(shown(model, 3, 0) === 'Итого A', 'Подпись строки итога не трогается');
+  assert(model.setColumnAggregate(2, 'count').ok && model.setColumnAggregate(1, 'max').ok, 'Выбор функций');
+  assert(shown(model, 3, 2) === '2' && shown(model, 5, 2) === '0' && shown(model, 6, 2) === '2', 'count считает только числа');
+  assert(shown(model, 6, 1) === '20', 'max по всем данным');
+  assert(!model.setColumnAggregate(1, 'median').ok, 'Неизвестная функция отклоняется');
+  assert(model.setColumnAggregate(1, null).ok && shown(model, 3, 1) === '', 'Столбец без функции не считается');
+  console.log('testTotalsRanges OK');
+}
+
+export function testTotalsRecalculateAndOverride() {
+  const { model } = setup();
+  model.setTotalsEnabled(true);
+  model.setCellValue(1, 1, '1 015,5');
+  assert(shown(model, 3, 1) === '1035,5' && shown(model, 6, 1) === '1040,5', 'Изменение данных пересчитывает итоги');
+  model.setCellValue(6, 1, '100');
+  assert(model.getCell(6, 1).override === true && shown(model, 6, 1) === '100', 'Ручное значение помечается');
+  model.setCellValue(2, 1, '0');
+  assert(shown(model, 6, 1) === '100' && shown(model, 3, 1) === '1015,5', 'Ручное значение не перезаписывается');
+  model.setCellValue(6, 1, '');
+  assert(!model.getCell(6, 1).override && shown(model, 6, 1) === '1020,5', 'Очистка возвращает автоматический итог');
+  // Снятие роли: строка 5 становится строкой данных, её итог исчезает
+  model.setCellData(5, 0, {});
+  assert(shown(model, 5, 1) === '' && model.getCell(5, 1).cached === undefined, 'Бывший итог очищается');
+  // Вставка строки внутрь первой группы расширяет её
+  model.insertRows(3, 1);
+  model.setCellValue(3, 1, '7');
+  assert(shown(model, 4, 1) === '1022,5' && shown(model, 7, 1) === '1027,5', 'Вставленная строка попадает в группу: ' + shown(model, 7, 1));
+  model.insertColumns(1, 1);
+  assert(model.grid.aggregates.length === 4 && model.grid.aggregates[1] === 'sum' && shown(model, 7, 2) === '1027,5', 'Вставленный столбец получает sum');
+  model.deleteColumns(1, 1);
+  assert(model.grid.aggregates.join() === ',sum,sum', 'Удаление столбца убирает его функцию');
+  // Формула, ссылающаяся на итог, пересчитывается вместе с ним
+  model.ensureSize(9, 3);
+  model.setCellValue(8, 1, '=B8*2');
+  assert(model.getCell(8, 1).cached === '2055', 'Формула видит итог: ' + model.getCell(8, 1).cached);
+  model.setCellValue(1, 1, '15');
+  assert(shown(model, 7, 1) === '27' && model.getCell(8, 1).cached === '54', 'Формула пересчитана после итога');
+  model.setTotalsEnabled(false);
+  assert(!model.cells.some(c => c.cached !== undefined && c.value === '') && !model.cells.some(c => c.override), 'Выключение снимает итоги');
+  console.log('testTotalsRecalculateAndOverride OK');
+}
+
+export function testTotalsJsonAndExport() {
+  const { model } = setup();
+  model.setTotalsEnabled(true);
+  model.setCellValue(5, 1, '9');
+  const json = model.toJSON();
+  assert(json.grid.aggregates.join() === ',sum,sum', 'grid.aggregates сохраняется в документе');
+  const total = json.cells.find(c => c.r === 6 && c.c === 1);
+  assert(total.value === '' && total.cached === '35', 'Итог сохраняется в cached');
+  assert(json.cells.find(c => c.r === 5 && c.c === 1).override === true, 'Пометка ручного значения сохраняется');
+  const parsed = parseTableJson(JSON.stringify(json));
+  assert(parsed.ok && parsed.doc.grid.aggregates[2] === 'sum', 'Документ с итогами импортируется');
+  const bad = parseTableJson(JSON.stringify({ ...json, grid: { ...json.grid, aggregates: ['sum', 'median', null] } }));
+  assert(!bad.ok && bad.error.includes('aggregates[1]'), 'Неизвестная функция в документе — ошибка импорта');
+  assert(toCsv(model).split('\n')[6].trim() === 'Всего,35,3', 'CSV выгружает итоги: ' + toCsv(model).split('\n')[6]);
+  const renderer = new TableRenderer(model, null);
+  renderer.render();
+  const select = renderer.thead.querySelector('select[data-aggregate-select="1"]');
+  assert(select && select.value === 'sum', 'Строка выбора функций в шапке');
+  assert(renderer.tbody.querySelector('td[data-r="6"][data-c="1"]').classList.contains('tablegen-total-cell'), 'Автоматический итог помечен');
+  assert(renderer.tbody.querySelector('td[data-r="5"][data-c="1"]').classList.contains('tablegen-total-override'), 'Ручное значение помечено');
+  model.transpose();
+  assert(model.grid.aggregates === null, 'Транспонирование выключает итоги');
+  console.log('testTotalsJsonAndExport OK');
+}
+
+export function runTotalsTests() {
+  testTotalsRanges();
+  testTotalsRecalculateAndOverride();
+  testTotalsJsonAndExport();
+  console.log('All totals tests passed');
+}
@@ -0,0 +1,202 @@
+// xlsx.test.js
+// Тесты XLSX: экспорт (структура ZIP архива, объединения, ширины столбцов, закрепление шапки, типизированные ячейки)
+// и импорт (DEFLATE, общие строки, форматы чисел, merge -> rowSpan/colSpan, круговой тест экспорт -> импорт).
+
+import { EventBus } from '../core/events/EventBus.js';
+import { TableModel } from '../core/model/TableModel.js';
+import { toXlsx } from '../integration/export/toXlsx.js';
+import { crc32, createZip } from '../core/utils/zip.js';
+import { parseXlsx } from '../integration/import/parseXlsx.js';
+import { ValidationService } from '../core/services/ValidationService.js';
+import { FormulaService } from '../core/services/FormulaService.js';
+import { TABLEGEN_REGISTRY } from '../config/registry.index.js';
+import { columnLabel, cellRef, parseCellRef } from '../core/utils/cellGrid.js';
+import { dateToSerial, serialToDate, parsePercent } from '../core/utils/valueFormat.js';
+
+function assert(cond, message) {
+  if (!cond) {
+    console.error('TEST FAIL:', message);
+    throw new Error(message);
+  }
+}
+
+/** Прочитать файлы несжатого (STORE) ZIP архива по локальным заголовкам: имя -> текст */
+function readStoredZip(bytes) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const decoder = new TextDecoder();
+  const files = {};
+  let pos = 0;
+  while (view.getUint32(pos, true) === 0x04034B50) {
+    const size = view.getUint32(pos + 18, true);
+    const nameLen = view.getUint16(pos + 26, true);
+    const name = decoder.decode(bytes.subarray(pos + 30, pos + 30 + nameLen));
+    const data = bytes.subarray(pos + 30 + nameLen, pos + 30 + nameLen + size);
+    assert(view.getUint32(pos + 14, true) === crc32(data), 'CRC файла ' + name + ' должен совпадать');
+    files[name] = decoder.decode(data);
+    pos += 30 + nameLen + size;
+  }
+  return files;
+}
+
+function makeModel() {
+  const bus = new EventBus();
+  return new TableModel({ meta:{ name:'Отчёт: 2024' }, grid:{ rows:3, cols:3, headerRows:1, columnSizes:[{v:140,u:'px'},{v:2,u:'ratio'},{v:1,u:'ratio'}] }, cells:[
+    { r:0, c:0, value:'Показатель', rowSpan:1, colSpan:2 },
+    { r:0, c:2, value:'Дата', rowSpan:1, colSpan:1 },
+    { r:1, c:0, value:'a & <b>', rowSpan:2, colSpan:1 },
+    { r:1, c:1, value:'1 234,5', rowSpan:1, colSpan:1, data:{ 'data-format':'number' } },
+    { r:1, c:2, value:'01.02.2024', rowSpan:1, colSpan:1, data:{ 'data-format':'date' } },
+    { r:2, c:1, value:'12,5%', rowSpan:1, colSpan:1, data:{ 'data-format':'percent' } },
+    { r:2, c:2, value:'строка<br>вторая', rowSpan:1, colSpan:1, data:{ 'data-format':'number' } }
+  ]}, bus);
+}
+
+export function testCellRefs() {
+  assert(columnLabel(0) === 'A' && columnLabel(25) === 'Z' && columnLabel(26) === 'AA' && columnLabel(701) === 'ZZ', 'columnLabel');
+  assert(cellRef(9, 27) === 'AB10', 'cellRef');
+  const p = parseCellRef('$ab$10');
+  assert(p && p.r === 9 && p.c === 27, 'parseCellRef должен понимать $ и нижний регистр');
+  assert(parseCellRef('A0') === null && parseCellRef('1A') === null, 'Некорректные ссылки -> null');
+  assert(dateToSerial({ y:2024, m:2, d:1 }) === 45323, 'Серийный номер 01.02.2024');
+  const d = serialToDate(45323);
+  assert(d.y === 2024 && d.m === 2 && d.d === 1, 'serialToDate обратен dateToSerial');
+  assert(parsePercent('12,5%') === 0.125, 'Процент переводится в долю');
+  console.log('testCellRefs OK');
+}
+
+export function testXlsxPackage() {
+  const files = readStoredZip(toXlsx(makeModel()));
+  for (const name of ['[Content_Types].xml', '_rels/.rels', 'xl/workbook.xml', 'xl/_rels/workbook.xml.rels', 'xl/styles.xml', 'xl/sharedStrings.xml', 'xl/worksheets/sheet1.xml']) {
+    assert(name in files, 'В архиве должна быть часть ' + name);
+  }
+  const wb = files['xl/workbook.xml'];
+  assert(wb.includes('<sheet name="Отчёт  2024"'), 'Недопустимые символы имени листа заменяются');
+  assert(wb.includes("'Отчёт  2024'!$1:$1"), 'Строки шапки повторяются при печати');
+  console.log('testXlsxPackage OK');
+}
+
+export function testXlsxSheet() {
+  const files = readStoredZip(toXlsx(makeModel()));
+  const sheet = files['xl/worksheets/sheet1.xml'];
+  const sst = files['xl/sharedStrings.xml'];
+  assert(sheet.includes('<dimension ref="A1:C3"/>'), 'dimension по размеру сетки');
+  assert(sheet.includes('ySplit="1" topLeftCell="A2"') && sheet.includes('state="frozen"'), 'Шапка закреплена');
+  assert(sheet.includes('<col min="1" max="1" width="20" customWidth="1"/>'), 'px переводятся в символы');
+  assert(sheet.includes('<col min="2" max="2" width="24" customWidth="1"/>'), 'ratio масштабируется');
+  assert(sheet.includes('<mergeCell ref="A1:B1"/>') && sheet.includes('<mergeCell ref="A2:A3"/>'), 'Объединения переносятся');
+  assert(/<c r="B2"[^>]*><v>1234.5<\/v><\/c>/.test(sheet), 'data-format=number -> числовая ячейка');
+  assert(/<c r="C2" s="\d+"><v>45323<\/v><\/c>/.test(sheet), 'data-format=date -> серийный номер');
+  assert(/<c r="B3" s="\d+"><v>0.125<\/v><\/c>/.test(sheet), 'data-format=percent -> доля');
+  assert(/<c r="C3"[^>]*t="s">/.test(sheet), 'Нераспознанное число остаётся строкой');
+  assert(sst.includes('a &amp; &lt;b&gt;'), 'Текст экранируется для XML');
+  assert(sst.includes('строка\nвторая'), '<br> превращается в перевод строки');
+  const styles = files['xl/styles.xml'];
+  assert(styles.includes('numFmtId="10"') && styles.includes('numFmtId="14"'), 'Стили процента и даты');
+  assert(styles.includes('wrapText="1"'), 'Многострочный текст переносится');
+  console.log('testXlsxSheet OK');
+}
+
+/** Собрать ZIP с одним файлом, сжатым DEFLATE (как это делает Excel) */
+async function deflatedZip(name, text) {
+  const raw = new TextEncoder().encode(text);
+  const stream = new Blob([raw]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+  const packed = new Uint8Array(await new Response(stream).arrayBuffer());
+  // Берём архив STORE и подменяем метод, размеры и данные единственного файла
+  const stored = createZip([{ name, data: raw }]);
+  const nameLen = new TextEncoder().encode(name).length;
+  const result = new Uint8Array(stored.length - raw.length + packed.length);
+  const headerLen = 30 + nameLen;
+  result.set(stored.subarray(0, headerLen), 0);
+  result.set(packed, headerLen);
+  result.set(stored.subarray(headerLen + raw.length), headerLen + packed.length);
+  const view = new DataView(result.buffer);
+  view.setUint16(8, 8, true);
+  view.setUint32(18, packed.length, true);
+  const central = headerLen + packed.length;
+  view.setUint16(central + 10, 8, true);
+  view.setUint32(central + 20, packed.length, true);
+  view.setUint32(result.length - 22 + 16, central, true);
+  return result;
+}
+
+export async function testXlsxRoundTrip() {
+  const res = await parseXlsx(toXlsx(makeModel()), { tagTypes: true });
+  assert(res.ok, 'Импорт собственного экспорта должен пройти: ' + res.error);
+  const { doc } = res;
+  assert(res.sheetName === 'Отчёт  2024' && doc.meta.name === 'Отчёт  2024', 'Имя листа становится именем таблицы');
+  assert(doc.grid.rows === 3 && doc.grid.cols === 3 && doc.grid.headerRows === 1, 'Размер и шапка восстанавливаются');
+  assert(doc.grid.columnSizes[0].v === 140 && doc.grid.columnSizes[0].u === 'px', 'Ширина столбца переводится в px');
+  const at = (r, c) => doc.cells.find(x => x.r === r && x.c === c);
+  assert(at(0, 0).colSpan === 2 && at(1, 0).rowSpan === 2, 'Объединения восстанавливаются');
+  assert(at(1, 0).value === 'a & <b>', 'Текст возвращается без XML экранирования');
+  assert(at(1, 1).value === '1234,5' && at(1, 1).data['data-format'] === 'number' && at(1, 1).classes[0] === 'numeric', 'Число помечено numeric + data-format');
+  assert(at(1, 2).value === '01.02.2024' && at(1, 2).data['data-format'] === 'date', 'Дата восстанавливается из серийного номера');
+  assert(at(2, 1).value === '12,5%' && at(2, 1).data['data-format'] === 'percent', 'Процент восстанавливается');
+  assert(at(2, 2).value === 'строка<br>вторая' && !at(2, 2).classes, 'Перевод строки -> <br>, строки не помечаются');
+  // Помеченные ячейки должны проходить STRICT проверку реестра (classes + data-format)
+  const validator = new ValidationService(makeModel());
+  validator.initRegistry(TABLEGEN_REGISTRY);
+  const check = validator.validateDocument(doc);
+  assert(check.valid, 'Импортированный документ проходит валидацию: ' + (check.errors || []).join('; '));
+  const plain = await parseXlsx(toXlsx(makeModel()));
+  assert(!plain.doc.cells.some(x => x.classes || x.data), 'Без tagTypes классы и data не добавляются');
+  // Столбцы-заголовки и высоты строк: закрепление по xSplit и ht строки
+  const withHeaders = makeModel();
+  withHeaders.setHeaderCols(1);
+  withHeaders.setRowSize(2, '40px');
+  const sheetXml = readStoredZip(toXlsx(withHeaders))['xl/worksheets/sheet1.xml'];
+  assert(sheetXml.includes('<pane xSplit="1" ySplit="1" topLeftCell="B2" activePane="bottomRight" state="frozen"/>'), 'Закреплены строка и столбец');
+  assert(sheetXml.includes('<row r="3" ht="30" customHeight="1">'), 'Высота строки в пунктах');
+  const back = (await parseXlsx(toXlsx(withHeaders))).doc;
+  assert(back.grid.headerCols === 1 && back.grid.rowSizes[2].v === 40 && back.grid.rowSizes[0].u === 'ratio', 'headerCols и rowSizes восстанавливаются');
+  console.log('testXlsxRoundTrip OK');
+}
+
+export async function testXlsxDeflateAndRichText() {
+  const sheet = '<?xml version="1.0" encoding="UTF-8"?>'
+    + '<x:worksheet xmlns:x="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><x:sheetData>'
+    + '<x:row r="2"><x:c r="B2" t="inlineStr"><x:is><x:r><x:t>H</x:t></x:r><x:r><x:rPr><x:vertAlign val="subscript"/></x:rPr><x:t>2</x:t></x:r><x:r><x:t>O</x:t></x:r></x:is></x:c>'
+    + '<x:c r="C2" t="b"><x:v>1</x:v></x:c><x:c r="D2"><x:v>0.30000000000000004</x:v></x:c></x:row>'
+    + '</x:sheetData><x:mergeCells><x:mergeCell ref="D2:E3"/></x:mergeCells></x:worksheet>';
+  const res = await parseXlsx(await deflatedZip('xl/worksheets/sheet1.xml', sheet));
+  assert(res.ok, 'DEFLATE архив и префиксы пространства имён поддерживаются: ' + res.error);
+  const at = (r, c) => res.doc.cells.find(x => x.r === r && x.c === c);
+  assert(at(1, 1).value === 'H<sub>2</sub>O', 'Нижний индекс из rich text -> <sub>');
+  assert(at(1, 2).value === 'ИСТИНА', 'Логическое значение');
+  assert(at(1, 3).value === '0,3' && at(1, 3).rowSpan === 2 && at(1, 3).colSpan === 2, 'Число округляется, merge применяется');
+  assert(res.doc.grid.rows === 3 && res.doc.grid.cols === 5, 'Размер учитывает объединения');
+  const broken = await parseXlsx(new TextEncoder().encode('not a zip'));
+  assert(!broken.ok && broken.error.includes('ZIP'), 'Не ZIP -> понятная ошибка');
+  console.log('testXlsxDeflateAndRichText OK');
+}
+
+export async function testXlsxFormulas() {
+  const bus = new EventBus();
+  const model = new TableModel({ meta:{ name:'Формулы' }, grid:{ rows:1, cols:5 }, cells:[
+    { r:0, c:0, value:'2,5', rowSpan:1, colSpan:1 },
+    { r:0, c:1, value:'4', rowSpan:1, colSpan:1 },
+    { r:0, c:2, value:'=СУММ(A1;B1)', rowSpan:1, colSpan:1 },
+    { r:0, c:3, value:'=A1/0', rowSpan:1, colSpan:1 },
+    { r:0, c:4, value:'=SUM(A1', rowSpan:1, colSpan:1 }
+  ]}, bus);
+  new FormulaService(model, bus);
+  const sheet = readStoredZip(toXlsx(model))['xl/worksheets/sheet1.xml'];
+  assert(sheet.includes('<c r="C1"><f>SUM(A1,B1)</f><v>6.5</v></c>'), 'Формула экспортируется с результатом в синтаксисе Excel');
+  assert(sheet.includes('<c r="D1" t="e"><f>A1/0</f><v>#DIV/0!</v></c>'), 'Ошибка формулы — ячейка t="e"');
+  assert(!sheet.includes('<f>SUM(A1</f>'), 'Синтаксически неверная формула выгружается текстом');
+  const back = (await parseXlsx(toXlsx(model))).doc;
+  const at = (c) => back.cells.find(x => x.r === 0 && x.c === c);
+  assert(at(2).value === '=SUM(A1,B1)' && at(2).cached === '6,5', 'Формула и результат восстанавливаются: ' + at(2).value);
+  assert(at(3).value === '=A1/0' && at(3).cached === '#DIV/0!', 'Ошибка восстанавливается как результат формулы');
+  console.log('testXlsxFormulas OK');
+}
+
+export async function runXlsxTests() {
+  testCellRefs();
+  testXlsxPackage();
+  testXlsxSheet();
+  await testXlsxRoundTrip();
+  await testXlsxDeflateAndRichText();
+  await testXlsxFormulas();
+  console.log('All XLSX tests passed');
+}